@@ -0,0 +1,403 @@
+// 📡 Local stand-in for the relay channel (see src/relay/relayClient.js),
+// with no dependencies beyond Node itself:
+//
+//   npm run relay                 relay on port 8787
+//   npm run relay -- --demo       …plus a simulated station with three rooms
+//   npm run relay -- --port 9000
+//   npm run relay -- --token s3cret  (or RELAY_TOKEN=s3cret npm run relay)
+//
+// Every message received — over a WebSocket (ws://localhost:8787) or as a
+// POST (http://localhost:8787/events) — goes to every other WebSocket and to
+// every Server-Sent Events stream (GET http://localhost:8787/events). The
+// latest heartbeat of each station is replayed to new listeners so they
+// don't start empty.
+//
+// With a token, only clients that send it may publish or listen: as a
+// `token` query parameter (WebSocket and EventSource cannot set headers)
+// or as an `Authorization: Bearer` header.
+import { createHash, timingSafeEqual } from "node:crypto";
+import { createServer } from "node:http";
+import { pathToFileURL } from "node:url";
+
+// Largest POST body or WebSocket message (all its fragments) accepted
+const MAX_BODY_BYTES = 5_000_000;
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+// --- WebSocket (RFC 6455): text frames, ping/pong and close only ---
+
+function sendFrame(socket, data, opcode = 0x1) {
+  const payload = Buffer.from(data);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  socket.write(Buffer.concat([header, payload]));
+}
+
+// --- HTTP: Server-Sent Events and POSTed messages ---
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+};
+
+/** The token a request carries, from its query string or Authorization header. */
+function requestToken(req) {
+  const query = new URL(req.url, "http://relay").searchParams.get("token");
+  if (query !== null) return query;
+  const header = req.headers.authorization ?? "";
+  return header.replace(/^Bearer\s+/i, "");
+}
+
+function tokenMatches(given, token) {
+  const a = Buffer.from(given);
+  const b = Buffer.from(token);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * The relay as an HTTP server that is not listening yet. With a `token`,
+ * publishing and subscribing are refused (HTTP 401) without it.
+ * `broadcast(text)` sends a message as if a client had published it.
+ */
+export function createRelayServer({ token = "", log = () => {} } = {}) {
+  const sseClients = new Set();
+  const sockets = new Set();
+  // station id → its latest "station" message (JSON text)
+  const heartbeats = new Map();
+
+  const authorized = (req) => !token || tokenMatches(requestToken(req), token);
+
+  function remember(text) {
+    try {
+      const message = JSON.parse(text);
+      if (message.type === "station" && message.station?.id) {
+        heartbeats.set(message.station.id, text);
+      }
+    } catch {
+      // Not JSON: passed on as it is
+    }
+  }
+
+  function broadcast(text, from = null) {
+    remember(text);
+    sseClients.forEach((res) => res.write(`data: ${text}\n\n`));
+    sockets.forEach((socket) => {
+      if (socket !== from) sendFrame(socket, text);
+    });
+  }
+
+  function acceptSocket(req, socket) {
+    const key = req.headers["sec-websocket-key"];
+    if (!key) {
+      socket.destroy();
+      return;
+    }
+    const accept = createHash("sha1")
+      .update(key + WS_GUID)
+      .digest("base64");
+    socket.write(
+      "HTTP/1.1 101 Switching Protocols\r\n" +
+        "Upgrade: websocket\r\n" +
+        "Connection: Upgrade\r\n" +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    sockets.add(socket);
+    heartbeats.forEach((text) => sendFrame(socket, text));
+    log(`WebSocket client connected (${sockets.size})`);
+
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+    let fragmentBytes = 0;
+    let closing = false;
+
+    socket.on("data", (chunk) => {
+      if (closing) return;
+      buffer = Buffer.concat([buffer, chunk]);
+      for (;;) {
+        if (buffer.length < 2) return;
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+          if (buffer.length < 4) return;
+          length = buffer.readUInt16BE(2);
+          offset = 4;
+        } else if (length === 127) {
+          if (buffer.length < 10) return;
+          length = Number(buffer.readBigUInt64BE(2));
+          offset = 10;
+        }
+        // Refuse before buffering the payload: 1009 is "message too big"
+        if (fragmentBytes + length > MAX_BODY_BYTES) {
+          const status = Buffer.alloc(2);
+          status.writeUInt16BE(1009);
+          sendFrame(socket, status, 0x8);
+          socket.end();
+          closing = true;
+          buffer = Buffer.alloc(0);
+          fragments = [];
+          return;
+        }
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + length) return;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (masked) {
+          for (let i = 0; i < payload.length; i += 1) {
+            payload[i] ^= buffer[maskOffset + (i % 4)];
+          }
+        }
+        buffer = buffer.subarray(offset + length);
+
+        if (opcode === 0x8) {
+          sendFrame(socket, "", 0x8);
+          socket.end();
+          return;
+        }
+        if (opcode === 0x9) {
+          sendFrame(socket, payload.toString(), 0xa);
+          continue;
+        }
+        if (opcode === 0x1 || opcode === 0x0) {
+          fragments.push(payload);
+          fragmentBytes += payload.length;
+          if (fin) {
+            broadcast(Buffer.concat(fragments).toString(), socket);
+            fragments = [];
+            fragmentBytes = 0;
+          }
+        }
+      }
+    });
+
+    const drop = () => {
+      if (sockets.delete(socket)) {
+        log(`WebSocket client left (${sockets.size})`);
+      }
+    };
+    socket.on("close", drop);
+    socket.on("error", drop);
+    // A client gone without a close frame would stay half-open
+    socket.on("end", () => socket.end());
+  }
+
+  const server = createServer((req, res) => {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, CORS);
+      res.end();
+      return;
+    }
+
+    if (!authorized(req)) {
+      res.writeHead(401, CORS);
+      res.end();
+      return;
+    }
+
+    if (req.method === "GET") {
+      res.writeHead(200, {
+        ...CORS,
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+      res.write(": connected\n\n");
+      heartbeats.forEach((text) => res.write(`data: ${text}\n\n`));
+      sseClients.add(res);
+      log(`SSE client connected (${sseClients.size})`);
+      req.on("close", () => {
+        sseClients.delete(res);
+        log(`SSE client left (${sseClients.size})`);
+      });
+      return;
+    }
+
+    if (req.method === "POST") {
+      let body = "";
+      req.on("data", (chunk) => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) req.destroy();
+      });
+      req.on("end", () => {
+        broadcast(body);
+        res.writeHead(204, CORS);
+        res.end();
+      });
+      return;
+    }
+
+    res.writeHead(405, CORS);
+    res.end();
+  });
+
+  server.on("upgrade", (req, socket) => {
+    if (req.headers.upgrade?.toLowerCase() !== "websocket") {
+      socket.destroy();
+    } else if (!authorized(req)) {
+      socket.end("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n");
+    } else {
+      acceptSocket(req, socket);
+    }
+  });
+
+  // Keeps SSE connections from being closed by idle proxies
+  let pingTimer = null;
+  server.on("listening", () => {
+    pingTimer = setInterval(
+      () => sseClients.forEach((res) => res.write(": ping\n\n")),
+      20000
+    );
+  });
+  server.on("close", () => clearInterval(pingTimer));
+
+  server.broadcast = broadcast;
+  return server;
+}
+
+// --- Demo station ---
+
+const STATUS_COLORS = {
+  NORMAL: "#16a34a",
+  WARNING: "#f97316",
+  EMERGENCY: "#b91c1c",
+};
+
+// Placeholder frame: the room's name on its status colour
+function demoFrame(roomName, status, width, height) {
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<rect width="100%" height="100%" fill="${STATUS_COLORS[status]}"/>` +
+    `<text x="50%" y="50%" fill="white" font-family="sans-serif" font-size="${Math.round(
+      height / 8
+    )}" text-anchor="middle">${roomName} · ${status}</text></svg>`;
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+function startDemo(broadcast) {
+  const station = { id: "demo-station", name: "Demo station" };
+  const rooms = [
+    { id: "room-1", name: "Bedroom" },
+    { id: "room-2", name: "Bathroom" },
+    { id: "room-3", name: "Living room" },
+  ];
+  const latest = {};
+  const openAlerts = [];
+  let alertId = 0;
+
+  const send = (type, payload) =>
+    broadcast(
+      JSON.stringify({ v: 1, type, station, sentAt: Date.now(), ...payload })
+    );
+
+  const heartbeat = () =>
+    send("station", {
+      rooms: rooms.map((r) => ({ ...r, latest: latest[r.id] ?? null })),
+      alerts: openAlerts,
+    });
+
+  const analyze = () => {
+    const room = rooms[Math.floor(Math.random() * rooms.length)];
+    const roll = Math.random();
+    const status =
+      roll < 0.08 ? "EMERGENCY" : roll < 0.25 ? "WARNING" : "NORMAL";
+    const reason = {
+      NORMAL: "One person sitting calmly.",
+      WARNING: "Person lying still on the floor for a while.",
+      EMERGENCY: "Person fell and is not moving.",
+    }[status];
+    const aiDecision = { status, reason };
+    const entry = {
+      id: null,
+      timestamp: Date.now(),
+      roomId: room.id,
+      roomName: room.name,
+      replayed: false,
+      source: null,
+      status,
+      summary: reason,
+      reason,
+      sceneDescription: reason,
+      aiDecision,
+      signals: { fallRisk: status === "EMERGENCY", voiceStress: false },
+      peopleCount: 1,
+      schemaIssues: [],
+      thumbnail: demoFrame(room.name, status, 160, 120),
+      frameSize: { width: 640, height: 480 },
+      snapshot: demoFrame(room.name, status, 640, 480),
+      response: { aiDecision, peopleCount: 1, sceneDescription: reason },
+    };
+    latest[room.id] = entry;
+    send("result", { entry });
+
+    if (status === "EMERGENCY") {
+      const alert = {
+        id: (alertId += 1),
+        roomId: room.id,
+        roomName: room.name,
+        ruleId: "emergency",
+        severity: "EMERGENCY",
+        title: "Emergency detected",
+        message: reason,
+        openedAt: Date.now(),
+        acknowledgedAt: null,
+        acknowledgedBy: null,
+        note: "",
+      };
+      openAlerts.push(alert);
+      send("alert", { alert });
+
+      // Someone on site acknowledges it a minute later
+      setTimeout(() => {
+        openAlerts.splice(openAlerts.indexOf(alert), 1);
+        send("alert", {
+          alert: {
+            ...alert,
+            acknowledgedAt: Date.now(),
+            acknowledgedBy: "Demo caregiver",
+          },
+        });
+      }, 60000);
+    }
+  };
+
+  heartbeat();
+  setInterval(heartbeat, 30000);
+  setInterval(analyze, 5000);
+  console.log("Demo station publishing three rooms every 5 s");
+}
+
+// --- Command line ---
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : fallback;
+  };
+  const port = Number(option("--port", process.env.PORT || 8787));
+  const token = option("--token", process.env.RELAY_TOKEN || "");
+
+  const server = createRelayServer({ token, log: console.log });
+  server.listen(port, () => {
+    console.log(
+      `Relay on ws://localhost:${port} and http://localhost:${port}/events` +
+        (token ? " (token required)" : "")
+    );
+    if (args.includes("--demo")) startDemo(server.broadcast);
+  });
+}
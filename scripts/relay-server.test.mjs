@@ -0,0 +1,246 @@
+// @vitest-environment node
+import { randomBytes } from "node:crypto";
+import { request } from "node:http";
+import { afterEach, describe, expect, it } from "vitest";
+import { createRelayServer } from "./relay-server.mjs";
+
+let server;
+let baseUrl;
+// Sockets and responses to close before the server can
+let open = [];
+
+async function startRelay(options) {
+  server = createRelayServer(options);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+afterEach(async () => {
+  open.forEach((stream) => stream.destroy());
+  open = [];
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+function post(path, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = request(`${baseUrl}${path}`, { method: "POST", headers });
+    req.on("response", (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+/** An EventSource stand-in: `messages` fills with the `data:` lines. */
+function listen(path = "/events") {
+  return new Promise((resolve, reject) => {
+    const req = request(`${baseUrl}${path}`);
+    req.on("response", (res) => {
+      open.push(res);
+      const stream = { status: res.statusCode, messages: [] };
+      let buffer = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => {
+        buffer += chunk;
+        const events = buffer.split("\n\n");
+        buffer = events.pop();
+        events
+          .filter((e) => e.startsWith("data: "))
+          .forEach((e) => stream.messages.push(e.slice(6)));
+      });
+      // Resolves once the "connected" comment has arrived
+      res.once("data", () => resolve(stream));
+      if (res.statusCode !== 200) resolve(stream);
+    });
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+/**
+ * A WebSocket client for short text frames; `messages` fills as they come
+ * and `closeStatus` is set by a close frame.
+ */
+function connect(path = "/") {
+  return new Promise((resolve, reject) => {
+    const req = request(`${baseUrl}${path}`, {
+      headers: {
+        Connection: "Upgrade",
+        Upgrade: "websocket",
+        "Sec-WebSocket-Version": "13",
+        "Sec-WebSocket-Key": randomBytes(16).toString("base64"),
+      },
+    });
+    req.on("upgrade", (res, socket, head) => {
+      open.push(socket);
+      const client = {
+        messages: [],
+        closeStatus: null,
+        closed: false,
+        write(bytes) {
+          socket.write(bytes);
+        },
+        send(text) {
+          const payload = Buffer.from(text);
+          const mask = randomBytes(4);
+          const masked = payload.map((byte, i) => byte ^ mask[i % 4]);
+          socket.write(
+            Buffer.concat([
+              Buffer.from([0x81, 0x80 | payload.length]),
+              mask,
+              masked,
+            ])
+          );
+        },
+      };
+      // Frames sent right after the handshake arrive in `head`
+      let buffer = Buffer.alloc(0);
+      const receive = (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        while (buffer.length >= 2 && buffer.length >= 2 + buffer[1]) {
+          if (buffer[0] === 0x88) client.closeStatus = buffer.readUInt16BE(2);
+          else
+            client.messages.push(buffer.subarray(2, 2 + buffer[1]).toString());
+          buffer = buffer.subarray(2 + buffer[1]);
+        }
+      };
+      receive(head);
+      socket.on("data", receive);
+      socket.on("close", () => {
+        client.closed = true;
+      });
+      resolve(client);
+    });
+    req.on("response", (res) => {
+      res.resume();
+      resolve({ status: res.statusCode });
+    });
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+async function waitFor(check) {
+  for (let i = 0; i < 100; i += 1) {
+    if (check()) return;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error("Timed out waiting for the relay");
+}
+
+const heartbeat = (id, rooms) =>
+  JSON.stringify({ v: 1, type: "station", station: { id }, rooms });
+
+describe("relay server", () => {
+  it("passes WebSocket messages on to the other sockets and SSE streams", async () => {
+    await startRelay();
+    const station = await connect();
+    const viewer = await connect();
+    const stream = await listen();
+
+    station.send('{"type":"result"}');
+
+    await waitFor(() => viewer.messages.length && stream.messages.length);
+    expect(viewer.messages).toEqual(['{"type":"result"}']);
+    expect(stream.messages).toEqual(['{"type":"result"}']);
+    expect(station.messages).toEqual([]);
+  });
+
+  it("closes sockets that announce a message over the size limit", async () => {
+    await startRelay();
+    const station = await connect();
+    const viewer = await connect();
+
+    // A masked text frame header claiming 6 MB, without its payload
+    const header = Buffer.alloc(14);
+    header[0] = 0x81;
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(6_000_000n, 2);
+    station.write(header);
+
+    await waitFor(() => station.closed);
+    expect(station.closeStatus).toBe(1009);
+    expect(viewer.messages).toEqual([]);
+  });
+
+  it("counts every fragment of a message against the size limit", async () => {
+    await startRelay();
+    const station = await connect();
+
+    // A first fragment of 3 MB, then a header for 3 MB more
+    const first = Buffer.alloc(14 + 3_000_000);
+    first[0] = 0x01;
+    first[1] = 0x80 | 127;
+    first.writeBigUInt64BE(3_000_000n, 2);
+    const second = Buffer.from(first.subarray(0, 14));
+    second[0] = 0x80;
+    station.write(Buffer.concat([first, second]));
+
+    await waitFor(() => station.closed);
+    expect(station.closeStatus).toBe(1009);
+  });
+
+  it("passes POSTed messages on to every subscriber", async () => {
+    await startRelay();
+    const viewer = await connect();
+    const stream = await listen();
+
+    expect(await post("/events", '{"type":"alert"}')).toBe(204);
+
+    await waitFor(() => viewer.messages.length && stream.messages.length);
+    expect(viewer.messages).toEqual(['{"type":"alert"}']);
+    expect(stream.messages).toEqual(['{"type":"alert"}']);
+  });
+
+  it("replays the latest heartbeat of each station to new listeners", async () => {
+    await startRelay();
+    await post("/events", heartbeat("a", 1));
+    await post("/events", heartbeat("b", 1));
+    await post("/events", heartbeat("a", 2));
+    await post("/events", '{"type":"result"}');
+
+    const stream = await listen();
+    await waitFor(() => stream.messages.length === 2);
+    expect(stream.messages).toEqual([heartbeat("a", 2), heartbeat("b", 1)]);
+
+    const viewer = await connect();
+    await waitFor(() => viewer.messages.length === 2);
+    expect(viewer.messages).toEqual([heartbeat("a", 2), heartbeat("b", 1)]);
+  });
+
+  describe("with a token", () => {
+    it("refuses publishers and subscribers without it", async () => {
+      await startRelay({ token: "s3cret" });
+      const stream = await listen("/events?token=s3cret");
+
+      expect(await post("/events", '{"type":"alert"}')).toBe(401);
+      expect(
+        await post("/events", '{"type":"alert"}', {
+          Authorization: "Bearer wrong",
+        })
+      ).toBe(401);
+      expect((await listen("/events?token=wrong")).status).toBe(401);
+      expect((await connect("/")).status).toBe(401);
+      expect(stream.messages).toEqual([]);
+    });
+
+    it("accepts it as a query parameter or a bearer token", async () => {
+      await startRelay({ token: "s3cret" });
+      const viewer = await connect("/?token=s3cret");
+      const stream = await listen("/events?token=s3cret");
+
+      expect(
+        await post("/events", '{"type":"alert"}', {
+          Authorization: "Bearer s3cret",
+        })
+      ).toBe(204);
+
+      await waitFor(() => viewer.messages.length && stream.messages.length);
+      expect(viewer.messages).toEqual(['{"type":"alert"}']);
+      expect(stream.messages).toEqual(['{"type":"alert"}']);
+    });
+  });
+});
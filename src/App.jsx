@@ -1,229 +1,879 @@
-import { useCallback, useEffect, useRef, useState } from "react";
-import axios from "axios";
-import * as SpeechSDK from "microsoft-cognitiveservices-speech-sdk";
+import {
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
+import { describeSchemaIssues, hasSchemaErrors } from "./api/analysisSchema";
+import {
+  createBackendClient,
+  isBackendUnavailable,
+  resolveBackendUrl,
+} from "./api/backendClient";
+import { buildRules, evaluateRules } from "./alerts/alertRules";
+import { createAlertStore } from "./alerts/alertStore";
+import AlertsPanel from "./components/AlertsPanel";
+import AttentionSettings from "./components/AttentionSettings";
+import AudioSettings from "./components/AudioSettings";
+import BackendSettings from "./components/BackendSettings";
+import ClipSettings from "./components/ClipSettings";
+import FileAnalysisPanel from "./components/FileAnalysisPanel";
+import HistoryPanel from "./components/HistoryPanel";
+import KioskBoard from "./components/KioskBoard";
+import KioskSettings from "./components/KioskSettings";
+import MonitoringSettings from "./components/MonitoringSettings";
+import PrivacySettings from "./components/PrivacySettings";
+import RelaySettings from "./components/RelaySettings";
+import RemoteDashboard from "./components/RemoteDashboard";
+import RoomTile from "./components/RoomTile";
+import SpeechSettings from "./components/SpeechSettings";
+import StatusAnnouncer from "./components/StatusAnnouncer";
+import StatusTimeline from "./components/StatusTimeline";
+import VoiceSettings from "./components/VoiceSettings";
+import {
+  addHistoryEntry,
+  createHistoryEntry,
+  updateHistoryEntry,
+} from "./history/historyStore";
+import { useAlertAttention } from "./hooks/useAlertAttention";
+import { useFullscreen } from "./hooks/useFullscreen";
+import { useKeyboardShortcuts } from "./hooks/useKeyboardShortcuts";
+import { useMicrophone } from "./hooks/useMicrophone";
+import {
+  useRelay,
+  useRelayStation,
+  useRemoteDashboard,
+} from "./hooks/useRelay";
+import { useSettings } from "./hooks/useSettings";
+import { useSpeaker } from "./hooks/useSpeaker";
+import { useSpeechAuth } from "./hooks/useSpeechAuth";
+import { useVideoDevices } from "./hooks/useVideoDevices";
+import { useVoiceCommands } from "./hooks/useVoiceCommands";
+import { useWakeLock } from "./hooks/useWakeLock";
+import { LOCALES, createTranslator, languageOf } from "./i18n/locales";
+import { message } from "./i18n/message";
+import { createOfflineQueue } from "./monitoring/offlineQueue";
+import { saveEventClip } from "./recording/clipStore";
+import { interpretCheckInReply, matchCommand } from "./speech/voiceCommands";
+import { statusPillStyle, worstStatus } from "./utils/status";
+import { extractDetections } from "./vision/detections";
+import { locateInZones } from "./vision/zones";
 
-function App() {
-  const videoRef = useRef(null);
-  const canvasRef = useRef(null);
+let roomCounter = 0;
+
+// Consecutive failed analyses before the outage becomes a monitoring alert
+const OUTAGE_ALERT_AFTER = 3;
+
+// Emergencies jump ahead of other pending announcements
+const STATUS_PRIORITY = { NORMAL: 1, WARNING: 2, EMERGENCY: 3 };
+
+// Recognizers deliver the final text of what they heard after it ended,
+// so phrases this soon after our own speech are probably our own voice
+const SELF_HEARING_GRACE_MS = 2000;
+
+// Latest results per room kept in memory for the room tiles; the full
+// history lives in IndexedDB
+const RECENT_PER_ROOM = 8;
+
+// Title fields of a new alert: the catalog key it is shown with, and its
+// text now for alerts read without a catalog
+function alertTitle(t, titleKey, titleParams = {}) {
+  return { titleKey, titleParams, title: t(titleKey, titleParams) };
+}
+
+// Newest open emergency, for the assertive screen-reader announcement
+function urgentAnnouncement(openAlerts, i18n) {
+  const newest = openAlerts
+    .filter((a) => a.severity === "EMERGENCY")
+    .reduce((n, a) => (!n || a.openedAt > n.openedAt ? a : n), null);
+  if (!newest) return "";
+  const where = newest.roomName ? `${newest.roomName}: ` : "";
+  return `${i18n.status(newest.severity)}. ${where}${i18n.alertTitle(newest)}`;
+}
 
-  const [loading, setLoading] = useState(false);
-  const [result, setResult] = useState(null);
-  const [error, setError] = useState("");
+function App() {
   const [autoMonitorOn, setAutoMonitorOn] = useState(false);
   const [history, setHistory] = useState([]);
-  const [isSpeaking, setIsSpeaking] = useState(false);
+  const [snapshotsCount, setSnapshotsCount] = useState(0);
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const [settings, updateSettings] = useSettings();
+  const [devices, refreshDevices] = useVideoDevices();
+  const [roomResults, setRoomResults] = useState({});
 
-  // ⚙️ Azure Speech config (front-end)
-  const speechKey = import.meta.env.VITE_AZURE_SPEECH_KEY;
-  const speechRegion = import.meta.env.VITE_AZURE_SPEECH_REGION;
+  const rooms = settings.rooms.list;
+  const [selectedRoomId, setSelectedRoomId] = useState(rooms[0]?.id);
+  const selectedRoom = rooms.find((r) => r.id === selectedRoomId) ?? rooms[0];
+  const result = roomResults[selectedRoom?.id] ?? null;
 
-  // 🎥 Ask for camera when component mounts
-  useEffect(() => {
-    async function setupCamera() {
-      try {
-        const stream = await navigator.mediaDevices.getUserMedia({
-          video: true,
-        });
-        if (videoRef.current) {
-          videoRef.current.srcObject = stream;
-        }
-      } catch (err) {
-        console.error(err);
-        setError("Could not access camera. Check browser permissions.");
-      }
+  // 🌍 Display language; speech and recognition follow it unless a voice
+  // or language was picked explicitly
+  const i18n = useMemo(
+    () => createTranslator(settings.i18n.locale),
+    [settings.i18n.locale]
+  );
+  const { t } = i18n;
+  const speechSettings = useMemo(
+    () => ({
+      ...settings.speech,
+      azureVoice: settings.speech.azureVoice || i18n.speechVoice,
+    }),
+    [settings.speech, i18n.speechVoice]
+  );
+  const voiceSettings = useMemo(
+    () => ({
+      ...settings.voice,
+      language: settings.voice.language || i18n.recognitionLanguage,
+    }),
+    [settings.voice, i18n.recognitionLanguage]
+  );
+
+  // A voice of another language would read the new catalog badly
+  const changeLocale = (locale) => {
+    updateSettings("i18n", { locale });
+    const language = languageOf(LOCALES[locale]?.speechVoice ?? "");
+    if (
+      settings.speech.azureVoice &&
+      languageOf(settings.speech.azureVoice) !== language
+    ) {
+      updateSettings("speech", { azureVoice: "" });
+    }
+    if (
+      settings.voice.language &&
+      languageOf(settings.voice.language) !== language
+    ) {
+      updateSettings("voice", { language: "" });
     }
+  };
 
-    setupCamera();
-  }, []);
-
-  // 📝 Push a new snapshot into history (max 6 items)
-  const pushToHistory = useCallback((analysis) => {
-    const status = analysis?.aiDecision?.status ?? "UNKNOWN";
-    const summary =
-      analysis?.aiDecision?.reason ||
-      analysis?.sceneDescription?.slice(0, 120) ||
-      "No summary";
-
-    const entry = {
-      id: Date.now(),
-      time: new Date().toLocaleTimeString([], {
-        hour: "2-digit",
-        minute: "2-digit",
-      }),
-      status,
-      summary,
+  // 🖥 Kiosk / wall display: screen kept on and larger text (every size is
+  // in rem, so scaling the root font scales the whole page)
+  const kiosk = settings.kiosk.enabled;
+  const textScale = settings.kiosk.textScale;
+  const wakeLock = useWakeLock(kiosk && settings.kiosk.keepAwake);
+  const [fullscreen, toggleFullscreen] = useFullscreen();
+  useEffect(() => {
+    if (!kiosk) return;
+    const root = document.documentElement;
+    root.style.fontSize = `${textScale * 100}%`;
+    return () => {
+      root.style.fontSize = "";
     };
+  }, [kiosk, textScale]);
 
-    setHistory((prev) => [entry, ...prev].slice(0, 6));
-  }, []);
+  // 🌐 Backend client for the selected environment
+  const backendUrl = resolveBackendUrl(settings.backend);
+  const backendTimeoutMs = settings.backend.timeoutMs;
+  const backend = useMemo(
+    () =>
+      createBackendClient({ baseUrl: backendUrl, timeoutMs: backendTimeoutMs }),
+    [backendUrl, backendTimeoutMs]
+  );
 
-  // 🎯 Capture frame and call backend
-  const captureAndAnalyze = useCallback(
-    async (isAuto = false) => {
-      if (!videoRef.current || !canvasRef.current) return;
+  // Drop any request still in flight against a backend we switched away from
+  useEffect(() => () => backend.cancelAll(), [backend]);
 
-      if (!isAuto) {
-        setLoading(true);
-        setResult(null);
-      }
-      setError("");
+  // 🩺 Backend health and frames waiting for it to come back
+  const health = useSyncExternalStore(
+    backend.subscribeHealth,
+    backend.getHealth
+  );
+  const [offlineQueue] = useState(() => createOfflineQueue({ maxSize: 30 }));
+  const queue = useSyncExternalStore(
+    offlineQueue.subscribe,
+    offlineQueue.getSnapshot
+  );
+  const backendDown = health.state === "down";
+  const outageAlert = health.consecutiveFailures >= OUTAGE_ALERT_AFTER;
 
-      const video = videoRef.current;
-      const canvas = canvasRef.current;
-      const ctx = canvas.getContext("2d");
+  // 🔔 Escalation rules and the alerts they open
+  const [alertStore] = useState(createAlertStore);
+  const alerts = useSyncExternalStore(
+    alertStore.subscribe,
+    alertStore.getSnapshot
+  );
+  const {
+    consecutiveWarnings,
+    fallRiskFrames,
+    emptyRoomMinutes,
+    nightStart,
+    nightEnd,
+    bedtime,
+    bedEmptyMinutes,
+  } = settings.alerts;
+  const rules = useMemo(
+    () =>
+      buildRules({
+        consecutiveWarnings,
+        fallRiskFrames,
+        emptyRoomMinutes,
+        nightStart,
+        nightEnd,
+        bedtime,
+        bedEmptyMinutes,
+      }),
+    [
+      consecutiveWarnings,
+      fallRiskFrames,
+      emptyRoomMinutes,
+      nightStart,
+      nightEnd,
+      bedtime,
+      bedEmptyMinutes,
+    ]
+  );
+  const ruleStateRef = useRef({});
 
-      // Set canvas to match video size
-      canvas.width = video.videoWidth || 720;
-      canvas.height = video.videoHeight || 540;
+  useEffect(() => {
+    alertStore.load();
+  }, [alertStore]);
 
-      ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+  // A sustained outage is itself an alert: statuses can no longer be trusted
+  useEffect(() => {
+    if (!outageAlert) return;
+    alertStore.open({
+      roomId: null,
+      roomName: null,
+      ruleId: "backend-outage",
+      severity: "WARNING",
+      ...alertTitle(t, "alerts.outageTitle"),
+      message: health.lastError ?? "",
+    });
+  }, [outageAlert, health.lastError, alertStore, t]);
 
-      const dataUrl = canvas.toDataURL("image/jpeg");
-      const base64 = dataUrl.split(",")[1];
+  // 🗣 Speech queue (Azure Speech with browser fallback), authorized with
+  // short-lived tokens from the backend
+  const [speechAuth, speechAuthState] = useSpeechAuth(backend);
+  const [speaker, speechState] = useSpeaker(speechSettings, speechAuth);
+  const isSpeaking = speechState.speaking;
+  const error = speechState.lastError
+    ? t("speech.playFailed", { error: speechState.lastError })
+    : "";
 
-      try {
-        const response = await axios.post(
-  "https://smart-safe-room-backend-app-b5h5apd5fjgrhpej.swedencentral-01.azurewebsites.net/analyze-room",
-  {
-    imageBase64: base64
-  }
-);
+  // 🎙 Optional microphone, attached to one room's analyses
+  const [microphone, microphoneState] = useMicrophone(settings.audio);
+  const microphoneRoomId =
+    rooms.find((r) => r.id === settings.audio.roomId)?.id ?? rooms[0]?.id;
+  const microphoneOn = microphoneState.state === "on";
 
+  // 🏠 Room list management (persisted with the other settings)
+  const updateRoom = (roomId, patch) =>
+    updateSettings("rooms", {
+      list: rooms.map((r) => (r.id === roomId ? { ...r, ...patch } : r)),
+    });
 
-        const data = response.data;
-        setResult(data);
-        pushToHistory(data);
-      } catch (err) {
-        console.error(err);
-        if (!isAuto) {
-          setError(
-            err.response?.data?.error ||
-              "Analysis failed. Make sure the backend is running on port 5000."
-          );
+  const addRoom = () => {
+    roomCounter += 1;
+    const id = `room-${Date.now().toString(36)}-${roomCounter}`;
+    updateSettings("rooms", {
+      list: [
+        ...rooms,
+        {
+          id,
+          name: t("rooms.defaultName", { number: rooms.length + 1 }),
+          deviceId: "",
+        },
+      ],
+    });
+    setSelectedRoomId(id);
+  };
+
+  const removeRoom = (roomId) => {
+    updateSettings("rooms", { list: rooms.filter((r) => r.id !== roomId) });
+    setRoomResults((prev) => {
+      const next = { ...prev };
+      delete next[roomId];
+      return next;
+    });
+  };
+
+  // 📡 Relay channel: a station publishes its results and alerts, a remote
+  // viewer shows those of every station instead of local cameras
+  const [relay, relayState] = useRelay(settings.relay);
+  const remote = useRemoteDashboard(relay);
+  const viewer = settings.relay.mode === "viewer";
+  const publishResult = useRelayStation(relay, {
+    name: settings.relay.stationName,
+    rooms,
+    alerts,
+  });
+
+  // 📝 Store a snapshot in the persistent history (IndexedDB).
+  // `history` only tracks this session's latest entries per room for the
+  // room tiles.
+  const roomNamesRef = useRef({});
+  const roomZonesRef = useRef({});
+  useEffect(() => {
+    roomNamesRef.current = Object.fromEntries(rooms.map((r) => [r.id, r.name]));
+    roomZonesRef.current = Object.fromEntries(
+      rooms.map((r) => [r.id, r.zones ?? []])
+    );
+  }, [rooms]);
+
+  // 🙋 "Are you okay?" check-in, asked when the microphone's room turns
+  // WARNING or a check-in rule fires (e.g. out of bed at night). The reply
+  // (or its absence) is handled with the voice commands.
+  const [checkIn, setCheckIn] = useState(null);
+  const liveStatusRef = useRef({});
+  const checkInConfigRef = useRef(null);
+  useEffect(() => {
+    checkInConfigRef.current = {
+      enabled: settings.voice.commandsEnabled && settings.voice.checkIns,
+      roomId: microphoneRoomId,
+    };
+  }, [settings.voice, microphoneRoomId]);
+
+  const startCheckIn = useCallback(
+    (roomId) => {
+      speaker.say(t("speech.checkIn"), { priority: 3, key: "check-in" });
+      setCheckIn({ roomId, askedAt: Date.now() });
+    },
+    [speaker, t]
+  );
+
+  // Replayed (queued) results only go to history; they must not replace
+  // a room's live status with an older frame.
+  const handleRoomResult = useCallback(
+    async (
+      roomId,
+      analysis,
+      thumbnail,
+      { capturedAt, replayed = false, frame = null, clip = null } = {}
+    ) => {
+      const openedAlerts = [];
+      if (!replayed) {
+        setRoomResults((prev) => ({ ...prev, [roomId]: analysis }));
+
+        const liveStatus = analysis.aiDecision.status;
+        const wasWarning = liveStatusRef.current[roomId] === "WARNING";
+        liveStatusRef.current[roomId] = liveStatus;
+        const checkInConfig = checkInConfigRef.current;
+        if (
+          liveStatus === "WARNING" &&
+          !wasWarning &&
+          checkInConfig?.enabled &&
+          checkInConfig.roomId === roomId
+        ) {
+          startCheckIn(roomId);
         }
-      } finally {
-        if (!isAuto) setLoading(false);
+
+        // 📐 Where people are relative to the room's zones
+        const zones = locateInZones(
+          extractDetections(analysis, frame),
+          roomZonesRef.current[roomId],
+          analysis.peopleCount
+        );
+        const { state, fired } = evaluateRules(
+          ruleStateRef.current[roomId],
+          analysis,
+          rules,
+          Date.now(),
+          zones
+        );
+        ruleStateRef.current[roomId] = state;
+        fired.forEach((rule) => {
+          // Ask first where a spoken check-in is possible
+          if (
+            rule.checkIn &&
+            checkInConfig?.enabled &&
+            checkInConfig.roomId === roomId
+          ) {
+            startCheckIn(roomId);
+            return;
+          }
+          openedAlerts.push(
+            alertStore.open({
+              roomId,
+              roomName: roomNamesRef.current[roomId],
+              ruleId: rule.id,
+              severity: rule.severity,
+              ...alertTitle(t, rule.titleKey, rule.titleParams),
+              message: analysis.aiDecision.reason,
+            })
+          );
+        });
+      }
+
+      const entry = createHistoryEntry(analysis, {
+        thumbnail,
+        roomId,
+        roomName: roomNamesRef.current[roomId],
+        timestamp: capturedAt,
+        replayed,
+        frame,
+      });
+      setHistory((prev) => {
+        // Drop the room's oldest entry once it has RECENT_PER_ROOM
+        let kept = 0;
+        return [
+          {
+            id: `${roomId}-${entry.timestamp}`,
+            roomId,
+            status: entry.status,
+            timestamp: entry.timestamp,
+          },
+          ...prev.filter(
+            (h) => h.roomId !== roomId || (kept += 1) < RECENT_PER_ROOM
+          ),
+        ];
+      });
+      setSnapshotsCount((n) => n + 1);
+
+      let stored;
+      try {
+        stored = await addHistoryEntry(entry);
+        setHistoryVersion((v) => v + 1);
+      } catch (err) {
+        console.error("Could not store history entry:", err);
+      }
+      // Viewers get the analyzed frame of every result, not only alerts
+      publishResult({
+        ...entry,
+        id: stored?.id ?? null,
+        snapshot: frame?.image ?? entry.snapshot,
+      });
+
+      // 🎞 The event clip arrives once its post-event part is recorded
+      if (!clip) return;
+      try {
+        const clipId = await saveEventClip(clip, {
+          roomId,
+          roomName: roomNamesRef.current[roomId],
+        });
+        if (clipId == null) return;
+        if (stored) await updateHistoryEntry(stored.id, { clipId });
+        (await Promise.all(openedAlerts)).forEach((alert) =>
+          alertStore.attachClip(alert.id, clipId)
+        );
+        setHistoryVersion((v) => v + 1);
+      } catch (err) {
+        console.error("Could not store event clip:", err);
       }
     },
-    [pushToHistory]
+    [rules, alertStore, startCheckIn, publishResult, t]
   );
 
-  // 🔁 Auto-monitor every 10 seconds
+  // 📷 A frozen, covered or disconnected camera leaves the room's status
+  // meaningless: its own "monitoring degraded" alert, like an outage
+  const handleCameraIssue = useCallback(
+    (roomId, issue) => {
+      if (!issue) return;
+      alertStore.open({
+        roomId,
+        roomName: roomNamesRef.current[roomId],
+        ruleId: "camera-health",
+        severity: "WARNING",
+        ...alertTitle(t, "alerts.cameraTitle"),
+        message: message(`camera.${issue}`),
+      });
+    },
+    [alertStore, t]
+  );
+
+  // 📦 Queue frames captured while the backend is unreachable…
+  const handleCaptureFailed = useCallback(
+    (roomId, frame) => offlineQueue.enqueue({ roomId, ...frame }),
+    [offlineQueue]
+  );
+
+  // …and send them once it answers again (or the browser comes back online)
   useEffect(() => {
-    if (!autoMonitorOn) return;
+    if (queue.size === 0 || queue.flushing) return;
 
-    const id = setInterval(() => {
-      captureAndAnalyze(true);
-    }, 10000); // 10s
+    const flush = () =>
+      offlineQueue.flush(async (item) => {
+        try {
+          const data = await backend.analyzeRoom(item.body, {
+            channel: null,
+            retries: 0,
+          });
+          handleRoomResult(item.roomId, data, item.thumbnail, {
+            capturedAt: item.capturedAt,
+            replayed: true,
+            frame: item.frame,
+          });
+        } catch (err) {
+          // Malformed frames would block the queue forever; drop them
+          if (isBackendUnavailable(err)) throw err;
+          console.error("Dropping queued frame:", err);
+        }
+      });
 
-    return () => clearInterval(id);
-  }, [autoMonitorOn, captureAndAnalyze]);
+    if (health.state === "ok") flush();
+    window.addEventListener("online", flush);
+    return () => window.removeEventListener("online", flush);
+  }, [
+    backend,
+    health.state,
+    queue.size,
+    queue.flushing,
+    offlineQueue,
+    handleRoomResult,
+  ]);
 
-  // 🗣 Speak status via Azure Speech
-  const handleSpeakStatus = async () => {
-    if (!result) {
-      console.warn("No analysis result available to speak.");
-      return;
+  // 📢 Announce status transitions automatically
+  const announcedRef = useRef({});
+  const autoAnnounce = settings.speech.autoAnnounce;
+  useEffect(() => {
+    for (const room of rooms) {
+      const next = roomResults[room.id]?.aiDecision.status;
+      const prev = announcedRef.current[room.id];
+      if (!next || next === prev) continue;
+      announcedRef.current[room.id] = next;
+
+      // A room's first result is only worth announcing if it is not NORMAL
+      if (!autoAnnounce || (prev == null && next === "NORMAL")) continue;
+
+      const reason = roomResults[room.id]?.aiDecision.reason;
+      const where = rooms.length > 1 ? `${room.name}: ` : "";
+      const change = prev
+        ? t("speech.statusChanged", {
+            from: i18n.status(prev),
+            to: i18n.status(next),
+          })
+        : t("speech.statusIs", { status: i18n.status(next) });
+      speaker.say(`${where}${change}.${reason ? ` ${reason}.` : ""}`, {
+        priority: STATUS_PRIORITY[next] ?? 0,
+        key: `status:${room.id}`,
+      });
     }
+  }, [roomResults, rooms, autoAnnounce, speaker, i18n, t]);
 
-    if (!speechKey || !speechRegion) {
-      console.error("Missing Speech config. Check VITE_AZURE_SPEECH_KEY and VITE_AZURE_SPEECH_REGION.");
-      setError(
-        "Speech is not configured. Add VITE_AZURE_SPEECH_KEY and VITE_AZURE_SPEECH_REGION in your .env.local file."
-      );
+  // 🗣 Speak the selected room's status on demand
+  const handleSpeakStatus = () => {
+    if (!result) {
+      console.warn("No analysis result available to speak.");
       return;
     }
 
-    if (isSpeaking) return;
+    const text = t("speech.current", {
+      status: i18n.status(result.aiDecision.status),
+      reason: result.aiDecision.reason || t("speech.noReason"),
+      action: result.aiDecision.action || t("speech.noAction"),
+    });
+    speaker.say(text, { priority: 1, key: "status-request" });
+  };
 
-    const status = result.aiDecision?.status ?? "unknown";
-    const reason = result.aiDecision?.reason ?? "No detailed reason.";
-    const action = result.aiDecision?.action ?? "No specific action suggested.";
+  // 👂 Voice commands (heard in the microphone's room)
+  const [captureRequest, setCaptureRequest] = useState(null);
 
-    const text = `Current room status is ${status}. ${reason}. Suggested action: ${action}.`;
-    console.log("Speaking with text:", text);
+  // Only the room that was heard, and never an EMERGENCY: those need
+  // someone at the screen. Says what was done.
+  const acknowledgeByVoice = (roomId, text, { confirm = true } = {}) => {
+    const roomAlerts = alerts.open.filter((a) => a.roomId === roomId);
+    const emergencies = roomAlerts.filter((a) => a.severity === "EMERGENCY");
+    const others = roomAlerts.filter((a) => a.severity !== "EMERGENCY");
+    others.forEach((a) =>
+      alertStore.acknowledge(a.id, {
+        by: t("alerts.voiceCommand"),
+        note: t("alerts.heard", { text }),
+      })
+    );
 
-    try {
-      setIsSpeaking(true);
+    const room = roomNamesRef.current[roomId];
+    const replies = [
+      confirm && others.length > 0
+        ? t("speech.acknowledged", { count: others.length, room })
+        : null,
+      emergencies.length > 0 ? t("speech.emergencyKept", { room }) : null,
+    ].filter(Boolean);
+    if (replies.length > 0) speaker.say(replies.join(" "), { priority: 3 });
+  };
 
-      const speechConfig = SpeechSDK.SpeechConfig.fromSubscription(
-        speechKey,
-        speechRegion
-      );
-      speechConfig.speechSynthesisVoiceName = "en-US-JennyNeural";
+  const raiseVoiceEmergency = (roomId, titleKey, text) =>
+    alertStore.open({
+      roomId,
+      roomName: roomNamesRef.current[roomId],
+      ruleId: "voice-help",
+      severity: "EMERGENCY",
+      ...alertTitle(t, titleKey),
+      message: text ? message("alerts.heard", { text }) : "",
+    });
 
-      // Use default speaker output for audio
-      const audioConfig = SpeechSDK.AudioConfig.fromDefaultSpeakerOutput();
+  const handlePhrase = (text) => {
+    // Don't react to our own announcements
+    const { speaking, spokeUntil } = speaker.getSnapshot();
+    const justSpoke =
+      spokeUntil != null && Date.now() - spokeUntil < SELF_HEARING_GRACE_MS;
+    if (speaking || justSpoke) return;
+    const roomId = microphoneRoomId;
 
-      const synthesizer = new SpeechSDK.SpeechSynthesizer(
-        speechConfig,
-        audioConfig
-      );
+    if (checkIn) {
+      const reply = interpretCheckInReply(text);
+      if (reply === "okay") {
+        setCheckIn(null);
+        speaker.say(t("speech.gladOkay"), { priority: 3 });
+        acknowledgeByVoice(checkIn.roomId, text, { confirm: false });
+        return;
+      }
+      if (reply === "help") {
+        setCheckIn(null);
+        raiseVoiceEmergency(checkIn.roomId, "alerts.helpAtCheckIn", text);
+        speaker.say(t("speech.helpComing"), { priority: 3 });
+        return;
+      }
+    }
 
-      await new Promise((resolve, reject) => {
-        synthesizer.speakTextAsync(
-          text,
-          () => {
-            synthesizer.close();
-            resolve();
-          },
-          (err) => {
-            console.error("Speech synthesis error:", err);
-            synthesizer.close();
-            reject(err);
-          }
-        );
-      });
-    } catch (err) {
-      console.error("Speech error:", err);
-      setError(
-        "Could not play speech. Check browser audio permissions and console logs for details."
-      );
-    } finally {
-      setIsSpeaking(false);
+    switch (matchCommand(text)) {
+      case "help":
+        raiseVoiceEmergency(roomId, "alerts.helpByVoice", text);
+        speaker.say(t("speech.helpComing"), { priority: 3 });
+        break;
+      case "stop-alarm":
+        acknowledgeByVoice(roomId, text);
+        break;
+      case "analyze":
+        setCaptureRequest({ roomId, requestedAt: Date.now() });
+        speaker.say(t("speech.analyzing"), { priority: 2 });
+        break;
+      case "okay":
+        acknowledgeByVoice(roomId, text);
+        break;
+      default:
+        break;
     }
   };
 
-  // 🧠 Derived UI data
-  const status = result?.aiDecision?.status ?? "NO DATA";
-  const isEmergency = status === "EMERGENCY";
-  const isWarning = status === "WARNING";
-  const isNormal = status === "NORMAL"; // currently unused but fine
-
-  // These rely on backend enhancements
-  const peopleCount =
-    result?.peopleCount ??
-    result?.vision?.peopleCount ??
-    result?.aiDecision?.peopleCount ??
-    null;
-
-  const fallRisk = result?.signals?.fallRisk ?? false;
-  const voiceStress = result?.signals?.voiceStress ?? false;
-
-  const snapshotsCount = history.length;
-  const alertsCount = history.filter(
-    (h) => h.status === "WARNING" || h.status === "EMERGENCY"
-  ).length;
-
-  const currentStatusLabel = result ? status : "No data";
-
-  // 🔧 Small helper for status pill colours
-  const statusPillStyle = (s) => {
-    let bg = "#4b5563";
-    if (s === "NORMAL") bg = "#16a34a";
-    if (s === "WARNING") bg = "#f97316";
-    if (s === "EMERGENCY") bg = "#b91c1c";
-
-    return {
-      background: bg,
-      color: "white",
-      padding: "0.2rem 0.7rem",
-      borderRadius: "999px",
-      fontSize: "0.8rem",
-      fontWeight: 600,
-    };
+  const [recognizer, voiceState] = useVoiceCommands(
+    voiceSettings,
+    settings.audio.deviceId,
+    handlePhrase,
+    speechAuth
+  );
+
+  // ✅ Acknowledge the newest open alert (of one room, or of any) from the
+  // wall display or the keyboard
+  const acknowledgeNewest = (roomId) => {
+    const newest = alerts.open
+      .filter((a) => roomId == null || a.roomId === roomId)
+      .reduce((n, a) => (!n || a.openedAt > n.openedAt ? a : n), null);
+    if (!newest) return;
+    alertStore.acknowledge(newest.id, {
+      by: settings.alerts.caregiverName.trim() || t("kiosk.acknowledgedBy"),
+    });
+  };
+
+  const analyzeSelected = () => {
+    if (!selectedRoom) return;
+    setCaptureRequest({ roomId: selectedRoom.id, requestedAt: Date.now() });
   };
 
+  // ⌨️ Keyboard shortcuts (see KioskSettings)
+  useKeyboardShortcuts(
+    viewer
+      ? { f: toggleFullscreen }
+      : {
+          a: analyzeSelected,
+          m: () => setAutoMonitorOn((prev) => !prev),
+          s: handleSpeakStatus,
+          k: () => acknowledgeNewest(null),
+          f: toggleFullscreen,
+        },
+    settings.kiosk.shortcuts
+  );
+
+  // No answer in time: treat the check-in as a call for help
+  const checkInTimeoutMs = settings.voice.checkInTimeoutSec * 1000;
+  useEffect(() => {
+    if (!checkIn) return;
+    const id = setTimeout(() => {
+      setCheckIn(null);
+      alertStore.open({
+        roomId: checkIn.roomId,
+        roomName: roomNamesRef.current[checkIn.roomId],
+        ruleId: "check-in-unanswered",
+        severity: "EMERGENCY",
+        ...alertTitle(t, "alerts.checkInUnanswered"),
+        message: message("alerts.checkInUnansweredDetail"),
+      });
+    }, checkInTimeoutMs);
+    return () => clearTimeout(id);
+  }, [checkIn, checkInTimeoutMs, alertStore, t]);
+
+  // 🧠 Derived UI data
+  const status = result?.aiDecision.status ?? null;
+
+  // These rely on backend enhancements (null / false when not reported)
+  const peopleCount = result?.peopleCount ?? null;
+  const fallRisk = result?.signals.fallRisk ?? false;
+  const voiceStress = result?.signals.voiceStress ?? false;
+  const schemaErrors = hasSchemaErrors(result);
+  // Live microphone values, when the microphone is in the selected room
+  const liveAudio =
+    microphoneOn && selectedRoom?.id === microphoneRoomId
+      ? microphoneState
+      : null;
+  // 0..1 for the level meter (-60 dBFS … 0 dBFS)
+  const audioLevel =
+    liveAudio?.levelDb == null
+      ? 0
+      : Math.min(1, Math.max(0, (liveAudio.levelDb + 60) / 60));
+
+  // 🚦 Effective status = backend status escalated by open alerts
+  const effectiveStatusOf = (roomId) =>
+    worstStatus([
+      roomResults[roomId]?.aiDecision.status,
+      ...alerts.open.filter((a) => a.roomId === roomId).map((a) => a.severity),
+    ]);
+  const selectedStatus = effectiveStatusOf(selectedRoom?.id) ?? status;
+  const isEmergency = selectedStatus === "EMERGENCY";
+  const isWarning = selectedStatus === "WARNING";
+
+  const currentStatusLabel = result
+    ? backendDown
+      ? t("stats.stale", { status: i18n.status(selectedStatus) })
+      : i18n.status(selectedStatus)
+    : t("stats.noData");
+
+  // Worst status across every monitored room (and room-less alerts)
+  const overallStatus = worstStatus([
+    ...rooms.map((r) => effectiveStatusOf(r.id)),
+    ...alerts.open.filter((a) => a.roomId == null).map((a) => a.severity),
+  ]);
+  const compactTiles = rooms.length > 1;
+
+  // 📣 Notifications, alarm and tab badge for open alerts (a viewer's are
+  // those of the remote stations)
+  const alarm = useAlertAttention(
+    viewer ? remote.openAlerts : alerts.open,
+    viewer ? remote.overallStatus : overallStatus,
+    settings.attention,
+    i18n
+  );
+
+  const languageSelect = (
+    <select
+      aria-label={t("app.language")}
+      value={i18n.locale}
+      onChange={(e) => changeLocale(e.target.value)}
+      style={{
+        background: "rgba(15,23,42,0.8)",
+        color: "#e5e7eb",
+        border: "1px solid rgba(148,163,184,0.6)",
+        borderRadius: "999px",
+        padding: "0.35rem 0.6rem",
+        fontSize: "0.8rem",
+      }}
+    >
+      {Object.entries(LOCALES).map(([code, { label }]) => (
+        <option key={code} value={code}>
+          {label}
+        </option>
+      ))}
+    </select>
+  );
+
+  const kioskSettings = (
+    <KioskSettings
+      i18n={i18n}
+      kiosk={settings.kiosk}
+      onChange={(patch) => updateSettings("kiosk", patch)}
+      wakeLock={wakeLock}
+      fullscreen={fullscreen}
+      onFullscreen={toggleFullscreen}
+    />
+  );
+
+  const relaySettings = (
+    <RelaySettings
+      i18n={i18n}
+      relay={settings.relay}
+      onChange={(patch) => updateSettings("relay", patch)}
+      relayState={relayState}
+    />
+  );
+
+  if (viewer) {
+    return (
+      <div
+        style={{
+          minHeight: "100vh",
+          width: "100vw",
+          background:
+            "radial-gradient(120% 160% at 0% 0%, #1f2937 0%, #020617 45%, #000 100%)",
+          color: "#e5e7eb",
+        }}
+      >
+        <div
+          style={{
+            maxWidth: "1400px",
+            margin: "0 auto",
+            padding: "24px clamp(12px, 4vw, 32px) 40px",
+          }}
+        >
+          <StatusAnnouncer
+            summary={remote.rooms
+              .map((r) => `${r.roomName}: ${i18n.status(r.status)}`)
+              .join(". ")}
+            urgent={urgentAnnouncement(remote.openAlerts, i18n)}
+          />
+
+          {/* HEADER */}
+          <header
+            style={{
+              display: "flex",
+              flexWrap: "wrap",
+              justifyContent: "space-between",
+              gap: "1.5rem",
+              alignItems: "center",
+              marginBottom: "1.75rem",
+            }}
+          >
+            <div>
+              <h1
+                style={{
+                  fontSize: "2.4rem",
+                  margin: 0,
+                  letterSpacing: "-0.04em",
+                }}
+              >
+                {t("app.title")}
+              </h1>
+              <p style={{ opacity: 0.8, marginTop: "0.3rem" }}>
+                {t("app.viewerSubtitle")}
+              </p>
+            </div>
+            <div
+              style={{
+                display: "flex",
+                alignItems: "center",
+                gap: "0.5rem",
+                fontSize: "0.85rem",
+              }}
+            >
+              <span style={{ opacity: 0.7 }}>
+                {t("header.worstOf", { count: remote.rooms.length })}
+              </span>
+              <span style={statusPillStyle(remote.overallStatus)}>
+                {i18n.status(remote.overallStatus)}
+              </span>
+              {languageSelect}
+            </div>
+          </header>
+
+          <RemoteDashboard
+            i18n={i18n}
+            dashboard={remote}
+            relayState={relayState}
+            url={settings.relay.url}
+          />
+
+          <div style={{ maxWidth: "560px" }}>
+            {relaySettings}
+            {kioskSettings}
+            <AttentionSettings
+              i18n={i18n}
+              attention={settings.attention}
+              onChange={(patch) => updateSettings("attention", patch)}
+              alarm={alarm}
+            />
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div
       style={{
@@ -238,13 +888,21 @@ function App() {
         style={{
           maxWidth: "1400px",
           margin: "0 auto",
-          padding: "24px 32px 40px",
+          padding: "24px clamp(12px, 4vw, 32px) 40px",
         }}
       >
+        <StatusAnnouncer
+          summary={rooms
+            .map((r) => `${r.name}: ${i18n.status(effectiveStatusOf(r.id))}`)
+            .join(". ")}
+          urgent={urgentAnnouncement(alerts.open, i18n)}
+        />
+
         {/* HEADER */}
         <header
           style={{
             display: "flex",
+            flexWrap: "wrap",
             justifyContent: "space-between",
             gap: "1.5rem",
             alignItems: "center",
@@ -259,49 +917,152 @@ function App() {
                 letterSpacing: "-0.04em",
               }}
             >
-              Smart Safe Room AI
+              {t("app.title")}
             </h1>
             <p style={{ opacity: 0.8, marginTop: "0.3rem" }}>
-              Webcam-based room understanding with Azure Vision, OpenAI & Speech.
+              {t("app.subtitle")}
             </p>
           </div>
 
-          <button
-            onClick={() => setAutoMonitorOn((prev) => !prev)}
+          <div
             style={{
-              borderRadius: "999px",
-              padding: "0.6rem 1.3rem",
-              border: "1px solid rgba(148, 163, 184, 0.6)",
-              background: autoMonitorOn
-                ? "rgba(34,197,94,0.15)"
-                : "rgba(15,23,42,0.8)",
-              color: autoMonitorOn ? "#bbf7d0" : "#e5e7eb",
               display: "flex",
+              flexWrap: "wrap",
               alignItems: "center",
-              gap: "0.5rem",
-              fontSize: "0.9rem",
+              gap: "0.9rem",
             }}
           >
+            {/* Backend health */}
             <span
+              title={i18n.message(health.lastError) ?? undefined}
+              style={{
+                display: "flex",
+                alignItems: "center",
+                gap: "0.4rem",
+                fontSize: "0.8rem",
+                color: backendDown ? "#fecaca" : "#cbd5e1",
+              }}
+            >
+              <span
+                style={{
+                  width: "8px",
+                  height: "8px",
+                  borderRadius: "999px",
+                  background: backendDown
+                    ? "#ef4444"
+                    : health.state === "ok"
+                    ? "#22c55e"
+                    : "#64748b",
+                }}
+              />
+              {backendDown
+                ? t("backend.downSince", { time: i18n.time(health.downSince) })
+                : health.state === "ok"
+                ? t("backend.ok")
+                : t("backend.unchecked")}
+            </span>
+
+            <div
+              style={{
+                display: "flex",
+                alignItems: "center",
+                gap: "0.5rem",
+                fontSize: "0.85rem",
+              }}
+            >
+              <span style={{ opacity: 0.7 }}>
+                {rooms.length > 1
+                  ? t("header.worstOf", { count: rooms.length })
+                  : t("header.room")}
+              </span>
+              <span style={statusPillStyle(overallStatus)}>
+                {i18n.status(overallStatus)}
+              </span>
+            </div>
+
+            <button
+              onClick={() => setAutoMonitorOn((prev) => !prev)}
+              aria-pressed={autoMonitorOn}
+              aria-keyshortcuts={settings.kiosk.shortcuts ? "M" : undefined}
               style={{
-                width: "10px",
-                height: "10px",
                 borderRadius: "999px",
-                background: autoMonitorOn ? "#22c55e" : "#64748b",
-                boxShadow: autoMonitorOn
-                  ? "0 0 10px rgba(34,197,94,0.9)"
-                  : "none",
+                padding: "0.6rem 1.3rem",
+                border: "1px solid rgba(148, 163, 184, 0.6)",
+                background: autoMonitorOn
+                  ? "rgba(34,197,94,0.15)"
+                  : "rgba(15,23,42,0.8)",
+                color: autoMonitorOn ? "#bbf7d0" : "#e5e7eb",
+                display: "flex",
+                alignItems: "center",
+                gap: "0.5rem",
+                fontSize: "0.9rem",
               }}
-            />
-            {autoMonitorOn ? "Auto-monitor ON" : "Enable auto-monitor"}
-          </button>
+            >
+              <span
+                style={{
+                  width: "10px",
+                  height: "10px",
+                  borderRadius: "999px",
+                  background: autoMonitorOn ? "#22c55e" : "#64748b",
+                  boxShadow: autoMonitorOn
+                    ? "0 0 10px rgba(34,197,94,0.9)"
+                    : "none",
+                }}
+              />
+              {autoMonitorOn ? t("header.autoOn") : t("header.autoOff")}
+            </button>
+
+            {languageSelect}
+          </div>
         </header>
 
+        {/* MONITORING ALERT: backend outage */}
+        {outageAlert && (
+          <div
+            role="alert"
+            style={{
+              background: "rgba(127,29,29,0.6)",
+              border: "1px solid #b91c1c",
+              borderRadius: "0.9rem",
+              padding: "0.8rem 1.1rem",
+              marginBottom: "1.25rem",
+              fontSize: "0.9rem",
+            }}
+          >
+            <strong>{t("outage.title")}</strong>{" "}
+            {t("outage.body", {
+              time: i18n.time(health.downSince),
+              count: health.consecutiveFailures,
+            })}
+            {queue.size > 0 && ` ${t("outage.queued", { count: queue.size })}`}
+            {queue.dropped > 0 &&
+              ` ${t("outage.dropped", { count: queue.dropped })}`}
+          </div>
+        )}
+
+        {/* KIOSK: LARGE STATUS BOARD */}
+        {kiosk && (
+          <KioskBoard
+            i18n={i18n}
+            rooms={rooms.map((room) => ({
+              id: room.id,
+              name: room.name,
+              status: effectiveStatusOf(room.id),
+              reason: roomResults[room.id]?.aiDecision.reason,
+              openAlerts: alerts.open.filter((a) => a.roomId === room.id),
+            }))}
+            selectedRoomId={selectedRoom?.id}
+            stale={backendDown}
+            onSelect={setSelectedRoomId}
+            onAcknowledge={acknowledgeNewest}
+          />
+        )}
+
         {/* STATS ROW */}
         <section
           style={{
-            display: "grid",
-            gridTemplateColumns: "repeat(3, minmax(0, 1fr))",
+            display: kiosk ? "none" : "grid",
+            gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))",
             gap: "1rem",
             marginBottom: "1.5rem",
           }}
@@ -319,7 +1080,7 @@ function App() {
             }}
           >
             <span style={{ fontSize: "0.8rem", opacity: 0.7 }}>
-              Current status
+              {t("stats.currentStatus")}
             </span>
             <div style={{ display: "flex", alignItems: "center", gap: "0.6rem" }}>
               <span
@@ -353,7 +1114,7 @@ function App() {
             }}
           >
             <span style={{ fontSize: "0.8rem", opacity: 0.7 }}>
-              Snapshots this session
+              {t("stats.snapshots")}
             </span>
             <span style={{ fontWeight: 600, fontSize: "1.1rem" }}>
               {snapshotsCount}
@@ -373,94 +1134,175 @@ function App() {
             }}
           >
             <span style={{ fontSize: "0.8rem", opacity: 0.7 }}>
-              Alerts (warning / emergency)
+              {t("stats.alerts")}
             </span>
             <span style={{ fontWeight: 600, fontSize: "1.1rem" }}>
-              {alertsCount}
+              <span
+                style={{ color: alerts.open.length ? "#fca5a5" : undefined }}
+              >
+                {t("stats.open", { count: alerts.open.length })}
+              </span>
+              {" / "}
+              {t("stats.acknowledged", { count: alerts.acknowledged.length })}
             </span>
           </div>
         </section>
 
+        {/* TIMELINE */}
+        <div hidden={kiosk}>
+          <StatusTimeline
+            i18n={i18n}
+            room={selectedRoom}
+            refreshToken={historyVersion}
+          />
+        </div>
+
         {/* MAIN CONTENT ROW */}
         <section
           style={{
             display: "flex",
+            flexWrap: "wrap",
             gap: "1.5rem",
             alignItems: "flex-start",
           }}
         >
-          {/* LEFT: CAMERA + ACTION */}
-          <div style={{ flex: "0 0 48%" }}>
+          {/* LEFT: ROOM CAMERAS */}
+          <div style={{ flex: "1 1 520px", minWidth: 0 }}>
             <div
               style={{
-                background: "rgba(15,23,42,0.95)",
-                borderRadius: "1rem",
-                padding: "1rem",
-                border: "1px solid rgba(30,64,175,0.6)",
-                boxShadow: "0 24px 60px rgba(0,0,0,0.7)",
+                display: "grid",
+                gridTemplateColumns: compactTiles
+                  ? "repeat(2, minmax(0, 1fr))"
+                  : "minmax(0, 1fr)",
+                gap: "1rem",
               }}
             >
-              <video
-                ref={videoRef}
-                autoPlay
-                playsInline
-                style={{
-                  width: "100%",
-                  maxWidth: "720px",
-                  height: "540px",
-                  borderRadius: "0.9rem",
-                  border: "1px solid rgba(15,23,42,0.8)",
-                  background: "black",
-                  objectFit: "cover",
-                  display: "block",
-                }}
-              />
-              <canvas ref={canvasRef} style={{ display: "none" }} />
+              {rooms.map((room) => (
+                <RoomTile
+                  key={room.id}
+                  i18n={i18n}
+                  room={room}
+                  devices={devices}
+                  backend={backend}
+                  result={roomResults[room.id] ?? null}
+                  recent={history.filter((h) => h.roomId === room.id)}
+                  autoMonitorOn={autoMonitorOn}
+                  motion={settings.motion}
+                  cadence={settings.cadence}
+                  privacy={settings.privacy}
+                  clips={settings.clips}
+                  camera={settings.camera}
+                  microphone={
+                    microphoneOn && room.id === microphoneRoomId
+                      ? microphone
+                      : null
+                  }
+                  captureRequest={
+                    captureRequest?.roomId === room.id ? captureRequest : null
+                  }
+                  selected={room.id === selectedRoom?.id}
+                  compact={compactTiles}
+                  onSelect={() => setSelectedRoomId(room.id)}
+                  onChange={(patch) => updateRoom(room.id, patch)}
+                  onRemove={
+                    rooms.length > 1 ? () => removeRoom(room.id) : undefined
+                  }
+                  stale={backendDown}
+                  onResult={handleRoomResult}
+                  onCaptureFailed={handleCaptureFailed}
+                  onCameraStarted={refreshDevices}
+                  onCameraIssue={handleCameraIssue}
+                />
+              ))}
+            </div>
 
-              <div
+            {/* Settings are tucked away (not unmounted) on a wall display */}
+            <div style={{ display: kiosk ? "none" : "contents" }}>
+              <button
+                onClick={addRoom}
                 style={{
-                  display: "flex",
-                  justifyContent: "space-between",
-                  alignItems: "center",
                   marginTop: "0.9rem",
-                  gap: "0.8rem",
-                  flexWrap: "wrap",
+                  borderRadius: "999px",
+                  padding: "0.5rem 1.1rem",
+                  border: "1px dashed rgba(148,163,184,0.6)",
+                  background: "rgba(15,23,42,0.8)",
+                  color: "#e5e7eb",
+                  fontSize: "0.85rem",
+                  cursor: "pointer",
                 }}
               >
-                <button
-                  onClick={() => captureAndAnalyze(false)}
-                  disabled={loading}
-                  style={{
-                    borderRadius: "999px",
-                    border: "none",
-                    padding: "0.85rem 1.6rem",
-                    fontSize: "0.95rem",
-                    fontWeight: 600,
-                    background: loading
-                      ? "#4b5563"
-                      : "linear-gradient(135deg,#22c55e,#16a34a)",
-                    color: "white",
-                    cursor: loading ? "default" : "pointer",
-                    boxShadow: loading
-                      ? "none"
-                      : "0 18px 40px rgba(22,163,74,0.5)",
-                  }}
-                >
-                  {loading ? "Analyzing…" : "Analyze Current Frame"}
-                </button>
+                {t("rooms.add")}
+              </button>
 
-                <span
-                  style={{
-                    fontSize: "0.8rem",
-                    opacity: 0.7,
-                    whiteSpace: "nowrap",
-                  }}
-                >
-                  Tip: enable auto-monitor for continuous safety.
-                </span>
-              </div>
+              <MonitoringSettings
+                i18n={i18n}
+                cadence={settings.cadence}
+                motion={settings.motion}
+                camera={settings.camera}
+                onCadenceChange={(patch) => updateSettings("cadence", patch)}
+                onMotionChange={(patch) => updateSettings("motion", patch)}
+                onCameraChange={(patch) => updateSettings("camera", patch)}
+              />
+
+              <AttentionSettings
+                i18n={i18n}
+                attention={settings.attention}
+                onChange={(patch) => updateSettings("attention", patch)}
+                alarm={alarm}
+              />
+
+              <PrivacySettings
+                i18n={i18n}
+                privacy={settings.privacy}
+                onChange={(patch) => updateSettings("privacy", patch)}
+                rooms={rooms}
+              />
+
+              <ClipSettings
+                i18n={i18n}
+                clips={settings.clips}
+                onChange={(patch) => updateSettings("clips", patch)}
+                privacy={settings.privacy}
+                rooms={rooms}
+              />
+
+              <AudioSettings
+                i18n={i18n}
+                audio={settings.audio}
+                onChange={(patch) => updateSettings("audio", patch)}
+                rooms={rooms}
+                microphoneState={microphoneState}
+              />
+
+              <VoiceSettings
+                i18n={i18n}
+                voice={settings.voice}
+                onChange={(patch) => updateSettings("voice", patch)}
+                recognizer={recognizer}
+                voiceState={voiceState}
+                checkIn={checkIn}
+                speechAuthState={speechAuthState}
+              />
+
+              <SpeechSettings
+                i18n={i18n}
+                speech={settings.speech}
+                onChange={(patch) => updateSettings("speech", patch)}
+                speechState={speechState}
+                speechAuthState={speechAuthState}
+              />
+
+              <BackendSettings
+                i18n={i18n}
+                backend={settings.backend}
+                onChange={(patch) => updateSettings("backend", patch)}
+              />
+
+              {relaySettings}
             </div>
 
+            {kioskSettings}
+
             {error && (
               <p
                 style={{
@@ -476,7 +1318,13 @@ function App() {
 
           {/* RIGHT: STATUS + ADVANCED SIGNALS + SESSION HISTORY */}
           <div
-            style={{ flex: "1", display: "flex", flexDirection: "column", gap: "1rem" }}
+            style={{
+              flex: "1 1 420px",
+              minWidth: 0,
+              display: "flex",
+              flexDirection: "column",
+              gap: "1rem",
+            }}
           >
             {/* AI SAFETY STATUS */}
             <div
@@ -496,12 +1344,25 @@ function App() {
                   gap: "0.75rem",
                 }}
               >
-                <h2 style={{ margin: 0, fontSize: "1.1rem" }}>AI Safety Status</h2>
+                <h2 style={{ margin: 0, fontSize: "1.1rem" }}>
+                  {t("result.heading")}
+                  {compactTiles && selectedRoom && (
+                    <span style={{ opacity: 0.6, fontWeight: 400 }}>
+                      {" "}
+                      · {selectedRoom.name}
+                    </span>
+                  )}
+                </h2>
                 <div style={{ display: "flex", alignItems: "center", gap: "0.6rem" }}>
-                  <span style={statusPillStyle(status)}>{status}</span>
+                  <span style={statusPillStyle(status)}>
+                    {i18n.status(status)}
+                  </span>
                   <button
                     onClick={handleSpeakStatus}
-                    disabled={!result || isSpeaking}
+                    disabled={!result}
+                    aria-keyshortcuts={
+                      settings.kiosk.shortcuts ? "S" : undefined
+                    }
                     style={{
                       borderRadius: "999px",
                       padding: "0.45rem 0.9rem",
@@ -512,26 +1373,45 @@ function App() {
                       display: "flex",
                       alignItems: "center",
                       gap: "0.4rem",
-                      cursor: !result || isSpeaking ? "default" : "pointer",
+                      cursor: !result ? "default" : "pointer",
                     }}
                   >
                     <span role="img" aria-label="speaker">
                       🔊
                     </span>
-                    {isSpeaking ? "Speaking…" : "Speak status"}
+                    {isSpeaking ? t("result.speaking") : t("result.speak")}
                   </button>
                 </div>
               </div>
 
               {!result && (
                 <p style={{ opacity: 0.8, fontSize: "0.9rem" }}>
-                  No analysis yet. Point the camera at your room and click{" "}
-                  <strong>“Analyze Current Frame”</strong>, or enable auto-monitoring.
+                  {t("result.none")}{" "}
+                  <strong>{t("result.analyzeButton")}</strong>
+                  {t("result.noneEnd")}
                 </p>
               )}
 
               {result && (
                 <>
+                  {schemaErrors && (
+                    <div
+                      role="alert"
+                      style={{
+                        background: "rgba(234,179,8,0.15)",
+                        border: "1px solid rgba(234,179,8,0.6)",
+                        borderRadius: "0.7rem",
+                        padding: "0.5rem 0.7rem",
+                        fontSize: "0.8rem",
+                        marginBottom: "0.6rem",
+                      }}
+                    >
+                      {t("result.schemaWarning", {
+                        version: result.schemaVersion,
+                        issues: describeSchemaIssues(result),
+                      })}
+                    </div>
+                  )}
                   <p
                     style={{
                       fontSize: "0.85rem",
@@ -539,7 +1419,7 @@ function App() {
                       marginBottom: "0.35rem",
                     }}
                   >
-                    <strong>Scene description (from Vision):</strong>
+                    <strong>{t("result.scene")}</strong>
                   </p>
                   <pre
                     style={{
@@ -553,17 +1433,17 @@ function App() {
                       overflowY: "auto",
                     }}
                   >
-                    {result.sceneDescription}
+                    {result.sceneDescription || t("result.noScene")}
                   </pre>
 
                   <div style={{ marginTop: "0.7rem", fontSize: "0.88rem" }}>
                     <p style={{ margin: "0.25rem 0" }}>
-                      <strong>Reason: </strong>
-                      {result.aiDecision?.reason}
+                      <strong>{t("result.reason")} </strong>
+                      {result.aiDecision.reason || t("result.notProvided")}
                     </p>
                     <p style={{ margin: "0.25rem 0" }}>
-                      <strong>Suggested action: </strong>
-                      {result.aiDecision?.action}
+                      <strong>{t("result.action")} </strong>
+                      {result.aiDecision.action || t("result.notProvided")}
                     </p>
                   </div>
                 </>
@@ -573,6 +1453,7 @@ function App() {
             {/* ADVANCED SIGNALS */}
             <div
               style={{
+                display: kiosk ? "none" : undefined,
                 background: "rgba(15,23,42,0.95)",
                 borderRadius: "1rem",
                 padding: "0.9rem 1.1rem",
@@ -587,13 +1468,13 @@ function App() {
                   opacity: 0.9,
                 }}
               >
-                Advanced safety signals (from Azure, optional)
+                {t("signals.heading")}
               </h3>
 
               <div
                 style={{
                   display: "grid",
-                  gridTemplateColumns: "repeat(3, minmax(0, 1fr))",
+                  gridTemplateColumns: "repeat(auto-fit, minmax(180px, 1fr))",
                   gap: "0.8rem",
                   fontSize: "0.82rem",
                 }}
@@ -608,19 +1489,21 @@ function App() {
                   }}
                 >
                   <div style={{ opacity: 0.75, marginBottom: "0.25rem" }}>
-                    Multi-person presence
+                    {t("signals.people")}
                   </div>
                   <div style={{ fontWeight: 600 }}>
-                    {peopleCount == null ? "N/A" : `${peopleCount} person(s)`}{" "}
+                    {peopleCount == null
+                      ? t("signals.notAvailable")
+                      : t("signals.personCount", { count: peopleCount })}{" "}
                   </div>
                   <div style={{ opacity: 0.7, marginTop: "0.1rem" }}>
                     {peopleCount == null
-                      ? "No detection results for this frame."
+                      ? t("signals.noDetections")
                       : peopleCount === 0
-                      ? "No people detected in the current frame."
+                      ? t("signals.nobody")
                       : peopleCount === 1
-                      ? "One person detected in the room."
-                      : "Multiple people detected – room may be crowded."}
+                      ? t("signals.onePerson")
+                      : t("signals.crowded")}
                   </div>
                 </div>
 
@@ -634,7 +1517,7 @@ function App() {
                   }}
                 >
                   <div style={{ opacity: 0.75, marginBottom: "0.25rem" }}>
-                    Fall / posture anomaly
+                    {t("signals.fall")}
                   </div>
                   <div
                     style={{
@@ -642,12 +1525,12 @@ function App() {
                       color: fallRisk ? "#f97316" : "#22c55e",
                     }}
                   >
-                    {fallRisk ? "Possible fall detected" : "No fall signal"}
+                    {fallRisk ? t("signals.fallDetected") : t("signals.noFall")}
                   </div>
                   <div style={{ opacity: 0.7, marginTop: "0.1rem" }}>
                     {fallRisk
-                      ? "Azure Vision bounding boxes suggest an unusual (lying) posture."
-                      : "No unusual posture detected in this frame."}
+                      ? t("signals.fallDetail")
+                      : t("signals.noFallDetail")}
                   </div>
                 </div>
 
@@ -661,103 +1544,105 @@ function App() {
                   }}
                 >
                   <div style={{ opacity: 0.75, marginBottom: "0.25rem" }}>
-                    Voice stress / tone
+                    {t("signals.voice")}
                   </div>
                   <div
                     style={{
                       fontWeight: 600,
-                      color: voiceStress ? "#f97316" : "#22c55e",
+                      color:
+                        voiceStress || liveAudio?.features?.shoutDetected
+                          ? "#f97316"
+                          : "#22c55e",
                     }}
                   >
-                    {voiceStress ? "Elevated stress" : "No stress signal"}
+                    {voiceStress
+                      ? t("signals.stress")
+                      : liveAudio?.features?.shoutDetected
+                      ? t("signals.shouting")
+                      : t("signals.noStress")}
                   </div>
+                  {liveAudio && (
+                    <div
+                      role="meter"
+                      aria-label={t("signals.micLevel")}
+                      aria-valuemin={-60}
+                      aria-valuemax={0}
+                      aria-valuenow={Math.round(liveAudio.levelDb ?? -60)}
+                      style={{
+                        height: "0.35rem",
+                        borderRadius: "999px",
+                        background: "rgba(30,64,175,0.4)",
+                        overflow: "hidden",
+                        marginTop: "0.3rem",
+                      }}
+                    >
+                      <div
+                        style={{
+                          width: `${Math.round(audioLevel * 100)}%`,
+                          height: "100%",
+                          background:
+                            audioLevel > 0.8
+                              ? "#f97316"
+                              : audioLevel > 0.5
+                              ? "#eab308"
+                              : "#22c55e",
+                          transition: "width 0.2s linear",
+                        }}
+                      />
+                    </div>
+                  )}
                   <div style={{ opacity: 0.7, marginTop: "0.1rem" }}>
                     {voiceStress
-                      ? "Audio analysis detected elevated stress in the voice."
-                      : "No audio stress analysis has been performed yet (microphone input is disabled)."}
+                      ? t("signals.stressDetail")
+                      : liveAudio
+                      ? `${t("signals.listening", {
+                          level:
+                            liveAudio.levelDb == null
+                              ? "–"
+                              : Math.round(liveAudio.levelDb),
+                        })}${
+                          liveAudio.features?.pitchHz != null
+                            ? t("signals.pitch", {
+                                pitch: liveAudio.features.pitchHz,
+                                variance: liveAudio.features.pitchVariance,
+                              })
+                            : ""
+                        }`
+                      : microphoneOn
+                      ? t("signals.micElsewhere")
+                      : t("signals.micOff")}
                   </div>
                 </div>
               </div>
             </div>
 
-            {/* SESSION HISTORY */}
-            <div
-              style={{
-                background: "rgba(15,23,42,0.95)",
-                borderRadius: "1rem",
-                padding: "0.9rem 1.1rem",
-                border: "1px solid rgba(30,64,175,0.6)",
-              }}
-            >
-              <div
-                style={{
-                  display: "flex",
-                  justifyContent: "space-between",
-                  marginBottom: "0.5rem",
-                  fontSize: "0.9rem",
-                }}
-              >
-                <span style={{ opacity: 0.9 }}>Session history</span>
-                <span style={{ opacity: 0.6 }}>
-                  Last {history.length} snapshot{history.length !== 1 ? "s" : ""}
-                </span>
-              </div>
+            {/* ALERTS */}
+            <AlertsPanel
+              i18n={i18n}
+              alerts={alerts}
+              settings={settings.alerts}
+              onSettingsChange={(patch) => updateSettings("alerts", patch)}
+              onAcknowledge={(id, ack) => alertStore.acknowledge(id, ack)}
+            />
 
-              {history.length === 0 && (
-                <p style={{ opacity: 0.8, fontSize: "0.85rem" }}>
-                  No history yet. Each analysis will appear here with time and
-                  status.
-                </p>
-              )}
+            <div style={{ display: kiosk ? "none" : "contents" }}>
+              {/* SESSION HISTORY */}
+              <HistoryPanel
+                i18n={i18n}
+                refreshToken={historyVersion}
+                rooms={rooms}
+                selectedRoomId={selectedRoom?.id}
+              />
 
-              {history.length > 0 && (
-                <ul
-                  style={{
-                    listStyle: "none",
-                    padding: 0,
-                    margin: 0,
-                    display: "flex",
-                    flexDirection: "column",
-                    gap: "0.45rem",
-                  }}
-                >
-                  {history.map((item) => (
-                    <li
-                      key={item.id}
-                      style={{
-                        display: "flex",
-                        alignItems: "center",
-                        justifyContent: "space-between",
-                        gap: "0.6rem",
-                        fontSize: "0.83rem",
-                      }}
-                    >
-                      <div
-                        style={{
-                          display: "flex",
-                          flexDirection: "column",
-                          gap: "0.15rem",
-                          flex: 1,
-                        }}
-                      >
-                        <span style={{ opacity: 0.6 }}>{item.time}</span>
-                        <span
-                          style={{
-                            whiteSpace: "nowrap",
-                            overflow: "hidden",
-                            textOverflow: "ellipsis",
-                          }}
-                        >
-                          {item.summary}
-                        </span>
-                      </div>
-                      <span style={statusPillStyle(item.status)}>
-                        {item.status}
-                      </span>
-                    </li>
-                  ))}
-                </ul>
-              )}
+              {/* RECORDINGS */}
+              <FileAnalysisPanel
+                i18n={i18n}
+                backend={backend}
+                privacy={settings.privacy}
+                offline={settings.offline}
+                onChange={(patch) => updateSettings("offline", patch)}
+                onStored={() => setHistoryVersion((v) => v + 1)}
+              />
             </div>
           </div>
         </section>
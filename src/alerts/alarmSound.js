@@ -0,0 +1,96 @@
+// 🔊 Looping alarm tones generated with Web Audio (no audio files needed).
+// Browsers only allow audio after a user gesture, so the context is
+// resumed on the first click/keypress anywhere on the page.
+
+// Each tone is a list of [frequencyHz, durationSec] notes (0 Hz = pause)
+export const ALARM_TONES = {
+  siren: [
+    [880, 0.4],
+    [660, 0.4],
+  ],
+  beep: [
+    [1000, 0.2],
+    [0, 0.3],
+  ],
+  chime: [
+    [660, 0.15],
+    [880, 0.25],
+    [0, 1.6],
+  ],
+};
+
+export function createAlarm() {
+  let ctx = null;
+  let timer = null;
+  let playing = null;
+
+  function context() {
+    if (!ctx) {
+      const AudioContextClass =
+        window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return null;
+      ctx = new AudioContextClass();
+    }
+    return ctx;
+  }
+
+  const unlock = () => context()?.resume();
+  window.addEventListener("pointerdown", unlock, { once: true });
+  window.addEventListener("keydown", unlock, { once: true });
+
+  function playPattern(notes, volume) {
+    const audio = context();
+    if (!audio) return 0;
+
+    let at = audio.currentTime;
+    for (const [frequency, duration] of notes) {
+      if (frequency > 0) {
+        const osc = audio.createOscillator();
+        const gain = audio.createGain();
+        osc.type = "square";
+        osc.frequency.value = frequency;
+        // Short ramps avoid clicks at note boundaries
+        gain.gain.setValueAtTime(0, at);
+        gain.gain.linearRampToValueAtTime(volume * 0.3, at + 0.02);
+        gain.gain.setValueAtTime(volume * 0.3, at + duration - 0.03);
+        gain.gain.linearRampToValueAtTime(0, at + duration);
+        osc.connect(gain).connect(audio.destination);
+        osc.start(at);
+        osc.stop(at + duration);
+      }
+      at += duration;
+    }
+    return notes.reduce((sum, [, d]) => sum + d, 0);
+  }
+
+  return {
+    /** Loop `tone` until stop(); calling again with other settings switches. */
+    start(tone, volume) {
+      const key = `${tone}:${volume}`;
+      if (playing === key) return;
+      this.stop();
+
+      const notes = ALARM_TONES[tone] ?? ALARM_TONES.beep;
+      const length = playPattern(notes, volume);
+      if (!length) return;
+      playing = key;
+      timer = setInterval(() => playPattern(notes, volume), length * 1000);
+    },
+
+    /** Play the tone once (settings preview). */
+    preview(tone, volume) {
+      unlock();
+      playPattern(ALARM_TONES[tone] ?? ALARM_TONES.beep, volume);
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+      playing = null;
+    },
+
+    isPlaying() {
+      return playing != null;
+    },
+  };
+}
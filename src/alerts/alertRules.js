@@ -0,0 +1,122 @@
+// 🚨 Client-side escalation rules evaluated over each room's result stream.
+//
+// Rule types:
+// - "status":   the backend status itself (e.g. EMERGENCY → alert)
+// - "streak":   a predicate holds for `count` consecutive results
+// - "duration": a predicate holds continuously for `durationMs`
+//
+// A rule fires once when its condition becomes true and re-arms only after
+// the condition has cleared, so a long WARNING streak opens one alert.
+//
+// Predicates get `(analysis, context)`; `context.zones` is the room's zone
+// occupancy (see src/vision/zones.js, null when unknown) and
+// `context.now` the evaluation time. Rules with `checkIn` ask the resident
+// first instead of alerting straight away.
+//
+// Titles are catalog keys (`titleKey`, filled with `titleParams`) so an
+// alert reads in the language it is shown in, not the one it opened in.
+import { inClockWindow } from "../utils/time";
+
+/** Build the active rule list from the "alerts" settings section. */
+export function buildRules(config) {
+  return [
+    {
+      id: "backend-emergency",
+      type: "status",
+      severity: "EMERGENCY",
+      titleKey: "rules.backend-emergency",
+      when: (a) => a?.aiDecision?.status === "EMERGENCY",
+    },
+    {
+      id: "consecutive-warnings",
+      type: "streak",
+      count: config.consecutiveWarnings,
+      severity: "EMERGENCY",
+      titleKey: "rules.consecutive-warnings",
+      titleParams: { count: config.consecutiveWarnings },
+      when: (a) => a?.aiDecision?.status === "WARNING",
+    },
+    {
+      id: "fall-risk",
+      type: "streak",
+      count: config.fallRiskFrames,
+      severity: "EMERGENCY",
+      titleKey: "rules.fall-risk",
+      titleParams: { count: config.fallRiskFrames },
+      // Lying in bed is not a fall
+      when: (a, ctx) =>
+        a?.signals?.fallRisk === true && !ctx?.zones?.lyingOnlyInBed,
+    },
+    {
+      id: "room-empty",
+      type: "duration",
+      durationMs: config.emptyRoomMinutes * 60 * 1000,
+      severity: "WARNING",
+      titleKey: "rules.room-empty",
+      titleParams: { minutes: config.emptyRoomMinutes },
+      when: (a) => a?.peopleCount === 0,
+    },
+    {
+      id: "zone-floor",
+      type: "status",
+      severity: "EMERGENCY",
+      titleKey: "rules.zone-floor",
+      when: (a, ctx) => ctx?.zones?.lying.floor === true,
+    },
+    {
+      id: "zone-door-night",
+      type: "status",
+      severity: "WARNING",
+      titleKey: "rules.zone-door-night",
+      when: (a, ctx) =>
+        ctx?.zones?.occupied.door === true &&
+        inClockWindow(ctx.now, config.nightStart, config.nightEnd),
+    },
+    {
+      id: "zone-bed-empty",
+      type: "duration",
+      durationMs: config.bedEmptyMinutes * 60 * 1000,
+      severity: "WARNING",
+      titleKey: "rules.zone-bed-empty",
+      titleParams: { time: config.bedtime },
+      checkIn: true,
+      when: (a, ctx) =>
+        ctx?.zones?.has.bed === true &&
+        !ctx.zones.occupied.bed &&
+        inClockWindow(ctx.now, config.bedtime, config.nightEnd),
+    },
+  ];
+}
+
+/**
+ * Feed one analysis result for a room through the rules.
+ * `state` is the room's previous rule state (or undefined); returns the
+ * next state and the rules that fired on this result.
+ */
+export function evaluateRules(state = {}, analysis, rules, now, zones = null) {
+  const context = { zones, now };
+  const next = {};
+  const fired = [];
+
+  for (const rule of rules) {
+    const prev = state[rule.id] ?? { streak: 0, since: null, firing: false };
+    const holds = Boolean(rule.when(analysis, context));
+
+    if (!holds) {
+      next[rule.id] = { streak: 0, since: null, firing: false };
+      continue;
+    }
+
+    const streak = prev.streak + 1;
+    const since = prev.since ?? now;
+    let met = false;
+    if (rule.type === "status") met = true;
+    if (rule.type === "streak") met = streak >= rule.count;
+    if (rule.type === "duration") met = now - since >= rule.durationMs;
+
+    if (met && !prev.firing) fired.push(rule);
+    next[rule.id] = { streak, since, firing: prev.firing || met };
+  }
+
+  return { state: next, fired };
+}
@@ -0,0 +1,170 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_SETTINGS } from "../config/settings";
+import { buildRules, evaluateRules } from "./alertRules";
+
+const CONFIG = {
+  ...DEFAULT_SETTINGS.alerts,
+  consecutiveWarnings: 3,
+  fallRiskFrames: 2,
+  emptyRoomMinutes: 30,
+};
+const RULES = buildRules(CONFIG);
+const MINUTE = 60 * 1000;
+// Midday, outside the night and bedtime windows
+const NOON = new Date(2024, 0, 1, 12, 0).getTime();
+
+function analysis({
+  status = "NORMAL",
+  peopleCount = 1,
+  fallRisk = false,
+} = {}) {
+  return {
+    aiDecision: { status, reason: "", action: "" },
+    peopleCount,
+    signals: { fallRisk, voiceStress: false },
+  };
+}
+
+// Feed results through the rules one after another and list, per result,
+// the ids of the rules that fired on it
+function run(steps, zones = null) {
+  let state;
+  return steps.map(({ at = NOON, ...fields }) => {
+    const result = evaluateRules(state, analysis(fields), RULES, at, zones);
+    state = result.state;
+    return result.fired.map((rule) => rule.id);
+  });
+}
+
+const warning = { status: "WARNING" };
+const normal = { status: "NORMAL" };
+
+describe("consecutive-warnings", () => {
+  it("fires on exactly the configured count of warnings", () => {
+    expect(run([warning, warning, warning])).toEqual([
+      [],
+      [],
+      ["consecutive-warnings"],
+    ]);
+  });
+
+  it("starts counting again after a result that is not a warning", () => {
+    expect(run([warning, warning, normal, warning, warning])).toEqual([
+      [],
+      [],
+      [],
+      [],
+      [],
+    ]);
+  });
+
+  it("fires once per streak and re-arms only once it clears", () => {
+    const fired = run([
+      warning,
+      warning,
+      warning,
+      warning,
+      warning,
+      normal,
+      warning,
+      warning,
+      warning,
+    ]);
+
+    expect(fired.flat()).toEqual([
+      "consecutive-warnings",
+      "consecutive-warnings",
+    ]);
+    expect(fired[2]).toEqual(["consecutive-warnings"]);
+    expect(fired[8]).toEqual(["consecutive-warnings"]);
+  });
+
+  it("does not count backend emergencies as warnings", () => {
+    const emergency = { status: "EMERGENCY" };
+
+    expect(run([warning, warning, emergency, warning])).toEqual([
+      [],
+      [],
+      ["backend-emergency"],
+      [],
+    ]);
+  });
+});
+
+describe("fall-risk", () => {
+  const falling = { fallRisk: true };
+
+  it("fires after the configured count of frames in a row", () => {
+    expect(run([falling, falling])).toEqual([[], ["fall-risk"]]);
+  });
+
+  it("starts over after a frame without fall risk", () => {
+    expect(run([falling, {}, falling, {}])).toEqual([[], [], [], []]);
+  });
+
+  it("fires once per streak and re-arms only once it clears", () => {
+    expect(
+      run([falling, falling, falling, falling, {}, falling, falling])
+    ).toEqual([[], ["fall-risk"], [], [], [], [], ["fall-risk"]]);
+  });
+
+  it("ignores someone lying in bed", () => {
+    // Zone occupancy as locateInZones reports one person lying in bed
+    const inBed = {
+      has: { bed: true, floor: false, door: false, window: false },
+      occupied: { bed: true, floor: false, door: false, window: false },
+      lying: { bed: true, floor: false, door: false, window: false },
+      lyingOnlyInBed: true,
+    };
+
+    expect(run([falling, falling, falling], inBed).flat()).toEqual([]);
+  });
+});
+
+describe("room-empty", () => {
+  const empty = (minutes) => ({ peopleCount: 0, at: NOON + minutes * MINUTE });
+  const present = (minutes) => ({
+    peopleCount: 1,
+    at: NOON + minutes * MINUTE,
+  });
+
+  it("fires once the room has been empty for the configured time", () => {
+    expect(run([empty(0), empty(29), empty(30)])).toEqual([
+      [],
+      [],
+      ["room-empty"],
+    ]);
+  });
+
+  it("measures from the first empty result after someone was seen", () => {
+    expect(run([empty(0), present(10), empty(20), empty(49)])).toEqual([
+      [],
+      [],
+      [],
+      [],
+    ]);
+    expect(run([empty(0), present(10), empty(20), empty(50)])[3]).toEqual([
+      "room-empty",
+    ]);
+  });
+
+  it("fires once while empty and re-arms only once someone is seen", () => {
+    expect(
+      run([
+        empty(0),
+        empty(30),
+        empty(45),
+        empty(90),
+        present(91),
+        empty(92),
+        empty(122),
+      ])
+    ).toEqual([[], ["room-empty"], [], [], [], [], ["room-empty"]]);
+  });
+
+  it("does not count an unknown head count as empty", () => {
+    expect(
+      run([empty(0), { peopleCount: null, at: NOON + 15 * MINUTE }, empty(31)])
+    ).toEqual([[], [], []]);
+  });
+});
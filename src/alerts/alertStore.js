@@ -0,0 +1,176 @@
+// 🔔 Open / acknowledged alerts, persisted in IndexedDB.
+// Subscribable so components can render with useSyncExternalStore.
+import { openDb, promisify } from "../storage/database";
+
+const STORE = "alerts";
+// Acknowledged alerts kept in memory for the panel
+const KEEP_ACKNOWLEDGED = 50;
+// Alerts kept in the DB; the oldest acknowledged ones are deleted beyond
+// it. Open alerts are never dropped (there is at most one per room and rule)
+const MAX_ALERTS = 1000;
+
+async function pruneAlerts(store) {
+  let excess = (await promisify(store.count())) - MAX_ALERTS;
+  if (excess <= 0) return;
+  await new Promise((resolve, reject) => {
+    // Index order is oldest first
+    const cursorRequest = store.index("openedAt").openCursor();
+    cursorRequest.onerror = () => reject(cursorRequest.error);
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor || excess <= 0) {
+        resolve();
+        return;
+      }
+      if (cursor.value.acknowledgedAt) {
+        cursor.delete();
+        excess -= 1;
+      }
+      cursor.continue();
+    };
+  });
+}
+
+async function putAlert(alert) {
+  const db = await openDb();
+  const store = db.transaction(STORE, "readwrite").objectStore(STORE);
+  const id = await promisify(store.put(alert));
+  await pruneAlerts(store);
+  return id;
+}
+
+// Open alerts and the newest acknowledged ones, newest acknowledgment first
+function keepRecent(alerts) {
+  return [
+    ...alerts.filter((a) => !a.acknowledgedAt),
+    ...alerts
+      .filter((a) => a.acknowledgedAt)
+      .sort((a, b) => b.acknowledgedAt - a.acknowledgedAt)
+      .slice(0, KEEP_ACKNOWLEDGED),
+  ];
+}
+
+export function createAlertStore() {
+  let alerts = [];
+  let snapshot = { open: [], acknowledged: [] };
+  const listeners = new Set();
+
+  function notify() {
+    alerts = keepRecent(alerts);
+    snapshot = {
+      open: alerts.filter((a) => !a.acknowledgedAt),
+      acknowledged: alerts.filter((a) => a.acknowledgedAt),
+    };
+    listeners.forEach((listener) => listener(snapshot));
+  }
+
+  return {
+    /** Load alerts from a previous session (open ones must survive reloads). */
+    async load() {
+      try {
+        const db = await openDb();
+        const store = db.transaction(STORE, "readwrite").objectStore(STORE);
+        // Stores filled before MAX_ALERTS are cut down once here
+        await pruneAlerts(store);
+        const stored = await promisify(store.getAll());
+        const known = new Set(alerts.map((a) => a.id));
+        alerts = [...stored.filter((a) => !known.has(a.id)), ...alerts];
+        notify();
+      } catch (err) {
+        console.error("Could not load alerts:", err);
+      }
+    },
+
+    /**
+     * Open an alert unless the same rule already has an unacknowledged one
+     * for this room. Resolves with the alert (new or existing).
+     * `titleKey` and `titleParams` let each viewer show the title in its
+     * language; `title` is the text for alerts stored without them.
+     * `message` is text or a message(key, params) (src/i18n/message.js).
+     */
+    async open({
+      roomId,
+      roomName,
+      ruleId,
+      severity,
+      title,
+      titleKey = null,
+      titleParams = {},
+      message,
+    }) {
+      const existing = alerts.find(
+        (a) => !a.acknowledgedAt && a.roomId === roomId && a.ruleId === ruleId
+      );
+      if (existing) return existing;
+
+      let alert = {
+        roomId,
+        roomName,
+        ruleId,
+        severity,
+        title,
+        titleKey,
+        titleParams,
+        message,
+        openedAt: Date.now(),
+        acknowledgedAt: null,
+        acknowledgedBy: null,
+        note: "",
+      };
+      try {
+        alert = { ...alert, id: await putAlert(alert) };
+      } catch (err) {
+        console.error("Could not persist alert:", err);
+        alert = { ...alert, id: `local-${alert.openedAt}-${ruleId}` };
+      }
+      alerts = [...alerts, alert];
+      notify();
+      return alert;
+    },
+
+    async acknowledge(id, { by, note = "" }) {
+      const alert = alerts.find((a) => a.id === id);
+      if (!alert || alert.acknowledgedAt) return;
+
+      const updated = {
+        ...alert,
+        acknowledgedAt: Date.now(),
+        acknowledgedBy: by,
+        note,
+      };
+      alerts = alerts.map((a) => (a.id === id ? updated : a));
+      notify();
+
+      try {
+        if (typeof id === "number") await putAlert(updated);
+      } catch (err) {
+        console.error("Could not persist acknowledgment:", err);
+      }
+    },
+
+    /** Link an event clip (see src/recording/clipStore.js), once. */
+    async attachClip(id, clipId) {
+      const alert = alerts.find((a) => a.id === id);
+      if (!alert || alert.clipId != null) return;
+
+      const updated = { ...alert, clipId };
+      alerts = alerts.map((a) => (a.id === id ? updated : a));
+      notify();
+
+      try {
+        if (typeof id === "number") await putAlert(updated);
+      } catch (err) {
+        console.error("Could not persist alert clip:", err);
+      }
+    },
+
+    getSnapshot() {
+      return snapshot;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
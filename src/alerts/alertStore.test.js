@@ -0,0 +1,84 @@
+import "fake-indexeddb/auto";
+import { beforeEach, describe, expect, it } from "vitest";
+import { openDb, promisify } from "../storage/database";
+import { createAlertStore } from "./alertStore";
+
+async function alertsStore(mode) {
+  const db = await openDb();
+  return db.transaction("alerts", mode).objectStore("alerts");
+}
+
+function stored(openedAt, acknowledgedAt = null) {
+  return {
+    roomId: "bedroom",
+    roomName: "Bedroom",
+    ruleId: `rule-${openedAt}`,
+    severity: "WARNING",
+    title: "",
+    titleKey: "rules.room-empty",
+    titleParams: { minutes: 30 },
+    message: "",
+    openedAt,
+    acknowledgedAt,
+    acknowledgedBy: acknowledgedAt ? "Sam" : null,
+    note: "",
+  };
+}
+
+beforeEach(async () => {
+  await promisify((await alertsStore("readwrite")).clear());
+});
+
+describe("createAlertStore", () => {
+  it("cuts an overfull store down to its newest acknowledged alerts on load", async () => {
+    const store = await alertsStore("readwrite");
+    // Two long-open alerts older than all the acknowledged ones
+    await promisify(store.add(stored(1)));
+    await promisify(store.add(stored(2)));
+    for (let t = 3; t <= 1010; t += 1) {
+      store.add(stored(t, t + 1));
+    }
+    await promisify(store.count());
+
+    const alerts = createAlertStore();
+    await alerts.load();
+
+    const remaining = await promisify(
+      (await alertsStore("readonly")).index("openedAt").getAll()
+    );
+    // The open ones and the 998 newest acknowledged
+    expect(remaining).toHaveLength(1000);
+    expect(remaining.slice(0, 3).map((a) => a.openedAt)).toEqual([1, 2, 13]);
+    const { open, acknowledged } = alerts.getSnapshot();
+    expect(open.map((a) => a.openedAt)).toEqual([1, 2]);
+    expect(acknowledged).toHaveLength(50);
+    expect(acknowledged[0].openedAt).toBe(1010);
+  });
+
+  it("keeps only the newest acknowledged alerts in memory", async () => {
+    const alerts = createAlertStore();
+    for (let i = 0; i < 60; i += 1) {
+      const alert = await alerts.open({
+        roomId: "bedroom",
+        roomName: "Bedroom",
+        ruleId: `rule-${i}`,
+        severity: "WARNING",
+        titleKey: "rules.room-empty",
+        message: "",
+      });
+      await alerts.acknowledge(alert.id, { by: "Sam" });
+    }
+    const open = await alerts.open({
+      roomId: "bedroom",
+      roomName: "Bedroom",
+      ruleId: "still-open",
+      severity: "EMERGENCY",
+      titleKey: "rules.fall-risk",
+      message: "",
+    });
+
+    const snapshot = alerts.getSnapshot();
+    expect(snapshot.open).toEqual([open]);
+    expect(snapshot.acknowledged).toHaveLength(50);
+  });
+});
@@ -0,0 +1,98 @@
+// 📣 Getting attention while the tab is in the background:
+// desktop notifications, a coloured favicon and a flashing title.
+import { STATUS_COLORS } from "../utils/status";
+
+export function notificationsSupported() {
+  return "Notification" in window;
+}
+
+export function notificationPermission() {
+  return notificationsSupported() ? Notification.permission : "unsupported";
+}
+
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return "unsupported";
+  return Notification.requestPermission();
+}
+
+/**
+ * Desktop notification for an alert, worded by `i18n` (see
+ * src/i18n/locales.js); clicking it focuses the dashboard.
+ */
+export function showAlertNotification(alert, i18n) {
+  if (notificationPermission() !== "granted") return null;
+
+  const title = `${i18n.status(alert.severity)}: ${i18n.alertTitle(alert)}`;
+  const notification = new Notification(title, {
+    body: [alert.roomName, i18n.message(alert.message)]
+      .filter(Boolean)
+      .join(" · "),
+    tag: `alert-${alert.id}`,
+    // Emergencies stay on screen until someone interacts with them
+    requireInteraction: alert.severity === "EMERGENCY",
+  });
+  notification.onclick = () => {
+    window.focus();
+    notification.close();
+  };
+  return notification;
+}
+
+function faviconLink() {
+  let link = document.querySelector("link[rel~='icon']");
+  if (!link) {
+    link = document.createElement("link");
+    link.rel = "icon";
+    document.head.appendChild(link);
+  }
+  return link;
+}
+
+function statusFavicon(status) {
+  const canvas = document.createElement("canvas");
+  canvas.width = 32;
+  canvas.height = 32;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = STATUS_COLORS[status] ?? "#4b5563";
+  ctx.beginPath();
+  ctx.arc(16, 16, 14, 0, Math.PI * 2);
+  ctx.fill();
+  if (status === "WARNING" || status === "EMERGENCY") {
+    ctx.fillStyle = "white";
+    ctx.font = "bold 22px sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText("!", 16, 17);
+  }
+  return canvas.toDataURL("image/png");
+}
+
+/**
+ * Reflect `status` in the favicon and document title. With `flash` the
+ * title alternates with a warning text until the next call.
+ * Returns a cleanup function restoring the original favicon and title.
+ */
+export function showStatusBadge(status, { flash = false } = {}) {
+  const link = faviconLink();
+  const originalHref = link.href;
+  const originalTitle = document.title;
+
+  link.href = statusFavicon(status);
+  const badgeTitle = status ? `${status} · ${originalTitle}` : originalTitle;
+  document.title = badgeTitle;
+
+  let timer = null;
+  if (flash) {
+    let on = false;
+    timer = setInterval(() => {
+      on = !on;
+      document.title = on ? `⚠️ ${status} ⚠️` : badgeTitle;
+    }, 1000);
+  }
+
+  return () => {
+    clearInterval(timer);
+    link.href = originalHref;
+    document.title = originalTitle;
+  };
+}
@@ -0,0 +1,184 @@
+// 🧾 /analyze-room responses → one internal model.
+//
+// Every response is validated and adapted according to its version, so
+// the rest of the app never has to guess at the backend's shape:
+//
+//   {
+//     schemaVersion,                 version the response was read as
+//     aiDecision: { status, reason, action },
+//                                    status is NORMAL / WARNING / EMERGENCY,
+//                                    or UNKNOWN when the backend's is not
+//     sceneDescription,              "" when missing
+//     peopleCount,                   number or null (not reported)
+//     signals: { fallRisk, voiceStress },   booleans
+//     detections, vision,            boxes for src/vision/detections.js
+//     issues: [{ level, path, message }],   "error" | "warning"
+//     raw,                           the untouched response
+//   }
+//
+// Supported versions:
+//   1  (no "version" field) { aiDecision, sceneDescription, signals,
+//      peopleCount | vision.peopleCount | aiDecision.peopleCount, vision }
+//   2  { version: 2, decision: { status, reason, action },
+//      scene: { description, peopleCount, detections, image: { width,
+//      height } }, signals }
+
+import { STATUSES } from "../utils/status";
+
+export const LATEST_SCHEMA_VERSION = 2;
+
+// Spellings seen from older backends / prompts
+const STATUS_ALIASES = {
+  OK: "NORMAL",
+  SAFE: "NORMAL",
+  ALERT: "WARNING",
+  CAUTION: "WARNING",
+  CRITICAL: "EMERGENCY",
+  DANGER: "EMERGENCY",
+};
+
+function isObject(value) {
+  return value != null && typeof value === "object" && !Array.isArray(value);
+}
+
+function createChecker(issues) {
+  const report = (level, path, message) =>
+    issues.push({ level, path, message });
+
+  return {
+    report,
+
+    object(value, path, { required = true } = {}) {
+      if (isObject(value)) return value;
+      if (value != null || required) {
+        report("error", path, value == null ? "missing" : "not an object");
+      }
+      return {};
+    },
+
+    string(value, path, { level = "warning" } = {}) {
+      if (typeof value === "string") return value;
+      report(level, path, value == null ? "missing" : "not a string");
+      return value == null ? "" : String(value);
+    },
+
+    count(value, path) {
+      if (value == null) return null;
+      const n = Number(value);
+      if (Number.isInteger(n) && n >= 0) return n;
+      report("warning", path, `not a people count: ${JSON.stringify(value)}`);
+      return null;
+    },
+
+    flag(value, path) {
+      if (value == null) return false;
+      if (typeof value === "boolean") return value;
+      report("warning", path, `not true/false: ${JSON.stringify(value)}`);
+      return value === "true" || value === 1;
+    },
+
+    status(value, path) {
+      const text = typeof value === "string" ? value.trim().toUpperCase() : "";
+      if (STATUSES.includes(text)) return text;
+      if (STATUS_ALIASES[text]) {
+        report("warning", path, `"${value}" read as ${STATUS_ALIASES[text]}`);
+        return STATUS_ALIASES[text];
+      }
+      report(
+        "error",
+        path,
+        value == null ? "missing" : `unknown status ${JSON.stringify(value)}`
+      );
+      return "UNKNOWN";
+    },
+  };
+}
+
+function adaptV1(raw, check) {
+  const aiDecision = check.object(raw.aiDecision, "aiDecision");
+  const signals = check.object(raw.signals, "signals", { required: false });
+  const vision = isObject(raw.vision) ? raw.vision : null;
+
+  return {
+    aiDecision: {
+      status: check.status(aiDecision.status, "aiDecision.status"),
+      reason: check.string(aiDecision.reason, "aiDecision.reason"),
+      action: check.string(aiDecision.action, "aiDecision.action"),
+    },
+    sceneDescription: check.string(raw.sceneDescription, "sceneDescription"),
+    peopleCount: check.count(
+      raw.peopleCount ?? vision?.peopleCount ?? aiDecision.peopleCount,
+      "peopleCount"
+    ),
+    signals: {
+      fallRisk: check.flag(signals.fallRisk, "signals.fallRisk"),
+      voiceStress: check.flag(signals.voiceStress, "signals.voiceStress"),
+    },
+    detections: Array.isArray(raw.detections) ? raw.detections : [],
+    vision,
+  };
+}
+
+function adaptV2(raw, check) {
+  const decision = check.object(raw.decision, "decision");
+  const scene = check.object(raw.scene, "scene");
+  const signals = check.object(raw.signals, "signals", { required: false });
+  const image = isObject(scene.image) ? scene.image : null;
+
+  return {
+    aiDecision: {
+      status: check.status(decision.status, "decision.status"),
+      reason: check.string(decision.reason, "decision.reason"),
+      action: check.string(decision.action, "decision.action"),
+    },
+    sceneDescription: check.string(scene.description, "scene.description"),
+    peopleCount: check.count(scene.peopleCount, "scene.peopleCount"),
+    signals: {
+      fallRisk: check.flag(signals.fallRisk, "signals.fallRisk"),
+      voiceStress: check.flag(signals.voiceStress, "signals.voiceStress"),
+    },
+    detections: Array.isArray(scene.detections) ? scene.detections : [],
+    // Image size lets the overlay place boxes; same place as Azure puts it
+    vision: image ? { metadata: image } : null,
+  };
+}
+
+const ADAPTERS = { 1: adaptV1, 2: adaptV2 };
+
+/** Validate and normalize a raw /analyze-room response (never throws). */
+export function normalizeAnalysis(response) {
+  const issues = [];
+  const check = createChecker(issues);
+
+  let raw = response;
+  if (!isObject(raw)) {
+    check.report("error", "", "response is not a JSON object");
+    raw = {};
+  }
+
+  let version = raw.version ?? raw.schemaVersion ?? 1;
+  if (!ADAPTERS[version]) {
+    check.report(
+      "error",
+      "version",
+      `unsupported version ${JSON.stringify(version)}, read as version 1`
+    );
+    version = 1;
+  }
+
+  const model = ADAPTERS[version](raw, check);
+  return { schemaVersion: version, ...model, issues, raw: response };
+}
+
+/** True when the response could not be read reliably. */
+export function hasSchemaErrors(analysis) {
+  return analysis?.issues?.some((i) => i.level === "error") ?? false;
+}
+
+/** One-line summary of the problems, for banners and logs. */
+export function describeSchemaIssues(analysis, level = "error") {
+  return (analysis?.issues ?? [])
+    .filter((i) => i.level === level)
+    .map((i) => (i.path ? `${i.path}: ${i.message}` : i.message))
+    .join("; ");
+}
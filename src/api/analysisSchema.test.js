@@ -0,0 +1,193 @@
+import { describe, expect, it } from "vitest";
+import {
+  LATEST_SCHEMA_VERSION,
+  describeSchemaIssues,
+  hasSchemaErrors,
+  normalizeAnalysis,
+} from "./analysisSchema";
+import v1Response from "./fixtures/analyzeRoomV1.json";
+import v2Response from "./fixtures/analyzeRoomV2.json";
+
+const paths = (analysis, level) =>
+  analysis.issues.filter((i) => i.level === level).map((i) => i.path);
+
+describe("normalizeAnalysis", () => {
+  it("reads a version 1 response", () => {
+    const analysis = normalizeAnalysis(v1Response);
+
+    expect(analysis).toMatchObject({
+      schemaVersion: 1,
+      aiDecision: {
+        status: "WARNING",
+        reason: "Person sitting on the floor next to the bed",
+        action: "Check on the resident",
+      },
+      sceneDescription: "A bedroom with one person sitting on the floor.",
+      peopleCount: 1,
+      signals: { fallRisk: true, voiceStress: false },
+      detections: v1Response.detections,
+      vision: v1Response.vision,
+      issues: [],
+    });
+    expect(analysis.raw).toBe(v1Response);
+    expect(hasSchemaErrors(analysis)).toBe(false);
+  });
+
+  it("reads a version 2 response into the same model", () => {
+    const analysis = normalizeAnalysis(v2Response);
+
+    expect(analysis).toMatchObject({
+      schemaVersion: LATEST_SCHEMA_VERSION,
+      aiDecision: {
+        status: "EMERGENCY",
+        reason: "Person lying motionless on the floor",
+        action: "Call for help now",
+      },
+      sceneDescription: "A bathroom with one person lying on the floor.",
+      peopleCount: 1,
+      signals: { fallRisk: true, voiceStress: true },
+      detections: v2Response.scene.detections,
+      vision: { metadata: { width: 1280, height: 720 } },
+      issues: [],
+    });
+  });
+
+  it("accepts schemaVersion as well as version", () => {
+    const { version: _version, ...rest } = v2Response;
+
+    expect(normalizeAnalysis({ ...rest, schemaVersion: 2 })).toMatchObject({
+      schemaVersion: 2,
+      aiDecision: { status: "EMERGENCY" },
+    });
+  });
+
+  describe("field aliases", () => {
+    it.each([
+      ["top level", { peopleCount: 2 }],
+      ["vision", { vision: { peopleCount: 2 } }],
+      [
+        "aiDecision",
+        { aiDecision: { ...v1Response.aiDecision, peopleCount: 2 } },
+      ],
+    ])("finds a version 1 people count in %s", (_where, patch) => {
+      const { vision: _vision, ...rest } = v1Response;
+
+      expect(normalizeAnalysis({ ...rest, ...patch }).peopleCount).toBe(2);
+    });
+
+    it.each([
+      ["ok", "NORMAL"],
+      ["Safe", "NORMAL"],
+      ["ALERT", "WARNING"],
+      ["caution", "WARNING"],
+      [" critical ", "EMERGENCY"],
+      ["DANGER", "EMERGENCY"],
+    ])("reads status %j as %s, with a warning", (status, expected) => {
+      const analysis = normalizeAnalysis({
+        ...v1Response,
+        aiDecision: { ...v1Response.aiDecision, status },
+      });
+
+      expect(analysis.aiDecision.status).toBe(expected);
+      expect(paths(analysis, "warning")).toEqual(["aiDecision.status"]);
+      expect(hasSchemaErrors(analysis)).toBe(false);
+    });
+
+    it("accepts lower-case statuses without complaint", () => {
+      const analysis = normalizeAnalysis({
+        ...v2Response,
+        decision: { ...v2Response.decision, status: "normal" },
+      });
+
+      expect(analysis.aiDecision.status).toBe("NORMAL");
+      expect(analysis.issues).toEqual([]);
+    });
+  });
+
+  it.each([["SLEEPING"], [42], [null]])(
+    "reads status %j as UNKNOWN, with an error",
+    (status) => {
+      const analysis = normalizeAnalysis({
+        ...v2Response,
+        decision: { ...v2Response.decision, status },
+      });
+
+      expect(analysis.aiDecision.status).toBe("UNKNOWN");
+      expect(paths(analysis, "error")).toEqual(["decision.status"]);
+      expect(hasSchemaErrors(analysis)).toBe(true);
+    }
+  );
+
+  it("warns about malformed fields and keeps what it can", () => {
+    const analysis = normalizeAnalysis({
+      ...v1Response,
+      sceneDescription: 7,
+      peopleCount: -1,
+      signals: { fallRisk: "true", voiceStress: 0 },
+      detections: "none",
+    });
+
+    expect(analysis).toMatchObject({
+      sceneDescription: "7",
+      peopleCount: null,
+      signals: { fallRisk: true, voiceStress: false },
+      detections: [],
+    });
+    expect(paths(analysis, "warning")).toEqual([
+      "sceneDescription",
+      "peopleCount",
+      "signals.fallRisk",
+      "signals.voiceStress",
+    ]);
+    expect(hasSchemaErrors(analysis)).toBe(false);
+  });
+
+  it("reports missing required sections as errors", () => {
+    const analysis = normalizeAnalysis({ version: 2, decision: "EMERGENCY" });
+
+    expect(analysis.aiDecision).toEqual({
+      status: "UNKNOWN",
+      reason: "",
+      action: "",
+    });
+    expect(analysis.peopleCount).toBeNull();
+    expect(analysis.signals).toEqual({ fallRisk: false, voiceStress: false });
+    expect(paths(analysis, "error")).toEqual([
+      "decision",
+      "scene",
+      "decision.status",
+    ]);
+    expect(describeSchemaIssues(analysis)).toBe(
+      "decision: not an object; scene: missing; decision.status: missing"
+    );
+  });
+
+  it.each([
+    ["null", null],
+    ["a string", "Internal Server Error"],
+    ["an array", [v1Response]],
+    ["a number", 500],
+  ])("never throws on %s", (_what, raw) => {
+    const analysis = normalizeAnalysis(raw);
+
+    expect(analysis.schemaVersion).toBe(1);
+    expect(analysis.aiDecision.status).toBe("UNKNOWN");
+    expect(analysis.raw).toBe(raw);
+    expect(analysis.issues[0]).toEqual({
+      level: "error",
+      path: "",
+      message: "response is not a JSON object",
+    });
+  });
+
+  it.each([[3], ["v2"], [0]])(
+    "reads unsupported version %j as version 1, with an error",
+    (version) => {
+      const analysis = normalizeAnalysis({ ...v1Response, version });
+
+      expect(analysis.schemaVersion).toBe(1);
+      expect(analysis.aiDecision.status).toBe("WARNING");
+      expect(paths(analysis, "error")).toEqual(["version"]);
+    }
+  );
+});
@@ -0,0 +1,234 @@
+import axios from "axios";
+import { message } from "../i18n/message";
+import { normalizeAnalysis } from "./analysisSchema";
+
+// 🌐 Known backend deployments.
+// Build-time env vars can override each URL; VITE_BACKEND_URL replaces
+// the default environment's (see resolveBackendUrl).
+export const BACKEND_ENVIRONMENTS = {
+  local: {
+    url: import.meta.env.VITE_BACKEND_LOCAL_URL || "http://localhost:5000",
+  },
+  staging: {
+    url: import.meta.env.VITE_BACKEND_STAGING_URL || "",
+  },
+  production: {
+    url:
+      import.meta.env.VITE_BACKEND_PRODUCTION_URL ||
+      "https://smart-safe-room-backend-app-b5h5apd5fjgrhpej.swedencentral-01.azurewebsites.net",
+  },
+};
+
+export const DEFAULT_ENVIRONMENT =
+  import.meta.env.VITE_BACKEND_ENV ||
+  (import.meta.env.DEV ? "local" : "production");
+
+export const DEFAULT_TIMEOUT_MS =
+  Number(import.meta.env.VITE_BACKEND_TIMEOUT_MS) || 20000;
+
+/**
+ * Resolve the backend base URL from the "backend" settings section.
+ * Order: custom URL from settings → environment picked in settings →
+ * VITE_BACKEND_URL → default environment. What the user picks always
+ * wins over the build.
+ */
+export function resolveBackendUrl({ environment, customUrl } = {}) {
+  const url =
+    customUrl?.trim() ||
+    (environment && BACKEND_ENVIRONMENTS[environment]?.url) ||
+    import.meta.env.VITE_BACKEND_URL ||
+    BACKEND_ENVIRONMENTS[DEFAULT_ENVIRONMENT]?.url ||
+    "";
+  return url.replace(/\/+$/, "");
+}
+
+/** True when the request was aborted because a newer one replaced it. */
+export function isCancelledRequest(err) {
+  return axios.isCancel(err);
+}
+
+/**
+ * True when the backend could not be reached or failed on its side
+ * (network error, timeout, 5xx, 429). Those are retried and mark the
+ * backend as unhealthy; other 4xx responses are not.
+ */
+export function isBackendUnavailable(err) {
+  if (isCancelledRequest(err)) return false;
+  const status = err.response?.status;
+  return status == null || status >= 500 || status === 429;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(id);
+      reject(new axios.CanceledError());
+    };
+    const id = setTimeout(() => {
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * What to tell the user about a failed backend call: the backend's own
+ * error text, or a message(key, params) for i18n.message.
+ */
+export function describeBackendError(err, baseUrl) {
+  if (err.response?.data?.error) return err.response.data.error;
+  if (err.code === "ECONNABORTED" || err.code === "ETIMEDOUT") {
+    return message("backend.timeout", { url: baseUrl });
+  }
+  if (err.response) {
+    return message("backend.httpError", {
+      url: baseUrl,
+      status: err.response.status,
+    });
+  }
+  return message("backend.unreachable", { url: baseUrl });
+}
+
+/**
+ * Create a client bound to one backend deployment.
+ *
+ * Requests sharing a `channel` supersede each other: starting a new one
+ * aborts the previous in-flight request, so slow responses can never land
+ * after a newer one.
+ *
+ * Unavailable-backend errors are retried with exponential backoff
+ * (`retryDelayMs`, doubled per attempt). The client also tracks the
+ * health of /analyze-room — `getHealth()` / `subscribeHealth(listener)` —
+ * so the UI can show since when analysis has been unreachable. Other
+ * endpoints (the speech token) neither raise nor clear it.
+ */
+export function createBackendClient({
+  baseUrl,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = 2,
+  retryDelayMs = 500,
+} = {}) {
+  const http = axios.create({ baseURL: baseUrl, timeout: timeoutMs });
+  const inFlight = new Map();
+
+  let health = {
+    state: "unknown",
+    downSince: null,
+    consecutiveFailures: 0,
+    lastError: null,
+  };
+  const healthListeners = new Set();
+
+  function setHealth(next) {
+    health = next;
+    healthListeners.forEach((listener) => listener(health));
+  }
+
+  function recordSuccess() {
+    if (health.state === "ok") return;
+    setHealth({
+      state: "ok",
+      downSince: null,
+      consecutiveFailures: 0,
+      lastError: null,
+    });
+  }
+
+  function recordFailure(err) {
+    setHealth({
+      state: "down",
+      downSince: health.downSince ?? Date.now(),
+      consecutiveFailures: health.consecutiveFailures + 1,
+      lastError: describeBackendError(err, baseUrl),
+    });
+  }
+
+  async function request(
+    config,
+    { channel, timeout, retries: maxRetries = retries, trackHealth = true } = {}
+  ) {
+    const controller = new AbortController();
+    if (channel) {
+      inFlight.get(channel)?.abort();
+      inFlight.set(channel, controller);
+    }
+
+    try {
+      for (let attempt = 0; ; attempt += 1) {
+        try {
+          const response = await http.request({
+            ...config,
+            signal: controller.signal,
+            timeout: timeout ?? timeoutMs,
+          });
+          if (trackHealth) recordSuccess();
+          return response.data;
+        } catch (err) {
+          if (!isBackendUnavailable(err)) {
+            // The backend answered, so it is reachable
+            if (err.response && trackHealth) recordSuccess();
+            throw err;
+          }
+          if (attempt >= maxRetries) {
+            if (trackHealth) recordFailure(err);
+            throw err;
+          }
+          await sleep(retryDelayMs * 2 ** attempt, controller.signal);
+        }
+      }
+    } finally {
+      if (channel && inFlight.get(channel) === controller) {
+        inFlight.delete(channel);
+      }
+    }
+  }
+
+  return {
+    baseUrl,
+
+    /** Resolves with the normalized model (see ./analysisSchema.js). */
+    async analyzeRoom(body, options = {}) {
+      const data = await request(
+        { method: "post", url: "/analyze-room", data: body },
+        { channel: "analyze", ...options }
+      );
+      const analysis = normalizeAnalysis(data);
+      if (analysis.issues.length > 0) {
+        console.warn("Unexpected /analyze-room response:", analysis.issues);
+      }
+      return analysis;
+    },
+
+    /**
+     * Short-lived Azure Speech authorization token:
+     * { token, region, expiresInSec }. The backend holds the key.
+     */
+    getSpeechToken() {
+      return request(
+        { method: "get", url: "/speech-token" },
+        { channel: "speech-token", trackHealth: false }
+      );
+    },
+
+    getHealth() {
+      return health;
+    },
+
+    subscribeHealth(listener) {
+      healthListeners.add(listener);
+      return () => healthListeners.delete(listener);
+    },
+
+    /** Abort the request in flight on one channel, if any. */
+    cancel(channel) {
+      inFlight.get(channel)?.abort();
+      inFlight.delete(channel);
+    },
+
+    cancelAll() {
+      inFlight.forEach((controller) => controller.abort());
+      inFlight.clear();
+    },
+  };
+}
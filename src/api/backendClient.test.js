@@ -0,0 +1,111 @@
+// @vitest-environment node
+import { createServer } from "node:http";
+import {
+  afterAll,
+  afterEach,
+  beforeAll,
+  describe,
+  expect,
+  it,
+  vi,
+} from "vitest";
+import {
+  BACKEND_ENVIRONMENTS,
+  createBackendClient,
+  resolveBackendUrl,
+} from "./backendClient";
+
+describe("resolveBackendUrl", () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it("prefers a custom URL and drops trailing slashes", () => {
+    vi.stubEnv("VITE_BACKEND_URL", "https://build.example");
+
+    expect(
+      resolveBackendUrl({
+        environment: "local",
+        customUrl: " http://192.168.1.20:5000/ ",
+      })
+    ).toBe("http://192.168.1.20:5000");
+  });
+
+  it("lets an environment picked in settings win over VITE_BACKEND_URL", () => {
+    vi.stubEnv("VITE_BACKEND_URL", "https://build.example");
+
+    expect(resolveBackendUrl({ environment: "local", customUrl: "" })).toBe(
+      BACKEND_ENVIRONMENTS.local.url
+    );
+  });
+
+  it("uses VITE_BACKEND_URL while no environment is picked", () => {
+    vi.stubEnv("VITE_BACKEND_URL", "https://build.example/");
+
+    expect(resolveBackendUrl({ environment: "", customUrl: "" })).toBe(
+      "https://build.example"
+    );
+  });
+});
+
+describe("backend health", () => {
+  // Local stub backend; `replies` maps a path to [status, body]
+  const replies = {};
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      const [status, body] = replies[req.url] ?? [404, {}];
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+
+  const client = () => createBackendClient({ baseUrl, retries: 0 });
+
+  it("counts failed analyses", async () => {
+    replies["/analyze-room"] = [503, {}];
+    const backend = client();
+
+    await expect(backend.analyzeRoom({})).rejects.toThrow();
+    await expect(backend.analyzeRoom({})).rejects.toThrow();
+
+    expect(backend.getHealth()).toMatchObject({
+      state: "down",
+      consecutiveFailures: 2,
+    });
+  });
+
+  it("leaves health alone when the speech token fails", async () => {
+    replies["/speech-token"] = [503, {}];
+    const backend = client();
+
+    await expect(backend.getSpeechToken()).rejects.toThrow();
+
+    expect(backend.getHealth()).toMatchObject({
+      state: "unknown",
+      consecutiveFailures: 0,
+    });
+  });
+
+  it("does not clear an analysis outage with a speech token", async () => {
+    replies["/analyze-room"] = [503, {}];
+    replies["/speech-token"] = [200, { token: "t", region: "westeurope" }];
+    const backend = client();
+
+    await expect(backend.analyzeRoom({})).rejects.toThrow();
+    expect(await backend.getSpeechToken()).toEqual({
+      token: "t",
+      region: "westeurope",
+    });
+
+    expect(backend.getHealth().consecutiveFailures).toBe(1);
+  });
+});
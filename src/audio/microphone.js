@@ -0,0 +1,166 @@
+// 🎙 Opt-in microphone capture. Measures loudness and pitch continuously
+// and hands out the most recent window (features and, optionally, a short
+// recorded clip) whenever a frame is sent for analysis.
+import { measureBlock, summarizeWindow } from "./voiceFeatures";
+
+const BLOCK_MS = 100;
+// The level meter does not need every block
+const LEVEL_UPDATE_MS = 250;
+
+function blobToBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(",")[1]);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+export function createMicrophone() {
+  let stream = null;
+  let audio = null;
+  let recorder = null;
+  let timers = [];
+  let blocks = [];
+  let lastClip = null;
+  let config = null;
+  // Bumped on every start/stop so a slow getUserMedia can't revive a
+  // microphone that was switched off in the meantime
+  let session = 0;
+  let snapshot = { state: "off", levelDb: null, features: null, error: null };
+  const listeners = new Set();
+
+  function notify(patch) {
+    snapshot = { ...snapshot, ...patch };
+    listeners.forEach((listener) => listener(snapshot));
+  }
+
+  function currentWindow() {
+    const since = Date.now() - config.windowMs;
+    return blocks.filter((b) => b.at >= since);
+  }
+
+  // One MediaRecorder run per window, so every clip is a complete file
+  function startClipRecorder() {
+    if (typeof MediaRecorder === "undefined") return;
+    const clipRecorder = new MediaRecorder(stream);
+    clipRecorder.ondataavailable = (e) => {
+      // The final chunk arrives after stop(); it belongs to an old session
+      if (e.data.size > 0 && recorder === clipRecorder) lastClip = e.data;
+    };
+    clipRecorder.start();
+    recorder = clipRecorder;
+    timers.push(
+      setInterval(() => {
+        if (clipRecorder.state !== "recording") return;
+        clipRecorder.stop();
+        clipRecorder.start();
+      }, config.windowMs)
+    );
+  }
+
+  return {
+    /** Open the microphone; `deviceId` "" picks the default input. */
+    async start({ deviceId, windowMs, shoutDb, sendClip }) {
+      this.stop();
+      const current = session;
+      config = { windowMs, shoutDb, sendClip };
+      notify({ state: "starting", error: null });
+
+      let opened;
+      try {
+        opened = await navigator.mediaDevices.getUserMedia({
+          audio: deviceId ? { deviceId: { exact: deviceId } } : true,
+        });
+      } catch (err) {
+        if (current !== session) return;
+        console.error("Microphone error:", err);
+        notify({ state: "error", error: err.message || String(err) });
+        return;
+      }
+      if (current !== session) {
+        opened.getTracks().forEach((t) => t.stop());
+        return;
+      }
+      stream = opened;
+
+      const AudioContextClass =
+        window.AudioContext || window.webkitAudioContext;
+      audio = new AudioContextClass();
+      const analyser = audio.createAnalyser();
+      analyser.fftSize = 1024;
+      audio.createMediaStreamSource(stream).connect(analyser);
+      const samples = new Float32Array(analyser.fftSize);
+
+      timers.push(
+        setInterval(() => {
+          analyser.getFloatTimeDomainData(samples);
+          const now = Date.now();
+          blocks.push(measureBlock(samples, audio.sampleRate, now));
+          blocks = blocks.filter((b) => b.at >= now - config.windowMs);
+        }, BLOCK_MS),
+        setInterval(() => {
+          const recent = blocks.slice(-LEVEL_UPDATE_MS / BLOCK_MS);
+          notify({
+            levelDb: recent.length
+              ? Math.max(...recent.map((b) => b.loudnessDb))
+              : null,
+            features: summarizeWindow(currentWindow(), config),
+          });
+        }, LEVEL_UPDATE_MS)
+      );
+      if (sendClip) startClipRecorder();
+
+      notify({ state: "on" });
+    },
+
+    stop() {
+      session += 1;
+      timers.forEach(clearInterval);
+      timers = [];
+      if (recorder && recorder.state !== "inactive") recorder.stop();
+      recorder = null;
+      stream?.getTracks().forEach((t) => t.stop());
+      stream = null;
+      audio?.close();
+      audio = null;
+      blocks = [];
+      lastClip = null;
+      if (snapshot.state !== "off") {
+        notify({ state: "off", levelDb: null, features: null });
+      }
+    },
+
+    /**
+     * Audio payload for the analysis request, or null when the microphone
+     * is off: `{ features, clipBase64?, clipMimeType? }`.
+     */
+    async takeWindow() {
+      if (snapshot.state !== "on") return null;
+
+      const features = summarizeWindow(currentWindow(), config);
+      if (!features) return null;
+      if (!config.sendClip || !lastClip) return { features };
+
+      try {
+        return {
+          features,
+          clipBase64: await blobToBase64(lastClip),
+          clipMimeType: lastClip.type,
+        };
+      } catch (err) {
+        console.error("Could not encode audio clip:", err);
+        return { features };
+      }
+    },
+
+    getSnapshot() {
+      return snapshot;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
@@ -0,0 +1,124 @@
+// 🎙 Local voice features computed from raw microphone samples.
+// Only these numbers (or, if enabled, a short clip) are sent along with a
+// frame; the backend decides whether the voice sounds stressed.
+
+// Below this level a frame counts as silence (dBFS)
+const SILENCE_DB = -50;
+// Human voice fundamental frequency range used for pitch search
+const MIN_PITCH_HZ = 70;
+const MAX_PITCH_HZ = 1000;
+
+/** Loudness of a block of samples in dBFS (0 = full scale). */
+export function rmsDb(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i += 1) sum += samples[i] * samples[i];
+  const rms = Math.sqrt(sum / samples.length);
+  return rms > 0 ? Math.max(-100, 20 * Math.log10(rms)) : -100;
+}
+
+// Normalized square difference of `samples` with itself shifted by `lag`
+// (McLeod): 1 for a perfect repeat, unlike raw autocorrelation it does not
+// shrink as the overlap gets shorter.
+function nsdf(samples, lag) {
+  let correlation = 0;
+  let energy = 0;
+  for (let i = 0; i + lag < samples.length; i += 1) {
+    correlation += samples[i] * samples[i + lag];
+    energy += samples[i] * samples[i] + samples[i + lag] * samples[i + lag];
+  }
+  return energy > 0 ? (2 * correlation) / energy : 0;
+}
+
+/**
+ * Rough fundamental frequency, or null when the block is silent or has no
+ * clear periodicity (noise, unvoiced sounds, hum below the voice range).
+ * The candidates are the peaks of the normalized difference function after
+ * its first dip; the first one nearly as high as the best is the period,
+ * so a period's multiples do not halve the pitch.
+ */
+export function detectPitch(samples, sampleRate) {
+  if (rmsDb(samples) < SILENCE_DB) return null;
+
+  const minLag = Math.floor(sampleRate / MAX_PITCH_HZ);
+  const maxLag = Math.min(
+    Math.floor(sampleRate / MIN_PITCH_HZ),
+    samples.length - 2
+  );
+
+  const values = [];
+  for (let lag = 0; lag <= maxLag + 1; lag += 1) {
+    values.push(nsdf(samples, lag));
+  }
+
+  // Skip the peak around lag 0: every signal resembles itself shifted a bit
+  let lag = 1;
+  while (lag <= maxLag && values[lag] > 0) lag += 1;
+
+  // Highest point of each positive lobe that peaks inside the range
+  const peaks = [];
+  for (; lag <= maxLag; lag += 1) {
+    const isPeak =
+      values[lag] > 0 &&
+      values[lag] >= values[lag - 1] &&
+      values[lag] > values[lag + 1];
+    if (isPeak && lag >= minLag) peaks.push(lag);
+  }
+  if (peaks.length === 0) return null;
+
+  const best = Math.max(...peaks.map((l) => values[l]));
+  // Weak correlation means there is no voiced pitch in this block
+  if (best <= 0.5) return null;
+  const period = peaks.find((l) => values[l] >= best * 0.9);
+
+  // Parabolic interpolation between the neighbouring lags
+  const [a, b, c] = [values[period - 1], values[period], values[period + 1]];
+  const shift = a - 2 * b + c !== 0 ? (a - c) / (2 * (a - 2 * b + c)) : 0;
+  return sampleRate / (period + shift);
+}
+
+/** Per-block measurement kept in the rolling window. */
+export function measureBlock(samples, sampleRate, at) {
+  return {
+    at,
+    loudnessDb: rmsDb(samples),
+    pitchHz: detectPitch(samples, sampleRate),
+  };
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function stdDev(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return Math.sqrt(mean(values.map((v) => (v - m) ** 2)));
+}
+
+/**
+ * Summarize the blocks of one audio window.
+ * A shout/scream is a run of `minShoutBlocks` loud, voiced blocks.
+ */
+export function summarizeWindow(blocks, { shoutDb, minShoutBlocks = 3 }) {
+  if (blocks.length === 0) return null;
+
+  const loudness = blocks.map((b) => b.loudnessDb);
+  const pitches = blocks.map((b) => b.pitchHz).filter((p) => p != null);
+
+  let run = 0;
+  let longestShout = 0;
+  for (const block of blocks) {
+    run = block.loudnessDb >= shoutDb && block.pitchHz != null ? run + 1 : 0;
+    longestShout = Math.max(longestShout, run);
+  }
+
+  return {
+    durationMs: blocks[blocks.length - 1].at - blocks[0].at,
+    loudnessDb: Math.round(mean(loudness) * 10) / 10,
+    peakDb: Math.round(Math.max(...loudness) * 10) / 10,
+    voicedRatio: Math.round((pitches.length / blocks.length) * 100) / 100,
+    pitchHz: pitches.length ? Math.round(mean(pitches)) : null,
+    pitchVariance: Math.round(stdDev(pitches)),
+    shoutDetected: longestShout >= minShoutBlocks,
+  };
+}
@@ -0,0 +1,129 @@
+import { describe, expect, it } from "vitest";
+import {
+  detectPitch,
+  measureBlock,
+  rmsDb,
+  summarizeWindow,
+} from "./voiceFeatures";
+
+// One analyser block (fftSize 1024) of a tone, optionally with an octave
+// overtone as loud as `overtone` times the fundamental
+function tone(hz, sampleRate, { amplitude = 0.3, overtone = 0 } = {}) {
+  return Float32Array.from(
+    { length: 1024 },
+    (_, i) =>
+      amplitude * Math.sin((2 * Math.PI * hz * i) / sampleRate) +
+      overtone * amplitude * Math.sin((4 * Math.PI * hz * i) / sampleRate + 1)
+  );
+}
+
+// Deterministic white noise
+function noise(amplitude = 0.3) {
+  let seed = 1;
+  return Float32Array.from({ length: 1024 }, () => {
+    seed = (seed * 16807) % 2147483647;
+    return amplitude * (seed / 2147483647 - 0.5);
+  });
+}
+
+describe("rmsDb", () => {
+  it("measures loudness in dBFS", () => {
+    expect(rmsDb(new Float32Array(1024).fill(1))).toBeCloseTo(0);
+    expect(rmsDb(new Float32Array(1024).fill(0.1))).toBeCloseTo(-20);
+    expect(rmsDb(new Float32Array(1024))).toBe(-100);
+  });
+});
+
+describe("detectPitch", () => {
+  it.each([
+    [100, 48000],
+    [120, 48000],
+    [100, 44100],
+    [85, 48000],
+    [220, 44100],
+    [800, 48000],
+  ])("finds a %d Hz tone at %d Hz", (hz, sampleRate) => {
+    expect(detectPitch(tone(hz, sampleRate), sampleRate)).toBeCloseTo(hz, 0);
+  });
+
+  it("finds the fundamental under a strong overtone", () => {
+    expect(detectPitch(tone(110, 48000, { overtone: 0.8 }), 48000)).toBeCloseTo(
+      110,
+      0
+    );
+  });
+
+  it.each([[50], [60]])("treats %d Hz hum as unvoiced", (hz) => {
+    expect(detectPitch(tone(hz, 48000), 48000)).toBeNull();
+  });
+
+  it("finds no pitch in noise or silence", () => {
+    expect(detectPitch(noise(), 48000)).toBeNull();
+    expect(
+      detectPitch(tone(200, 48000, { amplitude: 0.001 }), 48000)
+    ).toBeNull();
+  });
+});
+
+describe("summarizeWindow", () => {
+  const block = (at, loudnessDb, pitchHz) => ({ at, loudnessDb, pitchHz });
+
+  it("returns null for an empty window", () => {
+    expect(summarizeWindow([], { shoutDb: -10 })).toBeNull();
+  });
+
+  it("averages loudness and pitch over the voiced blocks", () => {
+    const summary = summarizeWindow(
+      [
+        block(0, -30, 100),
+        block(100, -20, 140),
+        block(200, -40, null),
+        block(300, -30, null),
+      ],
+      { shoutDb: -10 }
+    );
+
+    expect(summary).toEqual({
+      durationMs: 300,
+      loudnessDb: -30,
+      peakDb: -20,
+      voicedRatio: 0.5,
+      pitchHz: 120,
+      pitchVariance: 20,
+      shoutDetected: false,
+    });
+  });
+
+  it("detects a shout only as a run of loud, voiced blocks", () => {
+    const loud = (at) => block(at, -5, 300);
+    const options = { shoutDb: -10, minShoutBlocks: 3 };
+
+    expect(
+      summarizeWindow([loud(0), loud(100), loud(200)], options).shoutDetected
+    ).toBe(true);
+    // Interrupted by a quiet block
+    expect(
+      summarizeWindow(
+        [loud(0), loud(100), block(200, -40, 300), loud(300)],
+        options
+      ).shoutDetected
+    ).toBe(false);
+    // Loud but without a pitch, like a door slam or rumble
+    expect(
+      summarizeWindow(
+        [0, 100, 200].map((at) => block(at, -5, null)),
+        options
+      ).shoutDetected
+    ).toBe(false);
+  });
+
+  it("does not count low hum as a shout", () => {
+    const blocks = [0, 100, 200].map((at) =>
+      measureBlock(tone(50, 48000, { amplitude: 0.9 }), 48000, at)
+    );
+
+    const summary = summarizeWindow(blocks, { shoutDb: -10 });
+    expect(summary.voicedRatio).toBe(0);
+    expect(summary.shoutDetected).toBe(false);
+  });
+});
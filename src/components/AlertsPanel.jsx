@@ -0,0 +1,257 @@
+import { useState } from "react";
+import { statusPillStyle } from "../utils/status";
+import ClipPlayer from "./ClipPlayer";
+
+const inputStyle = {
+  background: "#020617",
+  color: "#e5e7eb",
+  border: "1px solid rgba(30,64,175,0.7)",
+  borderRadius: "0.5rem",
+  padding: "0.3rem 0.45rem",
+  fontSize: "0.8rem",
+};
+
+// 🎞 Event clip of an alert, loaded only when asked for
+function AlertClip({ i18n, clipId }) {
+  const [shown, setShown] = useState(false);
+
+  return (
+    <div>
+      <button
+        onClick={() => setShown((v) => !v)}
+        style={{ ...inputStyle, cursor: "pointer", padding: "0.2rem 0.6rem" }}
+      >
+        {shown
+          ? i18n.t("alertsPanel.hideClip")
+          : i18n.t("alertsPanel.showClip")}
+      </button>
+      {shown && (
+        <div style={{ marginTop: "0.4rem" }}>
+          <ClipPlayer i18n={i18n} clipId={clipId} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ✅ One open alert with its acknowledgment form
+function OpenAlert({ i18n, alert, caregiverName, onAcknowledge }) {
+  const { t } = i18n;
+  const [note, setNote] = useState("");
+  const canAcknowledge = caregiverName.trim().length > 0;
+
+  return (
+    <li
+      style={{
+        background: "#020617",
+        borderRadius: "0.7rem",
+        padding: "0.6rem 0.75rem",
+        border: `1px solid ${
+          alert.severity === "EMERGENCY" ? "#b91c1c" : "#f97316"
+        }`,
+        display: "flex",
+        flexDirection: "column",
+        gap: "0.4rem",
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: "0.5rem" }}>
+        <span style={statusPillStyle(alert.severity)}>
+          {i18n.status(alert.severity)}
+        </span>
+        <strong style={{ flex: 1 }}>{i18n.alertTitle(alert)}</strong>
+        <span style={{ opacity: 0.6 }}>{i18n.time(alert.openedAt)}</span>
+      </div>
+      <div style={{ opacity: 0.8 }}>
+        {alert.roomName && <>{alert.roomName} · </>}
+        {i18n.message(alert.message)}
+      </div>
+      {alert.clipId != null && <AlertClip i18n={i18n} clipId={alert.clipId} />}
+      <div style={{ display: "flex", gap: "0.4rem" }}>
+        <input
+          aria-label={t("alertsPanel.note")}
+          placeholder={t("alertsPanel.notePlaceholder")}
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          style={{ ...inputStyle, flex: 1 }}
+        />
+        <button
+          onClick={() =>
+            onAcknowledge(alert.id, { by: caregiverName.trim(), note })
+          }
+          disabled={!canAcknowledge}
+          title={canAcknowledge ? undefined : t("alertsPanel.nameFirst")}
+          style={{
+            ...inputStyle,
+            cursor: canAcknowledge ? "pointer" : "default",
+            opacity: canAcknowledge ? 1 : 0.5,
+            fontWeight: 600,
+          }}
+        >
+          {t("alertsPanel.acknowledge")}
+        </button>
+      </div>
+    </li>
+  );
+}
+
+// Setting, lowest and highest value; labels are "alertsPanel.<setting>"
+const RULE_FIELDS = [
+  ["consecutiveWarnings", 2, 20],
+  ["fallRiskFrames", 1, 20],
+  ["emptyRoomMinutes", 1, 720],
+  ["bedEmptyMinutes", 1, 240],
+];
+
+// Zone rules: door at night → warning, out of bed after bedtime → check-in
+const TIME_FIELDS = ["nightStart", "nightEnd", "bedtime"];
+
+// 🔔 Open alerts awaiting acknowledgment, plus recently acknowledged ones.
+// `settings` is the "alerts" settings section (rule thresholds + name).
+function AlertsPanel({
+  i18n,
+  alerts,
+  settings,
+  onSettingsChange,
+  onAcknowledge,
+}) {
+  const { t } = i18n;
+  const { open, acknowledged } = alerts;
+  const { caregiverName } = settings;
+
+  return (
+    <div
+      style={{
+        background: "rgba(15,23,42,0.95)",
+        borderRadius: "1rem",
+        padding: "0.9rem 1.1rem",
+        border:
+          open.length > 0
+            ? "1px solid #b91c1c"
+            : "1px solid rgba(30,64,175,0.6)",
+        fontSize: "0.83rem",
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: "0.6rem",
+          gap: "0.6rem",
+        }}
+      >
+        <span style={{ fontSize: "0.9rem", opacity: 0.9 }}>
+          {t("alertsPanel.heading", { count: open.length })}
+        </span>
+        <input
+          aria-label={t("alertsPanel.caregiver")}
+          placeholder={t("alertsPanel.caregiverPlaceholder")}
+          value={caregiverName}
+          onChange={(e) => onSettingsChange({ caregiverName: e.target.value })}
+          style={{ ...inputStyle, width: "9rem" }}
+        />
+      </div>
+
+      {open.length === 0 && (
+        <p style={{ opacity: 0.8, margin: 0 }}>{t("alertsPanel.none")}</p>
+      )}
+
+      {open.length > 0 && (
+        <ul
+          style={{
+            listStyle: "none",
+            padding: 0,
+            margin: 0,
+            display: "flex",
+            flexDirection: "column",
+            gap: "0.5rem",
+          }}
+        >
+          {[...open]
+            .sort((a, b) => b.openedAt - a.openedAt)
+            .map((alert) => (
+              <OpenAlert
+                key={alert.id}
+                i18n={i18n}
+                alert={alert}
+                caregiverName={caregiverName}
+                onAcknowledge={onAcknowledge}
+              />
+            ))}
+        </ul>
+      )}
+
+      {acknowledged.length > 0 && (
+        <details style={{ marginTop: "0.7rem" }}>
+          <summary style={{ cursor: "pointer", opacity: 0.75 }}>
+            {t("alertsPanel.recent", { count: acknowledged.length })}
+          </summary>
+          <ul style={{ paddingLeft: "1.1rem", margin: "0.4rem 0 0" }}>
+            {acknowledged.slice(0, 10).map((alert) => (
+              <li key={alert.id} style={{ marginBottom: "0.25rem" }}>
+                <strong>{i18n.alertTitle(alert)}</strong>
+                {alert.roomName && ` (${alert.roomName})`} —{" "}
+                {t("alertsPanel.acknowledgedBy", {
+                  name: alert.acknowledgedBy,
+                  time: i18n.time(alert.acknowledgedAt),
+                })}
+                {alert.note && `: ${alert.note}`}
+                {alert.clipId != null && (
+                  <AlertClip i18n={i18n} clipId={alert.clipId} />
+                )}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      <details style={{ marginTop: "0.7rem" }}>
+        <summary style={{ cursor: "pointer", opacity: 0.75 }}>
+          {t("alertsPanel.rules")}
+        </summary>
+        <div
+          style={{
+            display: "grid",
+            gridTemplateColumns: "1fr auto",
+            gap: "0.4rem 0.8rem",
+            alignItems: "center",
+            marginTop: "0.5rem",
+          }}
+        >
+          {RULE_FIELDS.map(([key, min, max]) => (
+            <label key={key} style={{ display: "contents" }}>
+              <span>{t(`alertsPanel.${key}`)}</span>
+              <input
+                type="number"
+                min={min}
+                max={max}
+                value={settings[key]}
+                onChange={(e) =>
+                  onSettingsChange({
+                    [key]: Math.min(max, Math.max(min, Number(e.target.value))),
+                  })
+                }
+                style={{ ...inputStyle, width: "4.5rem" }}
+              />
+            </label>
+          ))}
+          {TIME_FIELDS.map((key) => (
+            <label key={key} style={{ display: "contents" }}>
+              <span>{t(`alertsPanel.${key}`)}</span>
+              <input
+                type="time"
+                value={settings[key]}
+                onChange={(e) =>
+                  e.target.value && onSettingsChange({ [key]: e.target.value })
+                }
+                style={{ ...inputStyle, width: "6rem" }}
+              />
+            </label>
+          ))}
+        </div>
+      </details>
+    </div>
+  );
+}
+
+export default AlertsPanel;
@@ -0,0 +1,164 @@
+import { useState } from "react";
+import { ALARM_TONES } from "../alerts/alarmSound";
+import {
+  notificationPermission,
+  requestNotificationPermission,
+} from "../alerts/attention";
+
+const inputStyle = {
+  background: "#020617",
+  color: "#e5e7eb",
+  border: "1px solid rgba(30,64,175,0.7)",
+  borderRadius: "0.5rem",
+  padding: "0.35rem 0.5rem",
+  fontSize: "0.8rem",
+};
+
+// 🔔 Notification, alarm sound and title badge settings. Permission
+// states read "attentionSettings.permission.<state>", tones
+// "attentionSettings.tone.<tone>".
+function AttentionSettings({ i18n, attention, onChange, alarm }) {
+  const { t } = i18n;
+  const [permission, setPermission] = useState(notificationPermission);
+
+  const updateSound = (severity, patch) =>
+    onChange({
+      sounds: {
+        ...attention.sounds,
+        [severity]: { ...attention.sounds[severity], ...patch },
+      },
+    });
+
+  return (
+    <details
+      style={{
+        marginTop: "0.9rem",
+        fontSize: "0.8rem",
+        background: "rgba(15,23,42,0.9)",
+        borderRadius: "0.7rem",
+        padding: "0.55rem 0.8rem",
+        border: "1px solid rgba(30,64,175,0.5)",
+      }}
+    >
+      <summary style={{ cursor: "pointer", opacity: 0.85 }}>
+        {t("attentionSettings.summary", {
+          permission: t(`attentionSettings.permission.${permission}`),
+        })}
+      </summary>
+
+      <div
+        style={{
+          display: "flex",
+          flexDirection: "column",
+          gap: "0.55rem",
+          marginTop: "0.7rem",
+        }}
+      >
+        <label style={{ display: "flex", gap: "0.4rem", alignItems: "center" }}>
+          <input
+            type="checkbox"
+            checked={attention.desktopNotifications}
+            onChange={(e) =>
+              onChange({ desktopNotifications: e.target.checked })
+            }
+          />
+          {t("attentionSettings.desktopNotifications")}
+          {permission === "default" && (
+            <button
+              onClick={async () =>
+                setPermission(await requestNotificationPermission())
+              }
+              style={{ ...inputStyle, cursor: "pointer", marginLeft: "auto" }}
+            >
+              {t("attentionSettings.allow")}
+            </button>
+          )}
+        </label>
+
+        <label style={{ display: "flex", gap: "0.4rem", alignItems: "center" }}>
+          <input
+            type="checkbox"
+            checked={attention.flashTitle}
+            onChange={(e) => onChange({ flashTitle: e.target.checked })}
+          />
+          {t("attentionSettings.flashTitle")}
+        </label>
+
+        {["WARNING", "EMERGENCY"].map((severity) => {
+          const sound = attention.sounds[severity];
+          return (
+            <div
+              key={severity}
+              style={{
+                display: "flex",
+                gap: "0.45rem",
+                alignItems: "center",
+                flexWrap: "wrap",
+              }}
+            >
+              <label
+                style={{
+                  display: "flex",
+                  gap: "0.4rem",
+                  alignItems: "center",
+                  width: "8.5rem",
+                }}
+              >
+                <input
+                  type="checkbox"
+                  checked={sound.enabled}
+                  onChange={(e) =>
+                    updateSound(severity, { enabled: e.target.checked })
+                  }
+                />
+                {t("attentionSettings.alarm", {
+                  status: i18n.status(severity),
+                })}
+              </label>
+              <select
+                aria-label={t("attentionSettings.tone", {
+                  status: i18n.status(severity),
+                })}
+                value={sound.tone}
+                disabled={!sound.enabled}
+                onChange={(e) =>
+                  updateSound(severity, { tone: e.target.value })
+                }
+                style={inputStyle}
+              >
+                {Object.keys(ALARM_TONES).map((tone) => (
+                  <option key={tone} value={tone}>
+                    {t(`attentionSettings.tone.${tone}`)}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="range"
+                aria-label={t("attentionSettings.volume", {
+                  status: i18n.status(severity),
+                })}
+                min={0.1}
+                max={1}
+                step={0.1}
+                value={sound.volume}
+                disabled={!sound.enabled}
+                onChange={(e) =>
+                  updateSound(severity, { volume: Number(e.target.value) })
+                }
+              />
+              <button
+                onClick={() => alarm.preview(sound.tone, sound.volume)}
+                disabled={!sound.enabled}
+                style={{ ...inputStyle, cursor: "pointer" }}
+              >
+                {t("attentionSettings.test")}
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </details>
+  );
+}
+
+export default AttentionSettings;
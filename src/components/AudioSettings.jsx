@@ -0,0 +1,139 @@
+import { useMediaDevices } from "../hooks/useVideoDevices";
+
+const inputStyle = {
+  background: "#020617",
+  color: "#e5e7eb",
+  border: "1px solid rgba(30,64,175,0.7)",
+  borderRadius: "0.5rem",
+  padding: "0.35rem 0.5rem",
+  fontSize: "0.8rem",
+};
+
+// 🎙 Opt-in microphone capture for the voice stress signal
+function AudioSettings({ i18n, audio, onChange, rooms, microphoneState }) {
+  const { t } = i18n;
+  const [microphones, refreshMicrophones] = useMediaDevices("audioinput");
+
+  return (
+    <details
+      style={{
+        marginTop: "0.9rem",
+        fontSize: "0.8rem",
+        background: "rgba(15,23,42,0.9)",
+        borderRadius: "0.7rem",
+        padding: "0.55rem 0.8rem",
+        border: "1px solid rgba(30,64,175,0.5)",
+      }}
+    >
+      <summary style={{ cursor: "pointer", opacity: 0.85 }}>
+        {t("audioSettings.summary", {
+          state: t(`audioSettings.state.${microphoneState.state}`),
+        })}
+        {audio.enabled &&
+          audio.sendMode === "clip" &&
+          `, ${t("audioSettings.sendingClips")}`}
+      </summary>
+
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "auto 1fr",
+          gap: "0.5rem 0.8rem",
+          alignItems: "center",
+          marginTop: "0.7rem",
+        }}
+      >
+        <label htmlFor="audio-enabled">{t("audioSettings.enabled")}</label>
+        <input
+          id="audio-enabled"
+          type="checkbox"
+          checked={audio.enabled}
+          onChange={(e) => {
+            onChange({ enabled: e.target.checked });
+            // Device names only show up once access has been granted
+            if (e.target.checked) setTimeout(refreshMicrophones, 1000);
+          }}
+          style={{ justifySelf: "start" }}
+        />
+
+        <label htmlFor="audio-device">{t("audioSettings.device")}</label>
+        <select
+          id="audio-device"
+          value={audio.deviceId}
+          onChange={(e) => onChange({ deviceId: e.target.value })}
+          style={inputStyle}
+        >
+          <option value="">{t("audioSettings.defaultDevice")}</option>
+          {microphones.map((mic, i) => (
+            <option key={mic.deviceId || i} value={mic.deviceId}>
+              {mic.label || t("audioSettings.deviceNumber", { number: i + 1 })}
+            </option>
+          ))}
+        </select>
+
+        <label htmlFor="audio-room">{t("audioSettings.room")}</label>
+        <select
+          id="audio-room"
+          value={audio.roomId}
+          onChange={(e) => onChange({ roomId: e.target.value })}
+          style={inputStyle}
+        >
+          <option value="">
+            {rooms[0]?.name ?? t("audioSettings.firstRoom")}
+          </option>
+          {rooms.slice(1).map((room) => (
+            <option key={room.id} value={room.id}>
+              {room.name}
+            </option>
+          ))}
+        </select>
+
+        <label htmlFor="audio-send">{t("audioSettings.send")}</label>
+        <select
+          id="audio-send"
+          value={audio.sendMode}
+          onChange={(e) => onChange({ sendMode: e.target.value })}
+          style={inputStyle}
+        >
+          <option value="features">{t("audioSettings.sendFeatures")}</option>
+          <option value="clip">{t("audioSettings.sendClip")}</option>
+        </select>
+
+        <label htmlFor="audio-window">{t("audioSettings.window")}</label>
+        <input
+          id="audio-window"
+          type="number"
+          min={1}
+          max={10}
+          value={audio.windowMs / 1000}
+          onChange={(e) =>
+            onChange({
+              windowMs:
+                Math.min(10, Math.max(1, Number(e.target.value))) * 1000,
+            })
+          }
+          style={{ ...inputStyle, width: "5rem" }}
+        />
+
+        <label htmlFor="audio-shout">{t("audioSettings.shout")}</label>
+        <input
+          id="audio-shout"
+          type="number"
+          min={-40}
+          max={0}
+          value={audio.shoutDb}
+          onChange={(e) => onChange({ shoutDb: Number(e.target.value) })}
+          style={{ ...inputStyle, width: "5rem" }}
+        />
+      </div>
+
+      {microphoneState.error && (
+        <div style={{ color: "#fecaca", marginTop: "0.5rem" }}>
+          {microphoneState.error}
+        </div>
+      )}
+    </details>
+  );
+}
+
+export default AudioSettings;
@@ -0,0 +1,99 @@
+import {
+  BACKEND_ENVIRONMENTS,
+  DEFAULT_ENVIRONMENT,
+  resolveBackendUrl,
+} from "../api/backendClient";
+
+const inputStyle = {
+  background: "#020617",
+  color: "#e5e7eb",
+  border: "1px solid rgba(30,64,175,0.7)",
+  borderRadius: "0.5rem",
+  padding: "0.35rem 0.5rem",
+  fontSize: "0.8rem",
+};
+
+// 🌐 Backend selection: named environment, custom URL and request timeout
+// Environment names are "backendSettings.env.<key>"
+function BackendSettings({ i18n, backend, onChange }) {
+  const { t } = i18n;
+  const resolvedUrl = resolveBackendUrl(backend);
+
+  return (
+    <details
+      style={{
+        marginTop: "0.9rem",
+        fontSize: "0.8rem",
+        background: "rgba(15,23,42,0.9)",
+        borderRadius: "0.7rem",
+        padding: "0.55rem 0.8rem",
+        border: "1px solid rgba(30,64,175,0.5)",
+      }}
+    >
+      <summary style={{ cursor: "pointer", opacity: 0.85 }}>
+        {t("backendSettings.summary", {
+          url: resolvedUrl || t("backendSettings.notConfigured"),
+        })}
+      </summary>
+
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "auto 1fr",
+          gap: "0.5rem 0.8rem",
+          alignItems: "center",
+          marginTop: "0.7rem",
+        }}
+      >
+        <label htmlFor="backend-env">{t("backendSettings.environment")}</label>
+        <select
+          id="backend-env"
+          value={backend.environment}
+          onChange={(e) => onChange({ environment: e.target.value })}
+          style={inputStyle}
+        >
+          <option value="">
+            {t("backendSettings.default", {
+              name: import.meta.env.VITE_BACKEND_URL
+                ? "VITE_BACKEND_URL"
+                : BACKEND_ENVIRONMENTS[DEFAULT_ENVIRONMENT]
+                ? t(`backendSettings.env.${DEFAULT_ENVIRONMENT}`)
+                : DEFAULT_ENVIRONMENT,
+            })}
+          </option>
+          {Object.entries(BACKEND_ENVIRONMENTS).map(([key, env]) => (
+            <option key={key} value={key} disabled={!env.url}>
+              {t(`backendSettings.env.${key}`)}
+              {env.url ? "" : ` ${t("backendSettings.noUrl")}`}
+            </option>
+          ))}
+        </select>
+
+        <label htmlFor="backend-url">{t("backendSettings.customUrl")}</label>
+        <input
+          id="backend-url"
+          type="url"
+          placeholder={t("backendSettings.customUrlPlaceholder")}
+          value={backend.customUrl}
+          onChange={(e) => onChange({ customUrl: e.target.value })}
+          style={inputStyle}
+        />
+
+        <label htmlFor="backend-timeout">{t("backendSettings.timeout")}</label>
+        <input
+          id="backend-timeout"
+          type="number"
+          min={1}
+          max={120}
+          value={Math.round(backend.timeoutMs / 1000)}
+          onChange={(e) =>
+            onChange({ timeoutMs: Math.max(1, Number(e.target.value)) * 1000 })
+          }
+          style={{ ...inputStyle, width: "5rem" }}
+        />
+      </div>
+    </details>
+  );
+}
+
+export default BackendSettings;
@@ -0,0 +1,88 @@
+import { useEffect, useState } from "react";
+import { getClip } from "../recording/clipStore";
+
+// 🎞 Plays a stored event clip, with a download link. The clip is loaded
+// from IndexedDB on demand; its object URL is released on unmount.
+function ClipPlayer({ i18n, clipId }) {
+  const { t } = i18n;
+  const [clip, setClip] = useState(null);
+  const [state, setState] = useState("loading");
+
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+
+    getClip(clipId)
+      .then((stored) => {
+        if (cancelled) return;
+        if (!stored) {
+          setState("missing");
+          return;
+        }
+        url = URL.createObjectURL(stored.blob);
+        setClip({ ...stored, url });
+        setState("ready");
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("Could not load clip:", err);
+        setState("missing");
+      });
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [clipId]);
+
+  if (state === "loading") {
+    return <div style={{ opacity: 0.7 }}>{t("clip.loading")}</div>;
+  }
+  if (state === "missing") {
+    return <div style={{ opacity: 0.7 }}>{t("clip.missing")}</div>;
+  }
+
+  const before = Math.round((clip.eventAt - clip.startedAt) / 1000);
+  const after = Math.round((clip.endedAt - clip.eventAt) / 1000);
+  const extension = clip.mimeType.includes("mp4") ? "mp4" : "webm";
+  const stamp = new Date(clip.eventAt)
+    .toISOString()
+    .slice(0, 19)
+    .replace(/[:T]/g, "-");
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "0.35rem" }}>
+      <video
+        src={clip.url}
+        controls
+        playsInline
+        style={{
+          width: "100%",
+          borderRadius: "0.7rem",
+          background: "black",
+        }}
+      />
+      <div
+        style={{
+          display: "flex",
+          gap: "0.6rem",
+          alignItems: "center",
+          fontSize: "0.78rem",
+        }}
+      >
+        <span style={{ opacity: 0.7, flex: 1 }}>
+          {t("clip.caption", { time: i18n.time(clip.eventAt), before, after })}
+        </span>
+        <a
+          href={clip.url}
+          download={`smart-safe-room-clip-${stamp}.${extension}`}
+          style={{ color: "#93c5fd" }}
+        >
+          {t("clip.download")}
+        </a>
+      </div>
+    </div>
+  );
+}
+
+export default ClipPlayer;
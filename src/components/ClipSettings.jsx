@@ -0,0 +1,102 @@
+import { eventRecordingSupported } from "../recording/eventRecorder";
+
+const inputStyle = {
+  background: "#020617",
+  color: "#e5e7eb",
+  border: "1px solid rgba(30,64,175,0.7)",
+  borderRadius: "0.5rem",
+  padding: "0.35rem 0.5rem",
+  fontSize: "0.8rem",
+};
+
+// 🎞 Opt-in event clips: video from before to after every EMERGENCY
+function ClipSettings({ i18n, clips, onChange, privacy, rooms }) {
+  const { t } = i18n;
+  const filtered =
+    privacy.blurFaces || rooms.some((r) => r.privacyMasks?.length > 0);
+
+  return (
+    <details
+      style={{
+        marginTop: "0.9rem",
+        fontSize: "0.8rem",
+        background: "rgba(15,23,42,0.9)",
+        borderRadius: "0.7rem",
+        padding: "0.55rem 0.8rem",
+        border: "1px solid rgba(30,64,175,0.5)",
+      }}
+    >
+      <summary style={{ cursor: "pointer", opacity: 0.85 }}>
+        {clips.enabled
+          ? t("clipSettings.summary", {
+              before: clips.preSec,
+              after: clips.postSec,
+            })
+          : t("clipSettings.summaryOff")}
+      </summary>
+
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "auto 1fr",
+          gap: "0.5rem 0.8rem",
+          alignItems: "center",
+          marginTop: "0.7rem",
+        }}
+      >
+        <label htmlFor="clips-enabled">{t("clipSettings.enabled")}</label>
+        <input
+          id="clips-enabled"
+          type="checkbox"
+          checked={clips.enabled}
+          disabled={!eventRecordingSupported()}
+          onChange={(e) => onChange({ enabled: e.target.checked })}
+          style={{ justifySelf: "start" }}
+        />
+
+        <label htmlFor="clips-pre">{t("clipSettings.pre")}</label>
+        <input
+          id="clips-pre"
+          type="number"
+          min={5}
+          max={60}
+          value={clips.preSec}
+          onChange={(e) =>
+            onChange({
+              preSec: Math.min(60, Math.max(5, Number(e.target.value))),
+            })
+          }
+          style={{ ...inputStyle, width: "5rem" }}
+        />
+
+        <label htmlFor="clips-post">{t("clipSettings.post")}</label>
+        <input
+          id="clips-post"
+          type="number"
+          min={5}
+          max={120}
+          value={clips.postSec}
+          onChange={(e) =>
+            onChange({
+              postSec: Math.min(120, Math.max(5, Number(e.target.value))),
+            })
+          }
+          style={{ ...inputStyle, width: "5rem" }}
+        />
+      </div>
+
+      <p style={{ margin: "0.6rem 0 0", opacity: 0.75 }}>
+        {eventRecordingSupported()
+          ? t("clipSettings.explain")
+          : t("clipSettings.unsupported")}
+      </p>
+      {clips.enabled && filtered && (
+        <p style={{ margin: "0.4rem 0 0", color: "#fde68a" }}>
+          {t("clipSettings.unfiltered")}
+        </p>
+      )}
+    </details>
+  );
+}
+
+export default ClipSettings;
@@ -0,0 +1,82 @@
+// 🔲 Bounding boxes drawn over a video or image showing the analyzed frame.
+// The SVG uses the frame's own pixel size as its viewBox; the matching
+// preserveAspectRatio ("slice" for objectFit: cover, "meet" for contain)
+// makes the browser scale and crop the boxes exactly like the media below.
+const FIT_ASPECT = {
+  cover: "xMidYMid slice",
+  contain: "xMidYMid meet",
+};
+
+function boxColor(item) {
+  if (item.posture === "lying") return "#f97316";
+  return item.label === "person" ? "#22c55e" : "#60a5fa";
+}
+
+function DetectionOverlay({ detections, fit = "cover" }) {
+  if (!detections) return null;
+
+  const { width, height, items } = detections;
+  // Labels stay readable regardless of the frame resolution
+  const fontSize = Math.max(12, Math.round(width / 45));
+
+  return (
+    <svg
+      viewBox={`0 0 ${width} ${height}`}
+      preserveAspectRatio={FIT_ASPECT[fit]}
+      aria-hidden="true"
+      style={{
+        position: "absolute",
+        inset: 0,
+        width: "100%",
+        height: "100%",
+        pointerEvents: "none",
+      }}
+    >
+      {items.map((item, i) => {
+        const color = boxColor(item);
+        const label = [
+          item.label,
+          item.posture,
+          item.confidence != null && `${Math.round(item.confidence * 100)}%`,
+        ]
+          .filter(Boolean)
+          .join(" · ");
+        // Put the label inside the box when it would leave the frame
+        const labelY =
+          item.y > fontSize * 1.4
+            ? item.y - fontSize * 0.4
+            : item.y + fontSize * 1.1;
+
+        return (
+          <g key={i}>
+            <rect
+              x={item.x}
+              y={item.y}
+              width={item.w}
+              height={item.h}
+              fill="none"
+              stroke={color}
+              strokeWidth={2}
+              vectorEffect="non-scaling-stroke"
+              rx={4}
+            />
+            <text
+              x={item.x + 4}
+              y={labelY}
+              fill={color}
+              fontSize={fontSize}
+              fontWeight={600}
+              paintOrder="stroke"
+              stroke="rgba(2,6,23,0.85)"
+              strokeWidth={fontSize / 5}
+            >
+              {label}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+export default DetectionOverlay;
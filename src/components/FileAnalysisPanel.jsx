@@ -0,0 +1,396 @@
+import { useRef, useState } from "react";
+import { downloadFile } from "../history/exportHistory";
+import { useFileAnalyzer } from "../hooks/useFileAnalyzer";
+import { formatMediaTime, mediaKind } from "../offline/mediaFiles";
+import { STATUSES, isAlertStatus, statusPillStyle } from "../utils/status";
+import StatusTimeline from "./StatusTimeline";
+
+const inputStyle = {
+  background: "#020617",
+  color: "#e5e7eb",
+  border: "1px solid rgba(30,64,175,0.7)",
+  borderRadius: "0.5rem",
+  padding: "0.3rem 0.45rem",
+  fontSize: "0.78rem",
+};
+
+const smallButtonStyle = (disabled) => ({
+  borderRadius: "999px",
+  padding: "0.25rem 0.75rem",
+  border: "1px solid rgba(148,163,184,0.6)",
+  background: "rgba(15,23,42,0.9)",
+  color: "#e5e7eb",
+  fontSize: "0.78rem",
+  opacity: disabled ? 0.4 : 1,
+  cursor: disabled ? "default" : "pointer",
+});
+
+// Run results in a form that diffs well between backend versions
+function runToJson(run) {
+  return JSON.stringify(
+    {
+      file: run.file.name,
+      analyzedAt: new Date(run.startedAt).toISOString(),
+      backend: run.backendUrl,
+      intervalMs: run.file.kind === "video" ? run.intervalMs : null,
+      frames: run.frames.map((f) => ({
+        time: formatMediaTime(f.offsetMs),
+        offsetMs: f.offsetMs,
+        status: f.status,
+        reason: f.reason,
+        peopleCount: f.peopleCount,
+        fallRisk: f.fallRisk,
+        voiceStress: f.voiceStress,
+        schemaVersion: f.schemaVersion,
+        issues: f.issues,
+      })),
+    },
+    null,
+    2
+  );
+}
+
+// 📼 Re-check past incidents and compare backend versions on fixed
+// recordings: drop an image or a video (e.g. a CCTV export), analyze it
+// every few seconds and browse the result on its own timeline.
+// Results are stored in the incident history; no alerts are raised.
+function FileAnalysisPanel({
+  i18n,
+  backend,
+  privacy,
+  offline,
+  onChange,
+  onStored,
+}) {
+  const { t } = i18n;
+  const [analyzer, run] = useFileAnalyzer();
+  const [file, setFile] = useState(null);
+  const [dragOver, setDragOver] = useState(false);
+  // Name of a dropped file that is neither an image nor a video
+  const [rejected, setRejected] = useState("");
+  const videoRef = useRef(null);
+
+  const busy = run.state === "loading" || run.state === "running";
+  const sizeMb = file && (file.size / 1e6).toFixed(1);
+
+  const pickFile = (picked) => {
+    if (!picked) return;
+    if (!mediaKind(picked)) {
+      setRejected(picked.name);
+      return;
+    }
+    setRejected("");
+    setFile(picked);
+  };
+
+  const start = () =>
+    analyzer.start(file, {
+      backend,
+      intervalMs: offline.intervalSec * 1000,
+      blurFaces: privacy.blurFaces,
+      onStored,
+    });
+
+  const seek = (offsetMs) => {
+    const video = videoRef.current;
+    if (!video) return;
+    video.currentTime = offsetMs / 1000;
+    video.scrollIntoView({ block: "nearest" });
+  };
+
+  const counts = STATUSES.map((s) => [
+    s,
+    run.frames.filter((f) => f.status === s).length,
+  ]).filter(([, n]) => n > 0);
+  const notable = run.frames.filter(
+    (f) => isAlertStatus(f.status) || f.fallRisk || f.voiceStress
+  );
+
+  return (
+    <details
+      style={{
+        background: "rgba(15,23,42,0.95)",
+        borderRadius: "1rem",
+        padding: "0.9rem 1.1rem",
+        border: "1px solid rgba(30,64,175,0.6)",
+        fontSize: "0.83rem",
+      }}
+    >
+      <summary style={{ cursor: "pointer", fontSize: "0.9rem", opacity: 0.9 }}>
+        {t("recording.heading")}
+        {run.file && (
+          <span style={{ opacity: 0.6 }}>
+            {" "}
+            · {run.file.name} · {t(`recording.state.${run.state}`)}
+          </span>
+        )}
+      </summary>
+
+      <div
+        style={{
+          display: "flex",
+          flexDirection: "column",
+          gap: "0.7rem",
+          marginTop: "0.7rem",
+        }}
+      >
+        {/* FILE */}
+        <label
+          onDragOver={(e) => {
+            e.preventDefault();
+            setDragOver(true);
+          }}
+          onDragLeave={() => setDragOver(false)}
+          onDrop={(e) => {
+            e.preventDefault();
+            setDragOver(false);
+            pickFile(e.dataTransfer.files[0]);
+          }}
+          style={{
+            border: `1px dashed ${
+              dragOver ? "rgba(96,165,250,0.9)" : "rgba(148,163,184,0.5)"
+            }`,
+            background: dragOver ? "rgba(30,64,175,0.25)" : "#020617",
+            borderRadius: "0.7rem",
+            padding: "0.9rem",
+            textAlign: "center",
+            cursor: "pointer",
+            opacity: 0.9,
+          }}
+        >
+          <input
+            type="file"
+            accept="image/*,video/*"
+            onChange={(e) => {
+              pickFile(e.target.files[0]);
+              e.target.value = "";
+            }}
+            style={{ display: "none" }}
+          />
+          {file
+            ? t("recording.picked", { name: file.name, size: sizeMb })
+            : t("recording.drop")}
+        </label>
+        {rejected && (
+          <p style={{ margin: 0, color: "#fecaca" }}>
+            {t("recording.rejected", { name: rejected })}
+          </p>
+        )}
+
+        {/* RUN */}
+        <div
+          style={{
+            display: "flex",
+            gap: "0.5rem",
+            alignItems: "center",
+            flexWrap: "wrap",
+          }}
+        >
+          <label
+            style={{ display: "flex", gap: "0.3rem", alignItems: "center" }}
+          >
+            {t("recording.every")}
+            <input
+              type="number"
+              min={1}
+              max={600}
+              value={offline.intervalSec}
+              onChange={(e) =>
+                onChange({
+                  intervalSec: Math.min(
+                    600,
+                    Math.max(1, Number(e.target.value) || 1)
+                  ),
+                })
+              }
+              disabled={busy}
+              style={{ ...inputStyle, width: "4rem" }}
+            />
+            {t("recording.secondsOfVideo")}
+          </label>
+          {busy ? (
+            <button
+              onClick={() => analyzer.cancel()}
+              style={smallButtonStyle(false)}
+            >
+              {t("recording.stop")}
+            </button>
+          ) : (
+            <button
+              onClick={start}
+              disabled={!file}
+              style={smallButtonStyle(!file)}
+            >
+              {run.file?.name === file?.name
+                ? t("recording.analyzeAgain")
+                : t("recording.analyze")}
+            </button>
+          )}
+          {run.state !== "idle" && (
+            <span style={{ opacity: 0.75 }}>
+              {t(`recording.state.${run.state}`)}
+              {run.total > 0 &&
+                ` · ${t("recording.progress", {
+                  done: run.frames.length,
+                  count: run.total,
+                })}`}
+            </span>
+          )}
+          <button
+            onClick={() =>
+              downloadFile(
+                runToJson(run),
+                `smart-safe-room-${run.file.name}-${run.startedAt}.json`,
+                "application/json"
+              )
+            }
+            disabled={busy || run.frames.length === 0}
+            style={{
+              ...smallButtonStyle(busy || run.frames.length === 0),
+              marginLeft: "auto",
+            }}
+          >
+            {t("recording.export")}
+          </button>
+        </div>
+
+        {run.total > 0 && (
+          <progress
+            value={run.frames.length}
+            max={run.total}
+            style={{ width: "100%" }}
+          />
+        )}
+        {run.error && (
+          <p style={{ margin: 0, color: "#fecaca" }}>
+            {t("recording.stoppedAt", {
+              frame: run.frames.length + 1,
+              error: i18n.message(run.error),
+            })}
+          </p>
+        )}
+        <p style={{ margin: 0, opacity: 0.7 }}>
+          {t(
+            privacy.blurFaces
+              ? "recording.explainBlurred"
+              : "recording.explain",
+            { url: backend.baseUrl }
+          )}
+        </p>
+
+        {/* RESULT */}
+        {run.file && (
+          <>
+            {run.file.kind === "video" ? (
+              <video
+                ref={videoRef}
+                src={run.file.url}
+                controls
+                muted
+                style={{
+                  width: "100%",
+                  maxHeight: "320px",
+                  borderRadius: "0.7rem",
+                  background: "black",
+                }}
+              />
+            ) : (
+              <img
+                src={run.file.url}
+                alt={run.file.name}
+                style={{
+                  width: "100%",
+                  maxHeight: "320px",
+                  objectFit: "contain",
+                  borderRadius: "0.7rem",
+                  background: "black",
+                }}
+              />
+            )}
+
+            {run.file.kind === "video" && (
+              <StatusTimeline
+                i18n={i18n}
+                recording={{
+                  title: t("timeline.recording", { name: run.file.name }),
+                  durationMs: run.file.durationMs,
+                  points: run.frames.map((f) => ({
+                    ...f,
+                    timestamp: f.offsetMs,
+                  })),
+                }}
+                onSeek={seek}
+              />
+            )}
+
+            {counts.length > 0 && (
+              <div style={{ display: "flex", gap: "0.4rem", flexWrap: "wrap" }}>
+                {counts.map(([s, n]) => (
+                  <span key={s} style={statusPillStyle(s)}>
+                    {n} × {i18n.status(s)}
+                  </span>
+                ))}
+              </div>
+            )}
+
+            {notable.length > 0 && (
+              <ul
+                style={{
+                  listStyle: "none",
+                  padding: 0,
+                  margin: 0,
+                  display: "flex",
+                  flexDirection: "column",
+                  gap: "0.35rem",
+                }}
+              >
+                {notable.map((f) => (
+                  <li
+                    key={f.id}
+                    role="button"
+                    tabIndex={0}
+                    title={t("recording.showMoment")}
+                    onClick={() => seek(f.offsetMs)}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter" || e.key === " ") {
+                        e.preventDefault();
+                        seek(f.offsetMs);
+                      }
+                    }}
+                    style={{
+                      cursor: "pointer",
+                      display: "flex",
+                      gap: "0.5rem",
+                      alignItems: "center",
+                    }}
+                  >
+                    <span style={{ opacity: 0.6, minWidth: "3.2rem" }}>
+                      {formatMediaTime(f.offsetMs)}
+                    </span>
+                    <span style={statusPillStyle(f.status)}>
+                      {i18n.status(f.status)}
+                    </span>
+                    <span
+                      style={{
+                        flex: 1,
+                        whiteSpace: "nowrap",
+                        overflow: "hidden",
+                        textOverflow: "ellipsis",
+                      }}
+                    >
+                      {f.reason || t("recording.noReason")}
+                      {f.fallRisk && ` · ${t("recording.fallRisk")}`}
+                      {f.voiceStress && ` · ${t("recording.voiceStress")}`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+      </div>
+    </details>
+  );
+}
+
+export default FileAnalysisPanel;
@@ -0,0 +1,164 @@
+import { useEffect } from "react";
+import { describeSchemaIssues, normalizeAnalysis } from "../api/analysisSchema";
+import { statusPillStyle } from "../utils/status";
+import { extractDetections } from "../vision/detections";
+import ClipPlayer from "./ClipPlayer";
+import DetectionOverlay from "./DetectionOverlay";
+
+// 🧊 A history entry's analyzed frame with its detection boxes and the
+// AI's decision next to it, so operators can see why it decided as it did.
+function FrozenFrameView({ i18n, entry, onClose }) {
+  const { t } = i18n;
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const image = entry.snapshot ?? entry.thumbnail;
+  // Entries keep the raw response; read it the same way live results are
+  const analysis = normalizeAnalysis(entry.response);
+  const detections = extractDetections(analysis, entry.frameSize);
+  const schemaProblems = describeSchemaIssues(analysis);
+  const decision = entry.aiDecision ?? {};
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-label={t("frame.label")}
+      onClick={onClose}
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(2,6,23,0.8)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        padding: "1.5rem",
+        zIndex: 50,
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: "rgba(15,23,42,0.98)",
+          borderRadius: "1rem",
+          border: "1px solid rgba(30,64,175,0.7)",
+          padding: "1rem",
+          maxWidth: "960px",
+          width: "100%",
+          maxHeight: "100%",
+          overflow: "auto",
+          display: "flex",
+          gap: "1rem",
+          flexWrap: "wrap",
+        }}
+      >
+        <div style={{ flex: "2 1 380px" }}>
+          {image ? (
+            <div style={{ position: "relative" }}>
+              <img
+                src={image}
+                alt={t("frame.label")}
+                style={{
+                  width: "100%",
+                  display: "block",
+                  borderRadius: "0.7rem",
+                }}
+              />
+              <DetectionOverlay detections={detections} fit="contain" />
+            </div>
+          ) : (
+            <p style={{ opacity: 0.7 }}>{t("frame.noImage")}</p>
+          )}
+          {entry.clipId != null && (
+            <div style={{ marginTop: "0.7rem" }}>
+              <ClipPlayer i18n={i18n} clipId={entry.clipId} />
+            </div>
+          )}
+        </div>
+
+        <div
+          style={{
+            flex: "1 1 220px",
+            fontSize: "0.85rem",
+            display: "flex",
+            flexDirection: "column",
+            gap: "0.5rem",
+          }}
+        >
+          <div style={{ display: "flex", gap: "0.5rem", alignItems: "center" }}>
+            <span style={statusPillStyle(entry.status)}>
+              {i18n.status(entry.status)}
+            </span>
+            <span style={{ opacity: 0.7 }}>
+              {i18n.dateTime(entry.timestamp)}
+              {entry.roomName && ` · ${entry.roomName}`}
+            </span>
+          </div>
+          {decision.reason && (
+            <div>
+              <strong>{t("result.reason")}</strong> {decision.reason}
+            </div>
+          )}
+          {decision.action && (
+            <div>
+              <strong>{t("result.action")}</strong> {decision.action}
+            </div>
+          )}
+          {schemaProblems && (
+            <div style={{ color: "#fde68a" }}>
+              {t("frame.schemaProblems", { issues: schemaProblems })}
+            </div>
+          )}
+          {entry.sceneDescription && (
+            <div style={{ opacity: 0.8 }}>{entry.sceneDescription}</div>
+          )}
+          <div>
+            <strong>{t("frame.detections")}</strong>{" "}
+            {detections
+              ? detections.items
+                  .map((d) =>
+                    [
+                      d.label,
+                      d.posture,
+                      d.confidence != null &&
+                        `${Math.round(d.confidence * 100)}%`,
+                    ]
+                      .filter(Boolean)
+                      .join(" ")
+                  )
+                  .join(", ")
+              : t("frame.noDetections")}
+          </div>
+          {!entry.snapshot && entry.thumbnail && (
+            <div style={{ opacity: 0.6, fontSize: "0.75rem" }}>
+              {t("frame.thumbnailOnly")}
+            </div>
+          )}
+          <button
+            onClick={onClose}
+            style={{
+              marginTop: "auto",
+              alignSelf: "flex-end",
+              borderRadius: "999px",
+              padding: "0.3rem 0.9rem",
+              border: "1px solid rgba(148,163,184,0.6)",
+              background: "rgba(15,23,42,0.9)",
+              color: "#e5e7eb",
+              cursor: "pointer",
+            }}
+          >
+            {t("frame.close")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default FrozenFrameView;
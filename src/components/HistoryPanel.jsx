@@ -0,0 +1,416 @@
+import { useEffect, useState } from "react";
+import {
+  downloadFile,
+  historyToCsv,
+  historyToJson,
+  historyToReportHtml,
+  printReport,
+} from "../history/exportHistory";
+import { loadHistoryDetails, queryHistory } from "../history/historyStore";
+import { formatMediaTime } from "../offline/mediaFiles";
+import { STATUSES, statusPillStyle } from "../utils/status";
+import FrozenFrameView from "./FrozenFrameView";
+
+const PAGE_SIZE = 8;
+
+const inputStyle = {
+  background: "#020617",
+  color: "#e5e7eb",
+  border: "1px solid rgba(30,64,175,0.7)",
+  borderRadius: "0.5rem",
+  padding: "0.3rem 0.45rem",
+  fontSize: "0.78rem",
+};
+
+const smallButtonStyle = (disabled) => ({
+  borderRadius: "999px",
+  padding: "0.25rem 0.75rem",
+  border: "1px solid rgba(148,163,184,0.6)",
+  background: "rgba(15,23,42,0.9)",
+  color: "#e5e7eb",
+  fontSize: "0.78rem",
+  opacity: disabled ? 0.4 : 1,
+  cursor: disabled ? "default" : "pointer",
+});
+
+// "2025-01-31" → local midnight / end of day timestamps
+function dayStart(value) {
+  return value ? new Date(`${value}T00:00:00`).getTime() : null;
+}
+function dayEnd(value) {
+  return value ? new Date(`${value}T23:59:59.999`).getTime() : null;
+}
+
+function toQuery(filters, roomId) {
+  return {
+    roomId,
+    statuses: filters.statuses,
+    from: dayStart(filters.fromDate),
+    to: dayEnd(filters.toDate),
+    text: filters.text,
+  };
+}
+
+function formatTimestamp(ts, i18n) {
+  const sameDay = new Date(ts).toDateString() === new Date().toDateString();
+  return sameDay
+    ? i18n.time(ts)
+    : i18n.dateTime(ts, {
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+}
+
+// 🕘 Persistent incident history with filters and pagination.
+// `refreshToken` changes whenever a new entry is stored so the list reloads.
+function HistoryPanel({ i18n, refreshToken, rooms = [], selectedRoomId }) {
+  const { t } = i18n;
+  const [filters, setFilters] = useState({
+    statuses: [],
+    fromDate: "",
+    toDate: "",
+    text: "",
+  });
+  const [page, setPage] = useState(0);
+  const [data, setData] = useState({ entries: [], total: 0 });
+  // Catalog key of the last store failure, "" when fine
+  const [storeError, setStoreError] = useState("");
+  const [viewing, setViewing] = useState(null);
+  const [allRooms, setAllRooms] = useState(false);
+
+  // Single-room setups also see entries stored before rooms existed
+  const roomId = allRooms || rooms.length <= 1 ? null : selectedRoomId;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    queryHistory(toQuery(filters, roomId), {
+      offset: page * PAGE_SIZE,
+      limit: PAGE_SIZE,
+    })
+      .then((next) => {
+        if (cancelled) return;
+        setData(next);
+        setStoreError("");
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("History query failed:", err);
+        setStoreError("history.loadFailed");
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [filters, roomId, page, refreshToken]);
+
+  const updateFilters = (patch) => {
+    setFilters((prev) => ({ ...prev, ...patch }));
+    setPage(0);
+  };
+
+  const toggleStatus = (s) =>
+    updateFilters({
+      statuses: filters.statuses.includes(s)
+        ? filters.statuses.filter((x) => x !== s)
+        : [...filters.statuses, s],
+    });
+
+  // 📤 Export everything matching the current filters, not just this page
+  const handleExport = async (format) => {
+    try {
+      const { entries } = await queryHistory(toQuery(filters, roomId), {
+        limit: Infinity,
+        details: true,
+      });
+      const stamp = new Date().toISOString().slice(0, 16).replace(/[:T]/g, "-");
+
+      if (format === "json") {
+        downloadFile(
+          historyToJson(entries),
+          `smart-safe-room-${stamp}.json`,
+          "application/json"
+        );
+      } else if (format === "csv") {
+        downloadFile(
+          historyToCsv(entries),
+          `smart-safe-room-${stamp}.csv`,
+          "text/csv;charset=utf-8"
+        );
+      } else {
+        printReport(
+          historyToReportHtml(entries, i18n),
+          `smart-safe-room-report-${stamp}.html`
+        );
+      }
+    } catch (err) {
+      console.error("Export failed:", err);
+      setStoreError("history.exportFailed");
+    }
+  };
+
+  // The list holds no snapshots; fetch the entry's before showing it
+  const openEntry = (item) =>
+    loadHistoryDetails(item)
+      .catch((err) => {
+        console.error("Could not load the stored frame:", err);
+        return item;
+      })
+      .then(setViewing);
+
+  const pageCount = Math.max(1, Math.ceil(data.total / PAGE_SIZE));
+
+  return (
+    <div
+      style={{
+        background: "rgba(15,23,42,0.95)",
+        borderRadius: "1rem",
+        padding: "0.9rem 1.1rem",
+        border: "1px solid rgba(30,64,175,0.6)",
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          marginBottom: "0.5rem",
+          fontSize: "0.9rem",
+        }}
+      >
+        <span style={{ opacity: 0.9 }}>{t("history.heading")}</span>
+        <span style={{ opacity: 0.6 }}>
+          {t("history.stored", { count: data.total })}
+        </span>
+      </div>
+
+      {/* EXPORT */}
+      <div
+        style={{
+          display: "flex",
+          gap: "0.4rem",
+          marginBottom: "0.6rem",
+          alignItems: "center",
+        }}
+      >
+        {["json", "csv", "report"].map((format) => (
+          <button
+            key={format}
+            onClick={() => handleExport(format)}
+            disabled={data.total === 0}
+            style={smallButtonStyle(data.total === 0)}
+          >
+            {t(`history.export.${format}`)}
+          </button>
+        ))}
+        {rooms.length > 1 && (
+          <label
+            style={{
+              marginLeft: "auto",
+              fontSize: "0.78rem",
+              opacity: 0.8,
+              display: "flex",
+              gap: "0.3rem",
+              alignItems: "center",
+            }}
+          >
+            <input
+              type="checkbox"
+              checked={allRooms}
+              onChange={(e) => {
+                setAllRooms(e.target.checked);
+                setPage(0);
+              }}
+            />
+            {t("history.allRooms")}
+          </label>
+        )}
+      </div>
+
+      {/* FILTERS */}
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          gap: "0.45rem",
+          alignItems: "center",
+          marginBottom: "0.7rem",
+        }}
+      >
+        {STATUSES.map((s) => {
+          const active = filters.statuses.includes(s);
+          return (
+            <button
+              key={s}
+              onClick={() => toggleStatus(s)}
+              aria-pressed={active}
+              style={{
+                ...statusPillStyle(active ? s : null),
+                border: "none",
+                fontSize: "0.72rem",
+                cursor: "pointer",
+                opacity: active ? 1 : 0.6,
+              }}
+            >
+              {i18n.status(s)}
+            </button>
+          );
+        })}
+        <input
+          type="date"
+          aria-label={t("history.fromDate")}
+          value={filters.fromDate}
+          onChange={(e) => updateFilters({ fromDate: e.target.value })}
+          style={inputStyle}
+        />
+        <input
+          type="date"
+          aria-label={t("history.toDate")}
+          value={filters.toDate}
+          onChange={(e) => updateFilters({ toDate: e.target.value })}
+          style={inputStyle}
+        />
+        <input
+          type="search"
+          placeholder={t("history.search")}
+          value={filters.text}
+          onChange={(e) => updateFilters({ text: e.target.value })}
+          style={{ ...inputStyle, flex: 1, minWidth: "10rem" }}
+        />
+      </div>
+
+      {storeError && (
+        <p style={{ color: "#fecaca", fontSize: "0.82rem" }}>{t(storeError)}</p>
+      )}
+
+      {!storeError && data.entries.length === 0 && (
+        <p style={{ opacity: 0.8, fontSize: "0.85rem" }}>
+          {t("history.empty")}
+        </p>
+      )}
+
+      {data.entries.length > 0 && (
+        <ul
+          style={{
+            listStyle: "none",
+            padding: 0,
+            margin: 0,
+            display: "flex",
+            flexDirection: "column",
+            gap: "0.45rem",
+          }}
+        >
+          {data.entries.map((item) => (
+            <li
+              key={item.id}
+              role="button"
+              tabIndex={0}
+              title={t("history.showFrame")}
+              onClick={() => openEntry(item)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter" || e.key === " ") {
+                  e.preventDefault();
+                  openEntry(item);
+                }
+              }}
+              style={{
+                cursor: "pointer",
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "space-between",
+                gap: "0.6rem",
+                fontSize: "0.83rem",
+              }}
+            >
+              {item.thumbnail && (
+                <img
+                  src={item.thumbnail}
+                  alt=""
+                  style={{
+                    width: "64px",
+                    height: "48px",
+                    objectFit: "cover",
+                    borderRadius: "0.4rem",
+                    flex: "0 0 auto",
+                  }}
+                />
+              )}
+              <div
+                style={{
+                  display: "flex",
+                  flexDirection: "column",
+                  gap: "0.15rem",
+                  flex: 1,
+                  minWidth: 0,
+                }}
+              >
+                <span style={{ opacity: 0.6 }}>
+                  {formatTimestamp(item.timestamp, i18n)}
+                  {roomId == null && item.roomName && ` · ${item.roomName}`}
+                  {item.source && ` @ ${formatMediaTime(item.source.offsetMs)}`}
+                  {item.peopleCount != null &&
+                    ` · ${t("history.people", { count: item.peopleCount })}`}
+                  {item.clipId != null && ` · ${t("history.clip")}`}
+                </span>
+                <span
+                  style={{
+                    whiteSpace: "nowrap",
+                    overflow: "hidden",
+                    textOverflow: "ellipsis",
+                  }}
+                >
+                  {item.summary || t("history.noSummary")}
+                </span>
+              </div>
+              <span style={statusPillStyle(item.status)}>
+                {i18n.status(item.status)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* PAGINATION */}
+      {data.total > PAGE_SIZE && (
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            marginTop: "0.7rem",
+            fontSize: "0.78rem",
+          }}
+        >
+          <button
+            onClick={() => setPage((p) => p - 1)}
+            disabled={page === 0}
+            style={smallButtonStyle(page === 0)}
+          >
+            {t("history.newer")}
+          </button>
+          <span style={{ opacity: 0.7 }}>
+            {t("history.page", { page: page + 1, pages: pageCount })}
+          </span>
+          <button
+            onClick={() => setPage((p) => p + 1)}
+            disabled={page + 1 >= pageCount}
+            style={smallButtonStyle(page + 1 >= pageCount)}
+          >
+            {t("history.older")}
+          </button>
+        </div>
+      )}
+
+      {viewing && (
+        <FrozenFrameView
+          i18n={i18n}
+          entry={viewing}
+          onClose={() => setViewing(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default HistoryPanel;
@@ -0,0 +1,114 @@
+import { STATUS_COLORS } from "../utils/status";
+
+// Shape as well as colour, for colour-blind staff
+const STATUS_ICONS = { NORMAL: "✓", WARNING: "⚠", EMERGENCY: "🚨" };
+
+// 🖥 Wall-display status board: one large high-contrast card per room,
+// readable from across the room. `rooms` are { id, name, status, reason,
+// openAlerts } with the effective (alert-escalated) status.
+function KioskBoard({
+  i18n,
+  rooms,
+  selectedRoomId,
+  stale,
+  onSelect,
+  onAcknowledge,
+}) {
+  const { t } = i18n;
+
+  return (
+    <section
+      aria-label={t("kiosk.board")}
+      style={{
+        display: "grid",
+        gridTemplateColumns: "repeat(auto-fit, minmax(260px, 1fr))",
+        gap: "1rem",
+        marginBottom: "1.5rem",
+      }}
+    >
+      {rooms.map((room) => {
+        const color = STATUS_COLORS[room.status] ?? "#9ca3af";
+        const selected = room.id === selectedRoomId;
+        return (
+          <div
+            key={room.id}
+            onClick={() => onSelect(room.id)}
+            style={{
+              background: "#000",
+              color: "#fff",
+              border: `6px solid ${color}`,
+              outline: selected ? "3px solid #fff" : "none",
+              outlineOffset: "3px",
+              borderRadius: "1rem",
+              padding: "1rem 1.2rem",
+              display: "flex",
+              flexDirection: "column",
+              gap: "0.5rem",
+              cursor: "pointer",
+            }}
+          >
+            <div style={{ fontSize: "1.4rem", fontWeight: 600 }}>
+              {room.name}
+            </div>
+            <div
+              style={{
+                fontSize: "2.6rem",
+                fontWeight: 800,
+                lineHeight: 1.1,
+                color,
+                opacity: stale ? 0.6 : 1,
+              }}
+            >
+              <span aria-hidden="true">
+                {STATUS_ICONS[room.status] ?? "–"}{" "}
+              </span>
+              {stale && room.status
+                ? t("stats.stale", { status: i18n.status(room.status) })
+                : i18n.status(room.status)}
+            </div>
+            <div style={{ fontSize: "1.1rem", lineHeight: 1.4 }}>
+              {room.reason || t("kiosk.noAnalysis")}
+            </div>
+            {room.openAlerts.length > 0 && (
+              <div
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "space-between",
+                  gap: "0.6rem",
+                  flexWrap: "wrap",
+                  fontSize: "1.1rem",
+                  fontWeight: 600,
+                }}
+              >
+                <span>
+                  🔔 {t("kiosk.openAlerts", { count: room.openAlerts.length })}
+                </span>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onAcknowledge(room.id);
+                  }}
+                  style={{
+                    fontSize: "1.1rem",
+                    fontWeight: 700,
+                    padding: "0.6rem 1.1rem",
+                    borderRadius: "0.7rem",
+                    border: "2px solid #fff",
+                    background: "#fff",
+                    color: "#000",
+                    cursor: "pointer",
+                  }}
+                >
+                  {t("kiosk.acknowledge")}
+                </button>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </section>
+  );
+}
+
+export default KioskBoard;
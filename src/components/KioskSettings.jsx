@@ -0,0 +1,133 @@
+import { fullscreenSupported } from "../hooks/useFullscreen";
+import { wakeLockSupported } from "../hooks/useWakeLock";
+
+const inputStyle = {
+  background: "#020617",
+  color: "#e5e7eb",
+  border: "1px solid rgba(30,64,175,0.7)",
+  borderRadius: "0.5rem",
+  padding: "0.35rem 0.5rem",
+  fontSize: "0.8rem",
+};
+
+// Keep in sync with the handlers in App.jsx; described by
+// "kioskSettings.shortcut.<key>"
+const SHORTCUTS = ["A", "M", "S", "K", "F"];
+
+// 🖥 Kiosk / wall display: layout, fullscreen, wake lock and shortcuts
+function KioskSettings({
+  i18n,
+  kiosk,
+  onChange,
+  wakeLock,
+  fullscreen,
+  onFullscreen,
+}) {
+  const { t } = i18n;
+
+  return (
+    <details
+      style={{
+        marginTop: "0.9rem",
+        fontSize: "0.8rem",
+        background: "rgba(15,23,42,0.9)",
+        borderRadius: "0.7rem",
+        padding: "0.55rem 0.8rem",
+        border: "1px solid rgba(30,64,175,0.5)",
+      }}
+    >
+      <summary style={{ cursor: "pointer", opacity: 0.85 }}>
+        {t(
+          kiosk.enabled ? "kioskSettings.summaryOn" : "kioskSettings.summaryOff"
+        )}
+        {kiosk.enabled && wakeLock.active
+          ? `, ${t("kioskSettings.screenKeptOn")}`
+          : ""}
+      </summary>
+
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "auto 1fr",
+          gap: "0.5rem 0.8rem",
+          alignItems: "center",
+          marginTop: "0.7rem",
+        }}
+      >
+        <label htmlFor="kiosk-enabled">{t("kioskSettings.enabled")}</label>
+        <input
+          id="kiosk-enabled"
+          type="checkbox"
+          checked={kiosk.enabled}
+          onChange={(e) => onChange({ enabled: e.target.checked })}
+          style={{ justifySelf: "start" }}
+        />
+
+        <label htmlFor="kiosk-awake">{t("kioskSettings.awake")}</label>
+        <input
+          id="kiosk-awake"
+          type="checkbox"
+          checked={kiosk.keepAwake}
+          disabled={!wakeLockSupported()}
+          onChange={(e) => onChange({ keepAwake: e.target.checked })}
+          style={{ justifySelf: "start" }}
+        />
+
+        <label htmlFor="kiosk-scale">
+          {t("kioskSettings.scale", {
+            percent: Math.round(kiosk.textScale * 100),
+          })}
+        </label>
+        <input
+          id="kiosk-scale"
+          type="range"
+          min={1}
+          max={2}
+          step={0.05}
+          value={kiosk.textScale}
+          onChange={(e) => onChange({ textScale: Number(e.target.value) })}
+        />
+
+        <label htmlFor="kiosk-shortcuts">{t("kioskSettings.shortcuts")}</label>
+        <input
+          id="kiosk-shortcuts"
+          type="checkbox"
+          checked={kiosk.shortcuts}
+          onChange={(e) => onChange({ shortcuts: e.target.checked })}
+          style={{ justifySelf: "start" }}
+        />
+
+        <span>{t("kioskSettings.fullscreen")}</span>
+        <button
+          onClick={onFullscreen}
+          disabled={!fullscreenSupported()}
+          style={{ ...inputStyle, justifySelf: "start", cursor: "pointer" }}
+        >
+          {fullscreen
+            ? t("kioskSettings.leaveFullscreen")
+            : t("kioskSettings.enterFullscreen")}
+        </button>
+      </div>
+
+      {kiosk.shortcuts && (
+        <ul style={{ margin: "0.6rem 0 0", paddingLeft: "1.1rem" }}>
+          {SHORTCUTS.map((key) => (
+            <li key={key}>
+              <kbd>{key}</kbd> {t(`kioskSettings.shortcut.${key}`)}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <p style={{ margin: "0.6rem 0 0", opacity: 0.75 }}>
+        {!wakeLockSupported()
+          ? t("kioskSettings.noWakeLock")
+          : wakeLock.error
+          ? t("kioskSettings.wakeLockFailed", { error: wakeLock.error })
+          : t("kioskSettings.explain")}
+      </p>
+    </details>
+  );
+}
+
+export default KioskSettings;
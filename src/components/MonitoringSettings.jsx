@@ -0,0 +1,239 @@
+const inputStyle = {
+  background: "#020617",
+  color: "#e5e7eb",
+  border: "1px solid rgba(30,64,175,0.7)",
+  borderRadius: "0.5rem",
+  padding: "0.35rem 0.5rem",
+  fontSize: "0.8rem",
+  width: "5rem",
+};
+
+// 🔁 Auto-monitor tuning: adaptive cadence, motion gating of uploads and
+// camera health checks
+function MonitoringSettings({
+  i18n,
+  cadence,
+  motion,
+  camera,
+  onCadenceChange,
+  onMotionChange,
+  onCameraChange,
+}) {
+  const { t } = i18n;
+
+  return (
+    <details
+      style={{
+        marginTop: "0.9rem",
+        fontSize: "0.8rem",
+        background: "rgba(15,23,42,0.9)",
+        borderRadius: "0.7rem",
+        padding: "0.55rem 0.8rem",
+        border: "1px solid rgba(30,64,175,0.5)",
+      }}
+    >
+      <summary style={{ cursor: "pointer", opacity: 0.85 }}>
+        {t("monitoringSettings.summary", {
+          seconds: Math.round(cadence.baseIntervalMs / 1000),
+        })}
+        ,{" "}
+        {t(
+          motion.enabled
+            ? "monitoringSettings.gated"
+            : "monitoringSettings.everyFrame"
+        )}
+        {camera.healthChecks ? "" : `, ${t("monitoringSettings.checksOff")}`}
+      </summary>
+
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "auto 1fr",
+          gap: "0.5rem 0.8rem",
+          alignItems: "center",
+          marginTop: "0.7rem",
+        }}
+      >
+        <label htmlFor="cadence-base">
+          {t("monitoringSettings.cadenceBase")}
+        </label>
+        <input
+          id="cadence-base"
+          type="number"
+          min={2}
+          max={600}
+          value={Math.round(cadence.baseIntervalMs / 1000)}
+          onChange={(e) =>
+            onCadenceChange({
+              baseIntervalMs: Math.max(2, Number(e.target.value)) * 1000,
+            })
+          }
+          style={inputStyle}
+        />
+
+        <label htmlFor="cadence-escalated">
+          {t("monitoringSettings.cadenceEscalated")}
+        </label>
+        <input
+          id="cadence-escalated"
+          type="number"
+          min={1}
+          max={60}
+          value={Math.round(cadence.escalatedIntervalMs / 1000)}
+          onChange={(e) =>
+            onCadenceChange({
+              escalatedIntervalMs: Math.max(1, Number(e.target.value)) * 1000,
+            })
+          }
+          style={inputStyle}
+        />
+
+        <label htmlFor="cadence-decay">
+          {t("monitoringSettings.cadenceDecay")}
+        </label>
+        <input
+          id="cadence-decay"
+          type="number"
+          min={1}
+          max={50}
+          value={cadence.decayAfterNormal}
+          onChange={(e) =>
+            onCadenceChange({
+              decayAfterNormal: Math.max(1, Number(e.target.value)),
+            })
+          }
+          style={inputStyle}
+        />
+
+        <label htmlFor="motion-enabled">
+          {t("monitoringSettings.motionEnabled")}
+        </label>
+        <input
+          id="motion-enabled"
+          type="checkbox"
+          checked={motion.enabled}
+          onChange={(e) => onMotionChange({ enabled: e.target.checked })}
+          style={{ justifySelf: "start" }}
+        />
+
+        <label htmlFor="motion-threshold">
+          {t("monitoringSettings.motionThreshold")}
+        </label>
+        <input
+          id="motion-threshold"
+          type="number"
+          min={0.5}
+          max={50}
+          step={0.5}
+          value={Math.round(motion.threshold * 1000) / 10}
+          disabled={!motion.enabled}
+          onChange={(e) =>
+            onMotionChange({ threshold: Number(e.target.value) / 100 })
+          }
+          style={inputStyle}
+        />
+
+        <label htmlFor="motion-significant">
+          {t("monitoringSettings.motionSignificant")}
+        </label>
+        <input
+          id="motion-significant"
+          type="number"
+          min={1}
+          max={100}
+          step={1}
+          value={Math.round(motion.significantThreshold * 100)}
+          disabled={!motion.enabled}
+          onChange={(e) =>
+            onMotionChange({
+              significantThreshold: Number(e.target.value) / 100,
+            })
+          }
+          style={inputStyle}
+        />
+
+        <label htmlFor="motion-heartbeat">
+          {t("monitoringSettings.motionHeartbeat")}
+        </label>
+        <input
+          id="motion-heartbeat"
+          type="number"
+          min={10}
+          max={3600}
+          value={Math.round(motion.heartbeatMs / 1000)}
+          disabled={!motion.enabled}
+          onChange={(e) =>
+            onMotionChange({
+              heartbeatMs: Math.max(10, Number(e.target.value)) * 1000,
+            })
+          }
+          style={inputStyle}
+        />
+
+        <label htmlFor="camera-checks">
+          {t("monitoringSettings.cameraChecks")}
+        </label>
+        <input
+          id="camera-checks"
+          type="checkbox"
+          checked={camera.healthChecks}
+          onChange={(e) => onCameraChange({ healthChecks: e.target.checked })}
+          style={{ justifySelf: "start" }}
+        />
+
+        <label htmlFor="camera-dark">
+          {t("monitoringSettings.cameraDark")}
+        </label>
+        <input
+          id="camera-dark"
+          type="number"
+          min={0}
+          max={128}
+          value={camera.darkLevel}
+          disabled={!camera.healthChecks}
+          onChange={(e) =>
+            onCameraChange({
+              darkLevel: Math.min(128, Math.max(0, Number(e.target.value))),
+            })
+          }
+          style={inputStyle}
+        />
+
+        <label htmlFor="camera-frozen">
+          {t("monitoringSettings.cameraFrozen")}
+        </label>
+        <input
+          id="camera-frozen"
+          type="number"
+          min={3}
+          max={300}
+          value={camera.frozenAfterSec}
+          disabled={!camera.healthChecks}
+          onChange={(e) =>
+            onCameraChange({
+              frozenAfterSec: Math.max(3, Number(e.target.value)),
+            })
+          }
+          style={inputStyle}
+        />
+
+        <label htmlFor="camera-reconnect">
+          {t("monitoringSettings.cameraReconnect")}
+        </label>
+        <input
+          id="camera-reconnect"
+          type="checkbox"
+          checked={camera.autoReconnect}
+          onChange={(e) => onCameraChange({ autoReconnect: e.target.checked })}
+          style={{ justifySelf: "start" }}
+        />
+      </div>
+
+      <p style={{ margin: "0.6rem 0 0", opacity: 0.75 }}>
+        {t("monitoringSettings.explain")}
+      </p>
+    </details>
+  );
+}
+
+export default MonitoringSettings;
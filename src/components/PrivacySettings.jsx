@@ -0,0 +1,59 @@
+import { faceDetectionSupported } from "../vision/privacy";
+
+// 🕶 Privacy mode: on-device face blur (masks are drawn per room tile)
+function PrivacySettings({ i18n, privacy, onChange, rooms }) {
+  const { t } = i18n;
+  const maskCount = rooms.reduce(
+    (sum, r) => sum + (r.privacyMasks?.length ?? 0),
+    0
+  );
+
+  return (
+    <details
+      style={{
+        marginTop: "0.9rem",
+        fontSize: "0.8rem",
+        background: "rgba(15,23,42,0.9)",
+        borderRadius: "0.7rem",
+        padding: "0.55rem 0.8rem",
+        border: "1px solid rgba(30,64,175,0.5)",
+      }}
+    >
+      <summary style={{ cursor: "pointer", opacity: 0.85 }}>
+        {t(
+          privacy.blurFaces
+            ? "privacySettings.summaryBlurred"
+            : "privacySettings.summaryVisible",
+          { count: maskCount }
+        )}
+      </summary>
+
+      <div
+        style={{
+          display: "flex",
+          flexDirection: "column",
+          gap: "0.5rem",
+          marginTop: "0.7rem",
+        }}
+      >
+        <label style={{ display: "flex", gap: "0.4rem", alignItems: "center" }}>
+          <input
+            type="checkbox"
+            checked={privacy.blurFaces}
+            onChange={(e) => onChange({ blurFaces: e.target.checked })}
+          />
+          {t("privacySettings.blurFaces")}
+        </label>
+
+        <p style={{ margin: 0, opacity: 0.75 }}>
+          {faceDetectionSupported()
+            ? t("privacySettings.detector")
+            : t("privacySettings.noDetector")}
+        </p>
+        <p style={{ margin: 0, opacity: 0.75 }}>{t("privacySettings.masks")}</p>
+      </div>
+    </details>
+  );
+}
+
+export default PrivacySettings;
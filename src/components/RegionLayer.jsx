@@ -0,0 +1,156 @@
+import { useId, useState } from "react";
+
+// ▭ Rectangular regions over the live video: privacy masks (hatched) and
+// room zones (outlined, labelled). Always shown so the operator sees them;
+// in edit mode, drag to add a region and click one to remove it.
+// Regions are stored as 0..1 fractions of the frame; pointer positions are
+// mapped through the SVG so objectFit: cover cropping is taken into account.
+//
+// `appearance(region)` returns { color, label, hatched } for each region.
+function RegionLayer({
+  i18n,
+  regions,
+  frameSize,
+  editing,
+  appearance,
+  onAdd,
+  onRemove,
+}) {
+  const [draft, setDraft] = useState(null);
+  // useId() contains characters that are not valid inside url(#…)
+  const hatchId = `region-hatch-${useId().replace(/[^\w-]/g, "")}`;
+
+  if (!frameSize || (!editing && regions.length === 0)) return null;
+  const { width, height } = frameSize;
+  // Labels stay readable regardless of the frame resolution
+  const fontSize = Math.max(12, Math.round(width / 45));
+
+  const toFraction = (e) => {
+    const svg = e.currentTarget.ownerSVGElement ?? e.currentTarget;
+    const point = svg.createSVGPoint();
+    point.x = e.clientX;
+    point.y = e.clientY;
+    const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+    return {
+      x: Math.min(1, Math.max(0, x / width)),
+      y: Math.min(1, Math.max(0, y / height)),
+    };
+  };
+
+  const draftRect = draft && {
+    x: Math.min(draft.from.x, draft.to.x),
+    y: Math.min(draft.from.y, draft.to.y),
+    w: Math.abs(draft.to.x - draft.from.x),
+    h: Math.abs(draft.to.y - draft.from.y),
+  };
+
+  return (
+    <svg
+      viewBox={`0 0 ${width} ${height}`}
+      preserveAspectRatio="xMidYMid slice"
+      onClick={(e) => editing && e.stopPropagation()}
+      onPointerDown={
+        editing
+          ? (e) => {
+              e.currentTarget.setPointerCapture(e.pointerId);
+              const at = toFraction(e);
+              setDraft({ from: at, to: at });
+            }
+          : undefined
+      }
+      onPointerMove={
+        draft ? (e) => setDraft({ ...draft, to: toFraction(e) }) : undefined
+      }
+      onPointerUp={
+        draft
+          ? () => {
+              setDraft(null);
+              // Ignore accidental clicks
+              if (draftRect.w > 0.02 && draftRect.h > 0.02) onAdd(draftRect);
+            }
+          : undefined
+      }
+      style={{
+        position: "absolute",
+        inset: 0,
+        width: "100%",
+        height: "100%",
+        pointerEvents: editing ? "auto" : "none",
+        cursor: editing ? "crosshair" : "default",
+        touchAction: "none",
+      }}
+    >
+      <defs>
+        <pattern
+          id={hatchId}
+          width="16"
+          height="16"
+          patternUnits="userSpaceOnUse"
+          patternTransform="rotate(45)"
+        >
+          <rect width="16" height="16" fill="rgba(0,0,0,0.75)" />
+          <line x1="0" y1="0" x2="0" y2="16" stroke="#475569" strokeWidth="4" />
+        </pattern>
+      </defs>
+      {regions.map((region, i) => {
+        const { color, label, hatched } = appearance(region);
+        return (
+          <g key={region.id ?? i}>
+            <rect
+              x={region.x * width}
+              y={region.y * height}
+              width={region.w * width}
+              height={region.h * height}
+              fill={hatched ? `url(#${hatchId})` : `${color}22`}
+              stroke={editing || !hatched ? color : "none"}
+              strokeWidth={2}
+              strokeDasharray={hatched ? undefined : "8 5"}
+              vectorEffect="non-scaling-stroke"
+              onPointerDown={
+                editing
+                  ? (e) => {
+                      e.stopPropagation();
+                      onRemove(i);
+                    }
+                  : undefined
+              }
+              style={{ cursor: editing ? "pointer" : "default" }}
+            >
+              {editing && <title>{i18n.t("regions.remove")}</title>}
+            </rect>
+            {label && (
+              <text
+                x={region.x * width + 4}
+                y={region.y * height + fontSize * 1.1}
+                fill={color}
+                fontSize={fontSize}
+                fontWeight={600}
+                paintOrder="stroke"
+                stroke="rgba(2,6,23,0.85)"
+                strokeWidth={fontSize / 5}
+                style={{ pointerEvents: "none" }}
+              >
+                {label}
+              </text>
+            )}
+          </g>
+        );
+      })}
+      {draftRect && (
+        <rect
+          x={draftRect.x * width}
+          y={draftRect.y * height}
+          width={draftRect.w * width}
+          height={draftRect.h * height}
+          fill="rgba(0,0,0,0.5)"
+          stroke="#f87171"
+          strokeDasharray="6 4"
+          strokeWidth={2}
+          vectorEffect="non-scaling-stroke"
+        />
+      )}
+    </svg>
+  );
+}
+
+export default RegionLayer;
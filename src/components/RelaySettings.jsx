@@ -0,0 +1,111 @@
+import { relayTransport } from "../relay/relayClient";
+
+const inputStyle = {
+  background: "#020617",
+  color: "#e5e7eb",
+  border: "1px solid rgba(30,64,175,0.7)",
+  borderRadius: "0.5rem",
+  padding: "0.35rem 0.5rem",
+  fontSize: "0.8rem",
+};
+
+// Labels are "relaySettings.modes.<mode>"; connection states and
+// transports read "relaySettings.state.<state>" / "…transport.<transport>"
+const MODES = ["off", "station", "viewer"];
+
+// 📡 Relay channel: publish this station to remote viewers, or become one
+function RelaySettings({ i18n, relay, onChange, relayState }) {
+  const { t } = i18n;
+  const transport = relayTransport(relay.url.trim());
+
+  return (
+    <details
+      style={{
+        marginTop: "0.9rem",
+        fontSize: "0.8rem",
+        background: "rgba(15,23,42,0.9)",
+        borderRadius: "0.7rem",
+        padding: "0.55rem 0.8rem",
+        border: "1px solid rgba(30,64,175,0.5)",
+      }}
+    >
+      <summary style={{ cursor: "pointer", opacity: 0.85 }}>
+        {relay.mode === "off"
+          ? t("relaySettings.summaryOff")
+          : t(`relaySettings.summary.${relay.mode}`, {
+              state: t(`relaySettings.state.${relayState.state}`),
+            })}
+      </summary>
+
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "auto 1fr",
+          gap: "0.5rem 0.8rem",
+          alignItems: "center",
+          marginTop: "0.7rem",
+        }}
+      >
+        <label htmlFor="relay-mode">{t("relaySettings.mode")}</label>
+        <select
+          id="relay-mode"
+          value={relay.mode}
+          onChange={(e) => onChange({ mode: e.target.value })}
+          style={inputStyle}
+        >
+          {MODES.map((key) => (
+            <option key={key} value={key}>
+              {t(`relaySettings.modes.${key}`)}
+            </option>
+          ))}
+        </select>
+
+        <label htmlFor="relay-url">{t("relaySettings.url")}</label>
+        <input
+          id="relay-url"
+          type="url"
+          placeholder={t("relaySettings.urlPlaceholder")}
+          value={relay.url}
+          onChange={(e) => onChange({ url: e.target.value })}
+          style={inputStyle}
+        />
+
+        <label htmlFor="relay-token">{t("relaySettings.token")}</label>
+        <input
+          id="relay-token"
+          type="password"
+          autoComplete="off"
+          placeholder={t("relaySettings.tokenPlaceholder")}
+          value={relay.token}
+          onChange={(e) => onChange({ token: e.target.value })}
+          style={inputStyle}
+        />
+
+        <label htmlFor="relay-name">{t("relaySettings.name")}</label>
+        <input
+          id="relay-name"
+          type="text"
+          placeholder={t("relaySettings.namePlaceholder")}
+          value={relay.stationName}
+          disabled={relay.mode !== "station"}
+          onChange={(e) => onChange({ stationName: e.target.value })}
+          style={inputStyle}
+        />
+      </div>
+
+      <p style={{ margin: "0.6rem 0 0", opacity: 0.7 }}>
+        {transport
+          ? t(`relaySettings.transport.${transport}`)
+          : t("relaySettings.transportHint")}{" "}
+        {t("relaySettings.explain")}
+      </p>
+      {relayState.error && (
+        <p style={{ margin: "0.4rem 0 0", color: "#fecaca" }}>
+          {i18n.message(relayState.error)}
+        </p>
+      )}
+    </details>
+  );
+}
+
+export default RelaySettings;
@@ -0,0 +1,335 @@
+import { useEffect, useState } from "react";
+import { statusPillStyle } from "../utils/status";
+import FrozenFrameView from "./FrozenFrameView";
+
+// A station silent for three heartbeats (see useRelayStation) is offline
+const STALE_AFTER_MS = 90000;
+
+const panelStyle = {
+  background: "rgba(15,23,42,0.95)",
+  borderRadius: "1rem",
+  padding: "0.9rem 1.1rem",
+  border: "1px solid rgba(30,64,175,0.6)",
+  fontSize: "0.83rem",
+};
+
+const listStyle = {
+  listStyle: "none",
+  padding: 0,
+  margin: 0,
+  display: "flex",
+  flexDirection: "column",
+  gap: "0.45rem",
+};
+
+const ellipsisStyle = {
+  whiteSpace: "nowrap",
+  overflow: "hidden",
+  textOverflow: "ellipsis",
+};
+
+// Clickable list item (Enter / Space like a button)
+function itemProps(onActivate, title) {
+  return {
+    role: "button",
+    tabIndex: 0,
+    title,
+    onClick: onActivate,
+    onKeyDown: (e) => {
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault();
+        onActivate();
+      }
+    },
+  };
+}
+
+// 🛰 Caregiver dashboard: every room of every station on the relay channel,
+// most severe first, with drill-down into a room's latest frame, open
+// alerts and recent analyses. `dashboard` comes from useRemoteDashboard.
+function RemoteDashboard({ i18n, dashboard, relayState, url }) {
+  const { t } = i18n;
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [viewing, setViewing] = useState(null);
+  const [now, setNow] = useState(null);
+
+  // Re-check which stations went quiet
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 10000);
+    return () => clearInterval(id);
+  }, []);
+
+  const offline = (stationId) => {
+    const seen = dashboard.stations[stationId]?.lastSeenAt;
+    return now != null && seen != null && now - seen > STALE_AFTER_MS;
+  };
+
+  const selected =
+    dashboard.rooms.find((r) => r.key === selectedKey) ??
+    dashboard.rooms[0] ??
+    null;
+  const stationAlerts = dashboard.openAlerts.filter((a) => a.roomId == null);
+  const stationCount = Object.keys(dashboard.stations).length;
+
+  return (
+    <section
+      style={{
+        display: "flex",
+        gap: "1.5rem",
+        alignItems: "flex-start",
+        flexWrap: "wrap",
+      }}
+    >
+      {/* LEFT: ROOMS OF ALL STATIONS */}
+      <div style={{ ...panelStyle, flex: "1 1 380px" }}>
+        <h2 style={{ fontSize: "1rem", margin: "0 0 0.7rem" }}>
+          {t("remote.rooms")}
+          <span style={{ opacity: 0.6, fontWeight: 400 }}>
+            {" "}
+            · {t("remote.stations", { count: stationCount })}
+          </span>
+        </h2>
+
+        {stationAlerts.length > 0 && (
+          <ul style={{ ...listStyle, marginBottom: "0.7rem" }}>
+            {stationAlerts.map((alert) => (
+              <li
+                key={alert.id}
+                style={{ display: "flex", gap: "0.5rem", alignItems: "center" }}
+              >
+                <span style={statusPillStyle(alert.severity)}>
+                  {i18n.status(alert.severity)}
+                </span>
+                <span style={ellipsisStyle}>
+                  {alert.roomName}: {i18n.alertTitle(alert)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {dashboard.rooms.length === 0 && (
+          <p style={{ opacity: 0.8, margin: 0 }}>
+            {relayState.state === "open"
+              ? t("remote.waiting", { url })
+              : url
+              ? t("remote.notConnected", { url })
+              : t("remote.noRelay")}
+          </p>
+        )}
+
+        <ul style={listStyle}>
+          {dashboard.rooms.map((room) => (
+            <li
+              key={room.key}
+              {...itemProps(
+                () => setSelectedKey(room.key),
+                t("remote.showRoom")
+              )}
+              style={{
+                cursor: "pointer",
+                display: "flex",
+                alignItems: "center",
+                gap: "0.6rem",
+                padding: "0.4rem 0.5rem",
+                borderRadius: "0.6rem",
+                background:
+                  room.key === selected?.key
+                    ? "rgba(30,64,175,0.35)"
+                    : "transparent",
+                opacity: offline(room.stationId) ? 0.55 : 1,
+              }}
+            >
+              <span style={statusPillStyle(room.status)}>
+                {i18n.status(room.status)}
+              </span>
+              <div
+                style={{
+                  display: "flex",
+                  flexDirection: "column",
+                  gap: "0.15rem",
+                  flex: 1,
+                  minWidth: 0,
+                }}
+              >
+                <span style={ellipsisStyle}>
+                  <strong>{room.roomName}</strong>
+                  <span style={{ opacity: 0.6 }}> · {room.stationName}</span>
+                </span>
+                <span style={{ ...ellipsisStyle, opacity: 0.7 }}>
+                  {room.latest
+                    ? `${i18n.time(room.latest.timestamp)} · ${
+                        room.latest.summary || t("history.noSummary")
+                      }`
+                    : t("remote.noAnalysis")}
+                </span>
+              </div>
+              {room.openAlerts.length > 0 && (
+                <span title={t("remote.openAlerts")}>
+                  🔔 {room.openAlerts.length}
+                </span>
+              )}
+              {offline(room.stationId) && (
+                <span style={{ color: "#fecaca" }}>{t("remote.offline")}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {/* RIGHT: DRILL-DOWN */}
+      {selected && (
+        <div
+          style={{
+            ...panelStyle,
+            flex: "1 1 420px",
+            display: "flex",
+            flexDirection: "column",
+            gap: "0.8rem",
+          }}
+        >
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              gap: "0.6rem",
+            }}
+          >
+            <h2 style={{ fontSize: "1rem", margin: 0 }}>
+              {selected.roomName}
+              <span style={{ opacity: 0.6, fontWeight: 400 }}>
+                {" "}
+                · {selected.stationName}
+              </span>
+            </h2>
+            <span style={statusPillStyle(selected.status)}>
+              {i18n.status(selected.status)}
+            </span>
+          </div>
+
+          {offline(selected.stationId) && (
+            <p style={{ margin: 0, color: "#fecaca" }}>
+              {t("remote.silent", {
+                time: i18n.time(
+                  dashboard.stations[selected.stationId].lastSeenAt
+                ),
+              })}
+            </p>
+          )}
+
+          {/* Latest frame */}
+          {selected.latest &&
+            (selected.latest.snapshot ?? selected.latest.thumbnail) && (
+              <img
+                src={selected.latest.snapshot ?? selected.latest.thumbnail}
+                alt={t("remote.latestFrame", { name: selected.roomName })}
+                title={t("remote.showFrame")}
+                onClick={() => setViewing(selected.latest)}
+                style={{
+                  width: "100%",
+                  borderRadius: "0.7rem",
+                  background: "black",
+                  cursor: "pointer",
+                }}
+              />
+            )}
+          {selected.latest && (
+            <p style={{ margin: 0, opacity: 0.85 }}>
+              {i18n.time(selected.latest.timestamp)}
+              {selected.latest.peopleCount != null &&
+                ` · ${t("remote.people", {
+                  count: selected.latest.peopleCount,
+                })}`}
+              {selected.latest.signals?.fallRisk &&
+                ` · ${t("remote.fallRisk")}`}
+              {selected.latest.signals?.voiceStress &&
+                ` · ${t("remote.voiceStress")}`}
+              {" · "}
+              {selected.latest.reason ||
+                selected.latest.summary ||
+                t("history.noSummary")}
+            </p>
+          )}
+
+          {/* Open alerts */}
+          {selected.openAlerts.length > 0 && (
+            <ul style={listStyle}>
+              {selected.openAlerts.map((alert) => (
+                <li
+                  key={alert.id}
+                  style={{
+                    display: "flex",
+                    gap: "0.5rem",
+                    alignItems: "center",
+                  }}
+                >
+                  <span style={statusPillStyle(alert.severity)}>
+                    {i18n.status(alert.severity)}
+                  </span>
+                  <span style={ellipsisStyle}>
+                    {i18n.alertTitle(alert)} ·{" "}
+                    {t("remote.since", { time: i18n.time(alert.openedAt) })}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {/* Recent analyses */}
+          <h3 style={{ fontSize: "0.9rem", margin: 0, opacity: 0.85 }}>
+            {t("remote.recent")}
+          </h3>
+          <ul style={listStyle}>
+            {selected.entries.map((entry) => (
+              <li
+                key={entry.timestamp}
+                {...itemProps(() => setViewing(entry), t("remote.showFrame"))}
+                style={{
+                  cursor: "pointer",
+                  display: "flex",
+                  alignItems: "center",
+                  gap: "0.6rem",
+                }}
+              >
+                {entry.thumbnail && (
+                  <img
+                    src={entry.thumbnail}
+                    alt=""
+                    style={{
+                      width: "64px",
+                      height: "48px",
+                      objectFit: "cover",
+                      borderRadius: "0.4rem",
+                      flex: "0 0 auto",
+                    }}
+                  />
+                )}
+                <span style={{ opacity: 0.6 }}>
+                  {i18n.time(entry.timestamp)}
+                </span>
+                <span style={{ ...ellipsisStyle, flex: 1 }}>
+                  {entry.summary || t("history.noSummary")}
+                </span>
+                <span style={statusPillStyle(entry.status)}>
+                  {i18n.status(entry.status)}
+                </span>
+              </li>
+            ))}
+          </ul>
+          <p style={{ margin: 0, opacity: 0.6 }}>{t("remote.recentNote")}</p>
+        </div>
+      )}
+
+      {viewing && (
+        <FrozenFrameView
+          i18n={i18n}
+          entry={viewing}
+          onClose={() => setViewing(null)}
+        />
+      )}
+    </section>
+  );
+}
+
+export default RemoteDashboard;
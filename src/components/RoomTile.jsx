@@ -0,0 +1,620 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { describeSchemaIssues, hasSchemaErrors } from "../api/analysisSchema";
+import { useCameraStream } from "../hooks/useCameraStream";
+import { useEventRecorder } from "../hooks/useEventRecorder";
+import { useRoomMonitor, useVideoFrameSource } from "../hooks/useRoomMonitor";
+import { createBackendAnalyzer } from "../monitoring/analyzers";
+import { describeCadence } from "../monitoring/cadence";
+import { statusPillStyle } from "../utils/status";
+import { extractDetections } from "../vision/detections";
+import { BLOCKING_ISSUES } from "../vision/frameQuality";
+import { protectFrame } from "../vision/privacy";
+import { ZONE_TYPES } from "../vision/zones";
+import DetectionOverlay from "./DetectionOverlay";
+import RegionLayer from "./RegionLayer";
+import ZoneEditor from "./ZoneEditor";
+
+const NO_MASKS = [];
+const NO_ZONES = [];
+
+const maskAppearance = () => ({ color: "#f87171", hatched: true });
+const zoneAppearance = (zone) => ({
+  color: ZONE_TYPES[zone.type]?.color ?? "#e5e7eb",
+  label: zone.name,
+});
+
+// "camera frame (2 privacy masks, 1 face blurred)" for the privacy
+// indicator; `faces` is a count, "off", "on" (not sent yet) or "whole-frame"
+function describeFrame(t, { masks, faces }) {
+  const parts = [];
+  if (masks > 0) parts.push(t("room.frame.masks", { count: masks }));
+  if (typeof faces === "number") {
+    parts.push(t("room.frame.facesBlurred", { count: faces }));
+  } else {
+    parts.push(t(`room.frame.faces.${faces}`));
+  }
+  return t("room.frame.camera", { parts: parts.join(", ") });
+}
+
+const inputStyle = {
+  background: "#020617",
+  color: "#e5e7eb",
+  border: "1px solid rgba(30,64,175,0.7)",
+  borderRadius: "0.5rem",
+  padding: "0.3rem 0.45rem",
+  fontSize: "0.78rem",
+};
+
+// Camera issues reported by the stream itself (see useCameraStream)
+const STREAM_ISSUES = {
+  ended: "disconnected",
+  error: "unavailable",
+  muted: "no-signal",
+};
+
+// 🏠 One monitored room: camera, capture/analyze loop and latest status.
+// Results are reported up through `onResult` so the dashboard can store
+// history and aggregate the worst status across rooms.
+function RoomTile({
+  i18n,
+  room,
+  devices,
+  backend,
+  result,
+  recent = [],
+  autoMonitorOn,
+  stale,
+  motion,
+  cadence,
+  privacy,
+  clips,
+  camera,
+  microphone,
+  captureRequest,
+  selected,
+  compact,
+  onSelect,
+  onChange,
+  onRemove,
+  onResult,
+  onCaptureFailed,
+  onCameraStarted,
+  onCameraIssue,
+}) {
+  const { t } = i18n;
+  const videoRef = useRef(null);
+
+  const [error, setError] = useState("");
+  // Size of the frame behind `result`, needed to place its boxes
+  const [analyzedFrame, setAnalyzedFrame] = useState(null);
+  const [showBoxes, setShowBoxes] = useState(true);
+  const [videoSize, setVideoSize] = useState(null);
+  // null, "masks" or "zones"
+  const [editing, setEditing] = useState(null);
+  const [newZoneType, setNewZoneType] = useState("bed");
+  // What the last upload contained, for the privacy indicator
+  const [lastSent, setLastSent] = useState(null);
+  const masks = room.privacyMasks ?? NO_MASKS;
+  const zones = room.zones ?? NO_ZONES;
+
+  const [stream, setStream] = useState(null);
+  const cameraStream = useCameraStream(videoRef, room.deviceId, {
+    onStarted: (started) => {
+      setStream(started);
+      onCameraStarted?.(started);
+    },
+    autoReconnect: camera.autoReconnect,
+  });
+  const [eventRecorder, recorderState] = useEventRecorder(stream, clips);
+
+  // 🎯 Capture → privacy → backend, via the headless room monitor
+  const source = useVideoFrameSource(videoRef);
+  const analyzer = useMemo(() => createBackendAnalyzer(backend), [backend]);
+
+  // 🕶 Masks and face blur are applied before anything is encoded
+  const prepareFrame = useCallback(
+    (canvas) => protectFrame(canvas, { masks, blurFaces: privacy.blurFaces }),
+    [masks, privacy.blurFaces]
+  );
+
+  // Recent microphone window, if the microphone is placed in this room
+  const extraBody = useCallback(async () => {
+    const audio = (await microphone?.takeWindow()) ?? null;
+    return audio ? { audio } : null;
+  }, [microphone]);
+
+  const handleResult = (
+    analysis,
+    { capturedAt, thumbnail, frame, body, applied }
+  ) => {
+    // 🎞 Keep filming around an emergency; a clip already being recorded
+    // is shared
+    const clip =
+      analysis.aiDecision.status === "EMERGENCY"
+        ? eventRecorder.captureEvent(capturedAt)
+        : null;
+    onResult(room.id, analysis, thumbnail, { capturedAt, frame, clip });
+    setError("");
+    setAnalyzedFrame({ width: frame.width, height: frame.height });
+    setLastSent({
+      at: capturedAt,
+      thumbnail,
+      applied,
+      audio: body.audio ? (body.audio.clipBase64 ? "clip" : "features") : null,
+    });
+  };
+
+  const handleError = ({
+    message,
+    unavailable,
+    reason,
+    body,
+    thumbnail,
+    capturedAt,
+    frame,
+  }) => {
+    // Keep the frame so it can be analyzed once the backend is back
+    if (unavailable && body) {
+      onCaptureFailed?.(room.id, { body, thumbnail, capturedAt, frame });
+    }
+    if (reason === "manual") setError(message);
+  };
+
+  const [monitor, monitorState] = useRoomMonitor({
+    roomId: room.id,
+    source,
+    analyzer,
+    cadence,
+    motion,
+    prepareFrame,
+    extraBody,
+    health: camera,
+    autoMonitorOn,
+    onResult: handleResult,
+    onError: handleError,
+  });
+  const loading = monitorState.capturing;
+  const gateInfo = monitorState.gate;
+
+  // 📷 Camera health: the stream's lifecycle first, then the frame checks.
+  // Only problems that leave nothing to analyze are reported (and alerted
+  // on); a plain, dim room easily looks blurry, so blur is just a badge.
+  const frameIssue = monitorState.camera.issue;
+  const cameraIssue =
+    STREAM_ISSUES[cameraStream.state] ??
+    (BLOCKING_ISSUES.has(frameIssue) ? frameIssue : null);
+  const cameraNotice = cameraIssue ? null : frameIssue;
+  useEffect(() => {
+    onCameraIssue?.(room.id, cameraIssue);
+  }, [onCameraIssue, room.id, cameraIssue]);
+
+  // 🗣 Capture requested from outside the tile (e.g. "analyze now")
+  const handledRequestRef = useRef(null);
+  useEffect(() => {
+    if (!captureRequest || handledRequestRef.current === captureRequest) return;
+    handledRequestRef.current = captureRequest;
+    monitor.capture();
+  }, [captureRequest, monitor]);
+
+  const status = result?.aiDecision.status ?? null;
+  const detections = showBoxes
+    ? extractDetections(result, analyzedFrame)
+    : null;
+  const shownError = error || cameraStream.error;
+
+  return (
+    <div
+      onClick={onSelect}
+      style={{
+        background: "rgba(15,23,42,0.95)",
+        borderRadius: "1rem",
+        padding: compact ? "0.7rem" : "1rem",
+        border: selected
+          ? "1px solid rgba(96,165,250,0.9)"
+          : "1px solid rgba(30,64,175,0.6)",
+        boxShadow: "0 24px 60px rgba(0,0,0,0.7)",
+        cursor: selected ? "default" : "pointer",
+      }}
+    >
+      {/* Tile header: name, camera and status */}
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: "0.5rem",
+          marginBottom: "0.6rem",
+          flexWrap: "wrap",
+        }}
+      >
+        <input
+          aria-label={t("room.name")}
+          value={room.name}
+          onChange={(e) => onChange({ name: e.target.value })}
+          style={{ ...inputStyle, fontWeight: 600, width: "8rem" }}
+        />
+        <select
+          aria-label={t("room.camera")}
+          value={room.deviceId}
+          onChange={(e) => onChange({ deviceId: e.target.value })}
+          style={{ ...inputStyle, flex: 1, minWidth: 0 }}
+        >
+          <option value="">{t("room.defaultCamera")}</option>
+          {devices.map((d, i) => (
+            <option key={d.deviceId || i} value={d.deviceId}>
+              {d.label || t("room.cameraNumber", { number: i + 1 })}
+            </option>
+          ))}
+        </select>
+        <span
+          title={stale ? t("room.staleTitle") : undefined}
+          style={{ ...statusPillStyle(status), opacity: stale ? 0.5 : 1 }}
+        >
+          {i18n.status(status)}
+          {stale && result ? ` ${t("room.stale")}` : ""}
+        </span>
+        {hasSchemaErrors(result) && (
+          <span
+            title={t("room.malformedTitle", {
+              issues: describeSchemaIssues(result),
+            })}
+            style={{
+              ...statusPillStyle("WARNING"),
+              background: "rgba(234,179,8,0.25)",
+              border: "1px solid rgba(234,179,8,0.7)",
+            }}
+          >
+            ⚠ {t("room.malformed")}
+          </span>
+        )}
+        {onRemove && (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onRemove();
+            }}
+            aria-label={t("room.remove", { name: room.name })}
+            style={{
+              ...inputStyle,
+              cursor: "pointer",
+              padding: "0.25rem 0.55rem",
+            }}
+          >
+            ✕
+          </button>
+        )}
+      </div>
+
+      <div
+        style={{
+          position: "relative",
+          width: "100%",
+          maxWidth: "720px",
+          // Scales down on narrow (portrait) screens instead of cropping
+          aspectRatio: "4 / 3",
+          maxHeight: compact ? "260px" : "540px",
+        }}
+      >
+        <video
+          ref={videoRef}
+          autoPlay
+          playsInline
+          muted
+          onLoadedMetadata={(e) => {
+            const { videoWidth: width, videoHeight: height } = e.target;
+            setVideoSize(width ? { width, height } : null);
+          }}
+          onResize={(e) => {
+            const { videoWidth: width, videoHeight: height } = e.target;
+            setVideoSize(width ? { width, height } : null);
+          }}
+          style={{
+            width: "100%",
+            height: "100%",
+            borderRadius: "0.9rem",
+            border: "1px solid rgba(15,23,42,0.8)",
+            background: "black",
+            objectFit: "cover",
+            display: "block",
+          }}
+        />
+        <DetectionOverlay detections={detections} fit="cover" />
+        <RegionLayer
+          i18n={i18n}
+          regions={zones}
+          frameSize={videoSize}
+          editing={editing === "zones"}
+          appearance={zoneAppearance}
+          onAdd={(rect) =>
+            onChange({
+              zones: [
+                ...zones,
+                {
+                  ...rect,
+                  id: `zone-${Date.now().toString(36)}`,
+                  type: newZoneType,
+                  name: t(`zones.${newZoneType}`),
+                },
+              ],
+            })
+          }
+          onRemove={(index) =>
+            onChange({ zones: zones.filter((_, i) => i !== index) })
+          }
+        />
+        <RegionLayer
+          i18n={i18n}
+          regions={masks}
+          frameSize={videoSize}
+          editing={editing === "masks"}
+          appearance={maskAppearance}
+          onAdd={(rect) => onChange({ privacyMasks: [...masks, rect] })}
+          onRemove={(index) =>
+            onChange({ privacyMasks: masks.filter((_, i) => i !== index) })
+          }
+        />
+        {cameraIssue && (
+          <div
+            role="alert"
+            style={{
+              position: "absolute",
+              left: "0.5rem",
+              right: "0.5rem",
+              bottom: "0.5rem",
+              background: "rgba(127,29,29,0.85)",
+              border: "1px solid #b91c1c",
+              borderRadius: "0.6rem",
+              padding: "0.35rem 0.6rem",
+              fontSize: "0.8rem",
+            }}
+          >
+            📷 {t(`camera.${cameraIssue}`)}
+            {camera.autoReconnect &&
+              cameraStream.retries > 0 &&
+              ` · ${t("camera.reconnecting", {
+                count: cameraStream.retries,
+              })}`}
+          </div>
+        )}
+        {cameraNotice && (
+          <span
+            style={{
+              position: "absolute",
+              left: "0.5rem",
+              bottom: "0.5rem",
+              background: "rgba(2,6,23,0.75)",
+              border: "1px solid rgba(250,204,21,0.6)",
+              color: "#fde68a",
+              borderRadius: "999px",
+              padding: "0.2rem 0.55rem",
+              fontSize: "0.72rem",
+            }}
+          >
+            📷 {t(`camera.${cameraNotice}`)}
+          </span>
+        )}
+        {result && (
+          <label
+            onClick={(e) => e.stopPropagation()}
+            style={{
+              position: "absolute",
+              top: "0.5rem",
+              right: "0.5rem",
+              display: "flex",
+              gap: "0.3rem",
+              alignItems: "center",
+              fontSize: "0.72rem",
+              background: "rgba(2,6,23,0.75)",
+              borderRadius: "999px",
+              padding: "0.2rem 0.55rem",
+            }}
+          >
+            <input
+              type="checkbox"
+              checked={showBoxes}
+              onChange={(e) => setShowBoxes(e.target.checked)}
+            />
+            {t("room.boxes")}
+          </label>
+        )}
+      </div>
+
+      {/* 🕶 What leaves this device */}
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: "0.5rem",
+          flexWrap: "wrap",
+          marginTop: "0.5rem",
+          fontSize: "0.75rem",
+          padding: "0.35rem 0.6rem",
+          borderRadius: "0.6rem",
+          background:
+            privacy.blurFaces || masks.length > 0
+              ? "rgba(22,163,74,0.15)"
+              : "rgba(234,179,8,0.15)",
+          border: `1px solid ${
+            privacy.blurFaces || masks.length > 0
+              ? "rgba(34,197,94,0.5)"
+              : "rgba(234,179,8,0.5)"
+          }`,
+        }}
+      >
+        {lastSent?.thumbnail && (
+          <img
+            src={lastSent.thumbnail}
+            alt={t("room.lastSentAlt")}
+            style={{
+              width: "48px",
+              height: "36px",
+              objectFit: "cover",
+              borderRadius: "0.3rem",
+            }}
+          />
+        )}
+        <span style={{ flex: 1, minWidth: "12rem" }}>
+          {lastSent ? (
+            <>
+              {t("room.sentAt", { time: i18n.time(lastSent.at) })}{" "}
+              {describeFrame(t, lastSent.applied)}
+              {lastSent.audio && ` + ${t(`room.audio.${lastSent.audio}`)}`}
+            </>
+          ) : (
+            <>
+              {t("room.leavesDevice")}{" "}
+              {describeFrame(t, {
+                masks: masks.length,
+                faces: privacy.blurFaces ? "on" : "off",
+              })}
+              {microphone && ` + ${t("room.microphoneData")}`}
+            </>
+          )}
+        </span>
+        <button
+          onClick={() => setEditing((v) => (v === "masks" ? null : "masks"))}
+          disabled={!videoSize}
+          style={{ ...inputStyle, cursor: "pointer" }}
+        >
+          {editing === "masks"
+            ? t("room.done")
+            : t("room.masks", { count: masks.length })}
+        </button>
+        {editing === "masks" && (
+          <span style={{ width: "100%", opacity: 0.8 }}>
+            {t("room.masksHint")}
+          </span>
+        )}
+        {recorderState.state !== "off" && (
+          <span style={{ width: "100%", opacity: 0.8 }}>
+            {t(`room.recorder.${recorderState.state}`)}
+            {recorderState.state === "recording" &&
+              ` ${t("room.recordingUntil", {
+                time: i18n.time(recorderState.recordingUntil),
+              })}`}
+            {recorderState.error && `: ${recorderState.error}`}
+          </span>
+        )}
+      </div>
+
+      <ZoneEditor
+        i18n={i18n}
+        zones={zones}
+        editing={editing === "zones"}
+        disabled={!videoSize}
+        newType={newZoneType}
+        onNewTypeChange={setNewZoneType}
+        onToggle={() => setEditing((v) => (v === "zones" ? null : "zones"))}
+        onChange={(next) => onChange({ zones: next })}
+      />
+
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginTop: "0.9rem",
+          gap: "0.8rem",
+          flexWrap: "wrap",
+        }}
+      >
+        <button
+          onClick={() => monitor.capture()}
+          disabled={loading}
+          style={{
+            borderRadius: "999px",
+            border: "none",
+            padding: compact ? "0.6rem 1.1rem" : "0.85rem 1.6rem",
+            fontSize: compact ? "0.85rem" : "0.95rem",
+            fontWeight: 600,
+            background: loading
+              ? "#4b5563"
+              : "linear-gradient(135deg,#22c55e,#16a34a)",
+            color: "white",
+            cursor: loading ? "default" : "pointer",
+            boxShadow: loading ? "none" : "0 18px 40px rgba(22,163,74,0.5)",
+          }}
+        >
+          {loading ? t("room.analyzing") : t("room.analyze")}
+        </button>
+
+        {recent.length > 0 && (
+          <div
+            aria-label={t("room.recent")}
+            style={{ display: "flex", gap: "0.25rem", alignItems: "center" }}
+          >
+            {recent.map((h) => (
+              <span
+                key={h.id}
+                title={`${i18n.time(h.timestamp)} · ${i18n.status(h.status)}`}
+                style={{
+                  ...statusPillStyle(h.status),
+                  width: "10px",
+                  height: "10px",
+                  padding: 0,
+                }}
+              />
+            ))}
+          </div>
+        )}
+
+        {!compact && recent.length === 0 && (
+          <span
+            style={{
+              fontSize: "0.8rem",
+              opacity: 0.7,
+              whiteSpace: "nowrap",
+            }}
+          >
+            {t("room.tip")}
+          </span>
+        )}
+      </div>
+
+      {autoMonitorOn && (
+        <p
+          style={{
+            fontSize: "0.75rem",
+            opacity: 0.65,
+            marginTop: "0.5rem",
+            marginBottom: 0,
+          }}
+        >
+          {t("room.sampling", {
+            cadence: describeCadence(monitorState.cadence, cadence, t),
+          })}
+          {motion.enabled && gateInfo && (
+            <>
+              {" · "}
+              {t("room.motion")}{" "}
+              {gateInfo.score == null
+                ? "–"
+                : `${Math.round(gateInfo.score * 100)}%`}
+              {" · "}
+              {gateInfo.reason
+                ? t("room.uploaded", {
+                    reason: t(`room.uploadReason.${gateInfo.reason}`),
+                  })
+                : t("room.uploadSkipped")}
+            </>
+          )}
+        </p>
+      )}
+
+      {shownError && (
+        <p
+          style={{
+            color: "#fecaca",
+            fontSize: "0.85rem",
+            marginTop: "0.6rem",
+            marginBottom: 0,
+          }}
+        >
+          {i18n.message(shownError)}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default RoomTile;
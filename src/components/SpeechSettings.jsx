@@ -0,0 +1,161 @@
+import { useBrowserVoices } from "../hooks/useSpeaker";
+import { AZURE_VOICES } from "../speech/speechEngines";
+
+const inputStyle = {
+  background: "#020617",
+  color: "#e5e7eb",
+  border: "1px solid rgba(30,64,175,0.7)",
+  borderRadius: "0.5rem",
+  padding: "0.35rem 0.5rem",
+  fontSize: "0.8rem",
+};
+
+// Labels are "speechSettings.engines.<engine>"
+const ENGINES = ["auto", "azure", "browser"];
+
+// 🗣 Spoken output: engine, voices, rate/volume and auto-announcements
+function SpeechSettings({
+  i18n,
+  speech,
+  onChange,
+  speechState,
+  speechAuthState,
+}) {
+  const { t } = i18n;
+  const voices = useBrowserVoices();
+  const noToken = speechAuthState.state === "failed";
+
+  return (
+    <details
+      style={{
+        marginTop: "0.9rem",
+        fontSize: "0.8rem",
+        background: "rgba(15,23,42,0.9)",
+        borderRadius: "0.7rem",
+        padding: "0.55rem 0.8rem",
+        border: "1px solid rgba(30,64,175,0.5)",
+      }}
+    >
+      <summary style={{ cursor: "pointer", opacity: 0.85 }}>
+        {t("speechSettings.summary", {
+          engine: t(`speechSettings.engines.${speech.engine}`),
+        })}
+        {speech.autoAnnounce ? `, ${t("speechSettings.announcing")}` : ""}
+        {speechState.lastError && ` ${t("speechSettings.lastFailed")}`}
+      </summary>
+
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "auto 1fr",
+          gap: "0.5rem 0.8rem",
+          alignItems: "center",
+          marginTop: "0.7rem",
+        }}
+      >
+        <label htmlFor="speech-auto">{t("speechSettings.auto")}</label>
+        <input
+          id="speech-auto"
+          type="checkbox"
+          checked={speech.autoAnnounce}
+          onChange={(e) => onChange({ autoAnnounce: e.target.checked })}
+          style={{ justifySelf: "start" }}
+        />
+
+        <label htmlFor="speech-engine">{t("speechSettings.engine")}</label>
+        <select
+          id="speech-engine"
+          value={speech.engine}
+          onChange={(e) => onChange({ engine: e.target.value })}
+          style={inputStyle}
+        >
+          {ENGINES.map((key) => (
+            <option key={key} value={key}>
+              {t(`speechSettings.engines.${key}`)}
+              {key === "azure" && noToken
+                ? ` ${t("speechSettings.noTokenShort")}`
+                : ""}
+            </option>
+          ))}
+        </select>
+
+        <label htmlFor="speech-azure-voice">
+          {t("speechSettings.azureVoice")}
+        </label>
+        <select
+          id="speech-azure-voice"
+          value={speech.azureVoice}
+          disabled={speech.engine === "browser"}
+          onChange={(e) => onChange({ azureVoice: e.target.value })}
+          style={inputStyle}
+        >
+          <option value="">{t("speechSettings.matchLanguage")}</option>
+          {AZURE_VOICES.map((voice) => (
+            <option key={voice} value={voice}>
+              {voice}
+            </option>
+          ))}
+        </select>
+
+        <label htmlFor="speech-browser-voice">
+          {t("speechSettings.browserVoice")}
+        </label>
+        <select
+          id="speech-browser-voice"
+          value={speech.browserVoice}
+          disabled={speech.engine === "azure"}
+          onChange={(e) => onChange({ browserVoice: e.target.value })}
+          style={inputStyle}
+        >
+          <option value="">{t("speechSettings.matchAzureVoice")}</option>
+          {voices.map((voice) => (
+            <option key={voice.voiceURI} value={voice.voiceURI}>
+              {voice.name} ({voice.lang})
+            </option>
+          ))}
+        </select>
+
+        <label htmlFor="speech-rate">
+          {t("speechSettings.rate", { rate: speech.rate.toFixed(1) })}
+        </label>
+        <input
+          id="speech-rate"
+          type="range"
+          min={0.5}
+          max={2}
+          step={0.1}
+          value={speech.rate}
+          onChange={(e) => onChange({ rate: Number(e.target.value) })}
+        />
+
+        <label htmlFor="speech-volume">
+          {t("speechSettings.volume", {
+            percent: Math.round(speech.volume * 100),
+          })}
+        </label>
+        <input
+          id="speech-volume"
+          type="range"
+          min={0.1}
+          max={1}
+          step={0.1}
+          value={speech.volume}
+          onChange={(e) => onChange({ volume: Number(e.target.value) })}
+        />
+      </div>
+
+      {noToken && (
+        <p style={{ margin: "0.6rem 0 0", color: "#fecaca" }}>
+          {t(
+            speech.engine === "azure"
+              ? "speechSettings.noTokenSilent"
+              : "speechSettings.noTokenFallback",
+            { error: i18n.message(speechAuthState.error) }
+          )}
+        </p>
+      )}
+    </details>
+  );
+}
+
+export default SpeechSettings;
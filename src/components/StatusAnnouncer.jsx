@@ -0,0 +1,34 @@
+// Visually hidden, but read by screen readers
+const hiddenStyle = {
+  position: "absolute",
+  width: "1px",
+  height: "1px",
+  margin: "-1px",
+  padding: 0,
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
+  border: 0,
+};
+
+// 🔈 ARIA live regions: `summary` (every room's status) is read politely
+// whenever it changes, `urgent` (the newest emergency) interrupts.
+function StatusAnnouncer({ summary, urgent }) {
+  return (
+    <>
+      <div
+        role="status"
+        aria-live="polite"
+        aria-atomic="true"
+        style={hiddenStyle}
+      >
+        {summary}
+      </div>
+      <div aria-live="assertive" aria-atomic="true" style={hiddenStyle}>
+        {urgent}
+      </div>
+    </>
+  );
+}
+
+export default StatusAnnouncer;
@@ -0,0 +1,377 @@
+import { useEffect, useRef, useState } from "react";
+import { queryTimeline } from "../history/historyStore";
+import {
+  peopleSegments,
+  signalMarkers,
+  statusBands,
+  timeTicks,
+} from "../history/timeline";
+import { STATUS_COLORS } from "../utils/status";
+import { formatMediaTime } from "../offline/mediaFiles";
+
+// Labels are "timeline.range.<key>"
+const RANGES = {
+  hour: { ms: 3600e3 },
+  day: { ms: 24 * 3600e3 },
+  custom: {},
+};
+
+const HEIGHT = 170;
+const BAND_Y = 0;
+const BAND_H = 22;
+const LINE_TOP = 32;
+const LINE_BOTTOM = 122;
+const MARKER_Y = 136;
+const AXIS_Y = 162;
+
+// Labels are "timeline.<kind>"
+const MARKERS = {
+  fallRisk: { color: "#f97316" },
+  voiceStress: { color: "#c084fc" },
+};
+
+const inputStyle = {
+  background: "#020617",
+  color: "#e5e7eb",
+  border: "1px solid rgba(30,64,175,0.7)",
+  borderRadius: "0.5rem",
+  padding: "0.25rem 0.4rem",
+  fontSize: "0.75rem",
+};
+
+const rangeButtonStyle = (active) => ({
+  borderRadius: "999px",
+  padding: "0.2rem 0.7rem",
+  border: active
+    ? "1px solid rgba(96,165,250,0.9)"
+    : "1px solid rgba(148,163,184,0.5)",
+  background: active ? "rgba(30,64,175,0.6)" : "rgba(15,23,42,0.9)",
+  color: "#e5e7eb",
+  fontSize: "0.75rem",
+  cursor: "pointer",
+});
+
+// <input type="datetime-local"> value ↔ timestamp
+function toLocalInput(ts) {
+  const d = new Date(ts - new Date(ts).getTimezoneOffset() * 60e3);
+  return d.toISOString().slice(0, 16);
+}
+
+function formatTick(ts, spanMs, i18n) {
+  return spanMs > 24 * 3600e3
+    ? i18n.dateTime(ts, { month: "short", day: "numeric", hour: "2-digit" })
+    : i18n.time(ts);
+}
+
+// 📈 How the selected room behaved over time: status bands, people count
+// and fall-risk / voice-stress markers. Drag across the chart to zoom in.
+//
+// With `recording` ({ title, durationMs, points } where point timestamps
+// are offsets into the file) the same chart shows an analyzed recording
+// instead; clicking it calls `onSeek(offsetMs)`.
+function StatusTimeline({ i18n, room, refreshToken, recording, onSeek }) {
+  const { t } = i18n;
+  const containerRef = useRef(null);
+  const [width, setWidth] = useState(800);
+  const [range, setRange] = useState("hour");
+  const [custom, setCustom] = useState(null);
+  const [data, setData] = useState(null);
+  const [drag, setDrag] = useState(null);
+
+  // Follow the container width so text is never stretched
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el) return;
+    const observer = new ResizeObserver(([entry]) =>
+      setWidth(Math.max(300, Math.round(entry.contentRect.width)))
+    );
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const live = !recording;
+  useEffect(() => {
+    if (!live) return;
+    let cancelled = false;
+    const to = range === "custom" && custom ? custom.to : Date.now();
+    const from =
+      range === "custom" && custom ? custom.from : to - RANGES[range].ms;
+
+    queryTimeline({ roomId: room?.id, from, to })
+      .then((points) => {
+        if (!cancelled) setData({ from, to, points });
+      })
+      .catch((err) => console.error("Could not load timeline:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [live, room?.id, range, custom, refreshToken]);
+
+  const view = recording
+    ? { from: 0, to: recording.durationMs, points: recording.points }
+    : data;
+  const from = view?.from ?? 0;
+  const to = Math.max(from + 1, view?.to ?? 1);
+  const span = to - from;
+  const x = (ts) => ((ts - from) / span) * width;
+  const points = view?.points ?? [];
+  const formatTime = recording ? formatMediaTime : i18n.time;
+  const maxPeople = Math.max(2, ...points.map((p) => p.peopleCount ?? 0));
+  const y = (count) =>
+    LINE_BOTTOM - (count / maxPeople) * (LINE_BOTTOM - LINE_TOP);
+
+  const timeAt = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return from + ((e.clientX - rect.left) / rect.width) * span;
+  };
+
+  const zoomTo = (a, b) => {
+    const start = Math.min(a, b);
+    const end = Math.max(a, b);
+    // Ignore clicks; a minute is the smallest useful window
+    if (end - start < 60e3) return;
+    setCustom({ from: start, to: end });
+    setRange("custom");
+  };
+
+  return (
+    <section
+      style={{
+        background: "rgba(15,23,42,0.9)",
+        borderRadius: "0.9rem",
+        padding: "0.9rem 1.1rem",
+        border: "1px solid rgba(30,64,175,0.5)",
+        marginBottom: "1.5rem",
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: "0.5rem",
+          flexWrap: "wrap",
+          marginBottom: "0.6rem",
+        }}
+      >
+        <span style={{ fontSize: "0.9rem", opacity: 0.9, marginRight: "auto" }}>
+          {recording
+            ? recording.title
+            : room
+            ? t("timeline.room", { room: room.name })
+            : t("timeline.heading")}
+        </span>
+        {live &&
+          Object.keys(RANGES).map((key) => (
+            <button
+              key={key}
+              onClick={() => {
+                if (key === "custom" && !custom) {
+                  setCustom({ from: from, to: to });
+                }
+                setRange(key);
+              }}
+              style={rangeButtonStyle(range === key)}
+            >
+              {t(`timeline.range.${key}`)}
+            </button>
+          ))}
+        {live && range === "custom" && custom && (
+          <>
+            <input
+              type="datetime-local"
+              aria-label={t("timeline.from")}
+              value={toLocalInput(custom.from)}
+              onChange={(e) =>
+                e.target.value &&
+                setCustom({
+                  ...custom,
+                  from: new Date(e.target.value).getTime(),
+                })
+              }
+              style={inputStyle}
+            />
+            <input
+              type="datetime-local"
+              aria-label={t("timeline.to")}
+              value={toLocalInput(custom.to)}
+              onChange={(e) =>
+                e.target.value &&
+                setCustom({ ...custom, to: new Date(e.target.value).getTime() })
+              }
+              style={inputStyle}
+            />
+          </>
+        )}
+      </div>
+
+      <div ref={containerRef} style={{ width: "100%" }}>
+        <svg
+          width={width}
+          height={HEIGHT}
+          role="img"
+          aria-label={t("timeline.label")}
+          onPointerDown={
+            live
+              ? (e) => {
+                  e.currentTarget.setPointerCapture(e.pointerId);
+                  const at = timeAt(e);
+                  setDrag({ start: at, end: at });
+                }
+              : undefined
+          }
+          onClick={live ? undefined : (e) => onSeek?.(timeAt(e))}
+          onPointerMove={
+            drag ? (e) => setDrag({ ...drag, end: timeAt(e) }) : undefined
+          }
+          onPointerUp={
+            drag
+              ? () => {
+                  setDrag(null);
+                  zoomTo(drag.start, drag.end);
+                }
+              : undefined
+          }
+          style={{
+            display: "block",
+            cursor: live ? "col-resize" : "pointer",
+            touchAction: "none",
+          }}
+        >
+          {/* No-data background */}
+          <rect
+            x={0}
+            y={BAND_Y}
+            width={width}
+            height={BAND_H}
+            fill="rgba(75,85,99,0.25)"
+            rx={4}
+          />
+          {statusBands(points, to).map((band) => (
+            <rect
+              key={band.start}
+              x={x(band.start)}
+              y={BAND_Y}
+              width={Math.max(1, x(band.end) - x(band.start))}
+              height={BAND_H}
+              fill={STATUS_COLORS[band.status] ?? "#4b5563"}
+            >
+              <title>
+                {i18n.status(band.status)} · {formatTime(band.start)}–
+                {formatTime(band.end)}
+              </title>
+            </rect>
+          ))}
+
+          {/* People count */}
+          {[0, maxPeople].map((count) => (
+            <g key={count}>
+              <line
+                x1={0}
+                x2={width}
+                y1={y(count)}
+                y2={y(count)}
+                stroke="rgba(148,163,184,0.2)"
+              />
+              <text x={2} y={y(count) - 3} fill="#94a3b8" fontSize={10}>
+                {count === maxPeople
+                  ? t("timeline.peopleAxis", { count })
+                  : count}
+              </text>
+            </g>
+          ))}
+          {peopleSegments(points).map((segment) => (
+            <polyline
+              key={segment[0].timestamp}
+              points={segment
+                .map((p) => `${x(p.timestamp)},${y(p.peopleCount)}`)
+                .join(" ")}
+              fill="none"
+              stroke="#60a5fa"
+              strokeWidth={2}
+              strokeLinejoin="round"
+            />
+          ))}
+
+          {/* Signal markers */}
+          {signalMarkers(points).map((marker) => (
+            <circle
+              key={`${marker.kind}-${marker.id}`}
+              cx={x(marker.timestamp)}
+              cy={MARKER_Y + (marker.kind === "voiceStress" ? 10 : 0)}
+              r={4}
+              fill={MARKERS[marker.kind].color}
+            >
+              <title>
+                {t(`timeline.${marker.kind}`)} · {formatTime(marker.timestamp)}
+              </title>
+            </circle>
+          ))}
+
+          {/* Time axis */}
+          {timeTicks(
+            from,
+            to,
+            Math.max(2, Math.floor(width / 110)),
+            live ? undefined : 1e3
+          ).map((tick) => (
+            <g key={tick}>
+              <line
+                x1={x(tick)}
+                x2={x(tick)}
+                y1={BAND_Y}
+                y2={AXIS_Y - 10}
+                stroke="rgba(148,163,184,0.15)"
+              />
+              <text
+                x={x(tick)}
+                y={AXIS_Y + 4}
+                fill="#94a3b8"
+                fontSize={10}
+                textAnchor="middle"
+              >
+                {live ? formatTick(tick, span, i18n) : formatMediaTime(tick)}
+              </text>
+            </g>
+          ))}
+
+          {drag && (
+            <rect
+              x={Math.min(x(drag.start), x(drag.end))}
+              y={0}
+              width={Math.abs(x(drag.end) - x(drag.start))}
+              height={AXIS_Y - 8}
+              fill="rgba(96,165,250,0.2)"
+              stroke="rgba(96,165,250,0.7)"
+            />
+          )}
+        </svg>
+      </div>
+
+      <div
+        style={{
+          display: "flex",
+          gap: "1rem",
+          flexWrap: "wrap",
+          fontSize: "0.72rem",
+          opacity: 0.75,
+          marginTop: "0.3rem",
+        }}
+      >
+        <span>
+          <span style={{ color: "#60a5fa" }}>━</span> {t("timeline.people")}
+        </span>
+        {Object.entries(MARKERS).map(([kind, { color }]) => (
+          <span key={kind}>
+            <span style={{ color }}>●</span> {t(`timeline.${kind}`)}
+          </span>
+        ))}
+        <span>
+          {t("timeline.analyses", { count: points.length })} ·{" "}
+          {live ? t("timeline.dragHint") : t("timeline.seekHint")}
+        </span>
+      </div>
+    </section>
+  );
+}
+
+export default StatusTimeline;
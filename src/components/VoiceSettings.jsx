@@ -0,0 +1,180 @@
+import { useState } from "react";
+import { browserRecognitionSupported } from "../speech/recognizers";
+import { VOICE_COMMANDS } from "../speech/voiceCommands";
+
+const inputStyle = {
+  background: "#020617",
+  color: "#e5e7eb",
+  border: "1px solid rgba(30,64,175,0.7)",
+  borderRadius: "0.5rem",
+  padding: "0.35rem 0.5rem",
+  fontSize: "0.8rem",
+};
+
+// Labels are "voiceSettings.engines.<engine>"; each command of
+// VOICE_COMMANDS is explained by "voiceSettings.command.<id>"
+const ENGINES = ["auto", "azure", "browser", "local"];
+
+// 👂 Voice commands and "are you okay?" check-ins
+function VoiceSettings({
+  i18n,
+  voice,
+  onChange,
+  recognizer,
+  voiceState,
+  checkIn,
+  speechAuthState,
+}) {
+  const { t } = i18n;
+  const [typed, setTyped] = useState("");
+  const available = {
+    auto: true,
+    // Still selectable without a token: choosing it asks the backend again
+    azure: true,
+    browser: browserRecognitionSupported(),
+    local: true,
+  };
+  const noToken = speechAuthState.state === "failed";
+
+  return (
+    <details
+      style={{
+        marginTop: "0.9rem",
+        fontSize: "0.8rem",
+        background: "rgba(15,23,42,0.9)",
+        borderRadius: "0.7rem",
+        padding: "0.55rem 0.8rem",
+        border: "1px solid rgba(30,64,175,0.5)",
+      }}
+    >
+      <summary style={{ cursor: "pointer", opacity: 0.85 }}>
+        {t("voiceSettings.summary", {
+          state: !voice.commandsEnabled
+            ? t("voiceSettings.state.off")
+            : voiceState.error
+            ? t("voiceSettings.state.error")
+            : voiceState.listening
+            ? t("voiceSettings.state.listening", { kind: recognizer.kind })
+            : t("voiceSettings.state.starting"),
+        })}
+        {checkIn && ` · ${t("voiceSettings.waitingForReply")}`}
+      </summary>
+
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "auto 1fr",
+          gap: "0.5rem 0.8rem",
+          alignItems: "center",
+          marginTop: "0.7rem",
+        }}
+      >
+        <label htmlFor="voice-enabled">{t("voiceSettings.enabled")}</label>
+        <input
+          id="voice-enabled"
+          type="checkbox"
+          checked={voice.commandsEnabled}
+          onChange={(e) => onChange({ commandsEnabled: e.target.checked })}
+          style={{ justifySelf: "start" }}
+        />
+
+        <label htmlFor="voice-engine">{t("voiceSettings.engine")}</label>
+        <select
+          id="voice-engine"
+          value={voice.engine}
+          onChange={(e) => onChange({ engine: e.target.value })}
+          style={inputStyle}
+        >
+          {ENGINES.map((key) => (
+            <option key={key} value={key} disabled={!available[key]}>
+              {t(`voiceSettings.engines.${key}`)}
+              {!available[key] ? ` ${t("voiceSettings.notAvailable")}` : ""}
+              {key === "azure" && noToken
+                ? ` ${t("speechSettings.noTokenShort")}`
+                : ""}
+            </option>
+          ))}
+        </select>
+
+        <label htmlFor="voice-language">{t("voiceSettings.language")}</label>
+        <select
+          id="voice-language"
+          value={voice.language}
+          onChange={(e) => onChange({ language: e.target.value })}
+          style={inputStyle}
+        >
+          <option value="">{t("speechSettings.matchLanguage")}</option>
+          <option value="en-US">English (US)</option>
+          <option value="en-GB">English (UK)</option>
+          <option value="sv-SE">Svenska</option>
+        </select>
+
+        <label htmlFor="voice-checkins">{t("voiceSettings.checkins")}</label>
+        <input
+          id="voice-checkins"
+          type="checkbox"
+          checked={voice.checkIns}
+          onChange={(e) => onChange({ checkIns: e.target.checked })}
+          style={{ justifySelf: "start" }}
+        />
+
+        <label htmlFor="voice-timeout">{t("voiceSettings.timeout")}</label>
+        <input
+          id="voice-timeout"
+          type="number"
+          min={10}
+          max={300}
+          value={voice.checkInTimeoutSec}
+          disabled={!voice.checkIns}
+          onChange={(e) =>
+            onChange({
+              checkInTimeoutSec: Math.max(10, Number(e.target.value)),
+            })
+          }
+          style={{ ...inputStyle, width: "5rem" }}
+        />
+      </div>
+
+      <ul style={{ margin: "0.6rem 0 0", paddingLeft: "1.1rem", opacity: 0.8 }}>
+        {VOICE_COMMANDS.map((command) => (
+          <li key={command.id}>{t(`voiceSettings.command.${command.id}`)}</li>
+        ))}
+      </ul>
+
+      {recognizer.kind === "local" && voice.commandsEnabled && (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (!typed.trim()) return;
+            recognizer.say(typed);
+            setTyped("");
+          }}
+          style={{ display: "flex", gap: "0.4rem", marginTop: "0.6rem" }}
+        >
+          <input
+            value={typed}
+            onChange={(e) => setTyped(e.target.value)}
+            placeholder={t("voiceSettings.typePlaceholder")}
+            style={{ ...inputStyle, flex: 1 }}
+          />
+          <button type="submit" style={{ ...inputStyle, cursor: "pointer" }}>
+            {t("voiceSettings.say")}
+          </button>
+        </form>
+      )}
+
+      {voiceState.lastHeard && voice.commandsEnabled && (
+        <div style={{ marginTop: "0.5rem", opacity: 0.75 }}>
+          {t("voiceSettings.lastHeard", { text: voiceState.lastHeard })}
+        </div>
+      )}
+      {voiceState.error && voice.commandsEnabled && (
+        <div style={{ color: "#fecaca", marginTop: "0.5rem" }}>
+          {i18n.message(voiceState.error)}
+        </div>
+      )}
+    </details>
+  );
+}
+
+export default VoiceSettings;
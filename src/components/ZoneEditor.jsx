@@ -0,0 +1,114 @@
+import { ZONE_TYPES } from "../vision/zones";
+
+const inputStyle = {
+  background: "#020617",
+  color: "#e5e7eb",
+  border: "1px solid rgba(30,64,175,0.7)",
+  borderRadius: "0.5rem",
+  padding: "0.3rem 0.45rem",
+  fontSize: "0.75rem",
+};
+
+// 📐 Zone list for one room: pick the type of the next zone to draw on
+// the video, rename or remove existing zones.
+function ZoneEditor({
+  i18n,
+  zones,
+  editing,
+  disabled,
+  newType,
+  onNewTypeChange,
+  onToggle,
+  onChange,
+}) {
+  const { t } = i18n;
+  return (
+    <div
+      onClick={(e) => e.stopPropagation()}
+      style={{
+        display: "flex",
+        flexDirection: "column",
+        gap: "0.35rem",
+        marginTop: "0.5rem",
+        fontSize: "0.75rem",
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          gap: "0.5rem",
+          alignItems: "center",
+          flexWrap: "wrap",
+        }}
+      >
+        <button
+          onClick={onToggle}
+          disabled={disabled}
+          style={{ ...inputStyle, cursor: "pointer" }}
+        >
+          {editing
+            ? t("room.done")
+            : t("zones.button", { count: zones.length })}
+        </button>
+        {!editing && zones.length > 0 && (
+          <span style={{ opacity: 0.7 }}>
+            {zones.map((z) => z.name).join(" · ")}
+          </span>
+        )}
+        {editing && (
+          <>
+            <label
+              style={{ display: "flex", gap: "0.3rem", alignItems: "center" }}
+            >
+              {t("zones.next")}
+              <select
+                value={newType}
+                onChange={(e) => onNewTypeChange(e.target.value)}
+                style={inputStyle}
+              >
+                {Object.keys(ZONE_TYPES).map((type) => (
+                  <option key={type} value={type}>
+                    {t(`zones.${type}`)}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <span style={{ opacity: 0.8 }}>{t("zones.hint")}</span>
+          </>
+        )}
+      </div>
+
+      {editing &&
+        zones.map((zone) => (
+          <div
+            key={zone.id}
+            style={{ display: "flex", gap: "0.4rem", alignItems: "center" }}
+          >
+            <span
+              style={{
+                width: "0.7rem",
+                height: "0.7rem",
+                borderRadius: "0.2rem",
+                background: ZONE_TYPES[zone.type]?.color,
+              }}
+            />
+            <input
+              aria-label={t("zones.name")}
+              value={zone.name}
+              onChange={(e) =>
+                onChange(
+                  zones.map((z) =>
+                    z.id === zone.id ? { ...z, name: e.target.value } : z
+                  )
+                )
+              }
+              style={{ ...inputStyle, width: "9rem" }}
+            />
+            <span style={{ opacity: 0.7 }}>{t(`zones.${zone.type}`)}</span>
+          </div>
+        ))}
+    </div>
+  );
+}
+
+export default ZoneEditor;
@@ -0,0 +1,186 @@
+import { DEFAULT_TIMEOUT_MS } from "../api/backendClient";
+import { createTranslator } from "../i18n/locales";
+
+// ⚙️ User settings persisted in localStorage.
+// Each feature owns one section (e.g. "backend") so sections can be merged
+// with their defaults independently when new fields are added later.
+
+const STORAGE_KEY = "smart-safe-room.settings";
+
+export const DEFAULT_SETTINGS = {
+  backend: {
+    // "" = use whatever the build env selects (see src/api/backendClient.js)
+    environment: "",
+    customUrl: "",
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+  },
+  cadence: {
+    baseIntervalMs: 10000,
+    // Faster sampling after a WARNING / EMERGENCY result…
+    escalatedIntervalMs: 2000,
+    // …until this many NORMAL results in a row
+    decayAfterNormal: 3,
+    // Upper bound for the exponential backoff while the backend fails
+    maxBackoffMs: 60000,
+  },
+  motion: {
+    // Skip auto-monitor uploads while the scene is static
+    enabled: true,
+    sampleMs: 1000,
+    // Fraction of changed pixels that counts as motion / sudden movement
+    threshold: 0.02,
+    significantThreshold: 0.15,
+    // Never upload sudden-movement frames closer together than this
+    minGapMs: 2000,
+    // Upload a frame at least this often even when nothing moves
+    heartbeatMs: 60000,
+  },
+  camera: {
+    // Local checks of every frame (see src/vision/frameQuality.js): frames
+    // of a frozen, covered or dark camera are not uploaded
+    healthChecks: true,
+    // Mean brightness (0-255) below which the picture is too dark
+    darkLevel: 20,
+    // Identical frames for this long mean the feed is frozen
+    frozenAfterSec: 10,
+    // Edge strength below which the picture counts as blurry (0 = off)
+    minSharpness: 2,
+    // Reopen the camera when its stream ends or it cannot be opened
+    autoReconnect: true,
+  },
+  alerts: {
+    // Escalation rule thresholds (see src/alerts/alertRules.js)
+    consecutiveWarnings: 3,
+    fallRiskFrames: 2,
+    emptyRoomMinutes: 30,
+    // Zone rules (need zones drawn on the room's camera view)
+    nightStart: "22:00",
+    nightEnd: "06:00",
+    bedtime: "23:00",
+    bedEmptyMinutes: 15,
+    // Remembered for the acknowledgment form
+    caregiverName: "",
+  },
+  attention: {
+    desktopNotifications: true,
+    flashTitle: true,
+    // Looping alarm per alert severity, until the alert is acknowledged
+    sounds: {
+      WARNING: { enabled: true, tone: "chime", volume: 0.5 },
+      EMERGENCY: { enabled: true, tone: "siren", volume: 0.9 },
+    },
+  },
+  speech: {
+    autoAnnounce: true,
+    // "auto" = Azure when configured, browser speechSynthesis as fallback
+    engine: "auto",
+    // "" = the display language's voice (see src/i18n/locales.js)
+    azureVoice: "",
+    // voiceURI of a browser voice; "" = pick one matching azureVoice's language
+    browserVoice: "",
+    rate: 1,
+    volume: 1,
+  },
+  privacy: {
+    // Pixelate faces on the device before frames are uploaded or stored
+    blurFaces: false,
+  },
+  audio: {
+    // Microphone capture is opt-in
+    enabled: false,
+    // "" = browser default microphone
+    deviceId: "",
+    // Room whose analyses carry the audio window ("" = first room)
+    roomId: "",
+    // "features" = only loudness/pitch numbers, "clip" = also the recording
+    sendMode: "features",
+    windowMs: 3000,
+    // Loud voiced audio above this level (dBFS) counts as shouting
+    shoutDb: -15,
+  },
+  voice: {
+    // Continuous recognition of "help", "analyze now", "I'm okay", …
+    commandsEnabled: false,
+    // "auto" = Azure, then browser recognition, then typed phrases
+    engine: "auto",
+    // "" = the display language's
+    language: "",
+    // Ask "are you okay?" when the microphone's room turns WARNING
+    checkIns: true,
+    // Unanswered check-ins become an EMERGENCY alert
+    checkInTimeoutSec: 30,
+  },
+  clips: {
+    // Keep a rolling video buffer so EMERGENCY results come with a clip
+    enabled: false,
+    // Seconds kept before and recorded after the event
+    preSec: 15,
+    postSec: 30,
+  },
+  offline: {
+    // Seconds of playback between analyzed frames of an uploaded video
+    intervalSec: 5,
+  },
+  kiosk: {
+    // Wall-display layout: large high-contrast statuses, settings tucked away
+    enabled: false,
+    // Keep the screen on (Screen Wake Lock) while in kiosk mode
+    keepAwake: true,
+    // Text size in kiosk mode, relative to the browser default
+    textScale: 1.25,
+    // Single-key shortcuts (A, M, S, K, F), in and out of kiosk mode
+    shortcuts: true,
+  },
+  i18n: {
+    // Display language ("en", "sv"); "" = the browser's, English otherwise
+    locale: "",
+  },
+  relay: {
+    // "off", "station" (publish this browser's results and alerts) or
+    // "viewer" (caregiver dashboard of every station on the channel)
+    mode: "off",
+    // ws(s):// = WebSocket, http(s):// = Server-Sent Events + POST
+    url: "",
+    // Shown to viewers; "" = "Station <last 4 characters of its id>"
+    stationName: "",
+    // Shared secret of a relay started with --token; "" = none
+    token: "",
+  },
+  rooms: {
+    // One entry per monitored camera; deviceId "" = browser default camera.
+    // privacyMasks: [{ x, y, w, h }] as 0..1 fractions of the frame,
+    // zones: [{ id, type, name, x, y, w, h }] (see src/vision/zones.js).
+    // The first room is named in the display language by loadSettings.
+    list: [{ id: "room-1", name: "", deviceId: "" }],
+  },
+};
+
+export function loadSettings() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}") || {};
+  } catch (err) {
+    console.warn("Ignoring unreadable settings:", err);
+  }
+
+  const merged = {};
+  for (const [section, defaults] of Object.entries(DEFAULT_SETTINGS)) {
+    merged[section] = { ...defaults, ...(stored[section] || {}) };
+  }
+  if (!stored.rooms?.list) {
+    const { t } = createTranslator(merged.i18n.locale);
+    merged.rooms.list = merged.rooms.list.map((room, i) => ({
+      ...room,
+      name: t("rooms.defaultName", { number: i + 1 }),
+    }));
+  }
+  return merged;
+}
+
+export function saveSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn("Could not persist settings:", err);
+  }
+}
@@ -0,0 +1,179 @@
+// 📤 History exports: JSON dump, spreadsheet CSV and a printable report.
+import { isAlertStatus } from "../utils/status";
+
+const CSV_COLUMNS = [
+  ["time", (e) => new Date(e.timestamp).toISOString()],
+  ["room", (e) => e.roomName ?? ""],
+  ["status", (e) => e.status],
+  ["peopleCount", (e) => e.peopleCount ?? ""],
+  ["fallRisk", (e) => e.signals?.fallRisk ?? ""],
+  ["voiceStress", (e) => e.signals?.voiceStress ?? ""],
+  ["reason", (e) => e.aiDecision?.reason ?? e.reason ?? ""],
+  ["action", (e) => e.aiDecision?.action ?? ""],
+];
+
+// Column headings of the printable report, as "report.<column>" keys
+const REPORT_COLUMNS = [
+  "time",
+  "status",
+  "people",
+  "fallRisk",
+  "voiceStress",
+  "reasonAction",
+  "frame",
+];
+
+function csvCell(value) {
+  let text = String(value);
+  // Keep spreadsheets from evaluating text as a formula
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/** Every stored /analyze-room response, oldest first, untouched. */
+export function historyToJson(entries) {
+  const records = [...entries]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map((e) => ({
+      id: e.id,
+      time: new Date(e.timestamp).toISOString(),
+      room: e.roomName ?? null,
+      source: e.source ?? null,
+      response: e.response ?? {
+        aiDecision: e.aiDecision,
+        signals: e.signals,
+        peopleCount: e.peopleCount,
+        sceneDescription: e.sceneDescription,
+      },
+    }));
+
+  return JSON.stringify(
+    { exportedAt: new Date().toISOString(), count: records.length, records },
+    null,
+    2
+  );
+}
+
+export function historyToCsv(entries) {
+  const rows = [...entries]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map((e) => CSV_COLUMNS.map(([, get]) => csvCell(get(e))).join(","));
+
+  return [CSV_COLUMNS.map(([name]) => name).join(","), ...rows].join("\r\n");
+}
+
+/**
+ * Standalone HTML incident report in the language of `i18n` (see
+ * src/i18n/locales.js). Frame thumbnails are included for WARNING /
+ * EMERGENCY entries only, to keep the document printable.
+ */
+export function historyToReportHtml(entries, i18n) {
+  const { t } = i18n;
+  const title = t("report.title");
+  const yesNo = (value) => t(value ? "report.yes" : "report.no");
+  const sorted = [...entries].sort((a, b) => a.timestamp - b.timestamp);
+  const alerts = sorted.filter((e) => isAlertStatus(e.status)).length;
+  const range = sorted.length
+    ? `${i18n.dateTime(sorted[0].timestamp)} – ${i18n.dateTime(
+        sorted[sorted.length - 1].timestamp
+      )}`
+    : t("report.noEntries");
+
+  const rows = sorted
+    .map((e) => {
+      const image =
+        isAlertStatus(e.status) && e.thumbnail
+          ? `<img src="${escapeHtml(e.thumbnail)}" alt="${escapeHtml(
+              t("frame.label")
+            )}" />`
+          : "";
+      return `
+      <tr class="${escapeHtml(e.status.toLowerCase())}">
+        <td>${escapeHtml(i18n.dateTime(e.timestamp))}${
+        e.roomName ? `<br />${escapeHtml(e.roomName)}` : ""
+      }</td>
+        <td><strong>${escapeHtml(i18n.status(e.status))}</strong></td>
+        <td>${escapeHtml(e.peopleCount ?? "–")}</td>
+        <td>${yesNo(e.signals?.fallRisk)}</td>
+        <td>${yesNo(e.signals?.voiceStress)}</td>
+        <td>
+          <div>${escapeHtml(e.aiDecision?.reason ?? e.reason)}</div>
+          <div class="action">${escapeHtml(e.aiDecision?.action ?? "")}</div>
+        </td>
+        <td>${image}</td>
+      </tr>`;
+    })
+    .join("");
+
+  return `<!doctype html>
+<html lang="${i18n.locale}">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #111827; }
+  h1 { margin-bottom: 0.2rem; }
+  .meta { color: #4b5563; margin-bottom: 1.2rem; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+  th, td { border: 1px solid #d1d5db; padding: 0.4rem 0.5rem; vertical-align: top; text-align: left; }
+  th { background: #f3f4f6; }
+  tr { page-break-inside: avoid; }
+  tr.warning td:nth-child(2) { color: #c2410c; }
+  tr.emergency td:nth-child(2) { color: #b91c1c; }
+  .action { color: #4b5563; margin-top: 0.2rem; }
+  img { width: 180px; border-radius: 4px; }
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="meta">
+    ${escapeHtml(range)} · ${escapeHtml(
+    t("report.summary", { count: sorted.length, alerts })
+  )}
+    <br />${escapeHtml(
+      t("report.generated", { time: i18n.dateTime(Date.now()) })
+    )}
+  </div>
+  <table>
+    <thead>
+      <tr>${REPORT_COLUMNS.map(
+        (column) => `<th>${escapeHtml(t(`report.${column}`))}</th>`
+      ).join("")}</tr>
+    </thead>
+    <tbody>${rows}</tbody>
+  </table>
+</body>
+</html>`;
+}
+
+export function downloadFile(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** Open the report in a new window and print it (or download if blocked). */
+export function printReport(html, filename) {
+  const win = window.open("", "_blank");
+  if (!win) {
+    downloadFile(html, filename, "text/html");
+    return;
+  }
+  win.document.open();
+  win.document.write(html);
+  win.document.close();
+  win.addEventListener("load", () => win.print(), { once: true });
+}
@@ -0,0 +1,250 @@
+// 🗄️ Incident history persisted in IndexedDB.
+// One record per /analyze-room response, newest first when queried; the
+// snapshot and raw response of each are stored apart (see splitEntry).
+import { HISTORY_DETAIL_FIELDS, openDb, promisify } from "../storage/database";
+import { isAlertStatus } from "../utils/status";
+
+const STORE = "history";
+const DETAILS = "historyDetails";
+
+/**
+ * Build a history record from a normalized /analyze-room response
+ * (see src/api/analysisSchema.js). `response` keeps the untouched payload
+ * for full-fidelity exports.
+ */
+export function createHistoryEntry(
+  analysis,
+  {
+    thumbnail = null,
+    roomId = null,
+    roomName = null,
+    timestamp = Date.now(),
+    replayed = false,
+    frame = null,
+    source = null,
+  } = {}
+) {
+  const aiDecision = analysis.aiDecision;
+  const status = aiDecision.status;
+
+  return {
+    timestamp,
+    roomId,
+    roomName,
+    // Sent later from the offline queue; `timestamp` is the capture time
+    replayed,
+    // Analyzed from a recording: { file, offsetMs, runId } (see src/offline)
+    source,
+    status,
+    // "" when the backend said nothing; shown as history.noSummary
+    summary: aiDecision.reason || analysis.sceneDescription.slice(0, 120),
+    reason: aiDecision.reason,
+    sceneDescription: analysis.sceneDescription,
+    aiDecision,
+    signals: analysis.signals,
+    peopleCount: analysis.peopleCount,
+    // Response problems found by the schema check ([] when well-formed)
+    schemaIssues: analysis.issues,
+    thumbnail,
+    // Frozen-frame view: size of the analyzed frame (to place detection
+    // boxes) and, for WARNING/EMERGENCY only, a larger copy of the image
+    frameSize: frame && { width: frame.width, height: frame.height },
+    snapshot: isAlertStatus(status) ? frame?.image ?? null : null,
+    response: analysis.raw,
+  };
+}
+
+// Entries kept; the oldest are deleted beyond this to bound storage
+// (~10 KB per entry, more for WARNING / EMERGENCY snapshots)
+const MAX_ENTRIES = 10000;
+
+// The large fields live in DETAILS under the entry's id, so lists and the
+// timeline never load them
+function splitEntry(entry) {
+  const list = { ...entry };
+  const details = {};
+  HISTORY_DETAIL_FIELDS.forEach((field) => {
+    details[field] = list[field] ?? null;
+    delete list[field];
+  });
+  return [list, details];
+}
+
+async function pruneHistory(tx) {
+  const store = tx.objectStore(STORE);
+  const excess = (await promisify(store.count())) - MAX_ENTRIES;
+  if (excess <= 0) return;
+  // Index order is oldest first
+  const keys = await promisify(
+    store.index("timestamp").getAllKeys(null, excess)
+  );
+  await Promise.all(
+    keys.flatMap((key) => [
+      promisify(store.delete(key)),
+      promisify(tx.objectStore(DETAILS).delete(key)),
+    ])
+  );
+}
+
+/** Store an entry and resolve with it, including its generated id. */
+export async function addHistoryEntry(entry) {
+  const db = await openDb();
+  const tx = db.transaction([STORE, DETAILS], "readwrite");
+  const [list, details] = splitEntry(entry);
+  const id = await promisify(tx.objectStore(STORE).add(list));
+  await promisify(tx.objectStore(DETAILS).put({ ...details, id }));
+  await pruneHistory(tx);
+  return { ...entry, id };
+}
+
+/** Change fields of a stored entry (not its snapshot or response). */
+export async function updateHistoryEntry(id, patch) {
+  const db = await openDb();
+  const store = db.transaction(STORE, "readwrite").objectStore(STORE);
+  const current = await promisify(store.get(id));
+  if (!current) return null;
+  const next = { ...current, ...patch, id };
+  await promisify(store.put(next));
+  return next;
+}
+
+/** The entry with its snapshot and raw response, as it was added. */
+export async function loadHistoryDetails(entry) {
+  const db = await openDb();
+  const details = await promisify(
+    db.transaction(DETAILS).objectStore(DETAILS).get(entry.id)
+  );
+  return { ...entry, ...details, id: entry.id };
+}
+
+function matchesFilters(entry, { statuses, text }) {
+  if (statuses?.length && !statuses.includes(entry.status)) return false;
+  if (text) {
+    const haystack = `${entry.reason} ${entry.sceneDescription}`.toLowerCase();
+    if (!haystack.includes(text)) return false;
+  }
+  return true;
+}
+
+// Index and key range covering one room (or every room) between `from`
+// and `to`, so nothing outside them is read
+function timeRange(store, { roomId, from, to }) {
+  if (roomId) {
+    return [
+      store.index("roomTimestamp"),
+      IDBKeyRange.bound([roomId, from ?? -Infinity], [roomId, to ?? Infinity]),
+    ];
+  }
+  let range = null;
+  if (from != null && to != null) range = IDBKeyRange.bound(from, to);
+  else if (from != null) range = IDBKeyRange.lowerBound(from);
+  else if (to != null) range = IDBKeyRange.upperBound(to);
+  return [store.index("timestamp"), range];
+}
+
+// Walk `index` over `range` in `direction`; `visit(value)` returns false
+// to stop early. `skip` records are passed over without being read.
+function walk(index, range, direction, visit, skip = 0) {
+  return new Promise((resolve, reject) => {
+    const cursorRequest = index.openCursor(range, direction);
+    let skipped = skip === 0;
+    cursorRequest.onerror = () => reject(cursorRequest.error);
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      if (!skipped) {
+        skipped = true;
+        cursor.advance(skip);
+        return;
+      }
+      if (visit(cursor.value) === false) {
+        resolve();
+        return;
+      }
+      cursor.continue();
+    };
+  });
+}
+
+/**
+ * Page through history, newest first.
+ *
+ * Filters: `roomId`, `statuses` (array of status strings), `from` / `to`
+ * (timestamps, inclusive) and `text` (matched against reason and scene
+ * description). Resolves with `{ entries, total }` where `total` counts
+ * every matching record, not just the page. Entries come without their
+ * snapshot and raw response unless `details` is set (see
+ * loadHistoryDetails).
+ */
+export async function queryHistory(
+  { roomId, statuses, from, to, text } = {},
+  { offset = 0, limit = 10, details = false } = {}
+) {
+  const db = await openDb();
+  const store = db.transaction(STORE).objectStore(STORE);
+  const [index, range] = timeRange(store, { roomId, from, to });
+
+  const needle = text?.trim().toLowerCase() || "";
+  let entries = [];
+  let total = 0;
+
+  if (!statuses?.length && !needle) {
+    // Only the page itself is read
+    total = await promisify(index.count(range));
+    if (offset < total) {
+      await walk(
+        index,
+        range,
+        "prev",
+        (entry) => entries.push(entry) < limit,
+        offset
+      );
+    }
+  } else {
+    await walk(index, range, "prev", (entry) => {
+      if (matchesFilters(entry, { statuses, text: needle })) {
+        if (total >= offset && entries.length < limit) entries.push(entry);
+        total += 1;
+      }
+    });
+  }
+
+  if (details) entries = await Promise.all(entries.map(loadHistoryDetails));
+  return { entries, total };
+}
+
+/**
+ * Lightweight points for the status timeline, oldest first: only the
+ * fields the chart needs, so thumbnails are not held in memory.
+ */
+export async function queryTimeline({ roomId, from, to }) {
+  const db = await openDb();
+  const store = db.transaction(STORE).objectStore(STORE);
+  const [index, range] = timeRange(store, { roomId, from, to });
+  const points = [];
+
+  await walk(index, range, "next", (entry) => {
+    points.push({
+      id: entry.id,
+      timestamp: entry.timestamp,
+      status: entry.status,
+      peopleCount: entry.peopleCount,
+      fallRisk: entry.signals?.fallRisk === true,
+      voiceStress: entry.signals?.voiceStress === true,
+    });
+  });
+
+  return points;
+}
+
+export async function clearHistory() {
+  const db = await openDb();
+  const tx = db.transaction([STORE, DETAILS], "readwrite");
+  await Promise.all([
+    promisify(tx.objectStore(STORE).clear()),
+    promisify(tx.objectStore(DETAILS).clear()),
+  ]);
+}
@@ -0,0 +1,171 @@
+import "fake-indexeddb/auto";
+import { beforeEach, describe, expect, it } from "vitest";
+import { openDb, promisify } from "../storage/database";
+import {
+  addHistoryEntry,
+  clearHistory,
+  createHistoryEntry,
+  loadHistoryDetails,
+  queryHistory,
+  queryTimeline,
+  updateHistoryEntry,
+} from "./historyStore";
+
+const FRAME = { width: 640, height: 480, image: "data:image/jpeg;base64,big" };
+
+function analysis(status, reason = `${status} reason`) {
+  return {
+    aiDecision: { status, reason, action: "" },
+    sceneDescription: `A room, ${status.toLowerCase()}`,
+    peopleCount: 1,
+    signals: { fallRisk: false, voiceStress: false },
+    issues: [],
+    raw: { aiDecision: { status } },
+  };
+}
+
+function entry(timestamp, status = "NORMAL", roomId = "bedroom") {
+  return createHistoryEntry(analysis(status), {
+    timestamp,
+    roomId,
+    roomName: roomId,
+    thumbnail: "data:image/jpeg;base64,small",
+    frame: FRAME,
+  });
+}
+
+async function addAll(entries) {
+  for (const e of entries) await addHistoryEntry(e);
+}
+
+const times = ({ entries }) => entries.map((e) => e.timestamp);
+
+beforeEach(async () => {
+  await clearHistory();
+});
+
+describe("queryHistory", () => {
+  it("pages through entries newest first and counts them all", async () => {
+    await addAll([1, 2, 3, 4, 5].map((t) => entry(t)));
+
+    const first = await queryHistory({}, { offset: 0, limit: 2 });
+    expect(first.total).toBe(5);
+    expect(times(first)).toEqual([5, 4]);
+
+    expect(times(await queryHistory({}, { offset: 4, limit: 2 }))).toEqual([1]);
+    expect(times(await queryHistory({}, { offset: 6, limit: 2 }))).toEqual([]);
+  });
+
+  it("filters by room and time range", async () => {
+    await addAll([
+      entry(1, "NORMAL", "bedroom"),
+      entry(2, "NORMAL", "kitchen"),
+      entry(3, "NORMAL", "bedroom"),
+      entry(4, "NORMAL", "bedroom"),
+    ]);
+
+    const bedroom = await queryHistory({ roomId: "bedroom" });
+    expect(times(bedroom)).toEqual([4, 3, 1]);
+    expect(bedroom.total).toBe(3);
+
+    const ranged = await queryHistory({ roomId: "bedroom", from: 2, to: 3 });
+    expect(times(ranged)).toEqual([3]);
+    expect(times(await queryHistory({ from: 2 }))).toEqual([4, 3, 2]);
+  });
+
+  it("filters by status and text", async () => {
+    await addAll([
+      entry(1, "NORMAL"),
+      entry(2, "WARNING"),
+      entry(3, "EMERGENCY"),
+      entry(4, "WARNING"),
+    ]);
+
+    const warnings = await queryHistory(
+      { statuses: ["WARNING", "EMERGENCY"] },
+      { offset: 1, limit: 1 }
+    );
+    expect(warnings.total).toBe(3);
+    expect(times(warnings)).toEqual([3]);
+
+    expect(times(await queryHistory({ text: "  EMERGENCY reason" }))).toEqual([
+      3,
+    ]);
+  });
+
+  it("leaves snapshots and raw responses out of lists", async () => {
+    const stored = await addHistoryEntry(entry(1, "EMERGENCY"));
+    expect(stored.snapshot).toBe(FRAME.image);
+
+    const [listed] = (await queryHistory()).entries;
+    expect(listed.thumbnail).toBe("data:image/jpeg;base64,small");
+    expect(listed).not.toHaveProperty("snapshot");
+    expect(listed).not.toHaveProperty("response");
+
+    const full = await loadHistoryDetails(listed);
+    expect(full).toEqual(stored);
+
+    const [exported] = (await queryHistory({}, { details: true })).entries;
+    expect(exported.response).toEqual({ aiDecision: { status: "EMERGENCY" } });
+  });
+
+  it("keeps the details when an entry is updated", async () => {
+    const stored = await addHistoryEntry(entry(1, "EMERGENCY"));
+    await updateHistoryEntry(stored.id, { clipId: 7 });
+
+    const [listed] = (await queryHistory()).entries;
+    expect(listed.clipId).toBe(7);
+    expect((await loadHistoryDetails(listed)).snapshot).toBe(FRAME.image);
+  });
+});
+
+describe("queryTimeline", () => {
+  it("returns light points of one room, oldest first", async () => {
+    await addAll([
+      entry(1, "NORMAL", "bedroom"),
+      entry(2, "WARNING", "kitchen"),
+      entry(3, "EMERGENCY", "bedroom"),
+      entry(9, "NORMAL", "bedroom"),
+    ]);
+
+    const points = await queryTimeline({ roomId: "bedroom", from: 0, to: 5 });
+    expect(points.map((p) => [p.timestamp, p.status])).toEqual([
+      [1, "NORMAL"],
+      [3, "EMERGENCY"],
+    ]);
+    expect(Object.keys(points[0])).not.toContain("thumbnail");
+
+    const all = await queryTimeline({ from: 0, to: 5 });
+    expect(all.map((p) => p.timestamp)).toEqual([1, 2, 3]);
+  });
+});
+
+describe("retention", () => {
+  it("deletes the oldest entries and their details beyond 10000", async () => {
+    // Fill the store directly; going through addHistoryEntry would be slow
+    const db = await openDb();
+    const tx = db.transaction(["history", "historyDetails"], "readwrite");
+    for (let t = 1; t <= 10000; t += 1) {
+      tx.objectStore("history").add({ timestamp: t, status: "NORMAL" });
+    }
+    await new Promise((resolve) => {
+      tx.oncomplete = resolve;
+    });
+    const oldest = (await queryHistory({}, { offset: 9999, limit: 1 }))
+      .entries[0];
+    await promisify(
+      db
+        .transaction("historyDetails", "readwrite")
+        .objectStore("historyDetails")
+        .put({ id: oldest.id, snapshot: "old", response: null })
+    );
+
+    await addHistoryEntry(entry(20000));
+
+    const { total, entries } = await queryHistory({}, { limit: 1 });
+    expect(total).toBe(10000);
+    expect(entries[0].timestamp).toBe(20000);
+    expect(times(await queryHistory({ to: 1 }))).toEqual([]);
+    expect((await loadHistoryDetails(oldest)).snapshot).toBeUndefined();
+  });
+});
@@ -0,0 +1,14 @@
+// 🖼️ Small JPEG preview of an analyzed frame, stored alongside history.
+export function createThumbnail(sourceCanvas, maxWidth = 240) {
+  if (!sourceCanvas.width || !sourceCanvas.height) return null;
+
+  const scale = Math.min(1, maxWidth / sourceCanvas.width);
+  const thumb = document.createElement("canvas");
+  thumb.width = Math.round(sourceCanvas.width * scale);
+  thumb.height = Math.round(sourceCanvas.height * scale);
+  thumb
+    .getContext("2d")
+    .drawImage(sourceCanvas, 0, 0, thumb.width, thumb.height);
+
+  return thumb.toDataURL("image/jpeg", 0.7);
+}
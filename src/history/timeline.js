@@ -0,0 +1,79 @@
+// 📈 Turning history points into what the status timeline draws.
+
+// Analyses further apart than this leave a "no data" gap in the bands
+export const MAX_GAP_MS = 5 * 60 * 1000;
+
+/**
+ * Status bands: runs of the same status, each lasting until the next
+ * analysis (or MAX_GAP_MS at most, after which monitoring was off).
+ */
+export function statusBands(points, to) {
+  const bands = [];
+  points.forEach((point, i) => {
+    const next = points[i + 1]?.timestamp ?? to;
+    const end = Math.min(next, point.timestamp + MAX_GAP_MS, to);
+    const last = bands[bands.length - 1];
+    if (last && last.status === point.status && last.end === point.timestamp) {
+      last.end = end;
+    } else {
+      bands.push({ status: point.status, start: point.timestamp, end });
+    }
+  });
+  return bands;
+}
+
+/** People count as line segments, broken wherever the bands have gaps. */
+export function peopleSegments(points) {
+  const segments = [];
+  let current = [];
+  points.forEach((point, i) => {
+    const gap = i > 0 && point.timestamp - points[i - 1].timestamp > MAX_GAP_MS;
+    if (point.peopleCount == null || gap) {
+      if (current.length) segments.push(current);
+      current = [];
+    }
+    if (point.peopleCount != null) current.push(point);
+  });
+  if (current.length) segments.push(current);
+  return segments;
+}
+
+/** fallRisk / voiceStress events to mark on the timeline. */
+export function signalMarkers(points) {
+  return points.flatMap((point) => [
+    ...(point.fallRisk ? [{ ...point, kind: "fallRisk" }] : []),
+    ...(point.voiceStress ? [{ ...point, kind: "voiceStress" }] : []),
+  ]);
+}
+
+/**
+ * Evenly spaced, nicely rounded tick times for the time axis. Clock axes
+ * stop at whole minutes; recordings (`minStepMs` 1000) go down to seconds.
+ */
+export function timeTicks(from, to, count = 6, minStepMs = 60e3) {
+  const steps = [
+    1e3,
+    5e3,
+    10e3,
+    15e3,
+    30e3,
+    60e3,
+    5 * 60e3,
+    10 * 60e3,
+    15 * 60e3,
+    30 * 60e3,
+    3600e3,
+    2 * 3600e3,
+    3 * 3600e3,
+    6 * 3600e3,
+    12 * 3600e3,
+    24 * 3600e3,
+  ].filter((s) => s >= minStepMs);
+  const step =
+    steps.find((s) => (to - from) / s <= count) ?? steps[steps.length - 1];
+  const ticks = [];
+  for (let t = Math.ceil(from / step) * step; t <= to; t += step) {
+    ticks.push(t);
+  }
+  return ticks;
+}
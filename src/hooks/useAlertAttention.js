@@ -0,0 +1,50 @@
+import { useEffect, useRef, useState } from "react";
+import { createAlarm } from "../alerts/alarmSound";
+import { showAlertNotification, showStatusBadge } from "../alerts/attention";
+import { worstStatus } from "../utils/status";
+
+// 📣 Make open alerts impossible to miss: desktop notification per new
+// alert, a looping alarm until every sounding alert is acknowledged, and
+// a favicon/title badge that flashes while alerts are open.
+// `settings` is the "attention" settings section.
+export function useAlertAttention(openAlerts, overallStatus, settings, i18n) {
+  const [alarm] = useState(createAlarm);
+  const notifiedRef = useRef(new Set());
+
+  // Desktop notification once per alert
+  useEffect(() => {
+    for (const alert of openAlerts) {
+      if (notifiedRef.current.has(alert.id)) continue;
+      notifiedRef.current.add(alert.id);
+      if (settings.desktopNotifications) showAlertNotification(alert, i18n);
+    }
+  }, [openAlerts, settings.desktopNotifications, i18n]);
+
+  // Alarm for the most severe open alert whose sound is enabled
+  const sounding = worstStatus(
+    openAlerts
+      .filter((a) => settings.sounds[a.severity]?.enabled)
+      .map((a) => a.severity)
+  );
+  const tone = settings.sounds[sounding]?.tone;
+  const volume = settings.sounds[sounding]?.volume;
+
+  useEffect(() => {
+    if (!sounding) {
+      alarm.stop();
+      return;
+    }
+    alarm.start(tone, volume);
+  }, [alarm, sounding, tone, volume]);
+
+  useEffect(() => () => alarm.stop(), [alarm]);
+
+  // Favicon + title badge
+  const flash = settings.flashTitle && openAlerts.length > 0;
+  useEffect(() => {
+    if (!overallStatus) return;
+    return showStatusBadge(overallStatus, { flash });
+  }, [overallStatus, flash]);
+
+  return alarm;
+}
@@ -0,0 +1,145 @@
+import { useEffect, useRef, useState } from "react";
+import { message } from "../i18n/message";
+
+// Waits between reconnection attempts; the last one repeats
+const RETRY_MS = [1000, 2000, 5000, 10000, 30000];
+// Some platforms mute a track for a moment (e.g. while switching apps)
+const MUTE_GRACE_MS = 5000;
+
+const STARTING = { state: "starting", error: null, since: null, retries: 0 };
+
+function describeCameraError(err) {
+  return err.name === "OverconstrainedError" || err.name === "NotFoundError"
+    ? message("cameraStream.notFound")
+    : message("cameraStream.denied");
+}
+
+// 🎥 Bind a camera stream to a <video> element.
+// `deviceId` "" picks the browser default; changing it restarts the stream.
+// With `autoReconnect` a stream that ends (camera unplugged, taken by
+// another app) or cannot be opened is retried with a growing delay, and
+// right away when a device is plugged in. Returns
+// { state: "starting" | "live" | "muted" | "ended" | "error", error,
+//   since, retries }; `error` is for i18n.message (src/i18n/message.js).
+export function useCameraStream(
+  videoRef,
+  deviceId,
+  { onStarted, autoReconnect = true } = {}
+) {
+  const [camera, setCamera] = useState(STARTING);
+  const [attempt, setAttempt] = useState(0);
+  const failuresRef = useRef(0);
+
+  // Latest callback, so a new one never restarts the stream
+  const onStartedRef = useRef(onStarted);
+  useEffect(() => {
+    onStartedRef.current = onStarted;
+  }, [onStarted]);
+
+  useEffect(() => {
+    let cancelled = false;
+    let stream = null;
+    let retryTimer = null;
+    let muteTimer = null;
+
+    const retryLater = (state, error) => {
+      setCamera((prev) => ({
+        state,
+        error,
+        since: prev.state === state ? prev.since : Date.now(),
+        retries: prev.retries + 1,
+      }));
+      if (!autoReconnect) return;
+      const delay =
+        RETRY_MS[Math.min(failuresRef.current, RETRY_MS.length - 1)];
+      failuresRef.current += 1;
+      retryTimer = setTimeout(() => setAttempt((a) => a + 1), delay);
+    };
+
+    // A newly plugged-in camera is worth trying at once
+    const onDeviceChange = () => {
+      if (retryTimer == null) return;
+      clearTimeout(retryTimer);
+      setAttempt((a) => a + 1);
+    };
+    navigator.mediaDevices?.addEventListener("devicechange", onDeviceChange);
+
+    navigator.mediaDevices
+      .getUserMedia({
+        video: deviceId ? { deviceId: { exact: deviceId } } : true,
+      })
+      .then((s) => {
+        if (cancelled) {
+          s.getTracks().forEach((t) => t.stop());
+          return;
+        }
+        stream = s;
+        if (videoRef.current) {
+          videoRef.current.srcObject = s;
+        }
+        failuresRef.current = 0;
+        setCamera({
+          state: "live",
+          error: null,
+          since: Date.now(),
+          retries: 0,
+        });
+        onStartedRef.current?.(s);
+
+        // 🔌 Track lifecycle: unplugged / revoked, and no frames for a while
+        const [track] = s.getVideoTracks();
+        track?.addEventListener("ended", () => {
+          if (cancelled) return;
+          clearTimeout(muteTimer);
+          retryLater("ended", message("cameraStream.ended"));
+        });
+        track?.addEventListener("mute", () => {
+          muteTimer = setTimeout(() => {
+            if (cancelled) return;
+            setCamera((prev) => ({
+              ...prev,
+              state: "muted",
+              since: Date.now(),
+            }));
+          }, MUTE_GRACE_MS);
+        });
+        track?.addEventListener("unmute", () => {
+          clearTimeout(muteTimer);
+          if (cancelled) return;
+          setCamera((prev) =>
+            prev.state === "muted"
+              ? { ...prev, state: "live", since: Date.now() }
+              : prev
+          );
+        });
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error(err);
+        // Denied permission will not fix itself; a missing camera might
+        if (err.name === "NotAllowedError" || err.name === "SecurityError") {
+          setCamera((prev) => ({
+            ...prev,
+            state: "error",
+            error: describeCameraError(err),
+            since: Date.now(),
+          }));
+          return;
+        }
+        retryLater("error", describeCameraError(err));
+      });
+
+    return () => {
+      cancelled = true;
+      clearTimeout(retryTimer);
+      clearTimeout(muteTimer);
+      navigator.mediaDevices?.removeEventListener(
+        "devicechange",
+        onDeviceChange
+      );
+      stream?.getTracks().forEach((t) => t.stop());
+    };
+  }, [videoRef, deviceId, autoReconnect, attempt]);
+
+  return camera;
+}
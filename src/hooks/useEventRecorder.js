@@ -0,0 +1,17 @@
+import { useEffect, useState, useSyncExternalStore } from "react";
+import { createEventRecorder } from "../recording/eventRecorder";
+
+// 🎞 Pre/post-event clip buffer for one camera stream. Only runs while
+// `enabled` is on; returns the recorder and its { state, recordingUntil } snapshot.
+export function useEventRecorder(stream, { enabled, preSec, postSec }) {
+  const [recorder] = useState(createEventRecorder);
+
+  useEffect(() => {
+    if (!enabled || !stream) return;
+    recorder.start(stream, { preSec, postSec });
+    return () => recorder.stop();
+  }, [recorder, stream, enabled, preSec, postSec]);
+
+  const state = useSyncExternalStore(recorder.subscribe, recorder.getSnapshot);
+  return [recorder, state];
+}
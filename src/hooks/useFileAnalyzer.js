@@ -0,0 +1,13 @@
+import { useEffect, useState, useSyncExternalStore } from "react";
+import { createFileAnalyzer } from "../offline/fileAnalyzer";
+
+// 📼 Offline analyzer for dropped recordings; returns the analyzer and its
+// { state, file, total, frames, error } snapshot. The file is released on unmount.
+export function useFileAnalyzer() {
+  const [analyzer] = useState(createFileAnalyzer);
+
+  useEffect(() => () => analyzer.dispose(), [analyzer]);
+
+  const state = useSyncExternalStore(analyzer.subscribe, analyzer.getSnapshot);
+  return [analyzer, state];
+}
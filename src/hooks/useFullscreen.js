@@ -0,0 +1,26 @@
+import { useCallback, useSyncExternalStore } from "react";
+
+function subscribe(listener) {
+  document.addEventListener("fullscreenchange", listener);
+  return () => document.removeEventListener("fullscreenchange", listener);
+}
+
+const getSnapshot = () => document.fullscreenElement != null;
+
+export function fullscreenSupported() {
+  return typeof document !== "undefined" && document.fullscreenEnabled;
+}
+
+// 🖥 Whole-page fullscreen: [isFullscreen, toggle]
+export function useFullscreen() {
+  const active = useSyncExternalStore(subscribe, getSnapshot);
+
+  const toggle = useCallback(() => {
+    const request = document.fullscreenElement
+      ? document.exitFullscreen()
+      : document.documentElement.requestFullscreen();
+    request.catch((err) => console.warn("Fullscreen not available:", err));
+  }, []);
+
+  return [active, toggle];
+}
@@ -0,0 +1,33 @@
+import { useEffect, useRef } from "react";
+
+// Typing in a form field must never trigger a shortcut
+function isEditable(target) {
+  return (
+    target instanceof HTMLElement &&
+    (target.isContentEditable ||
+      ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))
+  );
+}
+
+// ⌨️ Single-key shortcuts: `handlers` maps a lower-case key ("a", "m", …)
+// to its action. Keys with Ctrl / Alt / Meta are left to the browser.
+export function useKeyboardShortcuts(handlers, enabled = true) {
+  const handlersRef = useRef(handlers);
+  useEffect(() => {
+    handlersRef.current = handlers;
+  }, [handlers]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const onKey = (e) => {
+      if (e.ctrlKey || e.altKey || e.metaKey || e.repeat) return;
+      if (isEditable(e.target)) return;
+      const handler = handlersRef.current[e.key.toLowerCase()];
+      if (!handler) return;
+      e.preventDefault();
+      handler();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [enabled]);
+}
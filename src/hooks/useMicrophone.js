@@ -0,0 +1,31 @@
+import { useEffect, useState, useSyncExternalStore } from "react";
+import { createMicrophone } from "../audio/microphone";
+
+// 🎙 Microphone for the "audio" settings section. Only opened while
+// `enabled` is on; returns the microphone and its { state, levelDb, features } snapshot.
+export function useMicrophone({
+  enabled,
+  deviceId,
+  windowMs,
+  shoutDb,
+  sendMode,
+}) {
+  const [microphone] = useState(createMicrophone);
+
+  useEffect(() => {
+    if (!enabled) return;
+    microphone.start({
+      deviceId,
+      windowMs,
+      shoutDb,
+      sendClip: sendMode === "clip",
+    });
+    return () => microphone.stop();
+  }, [microphone, enabled, deviceId, windowMs, shoutDb, sendMode]);
+
+  const state = useSyncExternalStore(
+    microphone.subscribe,
+    microphone.getSnapshot
+  );
+  return [microphone, state];
+}
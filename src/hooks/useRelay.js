@@ -0,0 +1,148 @@
+import {
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
+import { createRelayClient } from "../relay/relayClient";
+import {
+  alertMessage,
+  localStationId,
+  resultMessage,
+  stationMessage,
+} from "../relay/relayMessages";
+import { createRemoteDashboard } from "../relay/remoteDashboard";
+
+// How often a station repeats its rooms and open alerts
+const HEARTBEAT_MS = 30000;
+// How long its room list and open alerts must settle before an extra one
+const CHANGE_SETTLE_MS = 2000;
+
+const OFF = {
+  state: "off",
+  transport: null,
+  error: null,
+  lastMessageAt: null,
+};
+const subscribeOff = () => () => {};
+const getOff = () => OFF;
+
+// 📡 Relay connection for the "relay" settings section: null while the
+// mode is "off" or no URL is set. Returns the client and its state.
+export function useRelay({ mode, url, token }) {
+  const trimmed = url.trim();
+  const secret = token.trim();
+  const client = useMemo(
+    () =>
+      mode === "off" || !trimmed
+        ? null
+        : createRelayClient({ url: trimmed, role: mode, token: secret }),
+    [mode, trimmed, secret]
+  );
+
+  useEffect(() => {
+    if (!client) return;
+    client.connect();
+    return () => client.close();
+  }, [client]);
+
+  const state = useSyncExternalStore(
+    client?.subscribe ?? subscribeOff,
+    client?.getSnapshot ?? getOff
+  );
+  return [client, state];
+}
+
+// 🛰 Everything a viewer has heard on the relay channel (see
+// src/relay/remoteDashboard.js); starts over when the client changes.
+export function useRemoteDashboard(client) {
+  const [dashboard] = useState(createRemoteDashboard);
+
+  useEffect(() => {
+    if (client?.role !== "viewer") return;
+    const unsubscribe = client.onMessage((message) =>
+      dashboard.receive(message)
+    );
+    return () => {
+      unsubscribe();
+      dashboard.clear();
+    };
+  }, [client, dashboard]);
+
+  return useSyncExternalStore(dashboard.subscribe, dashboard.getSnapshot);
+}
+
+// 📤 Station side: publishes alert changes and a heartbeat with the rooms
+// and their open alerts. Returns `publishResult(entry)` for new analyses.
+export function useRelayStation(client, { name, rooms, alerts }) {
+  const [stationId] = useState(localStationId);
+  const station = useMemo(() => ({ id: stationId, name }), [stationId, name]);
+  const publishing = client?.role === "station";
+  const latestRef = useRef({});
+  const sentAlertsRef = useRef(new Map());
+
+  const publishResult = useCallback(
+    (entry) => {
+      latestRef.current[entry.roomId] = entry;
+      if (publishing) client.publish(resultMessage(station, entry));
+    },
+    [client, publishing, station]
+  );
+
+  // Alerts are immutable: a new object means it was opened or changed.
+  // Acknowledgments only matter to viewers that were told about the alert.
+  useEffect(() => {
+    if (!publishing) return;
+    const sent = sentAlertsRef.current;
+    for (const alert of [...alerts.open, ...alerts.acknowledged]) {
+      if (sent.get(alert.id) === alert) continue;
+      if (alert.acknowledgedAt && !sent.has(alert.id)) continue;
+      sent.set(alert.id, alert);
+      client.publish(alertMessage(station, alert));
+    }
+  }, [client, publishing, station, alerts]);
+
+  // What a heartbeat tells viewers about the rooms and open alerts. Other
+  // changes (a room's camera, an alert's clip) don't need one of their own.
+  const summary = JSON.stringify([
+    rooms.map((r) => [r.id, r.name]),
+    alerts.open.map((a) => a.id),
+  ]);
+  const currentRef = useRef({ rooms, openAlerts: alerts.open, summary });
+  const sentSummaryRef = useRef(null);
+
+  useEffect(() => {
+    currentRef.current = { rooms, openAlerts: alerts.open, summary };
+  }, [rooms, alerts.open, summary]);
+
+  const beat = useCallback(() => {
+    const current = currentRef.current;
+    client.publish(
+      stationMessage(
+        station,
+        current.rooms,
+        current.openAlerts,
+        latestRef.current
+      )
+    );
+    sentSummaryRef.current = current.summary;
+  }, [client, station]);
+
+  useEffect(() => {
+    if (!publishing) return;
+    beat();
+    const id = setInterval(beat, HEARTBEAT_MS);
+    return () => clearInterval(id);
+  }, [publishing, beat]);
+
+  // Changes go out once they settle, not on every edit
+  useEffect(() => {
+    if (!publishing || summary === sentSummaryRef.current) return;
+    const id = setTimeout(beat, CHANGE_SETTLE_MS);
+    return () => clearTimeout(id);
+  }, [publishing, beat, summary]);
+
+  return publishResult;
+}
@@ -0,0 +1,104 @@
+import {
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
+import { videoFrame } from "../monitoring/frameSources";
+import { createRoomMonitor } from "../monitoring/roomMonitor";
+
+// 🎥 Stable frame source reading whatever <video> `videoRef` points to
+export function useVideoFrameSource(videoRef) {
+  return useMemo(
+    () => ({ frame: () => videoFrame(videoRef.current) }),
+    [videoRef]
+  );
+}
+
+// 🧠 Room monitor (src/monitoring/roomMonitor.js) bound to a component.
+// Options are the monitor's plus `autoMonitorOn` and the event callbacks
+// `onResult`, `onStatusChange`, `onError` and `onCameraHealth`, which may
+// change freely. Returns the monitor (for capture()) and its
+// { running, capturing, cadence, intervalMs, gate, camera } snapshot.
+export function useRoomMonitor({
+  roomId,
+  source,
+  analyzer,
+  cadence,
+  motion,
+  prepareFrame,
+  extraBody,
+  health,
+  autoMonitorOn,
+  onResult,
+  onStatusChange,
+  onError,
+  onCameraHealth,
+}) {
+  const [monitor] = useState(() =>
+    createRoomMonitor({ roomId, source, analyzer, cadence, motion, health })
+  );
+
+  useEffect(() => {
+    monitor.configure({
+      source,
+      analyzer,
+      cadence,
+      motion,
+      prepareFrame,
+      extraBody,
+      health,
+    });
+  }, [
+    monitor,
+    source,
+    analyzer,
+    cadence,
+    motion,
+    prepareFrame,
+    extraBody,
+    health,
+  ]);
+
+  useEffect(() => {
+    if (!autoMonitorOn) return;
+    monitor.start();
+    return () => monitor.stop();
+  }, [monitor, autoMonitorOn]);
+
+  // Latest callbacks, so the subscriptions below never have to change
+  const callbacksRef = useRef({
+    onResult,
+    onStatusChange,
+    onError,
+    onCameraHealth,
+  });
+  useEffect(() => {
+    callbacksRef.current = {
+      onResult,
+      onStatusChange,
+      onError,
+      onCameraHealth,
+    };
+  }, [onResult, onStatusChange, onError, onCameraHealth]);
+
+  useEffect(() => {
+    const unsubscribers = [
+      monitor.on("result", (...args) =>
+        callbacksRef.current.onResult?.(...args)
+      ),
+      monitor.on("statusChange", (...args) =>
+        callbacksRef.current.onStatusChange?.(...args)
+      ),
+      monitor.on("error", (...args) => callbacksRef.current.onError?.(...args)),
+      monitor.on("cameraHealth", (...args) =>
+        callbacksRef.current.onCameraHealth?.(...args)
+      ),
+    ];
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [monitor]);
+
+  const state = useSyncExternalStore(monitor.subscribe, monitor.getSnapshot);
+  return [monitor, state];
+}
@@ -0,0 +1,18 @@
+import { useCallback, useState } from "react";
+import { loadSettings, saveSettings } from "../config/settings";
+
+// 🧩 Settings state synced to localStorage.
+// updateSection("backend", { timeoutMs: 5000 }) merges into one section.
+export function useSettings() {
+  const [settings, setSettings] = useState(loadSettings);
+
+  const updateSection = useCallback((section, patch) => {
+    setSettings((prev) => {
+      const next = { ...prev, [section]: { ...prev[section], ...patch } };
+      saveSettings(next);
+      return next;
+    });
+  }, []);
+
+  return [settings, updateSection];
+}
@@ -0,0 +1,32 @@
+import { useEffect, useState, useSyncExternalStore } from "react";
+import { createSpeaker } from "../speech/speaker";
+import { browserSpeechSupported, browserVoices } from "../speech/speechEngines";
+
+// 📢 One speech queue for the whole app, configured from the "speech"
+// settings section; `auth` supplies Azure Speech tokens (useSpeechAuth).
+// Returns the speaker and its { speaking, pending } state.
+export function useSpeaker(settings, auth) {
+  const [speaker] = useState(() => createSpeaker({ ...settings, auth }));
+
+  useEffect(() => {
+    speaker.setOptions({ ...settings, auth });
+  }, [speaker, settings, auth]);
+
+  const state = useSyncExternalStore(speaker.subscribe, speaker.getSnapshot);
+  return [speaker, state];
+}
+
+// Browser voices load asynchronously in most browsers
+export function useBrowserVoices() {
+  const [voices, setVoices] = useState(browserVoices);
+
+  useEffect(() => {
+    if (!browserSpeechSupported()) return;
+    const update = () => setVoices(browserVoices());
+    window.speechSynthesis.addEventListener("voiceschanged", update);
+    return () =>
+      window.speechSynthesis.removeEventListener("voiceschanged", update);
+  }, []);
+
+  return voices;
+}
@@ -0,0 +1,27 @@
+import { useEffect, useMemo, useSyncExternalStore } from "react";
+import { describeBackendError } from "../api/backendClient";
+import { localizedError } from "../i18n/message";
+import { createSpeechTokenProvider } from "../speech/speechToken";
+
+// 🔑 Azure Speech tokens from the current backend. Returns the provider and
+// its { state, region, expiresAt, error } snapshot.
+export function useSpeechAuth(backend) {
+  const auth = useMemo(
+    () =>
+      createSpeechTokenProvider(() =>
+        backend.getSpeechToken().catch((err) => {
+          if (!err.isAxiosError) throw err;
+          const described = describeBackendError(err, backend.baseUrl);
+          throw typeof described === "string"
+            ? new Error(described)
+            : localizedError(described.key, described.params);
+        })
+      ),
+    [backend]
+  );
+
+  useEffect(() => () => auth.dispose(), [auth]);
+
+  const state = useSyncExternalStore(auth.subscribe, auth.getSnapshot);
+  return [auth, state];
+}
@@ -0,0 +1,45 @@
+import { useCallback, useEffect, useState } from "react";
+
+async function listDevices(kind) {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  try {
+    const all = await navigator.mediaDevices.enumerateDevices();
+    return all.filter((d) => d.kind === kind);
+  } catch (err) {
+    console.error("Could not list media devices:", err);
+    return [];
+  }
+}
+
+// 📷 List of media devices of one `kind`, kept up to date on plug/unplug.
+// Labels are only filled in once the user has granted camera/microphone
+// access, so call `refresh()` again after the first stream starts.
+export function useMediaDevices(kind) {
+  const [devices, setDevices] = useState([]);
+
+  const refresh = useCallback(() => listDevices(kind).then(setDevices), [kind]);
+
+  useEffect(() => {
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices) return;
+
+    let cancelled = false;
+    const update = () =>
+      listDevices(kind).then((list) => {
+        if (!cancelled) setDevices(list);
+      });
+
+    update();
+    mediaDevices.addEventListener("devicechange", update);
+    return () => {
+      cancelled = true;
+      mediaDevices.removeEventListener("devicechange", update);
+    };
+  }, [kind]);
+
+  return [devices, refresh];
+}
+
+export function useVideoDevices() {
+  return useMediaDevices("videoinput");
+}
@@ -0,0 +1,81 @@
+import {
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
+import { errorMessage } from "../i18n/message";
+import { createRecognizer } from "../speech/recognizers";
+
+// 👂 Keep a recognizer listening while voice commands are enabled and pass
+// every recognized phrase to `onPhrase`. `settings` is the "voice" section;
+// `auth` supplies Azure Speech tokens (useSpeechAuth). "auto" switches away
+// from Azure when the backend refuses a token.
+// Returns the recognizer (the local one accepts typed phrases) and
+// { listening, lastHeard, error }.
+export function useVoiceCommands(settings, deviceId, onPhrase, auth) {
+  const { commandsEnabled, engine, language } = settings;
+  const authState = useSyncExternalStore(auth.subscribe, auth.getSnapshot);
+  const azureAvailable = authState.state !== "failed";
+  const recognizer = useMemo(
+    () =>
+      createRecognizer(engine, { language, deviceId, auth, azureAvailable }),
+    [engine, language, deviceId, auth, azureAvailable]
+  );
+  const [status, setStatus] = useState({
+    listening: false,
+    lastHeard: null,
+    error: null,
+  });
+
+  const onPhraseRef = useRef(onPhrase);
+  useEffect(() => {
+    onPhraseRef.current = onPhrase;
+  });
+
+  useEffect(() => {
+    if (!commandsEnabled) return;
+
+    let cancelled = false;
+    recognizer
+      .start(
+        (text) => {
+          if (cancelled) return;
+          setStatus((prev) => ({ ...prev, lastHeard: text }));
+          onPhraseRef.current(text);
+        },
+        (err) => {
+          console.error("Speech recognition error:", err);
+          if (!cancelled) {
+            setStatus((prev) => ({
+              ...prev,
+              listening: prev.listening && !err.stopped,
+              error: errorMessage(err),
+            }));
+          }
+        }
+      )
+      .then(
+        () => {
+          if (!cancelled) {
+            setStatus((prev) => ({ ...prev, listening: true, error: null }));
+          }
+        },
+        (err) => {
+          console.error("Could not start speech recognition:", err);
+          if (!cancelled) {
+            setStatus((prev) => ({ ...prev, error: errorMessage(err) }));
+          }
+        }
+      );
+
+    return () => {
+      cancelled = true;
+      recognizer.stop();
+      setStatus((prev) => ({ ...prev, listening: false }));
+    };
+  }, [recognizer, commandsEnabled]);
+
+  return [recognizer, status];
+}
@@ -0,0 +1,50 @@
+import { useEffect, useState } from "react";
+
+const OFF = { active: false, error: null };
+
+export function wakeLockSupported() {
+  return typeof navigator !== "undefined" && "wakeLock" in navigator;
+}
+
+// 💡 Keep the screen on while `enabled` (Screen Wake Lock API). The browser
+// drops the lock whenever the page is hidden, so it is requested again
+// each time the page becomes visible.
+export function useWakeLock(enabled) {
+  const [state, setState] = useState(OFF);
+
+  useEffect(() => {
+    if (!enabled || !wakeLockSupported()) return;
+    let cancelled = false;
+    let sentinel = null;
+
+    const acquire = async () => {
+      if (sentinel || document.visibilityState !== "visible") return;
+      try {
+        const lock = await navigator.wakeLock.request("screen");
+        if (cancelled) {
+          lock.release();
+          return;
+        }
+        sentinel = lock;
+        lock.addEventListener("release", () => {
+          sentinel = null;
+          if (!cancelled) setState(OFF);
+        });
+        setState({ active: true, error: null });
+      } catch (err) {
+        // e.g. NotAllowedError on battery saver or without user activation
+        if (!cancelled) setState({ active: false, error: err.message });
+      }
+    };
+
+    acquire();
+    document.addEventListener("visibilitychange", acquire);
+    return () => {
+      cancelled = true;
+      document.removeEventListener("visibilitychange", acquire);
+      sentinel?.release();
+    };
+  }, [enabled]);
+
+  return enabled ? state : OFF;
+}
@@ -0,0 +1,554 @@
+// 🇬🇧 English catalog. Keys are "area.name"; `{name}` is filled in by
+// t(key, { name }). Keys ending in _one / _other are picked by `count`.
+const en = {
+  // Backend status keywords, for display only (logic uses the raw values)
+  "status.NORMAL": "NORMAL",
+  "status.WARNING": "WARNING",
+  "status.EMERGENCY": "EMERGENCY",
+  "status.none": "NO DATA",
+
+  "app.title": "Smart Safe Room AI",
+  "app.subtitle":
+    "Webcam-based room understanding with Azure Vision, OpenAI & Speech.",
+  "app.viewerSubtitle":
+    "Remote viewer · live rooms of every station on the relay.",
+  "app.language": "Language",
+
+  "backend.downSince": "Backend unreachable since {time}",
+  "backend.ok": "Backend OK",
+  "backend.unchecked": "Backend not checked yet",
+
+  "header.room": "Room",
+  "header.worstOf_one": "Worst of {count} room",
+  "header.worstOf_other": "Worst of {count} rooms",
+  "header.autoOn": "Auto-monitor ON",
+  "header.autoOff": "Enable auto-monitor",
+
+  "outage.title": "⚠️ Monitoring alert:",
+  "outage.body":
+    "the backend has been unreachable since {time} ({count} failed analyses). Room statuses below are out of date.",
+  "outage.queued_one":
+    "{count} frame queued and will be analyzed when it is back.",
+  "outage.queued_other":
+    "{count} frames queued and will be analyzed when it is back.",
+  "outage.dropped_one": "{count} older frame was dropped.",
+  "outage.dropped_other": "{count} older frames were dropped.",
+
+  "stats.currentStatus": "Current status",
+  "stats.stale": "{status} (stale)",
+  "stats.noData": "No data",
+  "stats.snapshots": "Snapshots this session",
+  "stats.alerts": "Alerts (open / acknowledged)",
+  "stats.open": "{count} open",
+  "stats.acknowledged": "{count} acknowledged",
+
+  "rooms.add": "+ Add room / camera",
+  "rooms.defaultName": "Room {number}",
+
+  "result.heading": "AI Safety Status",
+  "result.speaking": "Speaking…",
+  "result.speak": "Speak status",
+  "result.none": "No analysis yet. Point the camera at your room and click",
+  "result.analyzeButton": "“Analyze Current Frame”",
+  "result.noneEnd": ", or enable auto-monitoring.",
+  "result.schemaWarning":
+    "⚠️ The backend's response could not be read reliably (schema v{version}): {issues}. Treat this status with caution.",
+  "result.scene": "Scene description (from Vision):",
+  "result.noScene": "(No scene description returned.)",
+  "result.reason": "Reason:",
+  "result.action": "Suggested action:",
+  "result.notProvided": "(not provided)",
+
+  "signals.heading": "Advanced safety signals (from Azure, optional)",
+  "signals.people": "Multi-person presence",
+  "signals.notAvailable": "N/A",
+  "signals.personCount": "{count} person(s)",
+  "signals.noDetections": "No detection results for this frame.",
+  "signals.nobody": "No people detected in the current frame.",
+  "signals.onePerson": "One person detected in the room.",
+  "signals.crowded": "Multiple people detected – room may be crowded.",
+  "signals.fall": "Fall / posture anomaly",
+  "signals.fallDetected": "Possible fall detected",
+  "signals.noFall": "No fall signal",
+  "signals.fallDetail":
+    "Azure Vision bounding boxes suggest an unusual (lying) posture – shown in orange on the video.",
+  "signals.noFallDetail": "No unusual posture detected in this frame.",
+  "signals.voice": "Voice stress / tone",
+  "signals.stress": "Elevated stress",
+  "signals.shouting": "Shouting detected",
+  "signals.noStress": "No stress signal",
+  "signals.micLevel": "Microphone level",
+  "signals.stressDetail":
+    "Audio analysis detected elevated stress in the voice.",
+  "signals.listening": "Listening · {level} dB",
+  "signals.pitch": " · pitch {pitch} ± {variance} Hz",
+  "signals.micElsewhere": "The microphone is placed in another room.",
+  "signals.micOff":
+    "Microphone capture is off (enable it under Microphone settings).",
+
+  "speech.playFailed":
+    "Could not play speech ({error}). Check browser audio permissions and console logs for details.",
+  // Spoken sentences
+  // Worded without any reply or command keyword (see voiceCommands.js)
+  "speech.checkIn":
+    "This is a check-in. Please tell me how you are doing, or call out if you need assistance.",
+  "speech.statusChanged": "status changed from {from} to {to}",
+  "speech.statusIs": "status is {status}",
+  "speech.current":
+    "Current room status is {status}. {reason}. Suggested action: {action}.",
+  "speech.noReason": "No detailed reason",
+  "speech.noAction": "No specific action suggested",
+  "speech.gladOkay": "Thank you. Glad you are okay.",
+  "speech.helpComing": "Help is on the way.",
+  "speech.analyzing": "Analyzing the room now.",
+  "speech.acknowledged_one": "Acknowledged {count} alert in {room}.",
+  "speech.acknowledged_other": "Acknowledged {count} alerts in {room}.",
+  "speech.emergencyKept":
+    "The emergency in {room} must be acknowledged on the screen.",
+
+  "alerts.outageTitle": "Monitoring degraded: backend unreachable",
+  "alerts.voiceCommand": "Voice command",
+  "alerts.heard": "Heard: “{text}”",
+  "alerts.helpAtCheckIn": "Help requested at check-in",
+  "alerts.helpByVoice": "Help requested by voice",
+  "alerts.checkInUnanswered": "No answer to check-in",
+  "alerts.checkInUnansweredDetail":
+    "Nobody answered the spoken check-in after a WARNING.",
+
+  "kiosk.board": "Room status board",
+  "kiosk.noAnalysis": "No analysis yet.",
+  "kiosk.openAlerts_one": "{count} open alert",
+  "kiosk.openAlerts_other": "{count} open alerts",
+  "kiosk.acknowledge": "Acknowledge",
+  "kiosk.acknowledgedBy": "Wall display",
+
+  "camera.frozen": "Camera picture is frozen",
+  "camera.covered": "Camera lens seems to be covered",
+  "camera.dark": "Camera picture is too dark",
+  "camera.blurry": "Camera picture is blurry",
+  "camera.disconnected": "Camera disconnected",
+  "camera.unavailable": "Camera not available",
+  "camera.no-signal": "Camera sends no video",
+  "camera.reconnecting": "reconnecting (attempt {count})",
+  "alerts.cameraTitle": "Monitoring degraded: camera problem",
+  "rules.backend-emergency": "Emergency reported",
+  "rules.consecutive-warnings": "{count} warnings in a row",
+  "rules.fall-risk_one": "Fall risk in {count} frame",
+  "rules.fall-risk_other": "Fall risk in {count} consecutive frames",
+  "rules.room-empty": "Nobody seen for {minutes} min",
+  "rules.zone-floor": "Person lying in the floor area",
+  "rules.zone-door-night": "Someone at the door at night",
+  "rules.zone-bed-empty": "Not in bed after {time}",
+
+  "alertsPanel.heading": "Alerts · {count} open",
+  "alertsPanel.caregiver": "Caregiver name",
+  "alertsPanel.caregiverPlaceholder": "Your name",
+  "alertsPanel.none":
+    "No open alerts. Escalation rules raise alerts here for acknowledgment.",
+  "alertsPanel.note": "Acknowledgment note",
+  "alertsPanel.notePlaceholder": "Note (what was done)…",
+  "alertsPanel.nameFirst": "Enter your name first",
+  "alertsPanel.acknowledge": "Acknowledge",
+  "alertsPanel.recent": "Recently acknowledged ({count})",
+  "alertsPanel.acknowledgedBy": "by {name} at {time}",
+  "alertsPanel.showClip": "▶ Event clip",
+  "alertsPanel.hideClip": "Hide clip",
+  "alertsPanel.rules": "Escalation rules",
+  "alertsPanel.consecutiveWarnings": "Warnings in a row → emergency",
+  "alertsPanel.fallRiskFrames": "Fall-risk frames → emergency",
+  "alertsPanel.emptyRoomMinutes": "Minutes without anyone → warning",
+  "alertsPanel.bedEmptyMinutes": "Minutes out of bed at night → check-in",
+  "alertsPanel.nightStart": "Night starts",
+  "alertsPanel.nightEnd": "Night ends",
+  "alertsPanel.bedtime": "Bedtime",
+
+  "clip.loading": "Loading clip…",
+  "clip.missing":
+    "The clip is no longer stored on this device (only the most recent ones are kept).",
+  "clip.caption": "Event at {time} · {before} s before, {after} s after",
+  "clip.download": "Download clip",
+
+  "frame.label": "Analyzed frame",
+  "frame.noImage": "No image was stored for this entry.",
+  "frame.schemaProblems": "⚠️ Unexpected backend response: {issues}",
+  "frame.detections": "Detections:",
+  "frame.noDetections": "none reported",
+  "frame.thumbnailOnly":
+    "Full-size frames are only kept for WARNING and EMERGENCY entries; showing the thumbnail.",
+  "frame.close": "Close",
+  "history.heading": "Incident history",
+  "history.stored_one": "{count} snapshot stored",
+  "history.stored_other": "{count} snapshots stored",
+  "history.export.json": "Export JSON",
+  "history.export.csv": "Export CSV",
+  "history.export.report": "Print report",
+  "history.allRooms": "All rooms",
+  "history.fromDate": "From date",
+  "history.toDate": "To date",
+  "history.search": "Search reason or scene…",
+  "history.empty":
+    "No history matches. Each analysis will appear here with time and status.",
+  "history.showFrame": "Show the analyzed frame",
+  "history.people_one": "{count} person",
+  "history.people_other": "{count} people",
+  "history.clip": "🎞 clip",
+  "history.newer": "← Newer",
+  "history.older": "Older →",
+  "history.page": "Page {page} of {pages}",
+  "history.loadFailed": "Could not load stored history.",
+  "history.exportFailed": "Could not export history.",
+
+  "report.title": "Smart Safe Room incident report",
+  "report.noEntries": "No entries",
+  "report.summary_one": "{count} analysis · {alerts} warning/emergency",
+  "report.summary_other": "{count} analyses · {alerts} warning/emergency",
+  "report.generated": "Generated {time}",
+  "report.time": "Time",
+  "report.status": "Status",
+  "report.people": "People",
+  "report.fallRisk": "Fall risk",
+  "report.voiceStress": "Voice stress",
+  "report.reasonAction": "Reason / action",
+  "report.frame": "Frame",
+  "report.yes": "Yes",
+  "report.no": "No",
+  "timeline.heading": "Timeline",
+  "timeline.room": "Timeline · {room}",
+  "timeline.recording": "Timeline · {name}",
+  "timeline.label": "Status timeline",
+  "timeline.range.hour": "Last hour",
+  "timeline.range.day": "Last 24 h",
+  "timeline.range.custom": "Custom",
+  "timeline.from": "From",
+  "timeline.to": "To",
+  "timeline.people": "People",
+  "timeline.peopleAxis": "{count} people",
+  "timeline.fallRisk": "Fall risk",
+  "timeline.voiceStress": "Voice stress",
+  "timeline.analyses_one": "{count} analysis",
+  "timeline.analyses_other": "{count} analyses",
+  "timeline.dragHint": "drag across the chart to zoom in",
+  "timeline.seekHint": "click the chart to jump there in the recording",
+  "recording.heading": "Analyze a recording",
+  "recording.state.loading": "Opening file…",
+  "recording.state.running": "Analyzing…",
+  "recording.state.done": "Finished",
+  "recording.state.cancelled": "Stopped",
+  "recording.state.failed": "Failed",
+  "recording.drop":
+    "Drop an image or a video here (e.g. an MP4 from a CCTV system), or click to pick one",
+  "recording.picked": "{name} ({size} MB) · drop or click to pick another file",
+  "recording.rejected": "{name} is not an image or a video file.",
+  "recording.every": "Every",
+  "recording.secondsOfVideo": "s of video",
+  "recording.stop": "Stop",
+  "recording.analyze": "Analyze",
+  "recording.analyzeAgain": "Analyze again",
+  "recording.progress_one": "{done} / {count} frame",
+  "recording.progress_other": "{done} / {count} frames",
+  "recording.export": "Export results",
+  "recording.stoppedAt": "Stopped at frame {frame}: {error}",
+  "recording.explain":
+    "Frames are sent to the current backend ({url}) with the same privacy settings as the cameras. Results go to the incident history under the file's name and never raise alerts.",
+  "recording.explainBlurred":
+    "Frames are sent to the current backend ({url}) with the same privacy settings as the cameras (faces blurred). Results go to the incident history under the file's name and never raise alerts.",
+  "recording.showMoment": "Show this moment in the video",
+  "recording.noReason": "No reason given",
+  "recording.fallRisk": "fall risk",
+  "recording.voiceStress": "voice stress",
+  "backendSettings.summary": "Backend: {url}",
+  "backendSettings.notConfigured": "not configured",
+  "backendSettings.environment": "Environment",
+  "backendSettings.default": "Default ({name})",
+  "backendSettings.env.local": "Local",
+  "backendSettings.env.staging": "Staging",
+  "backendSettings.env.production": "Production",
+  "backendSettings.noUrl": "(no URL configured)",
+  "backendSettings.customUrl": "Custom URL",
+  "backendSettings.customUrlPlaceholder":
+    "Overrides the environment, e.g. http://192.168.1.20:5000",
+  "backendSettings.timeout": "Timeout (s)",
+
+  "privacySettings.summaryBlurred_one": "Privacy: faces blurred, {count} mask",
+  "privacySettings.summaryBlurred_other":
+    "Privacy: faces blurred, {count} masks",
+  "privacySettings.summaryVisible_one": "Privacy: faces visible, {count} mask",
+  "privacySettings.summaryVisible_other":
+    "Privacy: faces visible, {count} masks",
+  "privacySettings.blurFaces": "Blur faces on this device before upload",
+  "privacySettings.detector":
+    "Faces are located by the browser's built-in face detector.",
+  "privacySettings.noDetector":
+    "This browser has no face detector, so the whole frame is pixelated before upload.",
+  "privacySettings.masks":
+    "Privacy masks are drawn on each room's video with “Privacy masks”. Masked areas are blacked out before the frame is encoded, so they are never uploaded or stored in the history.",
+  "monitoringSettings.summary": "Auto-monitor: every {seconds}s",
+  "monitoringSettings.gated": "motion-gated uploads",
+  "monitoringSettings.everyFrame": "upload every frame",
+  "monitoringSettings.checksOff": "camera checks off",
+  "monitoringSettings.cadenceBase": "Base interval (s)",
+  "monitoringSettings.cadenceEscalated": "After warning (s)",
+  "monitoringSettings.cadenceDecay": "Normal results to calm down",
+  "monitoringSettings.motionEnabled": "Skip static scenes",
+  "monitoringSettings.motionThreshold": "Motion threshold (%)",
+  "monitoringSettings.motionSignificant": "Sudden movement (%)",
+  "monitoringSettings.motionHeartbeat": "Heartbeat (s)",
+  "monitoringSettings.cameraChecks": "Camera health checks",
+  "monitoringSettings.cameraDark": "Too dark below (0-255)",
+  "monitoringSettings.cameraFrozen": "Frozen after (s)",
+  "monitoringSettings.cameraReconnect": "Reconnect lost cameras",
+  "monitoringSettings.explain":
+    "Frames of a frozen, covered or too dark camera are not sent for analysis; the room gets a “monitoring degraded” alert instead.",
+  "attentionSettings.summary": "Alerts: notifications {permission}",
+  "attentionSettings.permission.granted": "allowed",
+  "attentionSettings.permission.denied": "blocked in browser settings",
+  "attentionSettings.permission.default": "not yet allowed",
+  "attentionSettings.permission.unsupported": "not supported by this browser",
+  "attentionSettings.desktopNotifications": "Desktop notifications",
+  "attentionSettings.allow": "Allow notifications",
+  "attentionSettings.flashTitle":
+    "Flash tab title and icon while alerts are open",
+  "attentionSettings.alarm": "{status} alarm",
+  "attentionSettings.tone": "{status} tone",
+  "attentionSettings.volume": "{status} volume",
+  "attentionSettings.tone.siren": "siren",
+  "attentionSettings.tone.beep": "beep",
+  "attentionSettings.tone.chime": "chime",
+  "attentionSettings.test": "Test",
+  "audioSettings.summary": "Microphone: {state}",
+  "audioSettings.state.off": "off",
+  "audioSettings.state.starting": "starting…",
+  "audioSettings.state.on": "listening",
+  "audioSettings.state.error": "unavailable",
+  "audioSettings.sendingClips": "sending clips",
+  "audioSettings.enabled": "Capture audio",
+  "audioSettings.device": "Microphone",
+  "audioSettings.defaultDevice": "Default microphone",
+  "audioSettings.deviceNumber": "Microphone {number}",
+  "audioSettings.room": "Placed in",
+  "audioSettings.firstRoom": "First room",
+  "audioSettings.send": "Send to backend",
+  "audioSettings.sendFeatures": "Features only (loudness, pitch)",
+  "audioSettings.sendClip": "Features and audio clip",
+  "audioSettings.window": "Window (s)",
+  "audioSettings.shout": "Shout level (dB)",
+
+  "clipSettings.summary":
+    "Event clips: {before} s before to {after} s after an emergency",
+  "clipSettings.summaryOff": "Event clips: off",
+  "clipSettings.enabled": "Record event clips",
+  "clipSettings.pre": "Seconds before",
+  "clipSettings.post": "Seconds after",
+  "clipSettings.explain":
+    "Each camera keeps its last seconds of video in memory. Clips are stored on this device only, attached to the history entry and alert, and never uploaded; the oldest are deleted after 30 clips.",
+  "clipSettings.unsupported":
+    "This browser cannot record video (MediaRecorder is missing).",
+  "clipSettings.unfiltered":
+    "⚠️ Clips are recorded from the camera as is: privacy masks and face blur only apply to the frames sent for analysis.",
+  "speechSettings.summary": "Speech: {engine}",
+  "speechSettings.announcing": "announcing status changes",
+  "speechSettings.lastFailed": "(last announcement failed)",
+  "speechSettings.auto": "Announce status changes",
+  "speechSettings.engine": "Engine",
+  "speechSettings.engines.auto": "Azure, browser as fallback",
+  "speechSettings.engines.azure": "Azure Speech only",
+  "speechSettings.engines.browser": "Browser voice only",
+  "speechSettings.noTokenShort": "(no speech token)",
+  "speechSettings.azureVoice": "Azure voice",
+  "speechSettings.matchLanguage": "Match display language",
+  "speechSettings.browserVoice": "Browser voice",
+  "speechSettings.matchAzureVoice": "Match Azure voice language",
+  "speechSettings.rate": "Rate ({rate}×)",
+  "speechSettings.volume": "Volume ({percent}%)",
+  "speechSettings.noTokenSilent":
+    "No Azure Speech token from the backend: {error} Announcements stay silent until it does.",
+  "speechSettings.noTokenFallback":
+    "No Azure Speech token from the backend: {error} Announcements use the browser voice for now.",
+
+  "voiceSettings.summary": "Voice commands: {state}",
+  "voiceSettings.state.off": "off",
+  "voiceSettings.state.error": "unavailable",
+  "voiceSettings.state.listening": "listening ({kind})",
+  "voiceSettings.state.starting": "starting…",
+  "voiceSettings.waitingForReply": "waiting for check-in reply",
+  "voiceSettings.enabled": "Listen for commands",
+  "voiceSettings.engine": "Recognizer",
+  "voiceSettings.engines.auto": "Best available",
+  "voiceSettings.engines.azure": "Azure Speech",
+  "voiceSettings.engines.browser": "Browser speech recognition",
+  "voiceSettings.engines.local": "Typed phrases (no microphone)",
+  "voiceSettings.notAvailable": "(not available)",
+  "voiceSettings.language": "Language",
+  "voiceSettings.checkins": "Check-ins on WARNING",
+  "voiceSettings.timeout": "Reply within (s)",
+  "voiceSettings.command.help": "“help” raises an EMERGENCY",
+  "voiceSettings.command.stop-alarm":
+    "“stop alarm” acknowledges the room's alerts, except emergencies",
+  "voiceSettings.command.analyze": "“analyze now” analyzes the room now",
+  "voiceSettings.command.okay":
+    "“I'm okay” acknowledges the room's alerts, except emergencies",
+  "voiceSettings.typePlaceholder": "Type a phrase, e.g. analyze now",
+  "voiceSettings.say": "Say",
+  "voiceSettings.lastHeard": "Last heard: “{text}”",
+  "kioskSettings.summaryOn": "Kiosk mode: on",
+  "kioskSettings.summaryOff": "Kiosk mode: off",
+  "kioskSettings.screenKeptOn": "screen kept on",
+  "kioskSettings.enabled": "Wall-display layout",
+  "kioskSettings.awake": "Keep the screen on",
+  "kioskSettings.scale": "Text size ({percent}%)",
+  "kioskSettings.shortcuts": "Keyboard shortcuts",
+  "kioskSettings.fullscreen": "Fullscreen",
+  "kioskSettings.enterFullscreen": "Enter fullscreen",
+  "kioskSettings.leaveFullscreen": "Leave fullscreen",
+  "kioskSettings.shortcut.A": "Analyze the selected room now",
+  "kioskSettings.shortcut.M": "Toggle auto-monitoring",
+  "kioskSettings.shortcut.S": "Speak the selected room's status",
+  "kioskSettings.shortcut.K": "Acknowledge the newest open alert",
+  "kioskSettings.shortcut.F": "Toggle fullscreen",
+  "kioskSettings.noWakeLock":
+    "This browser cannot keep the screen on; disable sleep in the device settings instead.",
+  "kioskSettings.wakeLockFailed": "The screen may still turn off: {error}",
+  "kioskSettings.explain":
+    "The text size and screen lock only apply in the wall-display layout.",
+  "relaySettings.summaryOff": "Relay: off",
+  "relaySettings.summary.station": "Relay: station, {state}",
+  "relaySettings.summary.viewer": "Relay: viewer, {state}",
+  "relaySettings.state.off": "off",
+  "relaySettings.state.connecting": "connecting…",
+  "relaySettings.state.open": "connected",
+  "relaySettings.state.down": "disconnected",
+  "relaySettings.state.closed": "closed",
+  "relaySettings.mode": "Mode",
+  "relaySettings.modes.off": "Off",
+  "relaySettings.modes.station": "Station (publish results and alerts)",
+  "relaySettings.modes.viewer": "Remote viewer (dashboard of all stations)",
+  "relaySettings.url": "Channel URL",
+  "relaySettings.urlPlaceholder":
+    "e.g. ws://localhost:8787 or http://localhost:8787/events",
+  "relaySettings.token": "Token",
+  "relaySettings.tokenPlaceholder": "Only if the relay requires one",
+  "relaySettings.name": "Station name",
+  "relaySettings.namePlaceholder": "Shown on the viewers, e.g. Ward 3",
+  "relaySettings.transport.websocket": "WebSocket.",
+  "relaySettings.transport.sse": "Server-Sent Events.",
+  "relaySettings.transportHint":
+    "ws:// and wss:// use a WebSocket; http:// and https:// use Server-Sent Events, with results POSTed to the same URL.",
+  "relaySettings.explain":
+    "A station sends every analysis with its privacy-filtered frame and every alert to everyone on the channel.",
+  "cadence.every": "every {seconds}s",
+  "cadence.backingOff": "every {seconds}s (backing off)",
+  "cadence.escalated": "every {seconds}s (escalated)",
+  "room.name": "Room name",
+  "room.camera": "Camera",
+  "room.defaultCamera": "Default camera",
+  "room.cameraNumber": "Camera {number}",
+  "room.staleTitle": "Backend unreachable – last known status",
+  "room.stale": "(stale)",
+  "room.malformed": "Malformed response",
+  "room.malformedTitle": "Unexpected backend response: {issues}",
+  "room.remove": "Remove {name}",
+  "room.boxes": "Boxes",
+  "room.lastSentAlt": "Last frame sent for analysis",
+  "room.sentAt": "Sent to the backend at {time}:",
+  "room.leavesDevice": "Leaves this device on analysis:",
+  "room.frame.camera": "camera frame ({parts})",
+  "room.frame.masks_one": "{count} privacy mask",
+  "room.frame.masks_other": "{count} privacy masks",
+  "room.frame.facesBlurred_one": "{count} face blurred",
+  "room.frame.facesBlurred_other": "{count} faces blurred",
+  "room.frame.faces.off": "faces visible",
+  "room.frame.faces.on": "faces blurred",
+  "room.frame.faces.whole-frame": "whole frame pixelated",
+  "room.audio.features": "voice loudness/pitch numbers",
+  "room.audio.clip": "audio clip",
+  "room.microphoneData": "microphone data",
+  "room.done": "Done",
+  "room.masks": "Privacy masks ({count})",
+  "room.masksHint":
+    "Drag on the video to black out an area; click a mask to remove it.",
+  "room.recorder.buffering":
+    "🎞 Last seconds of video kept in memory for event clips",
+  "room.recorder.recording": "🔴 Recording an event clip on this device",
+  "room.recorder.unsupported":
+    "🎞 Event clips are not supported by this browser",
+  "room.recorder.error": "🎞 Event clips unavailable",
+  "room.recordingUntil": "until {time}",
+  "room.analyze": "Analyze Current Frame",
+  "room.analyzing": "Analyzing…",
+  "room.recent": "Recent statuses",
+  "room.tip": "Tip: enable auto-monitor for continuous safety.",
+  "room.sampling": "Sampling {cadence}",
+  "room.motion": "Motion",
+  "room.uploaded": "uploaded ({reason})",
+  "room.uploadSkipped": "static scene, upload skipped",
+  "room.uploadReason.first": "first frame",
+  "room.uploadReason.motion": "motion",
+  "room.uploadReason.significant-motion": "sudden movement",
+  "room.uploadReason.heartbeat": "heartbeat",
+  "room.uploadReason.escalated": "escalated",
+  "zones.bed": "Bed",
+  "zones.door": "Door",
+  "zones.floor": "Floor area",
+  "zones.window": "Window",
+  "zones.button": "Zones ({count})",
+  "zones.next": "Next zone",
+  "zones.hint": "Drag on the video to draw it; click a zone to remove it.",
+  "zones.name": "Zone name",
+  "remote.rooms": "Rooms",
+  "remote.stations_one": "{count} station",
+  "remote.stations_other": "{count} stations",
+  "remote.waiting": "Connected to {url}. Waiting for stations to report…",
+  "remote.notConnected": "Not connected to {url} yet.",
+  "remote.noRelay": "Not connected to a relay yet.",
+  "remote.showRoom": "Show this room's details",
+  "remote.noAnalysis": "No analysis yet",
+  "remote.openAlerts": "Open alerts",
+  "remote.offline": "offline",
+  "remote.silent":
+    "The station has not reported since {time}. What is shown here may be out of date.",
+  "remote.latestFrame": "Latest frame of {name}",
+  "remote.showFrame": "Show the analyzed frame",
+  "remote.people_one": "{count} person",
+  "remote.people_other": "{count} people",
+  "remote.fallRisk": "fall risk",
+  "remote.voiceStress": "voice stress",
+  "remote.since": "since {time}",
+  "remote.recent": "Recent analyses",
+  "remote.recentNote":
+    "Only analyses received since this page was opened (and each room's latest one) are shown; the full history stays on the station.",
+
+  "regions.remove": "Click to remove",
+  "monitor.noPicture": "The camera has no picture yet.",
+  "monitor.notAnalyzed.frozen":
+    "Camera problem: the picture is frozen. The frame was not analyzed.",
+  "monitor.notAnalyzed.covered":
+    "Camera problem: the lens seems to be covered. The frame was not analyzed.",
+  "monitor.notAnalyzed.dark":
+    "Camera problem: the picture is too dark. The frame was not analyzed.",
+  "cameraStream.notFound":
+    "Selected camera is not available. Pick another device.",
+  "cameraStream.denied": "Could not access camera. Check browser permissions.",
+  "cameraStream.ended": "The camera stopped sending video.",
+  "backend.timeout": "The backend at {url} did not respond in time.",
+  "backend.httpError": "The backend at {url} returned HTTP {status}.",
+  "backend.unreachable":
+    "Could not reach the backend at {url}. Check that it is running.",
+  "relay.badUrl": "Use a ws://, wss://, http:// or https:// URL.",
+  "relay.lost": "Connection to {url} lost; retrying in {seconds} s.",
+  "relay.refused": "{url} refused the connection; check the URL and token.",
+  "relay.retrying": "Cannot reach {url}; retrying.",
+  "relay.httpError": "{url} returned HTTP {status}.",
+  "relay.unreachable": "Cannot reach {url}.",
+  "mediaFiles.undecodable": "The file could not be decoded by this browser.",
+  "mediaFiles.unknownDuration":
+    "The length of this video could not be determined, so no frames can be picked from it. Try re-saving it with a video tool.",
+  "mediaFiles.unsupported": "Unsupported file type: {type}",
+  "speechToken.noToken": "The backend sent no speech token.",
+  "speechToken.noRegion": "The backend sent no speech region.",
+  "recognition.unsupported":
+    "Speech recognition is not supported by this browser.",
+  "recognition.failed": "Speech recognition failed: {error}",
+  "history.noSummary": "No summary",
+};
+
+export default en;
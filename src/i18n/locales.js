@@ -0,0 +1,85 @@
+import { formatClock } from "../utils/time";
+import en from "./en";
+import sv from "./sv";
+
+// 🌍 Display languages. Each brings its catalog, the locale used for dates
+// and times, and the voices that speak and listen to it.
+export const LOCALES = {
+  en: {
+    label: "English",
+    dateLocale: "en-US",
+    speechVoice: "en-US-JennyNeural",
+    recognitionLanguage: "en-US",
+    messages: en,
+  },
+  sv: {
+    label: "Svenska",
+    dateLocale: "sv-SE",
+    speechVoice: "sv-SE-SofieNeural",
+    recognitionLanguage: "sv-SE",
+    messages: sv,
+  },
+};
+
+export const DEFAULT_LOCALE = "en";
+
+/** The chosen locale, or the browser's language when "" (or unknown). */
+export function resolveLocale(code) {
+  if (LOCALES[code]) return code;
+  const browser = (globalThis.navigator?.language ?? "").split("-")[0];
+  return LOCALES[browser] ? browser : DEFAULT_LOCALE;
+}
+
+/** "sv-SE-SofieNeural" / "sv-SE" → "sv" */
+export function languageOf(tag) {
+  return tag.split("-")[0].toLowerCase();
+}
+
+function interpolate(text, params) {
+  return text.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] == null ? match : String(params[name])
+  );
+}
+
+/**
+ * Translation helpers for one locale:
+ *   t("outage.queued", { count: 2 })  "…_one" / "…_other" chosen by count
+ *                                     when the catalog has them; missing
+ *                                     keys fall back to English
+ *   status("WARNING")                 backend keyword for display; the raw
+ *                                     value stays what the logic compares
+ *   alertTitle(alert)                 from its titleKey, or the stored
+ *                                     title of alerts that have none
+ *   message(m)                        a message(key, params) from ./message,
+ *                                     or plain text as it is
+ *   time(ts) / dateTime(ts, options)  in the locale's format
+ */
+export function createTranslator(code) {
+  const locale = resolveLocale(code);
+  const { messages, dateLocale } = LOCALES[locale];
+  const plurals = new Intl.PluralRules(dateLocale);
+
+  const lookup = (key) => messages[key] ?? en[key];
+
+  const t = (key, params = {}) => {
+    const plural =
+      params.count != null
+        ? lookup(`${key}_${plurals.select(params.count)}`) ??
+          lookup(`${key}_other`)
+        : null;
+    const text = plural ?? lookup(key);
+    return text == null ? key : interpolate(text, params);
+  };
+
+  return {
+    locale,
+    ...LOCALES[locale],
+    t,
+    status: (s) => (s ? lookup(`status.${s}`) ?? s : t("status.none")),
+    alertTitle: (alert) =>
+      alert.titleKey ? t(alert.titleKey, alert.titleParams) : alert.title,
+    message: (m) => (m?.key ? t(m.key, m.params) : m),
+    time: (ts) => formatClock(ts, dateLocale),
+    dateTime: (ts, options) => new Date(ts).toLocaleString(dateLocale, options),
+  };
+}
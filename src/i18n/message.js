@@ -0,0 +1,18 @@
+// 💬 Words for the user from code that has no translator (clients, stores,
+// hooks' state): a catalog key and its params, put into words where they
+// are shown with `i18n.message` (see ./locales.js). Text from elsewhere —
+// a backend's error, a browser's — stays a plain string and is shown as is.
+
+export function message(key, params = {}) {
+  return { key, params };
+}
+
+/** An Error to throw whose user-facing text is `message(key, params)`. */
+export function localizedError(key, params = {}) {
+  return Object.assign(new Error(key), { key, params });
+}
+
+/** What to show for a caught error: its catalog message, or its text. */
+export function errorMessage(err) {
+  return err.key ? message(err.key, err.params) : err.message;
+}
@@ -0,0 +1,557 @@
+// 🇸🇪 Swedish catalog (see ./en.js for the format). Missing keys fall back
+// to English.
+const sv = {
+  "status.NORMAL": "NORMAL",
+  "status.WARNING": "VARNING",
+  "status.EMERGENCY": "NÖDLÄGE",
+  "status.none": "INGEN DATA",
+
+  "app.title": "Smart Safe Room AI",
+  "app.subtitle":
+    "Rumsförståelse via webbkamera med Azure Vision, OpenAI och Speech.",
+  "app.viewerSubtitle": "Fjärrvy · rummen på alla stationer i reläet, live.",
+  "app.language": "Språk",
+
+  "backend.downSince": "Backend onåbar sedan {time}",
+  "backend.ok": "Backend OK",
+  "backend.unchecked": "Backend inte kontrollerad än",
+
+  "header.room": "Rum",
+  "header.worstOf_one": "Värst av {count} rum",
+  "header.worstOf_other": "Värst av {count} rum",
+  "header.autoOn": "Automatisk övervakning PÅ",
+  "header.autoOff": "Starta automatisk övervakning",
+
+  "outage.title": "⚠️ Övervakningslarm:",
+  "outage.body":
+    "backend har varit onåbar sedan {time} ({count} misslyckade analyser). Rumsstatusen nedan är inaktuell.",
+  "outage.queued_one":
+    "{count} bild väntar och analyseras när backend är tillbaka.",
+  "outage.queued_other":
+    "{count} bilder väntar och analyseras när backend är tillbaka.",
+  "outage.dropped_one": "{count} äldre bild kastades.",
+  "outage.dropped_other": "{count} äldre bilder kastades.",
+
+  "stats.currentStatus": "Aktuell status",
+  "stats.stale": "{status} (inaktuell)",
+  "stats.noData": "Ingen data",
+  "stats.snapshots": "Bilder denna session",
+  "stats.alerts": "Larm (öppna / kvitterade)",
+  "stats.open": "{count} öppna",
+  "stats.acknowledged": "{count} kvitterade",
+
+  "rooms.add": "+ Lägg till rum / kamera",
+  "rooms.defaultName": "Rum {number}",
+
+  "result.heading": "AI-säkerhetsstatus",
+  "result.speaking": "Talar…",
+  "result.speak": "Läs upp status",
+  "result.none": "Ingen analys än. Rikta kameran mot rummet och klicka på",
+  "result.analyzeButton": "”Analyze Current Frame”",
+  "result.noneEnd": ", eller starta automatisk övervakning.",
+  "result.schemaWarning":
+    "⚠️ Backendens svar gick inte att läsa tillförlitligt (schema v{version}): {issues}. Var försiktig med den här statusen.",
+  "result.scene": "Scenbeskrivning (från Vision):",
+  "result.noScene": "(Ingen scenbeskrivning returnerades.)",
+  "result.reason": "Orsak:",
+  "result.action": "Föreslagen åtgärd:",
+  "result.notProvided": "(saknas)",
+
+  "signals.heading": "Avancerade säkerhetssignaler (från Azure, valfritt)",
+  "signals.people": "Flera personer",
+  "signals.notAvailable": "–",
+  "signals.personCount": "{count} person(er)",
+  "signals.noDetections": "Inga detektioner för den här bilden.",
+  "signals.nobody": "Inga personer syns i den aktuella bilden.",
+  "signals.onePerson": "En person syns i rummet.",
+  "signals.crowded": "Flera personer syns – rummet kan vara trångt.",
+  "signals.fall": "Fall / avvikande kroppsställning",
+  "signals.fallDetected": "Möjligt fall",
+  "signals.noFall": "Ingen fallsignal",
+  "signals.fallDetail":
+    "Azure Visions markeringsrutor tyder på en ovanlig (liggande) kroppsställning – visas i orange i videon.",
+  "signals.noFallDetail": "Ingen ovanlig kroppsställning i den här bilden.",
+  "signals.voice": "Röststress / tonläge",
+  "signals.stress": "Förhöjd stress",
+  "signals.shouting": "Skrik upptäckt",
+  "signals.noStress": "Ingen stressignal",
+  "signals.micLevel": "Mikrofonnivå",
+  "signals.stressDetail": "Ljudanalysen hittade förhöjd stress i rösten.",
+  "signals.listening": "Lyssnar · {level} dB",
+  "signals.pitch": " · tonhöjd {pitch} ± {variance} Hz",
+  "signals.micElsewhere": "Mikrofonen sitter i ett annat rum.",
+  "signals.micOff":
+    "Mikrofonen är avstängd (slå på den under mikrofoninställningarna).",
+
+  "speech.playFailed":
+    "Kunde inte spela upp tal ({error}). Kontrollera webbläsarens ljudbehörigheter och konsolloggen.",
+  "speech.checkIn":
+    "Det här är en avstämning. Berätta hur du mår, eller ropa om du behöver assistans.",
+  "speech.statusChanged": "status ändrades från {from} till {to}",
+  "speech.statusIs": "status är {status}",
+  "speech.current":
+    "Rummets status är {status}. {reason}. Föreslagen åtgärd: {action}.",
+  "speech.noReason": "Ingen närmare orsak",
+  "speech.noAction": "Ingen särskild åtgärd föreslagen",
+  "speech.gladOkay": "Tack. Skönt att du är okej.",
+  "speech.helpComing": "Hjälp är på väg.",
+  "speech.analyzing": "Analyserar rummet nu.",
+  "speech.acknowledged_one": "Kvitterade {count} larm i {room}.",
+  "speech.acknowledged_other": "Kvitterade {count} larm i {room}.",
+  "speech.emergencyKept": "Nödlarmet i {room} måste kvitteras på skärmen.",
+
+  "alerts.outageTitle": "Övervakningen begränsad: backend onåbar",
+  "alerts.voiceCommand": "Röstkommando",
+  "alerts.heard": "Hört: ”{text}”",
+  "alerts.helpAtCheckIn": "Hjälp begärd vid avstämning",
+  "alerts.helpByVoice": "Hjälp begärd med rösten",
+  "alerts.checkInUnanswered": "Inget svar på avstämningen",
+  "alerts.checkInUnansweredDetail":
+    "Ingen svarade på den talade avstämningen efter en VARNING.",
+
+  "kiosk.board": "Rumsstatus",
+  "kiosk.noAnalysis": "Ingen analys än.",
+  "kiosk.openAlerts_one": "{count} öppet larm",
+  "kiosk.openAlerts_other": "{count} öppna larm",
+  "kiosk.acknowledge": "Kvittera",
+  "kiosk.acknowledgedBy": "Väggskärm",
+
+  "camera.frozen": "Kamerabilden har frusit",
+  "camera.covered": "Kameralinsen verkar vara övertäckt",
+  "camera.dark": "Kamerabilden är för mörk",
+  "camera.blurry": "Kamerabilden är suddig",
+  "camera.disconnected": "Kameran är frånkopplad",
+  "camera.unavailable": "Kameran är inte tillgänglig",
+  "camera.no-signal": "Kameran skickar ingen video",
+  "camera.reconnecting": "återansluter (försök {count})",
+  "alerts.cameraTitle": "Övervakningen begränsad: kameraproblem",
+  "rules.backend-emergency": "Nödläge rapporterat",
+  "rules.consecutive-warnings": "{count} varningar i rad",
+  "rules.fall-risk_one": "Fallrisk i {count} bild",
+  "rules.fall-risk_other": "Fallrisk i {count} bilder i rad",
+  "rules.room-empty": "Ingen synlig på {minutes} min",
+  "rules.zone-floor": "Person ligger i golvområdet",
+  "rules.zone-door-night": "Någon vid dörren på natten",
+  "rules.zone-bed-empty": "Inte i sängen efter {time}",
+
+  "alertsPanel.heading": "Larm · {count} öppna",
+  "alertsPanel.caregiver": "Vårdarens namn",
+  "alertsPanel.caregiverPlaceholder": "Ditt namn",
+  "alertsPanel.none":
+    "Inga öppna larm. Eskaleringsreglerna lägger larm här för kvittering.",
+  "alertsPanel.note": "Kvitteringsanteckning",
+  "alertsPanel.notePlaceholder": "Anteckning (vad som gjordes)…",
+  "alertsPanel.nameFirst": "Ange ditt namn först",
+  "alertsPanel.acknowledge": "Kvittera",
+  "alertsPanel.recent": "Nyligen kvitterade ({count})",
+  "alertsPanel.acknowledgedBy": "av {name} kl. {time}",
+  "alertsPanel.showClip": "▶ Händelseklipp",
+  "alertsPanel.hideClip": "Dölj klipp",
+  "alertsPanel.rules": "Eskaleringsregler",
+  "alertsPanel.consecutiveWarnings": "Varningar i rad → nödläge",
+  "alertsPanel.fallRiskFrames": "Bilder med fallrisk → nödläge",
+  "alertsPanel.emptyRoomMinutes": "Minuter utan någon → varning",
+  "alertsPanel.bedEmptyMinutes": "Minuter ur sängen på natten → avstämning",
+  "alertsPanel.nightStart": "Natten börjar",
+  "alertsPanel.nightEnd": "Natten slutar",
+  "alertsPanel.bedtime": "Läggdags",
+
+  "clip.loading": "Laddar klipp…",
+  "clip.missing":
+    "Klippet finns inte längre på den här enheten (bara de senaste sparas).",
+  "clip.caption": "Händelse kl. {time} · {before} s före, {after} s efter",
+  "clip.download": "Ladda ner klipp",
+
+  "frame.label": "Analyserad bild",
+  "frame.noImage": "Ingen bild sparades för den här posten.",
+  "frame.schemaProblems": "⚠️ Oväntat svar från backend: {issues}",
+  "frame.detections": "Detektioner:",
+  "frame.noDetections": "inga rapporterade",
+  "frame.thumbnailOnly":
+    "Bilder i full storlek sparas bara för VARNING och NÖDLÄGE; visar miniatyren.",
+  "frame.close": "Stäng",
+  "history.heading": "Händelsehistorik",
+  "history.stored_one": "{count} bild sparad",
+  "history.stored_other": "{count} bilder sparade",
+  "history.export.json": "Exportera JSON",
+  "history.export.csv": "Exportera CSV",
+  "history.export.report": "Skriv ut rapport",
+  "history.allRooms": "Alla rum",
+  "history.fromDate": "Från datum",
+  "history.toDate": "Till datum",
+  "history.search": "Sök orsak eller scen…",
+  "history.empty":
+    "Ingen historik matchar. Varje analys visas här med tid och status.",
+  "history.showFrame": "Visa den analyserade bilden",
+  "history.people_one": "{count} person",
+  "history.people_other": "{count} personer",
+  "history.clip": "🎞 klipp",
+  "history.newer": "← Nyare",
+  "history.older": "Äldre →",
+  "history.page": "Sida {page} av {pages}",
+  "history.loadFailed": "Kunde inte läsa den sparade historiken.",
+  "history.exportFailed": "Kunde inte exportera historiken.",
+
+  "report.title": "Smart Safe Room – händelserapport",
+  "report.noEntries": "Inga poster",
+  "report.summary_one": "{count} analys · {alerts} varning/nödläge",
+  "report.summary_other": "{count} analyser · {alerts} varning/nödläge",
+  "report.generated": "Skapad {time}",
+  "report.time": "Tid",
+  "report.status": "Status",
+  "report.people": "Personer",
+  "report.fallRisk": "Fallrisk",
+  "report.voiceStress": "Röststress",
+  "report.reasonAction": "Orsak / åtgärd",
+  "report.frame": "Bild",
+  "report.yes": "Ja",
+  "report.no": "Nej",
+  "timeline.heading": "Tidslinje",
+  "timeline.room": "Tidslinje · {room}",
+  "timeline.recording": "Tidslinje · {name}",
+  "timeline.label": "Statustidslinje",
+  "timeline.range.hour": "Senaste timmen",
+  "timeline.range.day": "Senaste 24 h",
+  "timeline.range.custom": "Anpassad",
+  "timeline.from": "Från",
+  "timeline.to": "Till",
+  "timeline.people": "Personer",
+  "timeline.peopleAxis": "{count} personer",
+  "timeline.fallRisk": "Fallrisk",
+  "timeline.voiceStress": "Röststress",
+  "timeline.analyses_one": "{count} analys",
+  "timeline.analyses_other": "{count} analyser",
+  "timeline.dragHint": "dra över diagrammet för att zooma in",
+  "timeline.seekHint": "klicka i diagrammet för att hoppa dit i inspelningen",
+  "recording.heading": "Analysera en inspelning",
+  "recording.state.loading": "Öppnar filen…",
+  "recording.state.running": "Analyserar…",
+  "recording.state.done": "Klar",
+  "recording.state.cancelled": "Stoppad",
+  "recording.state.failed": "Misslyckades",
+  "recording.drop":
+    "Släpp en bild eller video här (t.ex. en MP4 från ett kamerasystem), eller klicka för att välja en",
+  "recording.picked":
+    "{name} ({size} MB) · släpp eller klicka för att välja en annan fil",
+  "recording.rejected": "{name} är varken en bild eller en video.",
+  "recording.every": "Var",
+  "recording.secondsOfVideo": "s video",
+  "recording.stop": "Stoppa",
+  "recording.analyze": "Analysera",
+  "recording.analyzeAgain": "Analysera igen",
+  "recording.progress_one": "{done} / {count} bild",
+  "recording.progress_other": "{done} / {count} bilder",
+  "recording.export": "Exportera resultat",
+  "recording.stoppedAt": "Stoppade vid bild {frame}: {error}",
+  "recording.explain":
+    "Bilderna skickas till den aktuella backenden ({url}) med samma integritetsinställningar som kamerorna. Resultaten hamnar i händelsehistoriken under filens namn och ger aldrig larm.",
+  "recording.explainBlurred":
+    "Bilderna skickas till den aktuella backenden ({url}) med samma integritetsinställningar som kamerorna (ansikten suddas). Resultaten hamnar i händelsehistoriken under filens namn och ger aldrig larm.",
+  "recording.showMoment": "Visa det här ögonblicket i videon",
+  "recording.noReason": "Ingen orsak angiven",
+  "recording.fallRisk": "fallrisk",
+  "recording.voiceStress": "röststress",
+  "backendSettings.summary": "Backend: {url}",
+  "backendSettings.notConfigured": "inte konfigurerad",
+  "backendSettings.environment": "Miljö",
+  "backendSettings.default": "Standard ({name})",
+  "backendSettings.env.local": "Lokal",
+  "backendSettings.env.staging": "Test",
+  "backendSettings.env.production": "Produktion",
+  "backendSettings.noUrl": "(ingen URL konfigurerad)",
+  "backendSettings.customUrl": "Egen URL",
+  "backendSettings.customUrlPlaceholder":
+    "Ersätter miljön, t.ex. http://192.168.1.20:5000",
+  "backendSettings.timeout": "Tidsgräns (s)",
+
+  "privacySettings.summaryBlurred_one":
+    "Integritet: ansikten suddas, {count} mask",
+  "privacySettings.summaryBlurred_other":
+    "Integritet: ansikten suddas, {count} masker",
+  "privacySettings.summaryVisible_one":
+    "Integritet: ansikten synliga, {count} mask",
+  "privacySettings.summaryVisible_other":
+    "Integritet: ansikten synliga, {count} masker",
+  "privacySettings.blurFaces":
+    "Sudda ansikten på den här enheten före uppladdning",
+  "privacySettings.detector":
+    "Ansikten hittas av webbläsarens inbyggda ansiktsdetektor.",
+  "privacySettings.noDetector":
+    "Webbläsaren saknar ansiktsdetektor, så hela bilden pixlas före uppladdning.",
+  "privacySettings.masks":
+    "Integritetsmasker ritas på varje rums video med ”Integritetsmasker”. Maskerade områden svärtas innan bilden kodas, så de laddas aldrig upp eller sparas i historiken.",
+  "monitoringSettings.summary": "Autoövervakning: var {seconds}:e s",
+  "monitoringSettings.gated": "uppladdning vid rörelse",
+  "monitoringSettings.everyFrame": "laddar upp varje bild",
+  "monitoringSettings.checksOff": "kamerakontroller av",
+  "monitoringSettings.cadenceBase": "Grundintervall (s)",
+  "monitoringSettings.cadenceEscalated": "Efter varning (s)",
+  "monitoringSettings.cadenceDecay": "Normala resultat innan lugnare takt",
+  "monitoringSettings.motionEnabled": "Hoppa över stillastående scener",
+  "monitoringSettings.motionThreshold": "Rörelsetröskel (%)",
+  "monitoringSettings.motionSignificant": "Plötslig rörelse (%)",
+  "monitoringSettings.motionHeartbeat": "Livstecken (s)",
+  "monitoringSettings.cameraChecks": "Kamerakontroller",
+  "monitoringSettings.cameraDark": "För mörk under (0-255)",
+  "monitoringSettings.cameraFrozen": "Frusen efter (s)",
+  "monitoringSettings.cameraReconnect": "Återanslut tappade kameror",
+  "monitoringSettings.explain":
+    "Bilder från en frusen, övertäckt eller för mörk kamera skickas inte för analys; rummet får i stället ett larm om begränsad övervakning.",
+  "attentionSettings.summary": "Larm: aviseringar {permission}",
+  "attentionSettings.permission.granted": "tillåtna",
+  "attentionSettings.permission.denied":
+    "blockerade i webbläsarens inställningar",
+  "attentionSettings.permission.default": "inte tillåtna än",
+  "attentionSettings.permission.unsupported": "stöds inte av webbläsaren",
+  "attentionSettings.desktopNotifications": "Skrivbordsaviseringar",
+  "attentionSettings.allow": "Tillåt aviseringar",
+  "attentionSettings.flashTitle":
+    "Blinka flikens titel och ikon medan larm är öppna",
+  "attentionSettings.alarm": "Larmljud för {status}",
+  "attentionSettings.tone": "Ton för {status}",
+  "attentionSettings.volume": "Volym för {status}",
+  "attentionSettings.tone.siren": "siren",
+  "attentionSettings.tone.beep": "pip",
+  "attentionSettings.tone.chime": "klocka",
+  "attentionSettings.test": "Testa",
+  "audioSettings.summary": "Mikrofon: {state}",
+  "audioSettings.state.off": "av",
+  "audioSettings.state.starting": "startar…",
+  "audioSettings.state.on": "lyssnar",
+  "audioSettings.state.error": "inte tillgänglig",
+  "audioSettings.sendingClips": "skickar klipp",
+  "audioSettings.enabled": "Spela in ljud",
+  "audioSettings.device": "Mikrofon",
+  "audioSettings.defaultDevice": "Standardmikrofon",
+  "audioSettings.deviceNumber": "Mikrofon {number}",
+  "audioSettings.room": "Placerad i",
+  "audioSettings.firstRoom": "Första rummet",
+  "audioSettings.send": "Skicka till backend",
+  "audioSettings.sendFeatures": "Bara egenskaper (ljudnivå, tonhöjd)",
+  "audioSettings.sendClip": "Egenskaper och ljudklipp",
+  "audioSettings.window": "Fönster (s)",
+  "audioSettings.shout": "Skrikgräns (dB)",
+
+  "clipSettings.summary":
+    "Händelseklipp: {before} s före till {after} s efter ett nödläge",
+  "clipSettings.summaryOff": "Händelseklipp: av",
+  "clipSettings.enabled": "Spela in händelseklipp",
+  "clipSettings.pre": "Sekunder före",
+  "clipSettings.post": "Sekunder efter",
+  "clipSettings.explain":
+    "Varje kamera håller sina senaste sekunder video i minnet. Klipp sparas bara på den här enheten, kopplas till historikposten och larmet och laddas aldrig upp; de äldsta raderas efter 30 klipp.",
+  "clipSettings.unsupported":
+    "Webbläsaren kan inte spela in video (MediaRecorder saknas).",
+  "clipSettings.unfiltered":
+    "⚠️ Klippen spelas in direkt från kameran: integritetsmasker och ansiktssuddning gäller bara bilderna som skickas för analys.",
+  "speechSettings.summary": "Tal: {engine}",
+  "speechSettings.announcing": "läser upp statusändringar",
+  "speechSettings.lastFailed": "(senaste uppläsningen misslyckades)",
+  "speechSettings.auto": "Läs upp statusändringar",
+  "speechSettings.engine": "Motor",
+  "speechSettings.engines.auto": "Azure, webbläsaren som reserv",
+  "speechSettings.engines.azure": "Bara Azure Speech",
+  "speechSettings.engines.browser": "Bara webbläsarens röst",
+  "speechSettings.noTokenShort": "(ingen talnyckel)",
+  "speechSettings.azureVoice": "Azure-röst",
+  "speechSettings.matchLanguage": "Samma som visningsspråket",
+  "speechSettings.browserVoice": "Webbläsarens röst",
+  "speechSettings.matchAzureVoice": "Samma språk som Azure-rösten",
+  "speechSettings.rate": "Hastighet ({rate}×)",
+  "speechSettings.volume": "Volym ({percent} %)",
+  "speechSettings.noTokenSilent":
+    "Ingen Azure Speech-nyckel från backenden: {error} Uppläsningarna är tysta tills den finns.",
+  "speechSettings.noTokenFallback":
+    "Ingen Azure Speech-nyckel från backenden: {error} Uppläsningarna använder webbläsarens röst så länge.",
+
+  "voiceSettings.summary": "Röstkommandon: {state}",
+  "voiceSettings.state.off": "av",
+  "voiceSettings.state.error": "inte tillgängliga",
+  "voiceSettings.state.listening": "lyssnar ({kind})",
+  "voiceSettings.state.starting": "startar…",
+  "voiceSettings.waitingForReply": "väntar på svar på avstämningen",
+  "voiceSettings.enabled": "Lyssna efter kommandon",
+  "voiceSettings.engine": "Taligenkänning",
+  "voiceSettings.engines.auto": "Bästa tillgängliga",
+  "voiceSettings.engines.azure": "Azure Speech",
+  "voiceSettings.engines.browser": "Webbläsarens taligenkänning",
+  "voiceSettings.engines.local": "Inskrivna fraser (ingen mikrofon)",
+  "voiceSettings.notAvailable": "(inte tillgänglig)",
+  "voiceSettings.language": "Språk",
+  "voiceSettings.checkins": "Avstämning vid VARNING",
+  "voiceSettings.timeout": "Svar inom (s)",
+  "voiceSettings.command.help": "”hjälp” ger ett NÖDLÄGE",
+  "voiceSettings.command.stop-alarm":
+    "”stoppa larmet” kvitterar rummets larm, utom nödlägen",
+  "voiceSettings.command.analyze": "”analysera nu” analyserar rummet direkt",
+  "voiceSettings.command.okay":
+    "”jag är okej” kvitterar rummets larm, utom nödlägen",
+  "voiceSettings.typePlaceholder": "Skriv en fras, t.ex. analysera nu",
+  "voiceSettings.say": "Säg",
+  "voiceSettings.lastHeard": "Senast hört: ”{text}”",
+  "kioskSettings.summaryOn": "Kioskläge: på",
+  "kioskSettings.summaryOff": "Kioskläge: av",
+  "kioskSettings.screenKeptOn": "skärmen hålls tänd",
+  "kioskSettings.enabled": "Layout för väggskärm",
+  "kioskSettings.awake": "Håll skärmen tänd",
+  "kioskSettings.scale": "Textstorlek ({percent} %)",
+  "kioskSettings.shortcuts": "Kortkommandon",
+  "kioskSettings.fullscreen": "Helskärm",
+  "kioskSettings.enterFullscreen": "Visa i helskärm",
+  "kioskSettings.leaveFullscreen": "Lämna helskärm",
+  "kioskSettings.shortcut.A": "Analysera det valda rummet nu",
+  "kioskSettings.shortcut.M": "Slå på/av autoövervakning",
+  "kioskSettings.shortcut.S": "Läs upp det valda rummets status",
+  "kioskSettings.shortcut.K": "Kvittera det senaste öppna larmet",
+  "kioskSettings.shortcut.F": "Slå på/av helskärm",
+  "kioskSettings.noWakeLock":
+    "Webbläsaren kan inte hålla skärmen tänd; stäng av viloläget i enhetens inställningar i stället.",
+  "kioskSettings.wakeLockFailed": "Skärmen kan ändå släckas: {error}",
+  "kioskSettings.explain":
+    "Textstorleken och skärmlåset gäller bara i väggskärmslayouten.",
+  "relaySettings.summaryOff": "Relä: av",
+  "relaySettings.summary.station": "Relä: station, {state}",
+  "relaySettings.summary.viewer": "Relä: fjärrvy, {state}",
+  "relaySettings.state.off": "av",
+  "relaySettings.state.connecting": "ansluter…",
+  "relaySettings.state.open": "ansluten",
+  "relaySettings.state.down": "frånkopplad",
+  "relaySettings.state.closed": "stängd",
+  "relaySettings.mode": "Läge",
+  "relaySettings.modes.off": "Av",
+  "relaySettings.modes.station": "Station (publicerar resultat och larm)",
+  "relaySettings.modes.viewer": "Fjärrvy (översikt över alla stationer)",
+  "relaySettings.url": "Kanal-URL",
+  "relaySettings.urlPlaceholder":
+    "t.ex. ws://localhost:8787 eller http://localhost:8787/events",
+  "relaySettings.token": "Nyckel",
+  "relaySettings.tokenPlaceholder": "Bara om reläet kräver en",
+  "relaySettings.name": "Stationsnamn",
+  "relaySettings.namePlaceholder": "Visas för fjärrvyerna, t.ex. Avdelning 3",
+  "relaySettings.transport.websocket": "WebSocket.",
+  "relaySettings.transport.sse": "Server-Sent Events.",
+  "relaySettings.transportHint":
+    "ws:// och wss:// använder en WebSocket; http:// och https:// använder Server-Sent Events, och resultaten POSTas till samma URL.",
+  "relaySettings.explain":
+    "En station skickar varje analys med sin integritetsfiltrerade bild och varje larm till alla på kanalen.",
+  "cadence.every": "var {seconds}:e s",
+  "cadence.backingOff": "var {seconds}:e s (väntar ut fel)",
+  "cadence.escalated": "var {seconds}:e s (skärpt)",
+  "room.name": "Rummets namn",
+  "room.camera": "Kamera",
+  "room.defaultCamera": "Standardkamera",
+  "room.cameraNumber": "Kamera {number}",
+  "room.staleTitle": "Backend kan inte nås – senast kända status",
+  "room.stale": "(inaktuell)",
+  "room.malformed": "Felaktigt svar",
+  "room.malformedTitle": "Oväntat svar från backend: {issues}",
+  "room.remove": "Ta bort {name}",
+  "room.boxes": "Rutor",
+  "room.lastSentAlt": "Senaste bilden som skickades för analys",
+  "room.sentAt": "Skickat till backend {time}:",
+  "room.leavesDevice": "Lämnar enheten vid analys:",
+  "room.frame.camera": "kamerabild ({parts})",
+  "room.frame.masks_one": "{count} integritetsmask",
+  "room.frame.masks_other": "{count} integritetsmasker",
+  "room.frame.facesBlurred_one": "{count} ansikte suddat",
+  "room.frame.facesBlurred_other": "{count} ansikten suddade",
+  "room.frame.faces.off": "ansikten synliga",
+  "room.frame.faces.on": "ansikten suddas",
+  "room.frame.faces.whole-frame": "hela bilden pixlad",
+  "room.audio.features": "mått på röstens styrka och tonhöjd",
+  "room.audio.clip": "ljudklipp",
+  "room.microphoneData": "mikrofondata",
+  "room.done": "Klar",
+  "room.masks": "Integritetsmasker ({count})",
+  "room.masksHint":
+    "Dra på videon för att svärta ett område; klicka på en mask för att ta bort den.",
+  "room.recorder.buffering":
+    "🎞 De senaste sekunderna video hålls i minnet för händelseklipp",
+  "room.recorder.recording":
+    "🔴 Spelar in ett händelseklipp på den här enheten",
+  "room.recorder.unsupported":
+    "🎞 Händelseklipp stöds inte av den här webbläsaren",
+  "room.recorder.error": "🎞 Händelseklipp är inte tillgängliga",
+  "room.recordingUntil": "till {time}",
+  "room.analyze": "Analysera aktuell bild",
+  "room.analyzing": "Analyserar…",
+  "room.recent": "Senaste statusar",
+  "room.tip": "Tips: slå på automatisk övervakning för kontinuerlig trygghet.",
+  "room.sampling": "Tar bilder {cadence}",
+  "room.motion": "Rörelse",
+  "room.uploaded": "skickad ({reason})",
+  "room.uploadSkipped": "stillastående bild, inte skickad",
+  "room.uploadReason.first": "första bilden",
+  "room.uploadReason.motion": "rörelse",
+  "room.uploadReason.significant-motion": "plötslig rörelse",
+  "room.uploadReason.heartbeat": "livstecken",
+  "room.uploadReason.escalated": "skärpt",
+  "zones.bed": "Säng",
+  "zones.door": "Dörr",
+  "zones.floor": "Golvyta",
+  "zones.window": "Fönster",
+  "zones.button": "Zoner ({count})",
+  "zones.next": "Nästa zon",
+  "zones.hint":
+    "Dra på videon för att rita den; klicka på en zon för att ta bort den.",
+  "zones.name": "Zonens namn",
+  "remote.rooms": "Rum",
+  "remote.stations_one": "{count} station",
+  "remote.stations_other": "{count} stationer",
+  "remote.waiting":
+    "Ansluten till {url}. Väntar på att stationerna rapporterar…",
+  "remote.notConnected": "Inte ansluten till {url} än.",
+  "remote.noRelay": "Inte ansluten till något relä än.",
+  "remote.showRoom": "Visa rummets detaljer",
+  "remote.noAnalysis": "Ingen analys än",
+  "remote.openAlerts": "Öppna larm",
+  "remote.offline": "offline",
+  "remote.silent":
+    "Stationen har inte rapporterat sedan {time}. Det som visas kan vara inaktuellt.",
+  "remote.latestFrame": "Senaste bilden från {name}",
+  "remote.showFrame": "Visa den analyserade bilden",
+  "remote.people_one": "{count} person",
+  "remote.people_other": "{count} personer",
+  "remote.fallRisk": "fallrisk",
+  "remote.voiceStress": "stress i rösten",
+  "remote.since": "sedan {time}",
+  "remote.recent": "Senaste analyser",
+  "remote.recentNote":
+    "Bara analyser som kommit sedan sidan öppnades (och varje rums senaste) visas; hela historiken finns kvar på stationen.",
+
+  "regions.remove": "Klicka för att ta bort",
+  "monitor.noPicture": "Kameran har ingen bild än.",
+  "monitor.notAnalyzed.frozen":
+    "Kameraproblem: bilden har frusit. Bilden analyserades inte.",
+  "monitor.notAnalyzed.covered":
+    "Kameraproblem: linsen verkar vara övertäckt. Bilden analyserades inte.",
+  "monitor.notAnalyzed.dark":
+    "Kameraproblem: bilden är för mörk. Bilden analyserades inte.",
+  "cameraStream.notFound":
+    "Den valda kameran är inte tillgänglig. Välj en annan enhet.",
+  "cameraStream.denied":
+    "Kunde inte komma åt kameran. Kontrollera webbläsarens behörigheter.",
+  "cameraStream.ended": "Kameran slutade skicka video.",
+  "backend.timeout": "Backend på {url} svarade inte i tid.",
+  "backend.httpError": "Backend på {url} svarade med HTTP {status}.",
+  "backend.unreachable":
+    "Kunde inte nå backend på {url}. Kontrollera att den körs.",
+  "relay.badUrl": "Använd en ws://-, wss://-, http://- eller https://-adress.",
+  "relay.lost": "Anslutningen till {url} bröts; försöker igen om {seconds} s.",
+  "relay.refused":
+    "{url} nekade anslutningen; kontrollera adressen och nyckeln.",
+  "relay.retrying": "Kan inte nå {url}; försöker igen.",
+  "relay.httpError": "{url} svarade med HTTP {status}.",
+  "relay.unreachable": "Kan inte nå {url}.",
+  "mediaFiles.undecodable": "Webbläsaren kunde inte avkoda filen.",
+  "mediaFiles.unknownDuration":
+    "Videons längd gick inte att avgöra, så inga bilder kan väljas ur den. Prova att spara om den med ett videoverktyg.",
+  "mediaFiles.unsupported": "Filtypen stöds inte: {type}",
+  "speechToken.noToken": "Backend skickade ingen talnyckel.",
+  "speechToken.noRegion": "Backend skickade ingen talregion.",
+  "recognition.unsupported": "Webbläsaren saknar stöd för taligenkänning.",
+  "recognition.failed": "Taligenkänningen misslyckades: {error}",
+  "history.noSummary": "Ingen sammanfattning",
+};
+
+export default sv;
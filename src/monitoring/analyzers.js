@@ -0,0 +1,35 @@
+// 🧪 Analyzers for the room monitor (see ./roomMonitor.js).
+//
+// An analyzer has `analyze(body, { channel })` resolving with a normalized
+// analysis (src/api/analysisSchema.js), plus optional error helpers:
+// `isCancelled(err)` (superseded request, ignored), `isUnavailable(err)`
+// (frame worth queueing for later) and `describeError(err)`.
+import { normalizeAnalysis } from "../api/analysisSchema";
+import {
+  describeBackendError,
+  isBackendUnavailable,
+  isCancelledRequest,
+} from "../api/backendClient";
+
+/** The /analyze-room backend through a client from createBackendClient. */
+export function createBackendAnalyzer(backend) {
+  return {
+    analyze: (body, options) => backend.analyzeRoom(body, options),
+    isCancelled: isCancelledRequest,
+    isUnavailable: isBackendUnavailable,
+    describeError: (err) => describeBackendError(err, backend.baseUrl),
+  };
+}
+
+/**
+ * Local stand-in for the backend: `respond(body)` returns a raw
+ * /analyze-room response (or a promise of one), normalized like the real
+ * thing. For demos and for exercising the monitor without a server.
+ */
+export function createStubAnalyzer(respond) {
+  return {
+    async analyze(body) {
+      return normalizeAnalysis(await respond(body));
+    },
+  };
+}
@@ -0,0 +1,52 @@
+// ⏱️ Adaptive auto-monitor cadence.
+// Samples faster after WARNING / EMERGENCY, decays back to the base rate
+// after enough consecutive NORMAL results and backs off exponentially
+// while the backend keeps failing.
+
+export const INITIAL_CADENCE = {
+  escalated: false,
+  normalStreak: 0,
+  failureStreak: 0,
+};
+
+/**
+ * Fold one analysis outcome into the cadence state.
+ * `event` is `{ type: "result", status }` or `{ type: "error" }`.
+ */
+export function updateCadence(state, event, config) {
+  if (event.type === "error") {
+    return { ...state, failureStreak: state.failureStreak + 1 };
+  }
+
+  const { status } = event;
+  if (status === "WARNING" || status === "EMERGENCY") {
+    return { escalated: true, normalStreak: 0, failureStreak: 0 };
+  }
+  if (status === "NORMAL" && state.escalated) {
+    const normalStreak = state.normalStreak + 1;
+    return normalStreak >= config.decayAfterNormal
+      ? { ...INITIAL_CADENCE }
+      : { ...state, normalStreak, failureStreak: 0 };
+  }
+  return { ...state, failureStreak: 0 };
+}
+
+/** Milliseconds until the next auto-monitor sample. */
+export function cadenceInterval(state, config) {
+  const interval = state.escalated
+    ? config.escalatedIntervalMs
+    : config.baseIntervalMs;
+
+  if (state.failureStreak > 0) {
+    return Math.min(config.maxBackoffMs, interval * 2 ** state.failureStreak);
+  }
+  return interval;
+}
+
+// "every 10s (backing off)", through the translator `t` (see i18n/locales)
+export function describeCadence(state, config, t) {
+  const seconds = Math.round(cadenceInterval(state, config) / 1000);
+  if (state.failureStreak > 0) return t("cadence.backingOff", { seconds });
+  if (state.escalated) return t("cadence.escalated", { seconds });
+  return t("cadence.every", { seconds });
+}
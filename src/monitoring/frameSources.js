@@ -0,0 +1,28 @@
+// 🎥 Frame sources for the room monitor (see ./roomMonitor.js).
+//
+// A frame source has one method, `frame()`, returning the current frame
+// as `{ image, width, height }` (image: anything canvas drawImage accepts)
+// or null while none is available. Tests and other screens can plug in
+// their own, e.g. a canvas painted by a fake camera.
+
+/** The current frame of a <video> element, or null before it plays. */
+export function videoFrame(video) {
+  if (!video?.videoWidth) return null;
+  return { image: video, width: video.videoWidth, height: video.videoHeight };
+}
+
+/** Live <video> element; `getVideo` is called per frame. */
+export function createVideoFrameSource(getVideo) {
+  return { frame: () => videoFrame(getVideo()) };
+}
+
+/** Any canvas or loaded image; useful for stills and fake cameras. */
+export function createImageFrameSource(image) {
+  return {
+    frame() {
+      const width = image.naturalWidth ?? image.width;
+      const height = image.naturalHeight ?? image.height;
+      return width ? { image, width, height } : null;
+    },
+  };
+}
@@ -0,0 +1,59 @@
+// 📦 Bounded queue of frames captured while the backend was unreachable.
+// When full, the oldest frame is dropped so the newest context survives.
+
+export function createOfflineQueue({ maxSize = 30 } = {}) {
+  let items = [];
+  let dropped = 0;
+  let flushing = false;
+  let snapshot = { size: 0, dropped: 0, flushing: false };
+  const listeners = new Set();
+
+  function notify() {
+    snapshot = { size: items.length, dropped, flushing };
+    listeners.forEach((listener) => listener(snapshot));
+  }
+
+  return {
+    enqueue(item) {
+      items = [...items, item];
+      if (items.length > maxSize) {
+        dropped += items.length - maxSize;
+        items = items.slice(-maxSize);
+      }
+      notify();
+    },
+
+    /**
+     * Send queued frames oldest first with `send(item)`. Stops at the first
+     * failure and keeps the remaining frames for the next attempt.
+     */
+    async flush(send) {
+      if (flushing || items.length === 0) return;
+      flushing = true;
+      notify();
+
+      try {
+        while (items.length > 0) {
+          await send(items[0]);
+          items = items.slice(1);
+          notify();
+        }
+        dropped = 0;
+      } catch (err) {
+        console.warn("Offline queue flush stopped:", err);
+      } finally {
+        flushing = false;
+        notify();
+      }
+    },
+
+    getSnapshot() {
+      return snapshot;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
@@ -0,0 +1,318 @@
+// 🧠 Headless monitoring engine for one room: capture → privacy → analyze,
+// on demand or in an auto-monitor loop with the adaptive cadence and the
+// optional motion gate. Framework-agnostic; React uses it through
+// src/hooks/useRoomMonitor.js.
+//
+// Pluggable parts:
+//   source        frame source (./frameSources.js)
+//   analyzer      analyzer (./analyzers.js)
+//   prepareFrame  async (canvas) → info; edits the frame in place before it
+//                 is encoded (privacy filters). `info` is passed on as
+//                 `applied` in the result event.
+//   extraBody     async () → object merged into the request body (audio)
+//   health        the "camera" settings section: local frame checks
+//                 (src/vision/frameQuality.js); frames of a frozen, dark
+//                 or covered camera are not uploaded
+//   createCanvas  () → canvas; defaults to document.createElement
+//
+// Events (`on(type, listener)`, returns an unsubscribe function):
+//   result        (analysis, { capturedAt, thumbnail, frame, body, applied,
+//                 reason })
+//   statusChange  ({ from, to, analysis }) when the AI status differs from
+//                 the previous result's
+//   error         ({ error, message, unavailable, reason, capturedAt,
+//                 thumbnail, frame, body, cameraIssue }); `message` is for
+//                 i18n.message (src/i18n/message.js), `body` is null
+//                 when no frame could be captured or it was not worth
+//                 uploading (`cameraIssue`)
+//   cameraHealth  ({ issue, quality }) when the camera's issue changes
+//                 (null once it is fine again)
+//
+// `reason` is "manual" for capture() calls, otherwise why the loop
+// uploaded (see decideUpload in src/vision/motionDetector.js, "interval"
+// without the motion gate).
+import { createThumbnail } from "../history/thumbnail";
+import { errorMessage, message } from "../i18n/message";
+import {
+  BLOCKING_ISSUES,
+  createCameraHealth,
+  measureFrame,
+} from "../vision/frameQuality";
+import { createMotionDetector, decideUpload } from "../vision/motionDetector";
+import { INITIAL_CADENCE, cadenceInterval, updateCadence } from "./cadence";
+
+const NO_GATE = { lastUploadAt: null, motionSinceUpload: false };
+const HEALTHY = { issue: null, since: null };
+
+export function createRoomMonitor({
+  roomId,
+  source,
+  analyzer,
+  cadence,
+  motion,
+  prepareFrame = null,
+  extraBody = null,
+  health = null,
+  createCanvas = () => document.createElement("canvas"),
+}) {
+  let config = {
+    source,
+    analyzer,
+    cadence,
+    motion,
+    prepareFrame,
+    extraBody,
+    health,
+  };
+  const detector = createMotionDetector();
+  const cameraHealth = createCameraHealth();
+  // Sampling keeps its own small canvases; every capture draws into a
+  // fresh one, so an overlapping capture or sample can never swap the
+  // frame out while face detection is still running on it
+  const motionCanvas = createCanvas();
+  const healthCanvas = createCanvas();
+  let gate = NO_GATE;
+  let cadenceState = INITIAL_CADENCE;
+  let lastStatus = null;
+  let timer = null;
+  let armedIntervalMs = null;
+  let snapshot = {
+    running: false,
+    capturing: false,
+    cadence: INITIAL_CADENCE,
+    intervalMs: cadenceInterval(INITIAL_CADENCE, cadence),
+    gate: null,
+    camera: HEALTHY,
+  };
+  const listeners = new Set();
+  const handlers = {
+    result: new Set(),
+    statusChange: new Set(),
+    error: new Set(),
+    cameraHealth: new Set(),
+  };
+
+  function notify(patch) {
+    snapshot = { ...snapshot, ...patch };
+    listeners.forEach((listener) => listener(snapshot));
+  }
+
+  function emit(type, ...args) {
+    handlers[type].forEach((handler) => handler(...args));
+  }
+
+  function intervalMs() {
+    return cadenceInterval(cadenceState, config.cadence);
+  }
+
+  function setCadence(next) {
+    cadenceState = next;
+    notify({ cadence: next, intervalMs: intervalMs() });
+    // The plain interval loop has to be re-armed at the new pace
+    if (snapshot.running && !config.motion.enabled) {
+      if (armedIntervalMs !== intervalMs()) schedule();
+    }
+  }
+
+  // 📷 Measure the frame and report when the camera's issue changes.
+  // Returns the current issue (null when fine or checks are off).
+  function checkCamera(image) {
+    let issue = null;
+    let quality = null;
+    if (config.health?.healthChecks) {
+      quality = measureFrame(image, healthCanvas);
+      issue = cameraHealth.check(quality, Date.now(), config.health);
+    }
+    if (issue !== snapshot.camera.issue) {
+      notify({ camera: issue ? { issue, since: Date.now() } : HEALTHY });
+      emit("cameraHealth", { issue, quality });
+    }
+    return issue;
+  }
+
+  // 🏃 Sample locally and only upload on motion, on sudden movement
+  // (immediately) or as a heartbeat. While escalated every interval
+  // uploads, even if the scene is still.
+  function sampleMotion() {
+    const frame = config.source.frame();
+    if (!frame) return;
+    checkCamera(frame.image);
+
+    const { motion: motionConfig } = config;
+    const score = detector.sample(frame.image, motionCanvas);
+    if (score != null && score >= motionConfig.threshold) {
+      gate = { ...gate, motionSinceUpload: true };
+    }
+
+    const reason = decideUpload(score, gate, Date.now(), {
+      ...motionConfig,
+      intervalMs: intervalMs(),
+      escalated: cadenceState.escalated,
+    });
+    notify({ gate: { score, reason } });
+    if (reason) monitor.capture({ reason });
+  }
+
+  function schedule() {
+    clearInterval(timer);
+    timer = null;
+    armedIntervalMs = null;
+    if (!snapshot.running) return;
+
+    if (config.motion.enabled) {
+      timer = setInterval(sampleMotion, config.motion.sampleMs);
+    } else {
+      armedIntervalMs = intervalMs();
+      timer = setInterval(
+        () => monitor.capture({ reason: "interval" }),
+        armedIntervalMs
+      );
+    }
+  }
+
+  const monitor = {
+    /** Start the auto-monitor loop from a clean slate. */
+    start() {
+      if (snapshot.running) return;
+      detector.reset();
+      gate = NO_GATE;
+      notify({ running: true, gate: null });
+      schedule();
+    },
+
+    stop() {
+      if (!snapshot.running) return;
+      notify({ running: false });
+      schedule();
+      setCadence(INITIAL_CADENCE);
+    },
+
+    /**
+     * Update any of the constructor options except `roomId` and
+     * `createCanvas`.
+     */
+    configure(patch) {
+      const reschedule =
+        (patch.cadence && patch.cadence !== config.cadence) ||
+        (patch.motion && patch.motion !== config.motion);
+      config = { ...config, ...patch };
+      if (reschedule) {
+        notify({ intervalMs: intervalMs() });
+        schedule();
+      }
+      if (patch.health && !patch.health.healthChecks) cameraHealth.reset();
+    },
+
+    /**
+     * Capture and analyze one frame now. Resolves with the analysis, or
+     * null when it failed or was superseded (see the error event).
+     */
+    async capture({ reason = "manual" } = {}) {
+      const manual = reason === "manual";
+      gate = { lastUploadAt: Date.now(), motionSinceUpload: false };
+
+      const current = config.source.frame();
+      if (!current) {
+        emit("error", {
+          error: null,
+          message: message("monitor.noPicture"),
+          unavailable: false,
+          reason,
+          body: null,
+        });
+        return null;
+      }
+
+      const cameraIssue = checkCamera(current.image);
+      if (BLOCKING_ISSUES.has(cameraIssue)) {
+        emit("error", {
+          error: null,
+          message: message(`monitor.notAnalyzed.${cameraIssue}`),
+          unavailable: false,
+          reason,
+          body: null,
+          cameraIssue,
+        });
+        return null;
+      }
+
+      if (manual) notify({ capturing: true });
+      const canvas = createCanvas();
+      canvas.width = current.width;
+      canvas.height = current.height;
+      canvas.getContext("2d").drawImage(current.image, 0, 0);
+
+      // 🕶 Filters run before anything is encoded
+      const applied = config.prepareFrame
+        ? await config.prepareFrame(canvas)
+        : null;
+      const base64 = canvas.toDataURL("image/jpeg").split(",")[1];
+      const thumbnail = createThumbnail(canvas);
+      const capturedAt = Date.now();
+      // Larger copy for the history's frozen-frame view
+      const frame = {
+        width: canvas.width,
+        height: canvas.height,
+        image: createThumbnail(canvas, 640),
+      };
+      const extra = config.extraBody ? await config.extraBody() : null;
+      const body = { imageBase64: base64, ...extra };
+      const details = { capturedAt, thumbnail, frame, body, reason };
+
+      try {
+        // A newer capture of this room aborts this one, so results never
+        // arrive out of order; other rooms use their own channel
+        const analysis = await config.analyzer.analyze(body, {
+          channel: `analyze:${roomId}`,
+        });
+        const status = analysis.aiDecision.status;
+        setCadence(
+          updateCadence(
+            cadenceState,
+            { type: "result", status },
+            config.cadence
+          )
+        );
+
+        emit("result", analysis, { ...details, applied });
+        if (status !== lastStatus) {
+          const from = lastStatus;
+          lastStatus = status;
+          emit("statusChange", { from, to: status, analysis });
+        }
+        return analysis;
+      } catch (err) {
+        if (config.analyzer.isCancelled?.(err)) return null;
+        console.error(err);
+        setCadence(
+          updateCadence(cadenceState, { type: "error" }, config.cadence)
+        );
+        emit("error", {
+          ...details,
+          error: err,
+          message: config.analyzer.describeError?.(err) ?? errorMessage(err),
+          unavailable: config.analyzer.isUnavailable?.(err) ?? false,
+        });
+        return null;
+      } finally {
+        if (manual) notify({ capturing: false });
+      }
+    },
+
+    on(type, handler) {
+      handlers[type].add(handler);
+      return () => handlers[type].delete(handler);
+    },
+
+    getSnapshot() {
+      return snapshot;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+
+  return monitor;
+}
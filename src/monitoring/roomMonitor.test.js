@@ -0,0 +1,333 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { DEFAULT_SETTINGS } from "../config/settings";
+import { createFakeCamera, uploadedLevel } from "../test/fakeCamera";
+import { createStubAnalyzer } from "./analyzers";
+import { createImageFrameSource } from "./frameSources";
+import { createRoomMonitor } from "./roomMonitor";
+
+const { cadence, motion, camera: health } = DEFAULT_SETTINGS;
+const PLAIN_LOOP = { ...motion, enabled: false };
+const MOTION_GATE = { ...motion, enabled: true };
+
+// Local stand-in for /analyze-room: answers with the given statuses in
+// turn (the last one repeats; an Error is thrown) and keeps every body
+function createStubBackend(statuses) {
+  const queue = [...statuses];
+  const bodies = [];
+  const analyzer = createStubAnalyzer((body) => {
+    bodies.push(body);
+    const next = queue.length > 1 ? queue.shift() : queue[0];
+    if (next instanceof Error) throw next;
+    return {
+      aiDecision: { status: next, reason: `${next} reason`, action: "" },
+      sceneDescription: "A quiet room",
+      peopleCount: 1,
+    };
+  });
+  return { analyzer, bodies };
+}
+
+function setup({ statuses = ["NORMAL"], ...options } = {}) {
+  const camera = createFakeCamera({ level: 128 });
+  const backend = createStubBackend(statuses);
+  const monitor = createRoomMonitor({
+    roomId: "room-1",
+    source: createImageFrameSource(camera),
+    analyzer: backend.analyzer,
+    cadence,
+    motion: PLAIN_LOOP,
+    ...options,
+  });
+  const events = { result: [], statusChange: [], error: [], cameraHealth: [] };
+  Object.keys(events).forEach((type) =>
+    monitor.on(type, (...args) => events[type].push(args))
+  );
+  return { camera, backend, monitor, events };
+}
+
+const reasons = (events) => events.result.map(([, details]) => details.reason);
+
+describe("capture", () => {
+  it("analyzes the current frame and emits the result", async () => {
+    const { backend, monitor, events } = setup();
+
+    const analysis = await monitor.capture();
+
+    expect(analysis.aiDecision.status).toBe("NORMAL");
+    expect(backend.bodies).toHaveLength(1);
+    expect(uploadedLevel(backend.bodies[0].imageBase64)).toBe(128);
+    expect(events.result).toHaveLength(1);
+    const [emitted, details] = events.result[0];
+    expect(emitted).toBe(analysis);
+    expect(details).toMatchObject({
+      reason: "manual",
+      applied: null,
+      frame: { width: 320, height: 240 },
+    });
+    expect(details.thumbnail).toMatch(/^data:image\/jpeg/);
+    expect(details.capturedAt).toEqual(expect.any(Number));
+  });
+
+  it("reports a manual capture as capturing until it settles", async () => {
+    const seen = [];
+    const { monitor } = setup();
+    monitor.configure({
+      analyzer: createStubAnalyzer(() => {
+        seen.push(monitor.getSnapshot().capturing);
+        return { aiDecision: { status: "NORMAL" } };
+      }),
+    });
+
+    await monitor.capture();
+
+    expect(seen).toEqual([true]);
+    expect(monitor.getSnapshot().capturing).toBe(false);
+  });
+
+  it("emits statusChange only when the status changes", async () => {
+    const { monitor, events } = setup({
+      statuses: ["NORMAL", "NORMAL", "WARNING"],
+    });
+
+    await monitor.capture();
+    await monitor.capture();
+    await monitor.capture();
+
+    expect(events.result).toHaveLength(3);
+    expect(
+      events.statusChange.map(([change]) => [change.from, change.to])
+    ).toEqual([
+      [null, "NORMAL"],
+      ["NORMAL", "WARNING"],
+    ]);
+  });
+
+  it("emits an error and backs off when the analyzer fails", async () => {
+    const { backend, monitor, events } = setup({
+      statuses: [new Error("backend down")],
+    });
+
+    expect(await monitor.capture()).toBeNull();
+
+    expect(events.result).toHaveLength(0);
+    expect(events.error).toHaveLength(1);
+    const [error] = events.error[0];
+    expect(error).toMatchObject({
+      message: "backend down",
+      unavailable: false,
+      reason: "manual",
+    });
+    // The frame is kept for retrying / queueing
+    expect(error.body).toBe(backend.bodies[0]);
+    expect(monitor.getSnapshot().cadence.failureStreak).toBe(1);
+    expect(monitor.getSnapshot().intervalMs).toBe(cadence.baseIntervalMs * 2);
+  });
+
+  it("emits an error without uploading while the camera has no picture", async () => {
+    const { camera, backend, monitor, events } = setup();
+    camera.width = 0;
+
+    expect(await monitor.capture()).toBeNull();
+
+    expect(backend.bodies).toHaveLength(0);
+    expect(events.error[0][0]).toMatchObject({
+      message: { key: "monitor.noPicture", params: {} },
+      body: null,
+    });
+  });
+
+  it("runs prepareFrame before the frame is encoded", async () => {
+    const { backend, monitor, events } = setup({
+      prepareFrame: async (canvas) => {
+        // Stands in for a privacy filter blacking out the frame
+        canvas.getContext("2d").drawImage({ level: 0 }, 0, 0);
+        return { masks: 1 };
+      },
+    });
+
+    await monitor.capture();
+
+    expect(uploadedLevel(backend.bodies[0].imageBase64)).toBe(0);
+    expect(events.result[0][1].applied).toEqual({ masks: 1 });
+  });
+
+  it("uploads each capture's own frame when captures overlap", async () => {
+    let release;
+    const released = new Promise((resolve) => {
+      release = resolve;
+    });
+    const { camera, backend, monitor } = setup({
+      prepareFrame: () => released,
+    });
+
+    const first = monitor.capture();
+    camera.level = 200;
+    const second = monitor.capture();
+    release(null);
+    await Promise.all([first, second]);
+
+    expect(
+      backend.bodies.map((b) => uploadedLevel(b.imageBase64)).sort()
+    ).toEqual([128, 200]);
+  });
+});
+
+describe("auto-monitor loop", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("captures every base interval until stopped", async () => {
+    const { backend, monitor, events } = setup();
+
+    monitor.start();
+    expect(monitor.getSnapshot().running).toBe(true);
+    await vi.advanceTimersByTimeAsync(cadence.baseIntervalMs * 3);
+    expect(backend.bodies).toHaveLength(3);
+    expect(reasons(events)).toEqual(["interval", "interval", "interval"]);
+
+    monitor.stop();
+    expect(monitor.getSnapshot().running).toBe(false);
+    await vi.advanceTimersByTimeAsync(cadence.baseIntervalMs * 3);
+    expect(backend.bodies).toHaveLength(3);
+  });
+
+  it("speeds up after a WARNING and decays after enough NORMAL results", async () => {
+    const { backend, monitor } = setup({
+      statuses: ["WARNING", "NORMAL", "NORMAL", "NORMAL"],
+    });
+
+    monitor.start();
+    await vi.advanceTimersByTimeAsync(cadence.baseIntervalMs);
+    expect(monitor.getSnapshot().cadence.escalated).toBe(true);
+    expect(monitor.getSnapshot().intervalMs).toBe(cadence.escalatedIntervalMs);
+
+    await vi.advanceTimersByTimeAsync(
+      cadence.escalatedIntervalMs * cadence.decayAfterNormal
+    );
+    expect(backend.bodies).toHaveLength(1 + cadence.decayAfterNormal);
+    expect(monitor.getSnapshot().cadence.escalated).toBe(false);
+    expect(monitor.getSnapshot().intervalMs).toBe(cadence.baseIntervalMs);
+
+    // Back at the base pace
+    await vi.advanceTimersByTimeAsync(cadence.baseIntervalMs - 1);
+    expect(backend.bodies).toHaveLength(1 + cadence.decayAfterNormal);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(backend.bodies).toHaveLength(2 + cadence.decayAfterNormal);
+  });
+
+  it("backs off exponentially while the analyzer keeps failing", async () => {
+    const { backend, monitor } = setup({
+      statuses: [new Error("backend down")],
+    });
+
+    monitor.start();
+    await vi.advanceTimersByTimeAsync(cadence.baseIntervalMs);
+    expect(monitor.getSnapshot().intervalMs).toBe(cadence.baseIntervalMs * 2);
+    await vi.advanceTimersByTimeAsync(cadence.baseIntervalMs * 2);
+    expect(backend.bodies).toHaveLength(2);
+    expect(monitor.getSnapshot().intervalMs).toBe(cadence.baseIntervalMs * 4);
+  });
+
+  it("returns to the initial cadence when stopped", async () => {
+    const { monitor } = setup({ statuses: ["EMERGENCY"] });
+
+    monitor.start();
+    await vi.advanceTimersByTimeAsync(cadence.baseIntervalMs);
+    expect(monitor.getSnapshot().cadence.escalated).toBe(true);
+    monitor.stop();
+
+    expect(monitor.getSnapshot().cadence.escalated).toBe(false);
+    expect(monitor.getSnapshot().intervalMs).toBe(cadence.baseIntervalMs);
+  });
+});
+
+describe("motion gate", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("uploads the first sample, then skips a still scene until the heartbeat", async () => {
+    const { backend, monitor, events } = setup({ motion: MOTION_GATE });
+
+    monitor.start();
+    await vi.advanceTimersByTimeAsync(MOTION_GATE.sampleMs);
+    expect(reasons(events)).toEqual(["first"]);
+
+    await vi.advanceTimersByTimeAsync(MOTION_GATE.heartbeatMs - 1000);
+    expect(backend.bodies).toHaveLength(1);
+    expect(monitor.getSnapshot().gate).toEqual({ score: 0, reason: null });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(reasons(events)).toEqual(["first", "heartbeat"]);
+  });
+
+  it("uploads right away on sudden movement", async () => {
+    const { camera, monitor, events } = setup({ motion: MOTION_GATE });
+
+    monitor.start();
+    await vi.advanceTimersByTimeAsync(MOTION_GATE.minGapMs + 1000);
+    expect(reasons(events)).toEqual(["first"]);
+
+    camera.level = 250;
+    await vi.advanceTimersByTimeAsync(MOTION_GATE.sampleMs);
+    expect(reasons(events)).toEqual(["first", "significant-motion"]);
+    expect(monitor.getSnapshot().gate.score).toBe(1);
+  });
+
+  it("uploads ordinary motion at the next interval", async () => {
+    // Every change counts as ordinary motion, never as sudden movement
+    const gate = { ...MOTION_GATE, significantThreshold: 2 };
+    const { camera, monitor, events } = setup({ motion: gate });
+
+    monitor.start();
+    await vi.advanceTimersByTimeAsync(gate.sampleMs);
+    camera.level = 60;
+    await vi.advanceTimersByTimeAsync(gate.sampleMs);
+    expect(reasons(events)).toEqual(["first"]);
+
+    await vi.advanceTimersByTimeAsync(cadence.baseIntervalMs - gate.sampleMs);
+    expect(reasons(events)).toEqual(["first", "motion"]);
+  });
+
+  it("uploads every interval while escalated, even when nothing moves", async () => {
+    const { monitor, events } = setup({
+      motion: MOTION_GATE,
+      statuses: ["WARNING"],
+    });
+
+    monitor.start();
+    await vi.advanceTimersByTimeAsync(MOTION_GATE.sampleMs);
+    await vi.advanceTimersByTimeAsync(cadence.escalatedIntervalMs);
+
+    expect(reasons(events)).toEqual(["first", "escalated"]);
+  });
+
+  it("does not upload frames of a covered camera", async () => {
+    // The fake camera's flat picture has no contrast at all
+    const { backend, monitor, events } = setup({
+      motion: MOTION_GATE,
+      health,
+    });
+
+    monitor.start();
+    await vi.advanceTimersByTimeAsync(MOTION_GATE.sampleMs * 2);
+    expect(monitor.getSnapshot().camera.issue).toBe("covered");
+    expect(events.cameraHealth.map(([e]) => e.issue)).toEqual(["covered"]);
+
+    expect(await monitor.capture()).toBeNull();
+    expect(backend.bodies).toHaveLength(1);
+    expect(events.error[0][0]).toMatchObject({
+      cameraIssue: "covered",
+      body: null,
+    });
+  });
+});
@@ -0,0 +1,185 @@
+// 📼 Offline analysis of a recording: steps through a video (or a single
+// image) at a fixed interval and sends each frame through the same
+// /analyze-room pipeline as the live cameras, privacy filters included.
+// Results are stored in the history under the file's name; no alerts are
+// raised for them.
+import { describeBackendError, isCancelledRequest } from "../api/backendClient";
+import { addHistoryEntry, createHistoryEntry } from "../history/historyStore";
+import { createThumbnail } from "../history/thumbnail";
+import { errorMessage } from "../i18n/message";
+import { protectFrame } from "../vision/privacy";
+import { frameOffsets, openMediaFile } from "./mediaFiles";
+
+const CHANNEL = "analyze:file";
+
+const IDLE = {
+  state: "idle",
+  file: null,
+  intervalMs: null,
+  backendUrl: null,
+  startedAt: null,
+  total: 0,
+  frames: [],
+  error: null,
+};
+
+export function createFileAnalyzer() {
+  let media = null;
+  let backend = null;
+  // Bumped on every start/cancel so a finished frame of an old run is dropped
+  let run = 0;
+  let snapshot = IDLE;
+  const listeners = new Set();
+
+  function notify(patch) {
+    snapshot = { ...snapshot, ...patch };
+    listeners.forEach((listener) => listener(snapshot));
+  }
+
+  function closeMedia() {
+    media?.close();
+    media = null;
+  }
+
+  return {
+    /**
+     * Analyze `file` every `intervalMs` of playback. `onStored(entry)` is
+     * called for each history entry written.
+     */
+    async start(file, { backend: client, intervalMs, blurFaces, onStored }) {
+      this.cancel();
+      closeMedia();
+      const current = run;
+      backend = client;
+      notify({
+        ...IDLE,
+        state: "loading",
+        intervalMs,
+        backendUrl: client.baseUrl,
+      });
+
+      let opened;
+      try {
+        opened = await openMediaFile(file);
+      } catch (err) {
+        if (current === run) {
+          notify({ state: "failed", error: errorMessage(err) });
+        }
+        return;
+      }
+      if (current !== run) {
+        opened.close();
+        return;
+      }
+      media = opened;
+
+      const startedAt = Date.now();
+      const offsets =
+        media.kind === "video"
+          ? frameOffsets(media.durationMs, intervalMs)
+          : [0];
+      notify({
+        state: "running",
+        file: {
+          name: file.name,
+          kind: media.kind,
+          url: media.url,
+          durationMs: media.durationMs,
+        },
+        startedAt,
+        total: offsets.length,
+      });
+
+      const canvas = document.createElement("canvas");
+
+      for (const offsetMs of offsets) {
+        if (current !== run) return;
+        try {
+          await media.drawFrame(canvas, offsetMs);
+
+          // 🕶 Same privacy treatment as a live capture (files have no masks)
+          await protectFrame(canvas, { blurFaces });
+
+          const base64 = canvas.toDataURL("image/jpeg").split(",")[1];
+          const thumbnail = createThumbnail(canvas);
+          const frame = {
+            width: canvas.width,
+            height: canvas.height,
+            image: createThumbnail(canvas, 640),
+          };
+
+          const analysis = await backend.analyzeRoom(
+            { imageBase64: base64 },
+            { channel: CHANNEL }
+          );
+          if (current !== run) return;
+
+          const entry = await addHistoryEntry(
+            createHistoryEntry(analysis, {
+              thumbnail,
+              roomId: `file:${file.name}`,
+              roomName: `📼 ${file.name}`,
+              frame,
+              source: { file: file.name, offsetMs, runId: startedAt },
+            })
+          );
+          onStored?.(entry);
+          if (current !== run) return;
+
+          notify({
+            frames: [
+              ...snapshot.frames,
+              {
+                id: entry.id,
+                offsetMs,
+                status: analysis.aiDecision.status,
+                reason: analysis.aiDecision.reason,
+                peopleCount: analysis.peopleCount,
+                fallRisk: analysis.signals.fallRisk,
+                voiceStress: analysis.signals.voiceStress,
+                schemaVersion: analysis.schemaVersion,
+                issues: analysis.issues,
+              },
+            ],
+          });
+        } catch (err) {
+          if (current !== run || isCancelledRequest(err)) return;
+          console.error("File analysis failed:", err);
+          notify({
+            state: "failed",
+            error: err.isAxiosError
+              ? describeBackendError(err, backend.baseUrl)
+              : errorMessage(err),
+          });
+          return;
+        }
+      }
+
+      notify({ state: "done" });
+    },
+
+    /** Stop the run, aborting the frame in flight; results so far are kept. */
+    cancel() {
+      run += 1;
+      backend?.cancel(CHANNEL);
+      if (snapshot.state === "loading" || snapshot.state === "running") {
+        notify({ state: "cancelled" });
+      }
+    },
+
+    /** Cancel and release the file. */
+    dispose() {
+      this.cancel();
+      closeMedia();
+    },
+
+    getSnapshot() {
+      return snapshot;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
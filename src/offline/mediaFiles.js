@@ -0,0 +1,145 @@
+// 📼 Frames from dropped image and video files (e.g. CCTV exports), drawn
+// onto a canvas exactly like a webcam capture so they can go through the
+// same /analyze-room pipeline.
+import { localizedError } from "../i18n/message";
+
+export function mediaKind(file) {
+  if (file.type.startsWith("image/")) return "image";
+  if (file.type.startsWith("video/")) return "video";
+  return null;
+}
+
+function once(target, event) {
+  return new Promise((resolve, reject) => {
+    const onEvent = () => {
+      target.removeEventListener("error", onError);
+      resolve();
+    };
+    const onError = () => {
+      target.removeEventListener(event, onEvent);
+      reject(localizedError("mediaFiles.undecodable"));
+    };
+    target.addEventListener(event, onEvent, { once: true });
+    target.addEventListener("error", onError, { once: true });
+  });
+}
+
+// How long to wait for the browser to find a video's real duration
+const DURATION_PROBE_MS = 10000;
+
+/**
+ * The video's duration in seconds. MediaRecorder WebM files, like this
+ * app's event clips, report Infinity until they have been read to the
+ * end; seeking far past the end makes the browser work it out.
+ */
+async function resolveDuration(video) {
+  if (Number.isFinite(video.duration)) return video.duration;
+
+  await new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      video.removeEventListener("durationchange", onChange);
+      resolve();
+    };
+    const onChange = () => {
+      if (Number.isFinite(video.duration)) done();
+    };
+    const timer = setTimeout(done, DURATION_PROBE_MS);
+    video.addEventListener("durationchange", onChange);
+    video.currentTime = Number.MAX_SAFE_INTEGER;
+  });
+
+  if (!Number.isFinite(video.duration)) {
+    throw localizedError("mediaFiles.unknownDuration");
+  }
+  const rewound = once(video, "seeked");
+  video.currentTime = 0;
+  await rewound;
+  return video.duration;
+}
+
+/**
+ * Open an image or video file. Returns
+ * `{ kind, url, durationMs, drawFrame(canvas, offsetMs), close() }`;
+ * images have a duration of 0 and a single frame.
+ */
+export async function openMediaFile(file) {
+  const kind = mediaKind(file);
+  if (!kind) {
+    throw localizedError("mediaFiles.unsupported", {
+      type: file.type || file.name,
+    });
+  }
+
+  const url = URL.createObjectURL(file);
+  const close = () => URL.revokeObjectURL(url);
+
+  try {
+    if (kind === "image") {
+      const img = new Image();
+      img.src = url;
+      await once(img, "load");
+      return {
+        kind,
+        url,
+        durationMs: 0,
+        async drawFrame(canvas) {
+          canvas.width = img.naturalWidth;
+          canvas.height = img.naturalHeight;
+          canvas.getContext("2d").drawImage(img, 0, 0);
+        },
+        close,
+      };
+    }
+
+    const video = document.createElement("video");
+    video.muted = true;
+    video.preload = "auto";
+    video.src = url;
+    await once(video, "loadeddata");
+    const duration = await resolveDuration(video);
+
+    return {
+      kind,
+      url,
+      durationMs: Math.floor(duration * 1000),
+      async drawFrame(canvas, offsetMs) {
+        const seeked = once(video, "seeked");
+        video.currentTime = offsetMs / 1000;
+        await seeked;
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        canvas.getContext("2d").drawImage(video, 0, 0);
+      },
+      close() {
+        video.removeAttribute("src");
+        video.load();
+        close();
+      },
+    };
+  } catch (err) {
+    close();
+    throw err;
+  }
+}
+
+/** Offsets (ms) of the frames to analyze, `intervalMs` apart. */
+export function frameOffsets(durationMs, intervalMs) {
+  if (!Number.isFinite(durationMs) || !(intervalMs > 0)) {
+    throw new RangeError(
+      `Cannot pick frames every ${intervalMs} ms of ${durationMs} ms`
+    );
+  }
+  const offsets = [];
+  for (let t = 0; t <= durationMs; t += intervalMs) offsets.push(t);
+  return offsets;
+}
+
+/** "1:05" / "1:02:03" for positions inside a recording. */
+export function formatMediaTime(ms) {
+  const total = Math.floor(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
@@ -0,0 +1,25 @@
+import { describe, expect, it } from "vitest";
+import { formatMediaTime, frameOffsets } from "./mediaFiles";
+
+describe("frameOffsets", () => {
+  it("picks a frame every interval, the start and the end included", () => {
+    expect(frameOffsets(10000, 5000)).toEqual([0, 5000, 10000]);
+    expect(frameOffsets(9000, 5000)).toEqual([0, 5000]);
+    expect(frameOffsets(0, 5000)).toEqual([0]);
+  });
+
+  it.each([[Infinity], [NaN]])("refuses a %s duration", (durationMs) => {
+    expect(() => frameOffsets(durationMs, 5000)).toThrow(RangeError);
+  });
+
+  it("refuses an interval that would never advance", () => {
+    expect(() => frameOffsets(10000, 0)).toThrow(RangeError);
+  });
+});
+
+describe("formatMediaTime", () => {
+  it("formats positions inside a recording", () => {
+    expect(formatMediaTime(65000)).toBe("1:05");
+    expect(formatMediaTime(3723000)).toBe("1:02:03");
+  });
+});
@@ -0,0 +1,54 @@
+// 🎞 Event clips persisted in IndexedDB next to the history. Entries and
+// alerts only keep a `clipId`; the oldest clips are deleted beyond
+// MAX_CLIPS to bound storage (~5 MB per 45 s clip).
+import { openDb, promisify } from "../storage/database";
+
+const STORE = "clips";
+const MAX_CLIPS = 30;
+
+async function pruneClips(store) {
+  const keys = await promisify(store.index("eventAt").getAllKeys());
+  // Index order is oldest first
+  await Promise.all(
+    keys
+      .slice(0, Math.max(0, keys.length - MAX_CLIPS))
+      .map((key) => promisify(store.delete(key)))
+  );
+}
+
+/** Store a clip and resolve with its id. */
+export async function saveClip(clip) {
+  const db = await openDb();
+  const store = db.transaction(STORE, "readwrite").objectStore(STORE);
+  const id = await promisify(store.add(clip));
+  await pruneClips(store);
+  return id;
+}
+
+/** Resolve with the clip, or null once it has been pruned. */
+export async function getClip(id) {
+  const db = await openDb();
+  const clip = await promisify(
+    db.transaction(STORE).objectStore(STORE).get(id)
+  );
+  return clip ?? null;
+}
+
+// One recording can cover several EMERGENCY results; store it only once
+const saving = new WeakMap();
+
+/**
+ * Store the clip a pending recording resolves with (see
+ * ./eventRecorder.js). Resolves with its id, or null without a clip.
+ */
+export function saveEventClip(pendingClip, { roomId, roomName }) {
+  if (!saving.has(pendingClip)) {
+    saving.set(
+      pendingClip,
+      pendingClip.then((clip) =>
+        clip ? saveClip({ ...clip, roomId, roomName }) : null
+      )
+    );
+  }
+  return saving.get(pendingClip);
+}
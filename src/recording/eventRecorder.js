@@ -0,0 +1,169 @@
+// 🎞 Rolling pre-event buffer of one camera, so an EMERGENCY comes with a
+// clip from ~preSec before to ~postSec after it instead of one still.
+//
+// A MediaRecorder file can't be trimmed from the front, so instead of one
+// recorder with a ring of chunks, overlapping recorders are started every
+// preSec / 2: one of them has always been running for preSec to 1.5 × preSec.
+// On an event that one is kept recording until postSec after it; the others
+// are dropped once they are too old to be useful. Nothing leaves the device.
+
+const MIME_TYPES = [
+  "video/webm;codecs=vp9",
+  "video/webm;codecs=vp8",
+  "video/webm",
+  "video/mp4",
+];
+const VIDEO_BITS_PER_SECOND = 1_000_000;
+const TIMESLICE_MS = 1000;
+
+export function eventRecordingSupported() {
+  return typeof MediaRecorder !== "undefined";
+}
+
+function pickMimeType() {
+  return MIME_TYPES.find((t) => MediaRecorder.isTypeSupported(t)) ?? "";
+}
+
+export function createEventRecorder() {
+  let stream = null;
+  let config = null;
+  let timer = null;
+  let slots = [];
+  let pending = null;
+  let snapshot = { state: "off", recordingUntil: null, error: null };
+  const listeners = new Set();
+
+  function notify(patch) {
+    snapshot = { ...snapshot, ...patch };
+    listeners.forEach((listener) => listener(snapshot));
+  }
+
+  function startSlot() {
+    const mimeType = pickMimeType();
+    const recorder = new MediaRecorder(stream, {
+      ...(mimeType && { mimeType }),
+      videoBitsPerSecond: VIDEO_BITS_PER_SECOND,
+    });
+    const slot = { recorder, startedAt: Date.now(), chunks: [], onStop: null };
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) slot.chunks.push(e.data);
+    };
+    recorder.onstop = () => slot.onStop?.();
+    recorder.start(TIMESLICE_MS);
+    slots.push(slot);
+  }
+
+  function dropSlot(slot) {
+    slots = slots.filter((s) => s !== slot);
+    slot.chunks = [];
+    if (slot.recorder.state !== "inactive") slot.recorder.stop();
+  }
+
+  // Start the next overlapping recorder and drop those too old to be a
+  // pre-roll (the one kept for a pending event is not in `slots`)
+  function rotate() {
+    const tooOld = Date.now() - config.preSec * 1500;
+    slots.filter((s) => s.startedAt < tooOld).forEach(dropSlot);
+    startSlot();
+  }
+
+  function finish(slot, eventAt) {
+    return new Promise((resolve) => {
+      slot.onStop = () => {
+        const type = slot.recorder.mimeType || "video/webm";
+        resolve(
+          slot.chunks.length
+            ? {
+                blob: new Blob(slot.chunks, { type }),
+                mimeType: type,
+                startedAt: slot.startedAt,
+                eventAt,
+                endedAt: Date.now(),
+              }
+            : null
+        );
+      };
+    });
+  }
+
+  return {
+    /** Start buffering `stream` with { preSec, postSec }. */
+    start(mediaStream, { preSec, postSec }) {
+      this.stop();
+      if (!eventRecordingSupported()) {
+        notify({ state: "unsupported", error: null });
+        return;
+      }
+      stream = mediaStream;
+      config = { preSec, postSec };
+      try {
+        startSlot();
+      } catch (err) {
+        console.error("Clip recording error:", err);
+        stream = null;
+        notify({ state: "error", error: err.message || String(err) });
+        return;
+      }
+      timer = setInterval(rotate, preSec * 500);
+      notify({ state: "buffering", recordingUntil: null, error: null });
+    },
+
+    /** Stop buffering; a clip being recorded ends early but is kept. */
+    stop() {
+      clearInterval(timer);
+      timer = null;
+      [...slots].forEach(dropSlot);
+      if (pending) {
+        clearTimeout(pending.timeout);
+        pending.slot.recorder.stop();
+        pending = null;
+      }
+      stream = null;
+      if (snapshot.state !== "off") {
+        notify({ state: "off", recordingUntil: null, error: null });
+      }
+    },
+
+    /**
+     * Keep recording until postSec after `eventAt` and resolve with
+     * { blob, mimeType, startedAt, eventAt, endedAt } (null when nothing
+     * was recorded). Events during a clip share that clip's promise.
+     */
+    captureEvent(eventAt = Date.now()) {
+      if (pending) return pending.promise;
+      if (!stream || slots.length === 0) return null;
+
+      // Youngest recorder that already covers preSec, else the oldest one
+      const covering = slots.filter(
+        (s) => s.startedAt <= eventAt - config.preSec * 1000
+      );
+      const slot = covering.length ? covering[covering.length - 1] : slots[0];
+      slots = slots.filter((s) => s !== slot);
+
+      const promise = finish(slot, eventAt);
+      const recordingUntil = eventAt + config.postSec * 1000;
+      pending = {
+        slot,
+        promise,
+        timeout: setTimeout(() => {
+          slot.recorder.stop();
+          pending = null;
+          if (snapshot.state === "recording") {
+            notify({ state: "buffering", recordingUntil: null });
+          }
+        }, Math.max(0, recordingUntil - Date.now())),
+      };
+      notify({ state: "recording", recordingUntil });
+      return promise;
+    },
+
+    getSnapshot() {
+      return snapshot;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
@@ -0,0 +1,188 @@
+// 📡 Push channel between stations and remote viewers: a station publishes
+// its results and alerts, a viewer receives those of every station on the
+// channel. The URL picks the transport:
+//
+//   ws:// or wss://      WebSocket, both directions on one socket
+//   http:// or https://  Server-Sent Events (EventSource) to receive, a POST
+//                        of each message to the same URL to publish
+//
+// Any relay that passes every message on to the other clients works;
+// scripts/relay-server.mjs is a local stand-in. Messages are described in
+// ./relayMessages.js. A `token` goes in the URL's query string (WebSocket
+// and EventSource cannot send headers) and in the Authorization header of
+// POSTs.
+//
+// Snapshot: { state: "connecting" | "open" | "down" | "closed", transport,
+// error, lastMessageAt }; `error` is for i18n.message (src/i18n/message.js)
+import axios from "axios";
+import { message } from "../i18n/message";
+import { parseRelayMessage } from "./relayMessages";
+
+// WebSocket reconnect backoff
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+// Messages kept while the socket is down; older ones are dropped
+const MAX_BUFFERED = 50;
+const POST_TIMEOUT_MS = 10000;
+
+export function relayTransport(url) {
+  if (/^wss?:\/\//i.test(url)) return "websocket";
+  if (/^https?:\/\//i.test(url)) return "sse";
+  return null;
+}
+
+function withToken(url, token) {
+  if (!token) return url;
+  const parsed = new URL(url);
+  parsed.searchParams.set("token", token);
+  return parsed.toString();
+}
+
+/** `role` is "station" (publishes) or "viewer" (receives). */
+export function createRelayClient({ url, role, token = "" }) {
+  const transport = relayTransport(url);
+  let socket = null;
+  let source = null;
+  let buffered = [];
+  let reconnectTimer = null;
+  let reconnectDelay = RECONNECT_MIN_MS;
+  let closed = false;
+  let snapshot = {
+    state: "closed",
+    transport,
+    error: transport ? null : message("relay.badUrl"),
+    lastMessageAt: null,
+  };
+  const listeners = new Set();
+  const handlers = new Set();
+
+  function notify(patch) {
+    snapshot = { ...snapshot, ...patch };
+    listeners.forEach((listener) => listener(snapshot));
+  }
+
+  function receive(data) {
+    const message = parseRelayMessage(data);
+    if (!message) return;
+    notify({ lastMessageAt: Date.now() });
+    handlers.forEach((handler) => handler(message));
+  }
+
+  function openSocket() {
+    reconnectTimer = null;
+    notify({ state: "connecting" });
+    const ws = new WebSocket(withToken(url, token));
+    socket = ws;
+
+    ws.onopen = () => {
+      reconnectDelay = RECONNECT_MIN_MS;
+      notify({ state: "open", error: null });
+      const pending = buffered;
+      buffered = [];
+      pending.forEach((text) => ws.send(text));
+    };
+    ws.onmessage = (e) => {
+      if (role === "viewer") receive(e.data);
+    };
+    ws.onclose = () => {
+      if (socket !== ws) return;
+      socket = null;
+      if (closed) return;
+      notify({
+        state: "down",
+        error: message("relay.lost", {
+          url,
+          seconds: Math.round(reconnectDelay / 1000),
+        }),
+      });
+      reconnectTimer = setTimeout(openSocket, reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_MS);
+    };
+  }
+
+  function openEventSource() {
+    notify({ state: "connecting" });
+    source = new EventSource(withToken(url, token));
+    source.onopen = () => notify({ state: "open", error: null });
+    source.onmessage = (e) => receive(e.data);
+    // EventSource reconnects by itself, unless the relay refused it
+    // (e.g. HTTP 401 for a wrong token)
+    source.onerror = () =>
+      notify({
+        state: "down",
+        error:
+          source?.readyState === EventSource.CLOSED
+            ? message("relay.refused", { url })
+            : message("relay.retrying", { url }),
+      });
+  }
+
+  async function post(message) {
+    try {
+      await axios.post(url, message, {
+        timeout: POST_TIMEOUT_MS,
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+      });
+      if (snapshot.state !== "open") notify({ state: "open", error: null });
+    } catch (err) {
+      notify({
+        state: "down",
+        error: err.response
+          ? message("relay.httpError", { url, status: err.response.status })
+          : message("relay.unreachable", { url }),
+      });
+    }
+  }
+
+  return {
+    role,
+
+    connect() {
+      if (!transport) return;
+      closed = false;
+      if (transport === "websocket") openSocket();
+      else if (role === "viewer") openEventSource();
+      // A publishing SSE station has no connection, only POSTs
+      else notify({ state: "connecting" });
+    },
+
+    close() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      socket?.close();
+      socket = null;
+      source?.close();
+      source = null;
+      buffered = [];
+      notify({ state: "closed" });
+    },
+
+    /** Send a message to the channel (stations only). */
+    publish(message) {
+      if (role !== "station" || closed || !transport) return;
+      if (transport === "sse") {
+        post(message);
+        return;
+      }
+      const text = JSON.stringify(message);
+      if (socket?.readyState === WebSocket.OPEN) socket.send(text);
+      else buffered = [...buffered, text].slice(-MAX_BUFFERED);
+    },
+
+    /** Call `handler(message)` for every message received (viewers only). */
+    onMessage(handler) {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+
+    getSnapshot() {
+      return snapshot;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
@@ -0,0 +1,82 @@
+// 📨 Messages on the relay channel (see ./relayClient.js). Every message is
+// a JSON object { v, type, station: { id, name }, sentAt, … }:
+//
+//   station   { rooms: [{ id, name, latest }], alerts }  heartbeat with the
+//             station's rooms, each room's latest entry and its open
+//             alerts, so viewers that join later catch up
+//   result    { entry }  one analysis, shaped like a history entry (see
+//             src/history/historyStore.js) with `snapshot` set to the
+//             analyzed (privacy-filtered) frame
+//   alert     { alert }  an alert was opened, acknowledged or got a clip
+export const RELAY_VERSION = 1;
+
+const TYPES = ["station", "result", "alert"];
+const STATION_ID_KEY = "smart-safe-room.station-id";
+
+// crypto.randomUUID() needs a secure context, which a station on the local
+// network (http://192.168.…) is not
+function randomId() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/** Random id of this browser as a station, kept across reloads. */
+export function localStationId() {
+  try {
+    let id = localStorage.getItem(STATION_ID_KEY);
+    if (!id) {
+      id = randomId();
+      localStorage.setItem(STATION_ID_KEY, id);
+    }
+    return id;
+  } catch (err) {
+    console.warn("Could not persist the station id:", err);
+    return randomId();
+  }
+}
+
+export function stationLabel(id, name) {
+  return name?.trim() || `Station ${id.slice(-4)}`;
+}
+
+function message(type, station, payload) {
+  return { v: RELAY_VERSION, type, station, sentAt: Date.now(), ...payload };
+}
+
+/** Heartbeat. `latest` maps room ids to their newest published entry. */
+export function stationMessage(station, rooms, openAlerts, latest) {
+  return message("station", station, {
+    rooms: rooms.map((r) => ({
+      id: r.id,
+      name: r.name,
+      latest: latest[r.id] ?? null,
+    })),
+    alerts: openAlerts,
+  });
+}
+
+export function resultMessage(station, entry) {
+  return message("result", station, { entry });
+}
+
+export function alertMessage(station, alert) {
+  return message("alert", station, { alert });
+}
+
+/** Parsed message, or null for anything that isn't one of ours. */
+export function parseRelayMessage(data) {
+  let parsed;
+  try {
+    parsed = typeof data === "string" ? JSON.parse(data) : data;
+  } catch {
+    return null;
+  }
+  if (
+    !parsed ||
+    parsed.v !== RELAY_VERSION ||
+    !TYPES.includes(parsed.type) ||
+    typeof parsed.station?.id !== "string"
+  ) {
+    return null;
+  }
+  return parsed;
+}
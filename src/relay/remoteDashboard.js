@@ -0,0 +1,186 @@
+// 🛰 What a remote viewer knows about every station on the relay channel,
+// built from the messages it receives (see ./relayMessages.js).
+//
+// Snapshot:
+//   stations     { [stationId]: { id, name, lastSeenAt } }
+//   rooms        rooms of every station, most severe first (see sortRooms):
+//                { key, stationId, stationName, roomId, roomName, entries
+//                  (newest first), latest, openAlerts, status, updatedAt }
+//   openAlerts   open alerts of every station; ids are prefixed with the
+//                station id and room names with the station's name
+//   overallStatus  worst status across all of them
+import { worstStatus } from "../utils/status";
+import { stationLabel } from "./relayMessages";
+
+// Entries kept per room for the drill-down
+const MAX_ENTRIES = 50;
+
+const SEVERITY = { EMERGENCY: 3, WARNING: 2, NORMAL: 1 };
+
+const EMPTY = {
+  stations: {},
+  rooms: [],
+  openAlerts: [],
+  overallStatus: null,
+};
+
+function roomKey(stationId, roomId) {
+  return `${stationId}/${roomId}`;
+}
+
+/** Most severe first, then the most recently updated. */
+export function sortRooms(rooms) {
+  return [...rooms].sort(
+    (a, b) =>
+      (SEVERITY[b.status] ?? 0) - (SEVERITY[a.status] ?? 0) ||
+      (b.updatedAt ?? 0) - (a.updatedAt ?? 0)
+  );
+}
+
+export function createRemoteDashboard() {
+  let stations = {};
+  // key → { stationId, roomId, roomName, entries }
+  let rooms = {};
+  // prefixed id → open alert
+  let alerts = {};
+  let snapshot = EMPTY;
+  const listeners = new Set();
+
+  function notify() {
+    const openAlerts = Object.values(alerts).sort(
+      (a, b) => a.openedAt - b.openedAt
+    );
+    const list = Object.entries(rooms).map(([key, room]) => {
+      const roomAlerts = openAlerts.filter(
+        (a) => a.stationId === room.stationId && a.remoteRoomId === room.roomId
+      );
+      const latest = room.entries[0] ?? null;
+      return {
+        key,
+        stationId: room.stationId,
+        stationName: stations[room.stationId]?.name,
+        roomId: room.roomId,
+        roomName: room.roomName,
+        entries: room.entries,
+        latest,
+        openAlerts: roomAlerts,
+        status: worstStatus([
+          latest?.status,
+          ...roomAlerts.map((a) => a.severity),
+        ]),
+        updatedAt: latest?.timestamp ?? null,
+      };
+    });
+    snapshot = {
+      stations,
+      rooms: sortRooms(list),
+      openAlerts,
+      overallStatus: worstStatus([
+        ...list.map((r) => r.status),
+        ...openAlerts.map((a) => a.severity),
+      ]),
+    };
+    listeners.forEach((listener) => listener(snapshot));
+  }
+
+  function touchRoom(stationId, roomId, roomName) {
+    const key = roomKey(stationId, roomId);
+    const room = rooms[key] ?? { stationId, roomId, roomName, entries: [] };
+    rooms = {
+      ...rooms,
+      [key]: { ...room, roomName: roomName ?? room.roomName },
+    };
+    return key;
+  }
+
+  function addEntry(stationId, entry) {
+    if (!entry || entry.roomId == null) return;
+    const key = touchRoom(stationId, entry.roomId, entry.roomName);
+    const room = rooms[key];
+    if (room.entries.some((e) => e.timestamp === entry.timestamp)) return;
+    const entries = [...room.entries, entry]
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, MAX_ENTRIES);
+    rooms = { ...rooms, [key]: { ...room, entries } };
+  }
+
+  // Only open alerts are kept; an acknowledged one is dropped
+  function putAlert(station, alert) {
+    const name = stations[station.id].name;
+    const id = `${station.id}:${alert.id}`;
+    const { [id]: _previous, ...rest } = alerts;
+    alerts = alert.acknowledgedAt
+      ? rest
+      : {
+          ...rest,
+          [id]: {
+            ...alert,
+            id,
+            stationId: station.id,
+            // Kept for matching the alert to its room
+            remoteRoomId: alert.roomId,
+            roomId:
+              alert.roomId == null ? null : roomKey(station.id, alert.roomId),
+            roomName: alert.roomName ? `${name} · ${alert.roomName}` : name,
+          },
+        };
+  }
+
+  return {
+    receive(message) {
+      const { station } = message;
+      stations = {
+        ...stations,
+        [station.id]: {
+          id: station.id,
+          name: stationLabel(station.id, station.name),
+          lastSeenAt: Date.now(),
+        },
+      };
+
+      if (message.type === "station") {
+        // Rooms the station no longer lists were removed there
+        const listed = new Set(
+          (message.rooms ?? []).map((r) => roomKey(station.id, r.id))
+        );
+        rooms = Object.fromEntries(
+          Object.entries(rooms).filter(
+            ([key, room]) => room.stationId !== station.id || listed.has(key)
+          )
+        );
+        (message.rooms ?? []).forEach((room) => {
+          touchRoom(station.id, room.id, room.name);
+          addEntry(station.id, room.latest);
+        });
+        // The heartbeat lists every open alert of the station: the others
+        // were acknowledged while we weren't listening
+        alerts = Object.fromEntries(
+          Object.entries(alerts).filter(([, a]) => a.stationId !== station.id)
+        );
+        (message.alerts ?? []).forEach((alert) => putAlert(station, alert));
+      } else if (message.type === "result") {
+        addEntry(station.id, message.entry);
+      } else if (message.type === "alert" && message.alert) {
+        putAlert(station, message.alert);
+      }
+      notify();
+    },
+
+    clear() {
+      stations = {};
+      rooms = {};
+      alerts = {};
+      snapshot = EMPTY;
+      listeners.forEach((listener) => listener(snapshot));
+    },
+
+    getSnapshot() {
+      return snapshot;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
@@ -0,0 +1,210 @@
+// 👂 Continuous speech recognition for voice commands and check-ins.
+// Every recognizer has the same shape, so the rest of the app does not
+// care where phrases come from:
+//
+//   kind                          "azure" | "browser" | "local"
+//   start(onPhrase, onError)      begin listening; resolves once running.
+//                                 Errors with `stopped` set ended listening
+//   stop()                        stop listening; resolves once stopped
+//
+// The local recognizer never touches a microphone: phrases are fed in
+// with `say(text)`, which makes the command flow usable without Azure
+// (development, demos and automated tests).
+import * as SpeechSDK from "microsoft-cognitiveservices-speech-sdk";
+import { localizedError } from "../i18n/message";
+import { azureSpeechConfig } from "./speechEngines";
+import { COMMAND_PHRASES } from "./voiceCommands";
+
+function browserRecognitionClass() {
+  return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+}
+
+export function browserRecognitionSupported() {
+  return browserRecognitionClass() != null;
+}
+
+export function createAzureRecognizer({ language, deviceId, auth }) {
+  let recognizer = null;
+  let stopRefresh = null;
+  // Bumped by stop() so a start still waiting for its token gives up
+  let session = 0;
+
+  return {
+    kind: "azure",
+
+    async start(onPhrase, onError) {
+      const started = ++session;
+      const speechConfig = await azureSpeechConfig(auth);
+      if (started !== session) return;
+      speechConfig.speechRecognitionLanguage = language;
+      const audioConfig = deviceId
+        ? SpeechSDK.AudioConfig.fromMicrophoneInput(deviceId)
+        : SpeechSDK.AudioConfig.fromDefaultMicrophoneInput();
+      recognizer = new SpeechSDK.SpeechRecognizer(speechConfig, audioConfig);
+
+      // Bias recognition toward the short command phrases
+      const phrases = SpeechSDK.PhraseListGrammar.fromRecognizer(recognizer);
+      COMMAND_PHRASES.forEach((phrase) => phrases.addPhrase(phrase));
+
+      recognizer.recognized = (_, e) => {
+        if (
+          e.result.reason === SpeechSDK.ResultReason.RecognizedSpeech &&
+          e.result.text
+        ) {
+          onPhrase(e.result.text);
+        }
+      };
+      recognizer.canceled = (_, e) => {
+        if (e.reason === SpeechSDK.CancellationReason.Error) {
+          onError(new Error(e.errorDetails || "Speech recognition canceled."));
+        }
+      };
+
+      // Continuous recognition outlives a token; hand it each renewed one
+      const current = recognizer;
+      stopRefresh = auth.onRefresh(({ token }) => {
+        current.authorizationToken = token;
+      });
+
+      return new Promise((resolve, reject) =>
+        recognizer.startContinuousRecognitionAsync(resolve, (err) =>
+          reject(new Error(String(err)))
+        )
+      );
+    },
+
+    stop() {
+      const current = recognizer;
+      recognizer = null;
+      session += 1;
+      stopRefresh?.();
+      stopRefresh = null;
+      if (!current) return Promise.resolve();
+      return new Promise((resolve) =>
+        current.stopContinuousRecognitionAsync(
+          () => {
+            current.close();
+            resolve();
+          },
+          () => {
+            current.close();
+            resolve();
+          }
+        )
+      );
+    },
+  };
+}
+
+// Browser recognition errors worth listening again after; the others
+// (denied permission, no microphone, unsupported language) would only
+// fail again straight away
+const TRANSIENT_ERRORS = new Set(["no-speech", "aborted", "network"]);
+// Pause before listening again after a reported error
+const RESTART_AFTER_ERROR_MS = 2000;
+
+export function createBrowserRecognizer({ language }) {
+  let recognition = null;
+  let active = false;
+  let failed = false;
+  let restartTimer = null;
+
+  return {
+    kind: "browser",
+
+    start(onPhrase, onError) {
+      const Recognition = browserRecognitionClass();
+      if (!Recognition) {
+        return Promise.reject(localizedError("recognition.unsupported"));
+      }
+
+      recognition = new Recognition();
+      recognition.lang = language;
+      recognition.continuous = true;
+      recognition.interimResults = false;
+      recognition.onresult = (e) => {
+        for (let i = e.resultIndex; i < e.results.length; i += 1) {
+          if (e.results[i].isFinal) onPhrase(e.results[i][0].transcript);
+        }
+      };
+      recognition.onerror = (e) => {
+        // Silence is not an error for an always-on listener
+        if (e.error === "no-speech" || e.error === "aborted") return;
+        failed = true;
+        if (!TRANSIENT_ERRORS.has(e.error)) active = false;
+        const error = localizedError("recognition.failed", { error: e.error });
+        error.stopped = !active;
+        onError(error);
+      };
+      // Browsers end recognition after a pause; keep listening
+      const current = recognition;
+      current.onend = () => {
+        if (!active) return;
+        if (!failed) {
+          current.start();
+          return;
+        }
+        failed = false;
+        restartTimer = setTimeout(() => {
+          if (active) current.start();
+        }, RESTART_AFTER_ERROR_MS);
+      };
+
+      active = true;
+      failed = false;
+      recognition.start();
+      return Promise.resolve();
+    },
+
+    stop() {
+      active = false;
+      clearTimeout(restartTimer);
+      recognition?.stop();
+      recognition = null;
+      return Promise.resolve();
+    },
+  };
+}
+
+export function createLocalRecognizer() {
+  let handler = null;
+
+  return {
+    kind: "local",
+
+    start(onPhrase) {
+      handler = onPhrase;
+      return Promise.resolve();
+    },
+
+    stop() {
+      handler = null;
+      return Promise.resolve();
+    },
+
+    /** Deliver `text` as if it had been spoken (ignored while stopped). */
+    say(text) {
+      handler?.(text);
+    },
+  };
+}
+
+/**
+ * Recognizer for the "voice" settings `engine`: "auto" prefers Azure
+ * (unless `options.azureAvailable` is false, i.e. the backend refused a
+ * speech token), then the browser's Web Speech API, then the local stand-in.
+ */
+export function createRecognizer(engine, options) {
+  const choice =
+    engine !== "auto"
+      ? engine
+      : options.azureAvailable
+      ? "azure"
+      : browserRecognitionSupported()
+      ? "browser"
+      : "local";
+
+  if (choice === "azure") return createAzureRecognizer(options);
+  if (choice === "browser") return createBrowserRecognizer(options);
+  return createLocalRecognizer();
+}
@@ -0,0 +1,93 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createBrowserRecognizer } from "./recognizers";
+
+// Stand-in for the Web Speech API; `instances` collects every recognition
+class FakeRecognition {
+  static instances = [];
+
+  constructor() {
+    this.starts = 0;
+    FakeRecognition.instances.push(this);
+  }
+
+  start() {
+    this.starts += 1;
+  }
+
+  stop() {}
+
+  // A browser reports an error and then ends the session
+  fail(error) {
+    this.onerror({ error });
+    this.onend();
+  }
+}
+
+describe("createBrowserRecognizer", () => {
+  let recognizer;
+  let errors;
+
+  beforeEach(async () => {
+    vi.useFakeTimers();
+    FakeRecognition.instances = [];
+    window.SpeechRecognition = FakeRecognition;
+    errors = [];
+    recognizer = createBrowserRecognizer({ language: "en-US" });
+    await recognizer.start(
+      () => {},
+      (err) => errors.push(err)
+    );
+  });
+
+  afterEach(() => {
+    recognizer.stop();
+    delete window.SpeechRecognition;
+    vi.useRealTimers();
+  });
+
+  const recognition = () => FakeRecognition.instances[0];
+
+  it("keeps listening after a pause", () => {
+    recognition().onend();
+
+    expect(recognition().starts).toBe(2);
+  });
+
+  it("listens again after silence without reporting it", () => {
+    recognition().fail("no-speech");
+
+    expect(errors).toEqual([]);
+    expect(recognition().starts).toBe(2);
+  });
+
+  it("reports a network error and listens again after a pause", () => {
+    recognition().fail("network");
+
+    expect(errors.map((e) => [e.key, e.params, e.stopped])).toEqual([
+      ["recognition.failed", { error: "network" }, false],
+    ]);
+    expect(recognition().starts).toBe(1);
+    vi.advanceTimersByTime(2000);
+    expect(recognition().starts).toBe(2);
+  });
+
+  it.each([["not-allowed"], ["service-not-allowed"], ["audio-capture"]])(
+    "stops for good after %s",
+    (error) => {
+      recognition().fail(error);
+      vi.advanceTimersByTime(60000);
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].stopped).toBe(true);
+      expect(recognition().starts).toBe(1);
+    }
+  );
+
+  it("does not listen again once stopped", () => {
+    recognition().fail("network");
+    recognizer.stop();
+    vi.advanceTimersByTime(2000);
+
+    expect(recognition().starts).toBe(1);
+  });
+});
@@ -0,0 +1,143 @@
+// 📢 Speech queue: announcements play one after another instead of
+// overlapping or being dropped while something else is being spoken.
+// Azure Speech is preferred while the backend issues speech tokens
+// (`options.auth`, see ./speechToken.js); the browser's speechSynthesis
+// takes over when there is no token or Azure is failing.
+import {
+  browserSpeechSupported,
+  speakWithAzure,
+  speakWithBrowser,
+} from "./speechEngines";
+
+// Pending utterances beyond this are dropped, lowest priority first
+const MAX_PENDING = 5;
+// After an Azure failure, go straight to the browser voice for a while
+const AZURE_RETRY_AFTER_MS = 60000;
+
+export function createSpeaker(initialOptions) {
+  let options = initialOptions;
+  let queue = [];
+  let speaking = false;
+  let azureFailedAt = null;
+  // `spokeUntil`: when the last utterance ended, so listeners can tell our
+  // own voice from a reply that follows it
+  let snapshot = {
+    speaking: false,
+    pending: 0,
+    engine: null,
+    lastError: null,
+    spokeUntil: null,
+  };
+  const listeners = new Set();
+
+  function notify(patch = {}) {
+    snapshot = { ...snapshot, speaking, pending: queue.length, ...patch };
+    listeners.forEach((listener) => listener(snapshot));
+  }
+
+  function engines() {
+    const azureUsable =
+      Boolean(options.auth?.usable()) &&
+      (azureFailedAt == null ||
+        Date.now() - azureFailedAt > AZURE_RETRY_AFTER_MS);
+
+    if (options.engine === "azure") return ["azure"];
+    if (options.engine === "browser") return ["browser"];
+    return [
+      ...(azureUsable ? ["azure"] : []),
+      ...(browserSpeechSupported() ? ["browser"] : []),
+    ];
+  }
+
+  async function speakOne(text) {
+    const lang = options.azureVoice.split("-").slice(0, 2).join("-");
+    let lastError = new Error("No speech engine available.");
+
+    for (const engine of engines()) {
+      try {
+        if (engine === "azure") {
+          await speakWithAzure(text, {
+            voice: options.azureVoice,
+            rate: options.rate,
+            volume: options.volume,
+            auth: options.auth,
+          });
+          azureFailedAt = null;
+        } else {
+          await speakWithBrowser(text, {
+            voiceURI: options.browserVoice,
+            lang,
+            rate: options.rate,
+            volume: options.volume,
+          });
+        }
+        return engine;
+      } catch (err) {
+        console.warn(`Speech via ${engine} failed:`, err);
+        if (engine === "azure") azureFailedAt = Date.now();
+        lastError = err;
+      }
+    }
+    throw lastError;
+  }
+
+  async function pump() {
+    if (speaking || queue.length === 0) return;
+
+    const [item] = queue;
+    queue = queue.slice(1);
+    speaking = true;
+    notify();
+
+    try {
+      const engine = await speakOne(item.text);
+      speaking = false;
+      notify({ engine, lastError: null, spokeUntil: Date.now() });
+    } catch (err) {
+      speaking = false;
+      notify({ lastError: err.message, spokeUntil: Date.now() });
+    }
+    pump();
+  }
+
+  return {
+    setOptions(next) {
+      options = next;
+    },
+
+    /**
+     * Queue `text`. Higher `priority` jumps ahead of pending items; a new
+     * item with the same `key` replaces a pending one (e.g. a newer status
+     * for the same room).
+     */
+    say(text, { priority = 0, key } = {}) {
+      if (key) queue = queue.filter((item) => item.key !== key);
+
+      const item = { text, priority, key };
+      const index = queue.findIndex((queued) => queued.priority < priority);
+      queue =
+        index === -1
+          ? [...queue, item]
+          : [...queue.slice(0, index), item, ...queue.slice(index)];
+      if (queue.length > MAX_PENDING) queue = queue.slice(0, MAX_PENDING);
+
+      notify();
+      pump();
+    },
+
+    clear() {
+      queue = [];
+      if (browserSpeechSupported()) window.speechSynthesis.cancel();
+      notify();
+    },
+
+    getSnapshot() {
+      return snapshot;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
@@ -0,0 +1,108 @@
+// 🗣 Text-to-speech engines: Azure Speech and the browser's speechSynthesis.
+import * as SpeechSDK from "microsoft-cognitiveservices-speech-sdk";
+
+export const AZURE_VOICES = [
+  "en-US-JennyNeural",
+  "en-US-GuyNeural",
+  "en-US-AriaNeural",
+  "en-GB-SoniaNeural",
+  "en-GB-RyanNeural",
+  "sv-SE-SofieNeural",
+  "sv-SE-MattiasNeural",
+];
+
+export function browserSpeechSupported() {
+  return "speechSynthesis" in window;
+}
+
+/**
+ * Speech SDK config for synthesis and recognition, authorized with a token
+ * from `auth` (see ./speechToken.js). Rejects when no token can be had.
+ */
+export async function azureSpeechConfig(auth) {
+  if (!auth) throw new Error("Azure Speech has no token source.");
+  const { token, region } = await auth.get();
+  return SpeechSDK.SpeechConfig.fromAuthorizationToken(token, region);
+}
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/** Speak with Azure Speech. Rate 1 = normal speed, volume 0..1. */
+export async function speakWithAzure(
+  text,
+  { voice, rate = 1, volume = 1, auth }
+) {
+  const speechConfig = await azureSpeechConfig(auth);
+
+  // Use default speaker output for audio
+  const audioConfig = SpeechSDK.AudioConfig.fromDefaultSpeakerOutput();
+  const synthesizer = new SpeechSDK.SpeechSynthesizer(
+    speechConfig,
+    audioConfig
+  );
+
+  const lang = voice.split("-").slice(0, 2).join("-");
+  const ssml = `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="${lang}">
+<voice name="${escapeXml(voice)}"><prosody rate="${Math.round(
+    (rate - 1) * 100
+  )}%" volume="${Math.round(volume * 100)}">${escapeXml(
+    text
+  )}</prosody></voice></speak>`;
+
+  return new Promise((resolve, reject) => {
+    synthesizer.speakSsmlAsync(
+      ssml,
+      (result) => {
+        synthesizer.close();
+        if (
+          result.reason === SpeechSDK.ResultReason.SynthesizingAudioCompleted
+        ) {
+          resolve();
+        } else {
+          reject(
+            new Error(result.errorDetails || "Speech synthesis canceled.")
+          );
+        }
+      },
+      (err) => {
+        synthesizer.close();
+        reject(err instanceof Error ? err : new Error(String(err)));
+      }
+    );
+  });
+}
+
+/** Installed browser voices (may be empty until "voiceschanged" fires). */
+export function browserVoices() {
+  return browserSpeechSupported() ? window.speechSynthesis.getVoices() : [];
+}
+
+/** Speak with the browser's built-in speechSynthesis. */
+export function speakWithBrowser(
+  text,
+  { voiceURI, lang, rate = 1, volume = 1 }
+) {
+  if (!browserSpeechSupported()) {
+    return Promise.reject(new Error("Browser speech is not supported."));
+  }
+
+  return new Promise((resolve, reject) => {
+    const utterance = new SpeechSynthesisUtterance(text);
+    const voice = browserVoices().find((v) => v.voiceURI === voiceURI);
+    if (voice) utterance.voice = voice;
+    if (lang) utterance.lang = voice?.lang ?? lang;
+    utterance.rate = rate;
+    utterance.volume = volume;
+    utterance.onend = () => resolve();
+    utterance.onerror = (e) =>
+      reject(new Error(`Browser speech failed: ${e.error}`));
+    window.speechSynthesis.speak(utterance);
+  });
+}
@@ -0,0 +1,162 @@
+// 🔑 Azure Speech authorization tokens issued by the backend, so the
+// subscription key never ships in the JS bundle. `fetchToken()` resolves
+// with { token, region, expiresInSec } (GET /speech-token).
+//
+// get()              a token that is valid for at least another minute,
+//                    fetched when needed; concurrent callers share a fetch
+// onRefresh(fn)      long-lived sessions (continuous recognition) get every
+//                    new token; while any are registered the token is
+//                    renewed a minute before it expires
+// usable()           false for a while after the backend refused a token,
+//                    so callers can skip straight to a fallback
+//
+// Snapshot: { state: "unknown" | "ok" | "failed", region, expiresAt, error }
+// with `error` for i18n.message (src/i18n/message.js)
+import { errorMessage, localizedError } from "../i18n/message";
+
+// Azure tokens are valid for 10 minutes
+const DEFAULT_LIFETIME_SEC = 600;
+const REFRESH_BEFORE_MS = 60000;
+// After a failed fetch, don't ask again (or keep retrying a refresh) sooner
+const RETRY_AFTER_MS = 30000;
+
+// Only used when the backend does not say which region its token is for
+const fallbackRegion = import.meta.env.VITE_AZURE_SPEECH_REGION || "";
+
+export function createSpeechTokenProvider(fetchToken) {
+  let current = null;
+  let pending = null;
+  let failedAt = null;
+  let lastError = null;
+  let timer = null;
+  let snapshot = {
+    state: "unknown",
+    region: null,
+    expiresAt: null,
+    error: null,
+  };
+  const listeners = new Set();
+  const refreshListeners = new Set();
+
+  function notify(patch) {
+    snapshot = { ...snapshot, ...patch };
+    listeners.forEach((listener) => listener(snapshot));
+  }
+
+  function validFor(ms) {
+    return current != null && current.expiresAt - Date.now() > ms;
+  }
+
+  function fetchNow() {
+    if (pending) return pending;
+    pending = Promise.resolve()
+      .then(fetchToken)
+      .then((data) => {
+        const region = data?.region || fallbackRegion;
+        if (!data?.token) throw localizedError("speechToken.noToken");
+        if (!region) throw localizedError("speechToken.noRegion");
+        return {
+          token: data.token,
+          region,
+          expiresAt:
+            Date.now() + (data.expiresInSec || DEFAULT_LIFETIME_SEC) * 1000,
+        };
+      })
+      .then(
+        (next) => {
+          pending = null;
+          failedAt = null;
+          current = next;
+          notify({
+            state: "ok",
+            region: next.region,
+            expiresAt: next.expiresAt,
+            error: null,
+          });
+          refreshListeners.forEach((listener) => listener(next));
+          scheduleRefresh();
+          return next;
+        },
+        (err) => {
+          pending = null;
+          failedAt = Date.now();
+          lastError = err instanceof Error ? err : new Error(String(err));
+          notify({ state: "failed", error: errorMessage(lastError) });
+          throw err;
+        }
+      );
+    return pending;
+  }
+
+  function refresh() {
+    timer = null;
+    fetchNow().catch(() => {
+      // Sessions keep the old token until it expires; try again shortly
+      if (refreshListeners.size > 0) {
+        timer = setTimeout(refresh, RETRY_AFTER_MS);
+      }
+    });
+  }
+
+  function scheduleRefresh() {
+    clearTimeout(timer);
+    timer = null;
+    if (!current || refreshListeners.size === 0) return;
+    timer = setTimeout(
+      refresh,
+      Math.max(0, current.expiresAt - REFRESH_BEFORE_MS - Date.now())
+    );
+  }
+
+  return {
+    /** Resolves with { token, region, expiresAt }. */
+    get() {
+      if (validFor(REFRESH_BEFORE_MS)) return Promise.resolve(current);
+      // A token that is about to expire is still better than none
+      const fallback = (err) => {
+        if (validFor(0)) return current;
+        throw err;
+      };
+      if (failedAt != null && Date.now() - failedAt < RETRY_AFTER_MS) {
+        return Promise.reject(lastError).catch(fallback);
+      }
+      return fetchNow().catch(fallback);
+    },
+
+    usable() {
+      return (
+        snapshot.state !== "failed" ||
+        validFor(0) ||
+        Date.now() - failedAt >= RETRY_AFTER_MS
+      );
+    },
+
+    /** Call `listener(token)` for every new token until unsubscribed. */
+    onRefresh(listener) {
+      refreshListeners.add(listener);
+      if (refreshListeners.size === 1) scheduleRefresh();
+      return () => {
+        refreshListeners.delete(listener);
+        if (refreshListeners.size === 0) {
+          clearTimeout(timer);
+          timer = null;
+        }
+      };
+    },
+
+    dispose() {
+      clearTimeout(timer);
+      timer = null;
+      refreshListeners.clear();
+    },
+
+    getSnapshot() {
+      return snapshot;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
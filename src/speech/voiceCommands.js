@@ -0,0 +1,99 @@
+// 🗝 Mapping recognized phrases to commands and check-in replies.
+// Matching is on whole words after normalizing case and punctuation,
+// so "Help!" and "okay, help me" both contain "help". Swedish phrases sit
+// next to the English ones so either language works whatever is displayed.
+
+export const VOICE_COMMANDS = [
+  // Checked in this order: a call for help always wins
+  {
+    id: "help",
+    phrases: ["help", "help me", "emergency", "call for help", "hjälp"],
+  },
+  {
+    id: "stop-alarm",
+    phrases: ["stop alarm", "stop the alarm", "silence", "stoppa larmet"],
+  },
+  {
+    id: "analyze",
+    phrases: [
+      "analyze now",
+      "analyse now",
+      "check the room",
+      "scan now",
+      "analysera nu",
+    ],
+  },
+  {
+    id: "okay",
+    phrases: [
+      "i'm okay",
+      "i am okay",
+      "i'm ok",
+      "i'm fine",
+      "i am fine",
+      "jag är okej",
+      "jag mår bra",
+    ],
+  },
+];
+
+export const COMMAND_PHRASES = VOICE_COMMANDS.flatMap((c) => c.phrases);
+
+// Replies to "are you okay?"; negative answers are checked first so that
+// "I'm not okay" does not count as "okay"
+const NEGATIVE_REPLIES = [
+  "no",
+  "not okay",
+  "not ok",
+  "not fine",
+  "help",
+  "nej",
+  "inte okej",
+  "inte bra",
+  "hjälp",
+];
+const POSITIVE_REPLIES = [
+  "yes",
+  "yeah",
+  "okay",
+  "ok",
+  "fine",
+  "i'm good",
+  "ja",
+  "okej",
+  "bra",
+];
+
+function normalize(text) {
+  return ` ${text
+    .toLowerCase()
+    .replace(/[’`]/g, "'")
+    .replace(/[^a-z0-9åäö' ]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()} `;
+}
+
+function containsPhrase(normalized, phrase) {
+  return normalized.includes(` ${phrase} `);
+}
+
+/** Command id ("help", "stop-alarm", "analyze", "okay") or null. */
+export function matchCommand(text) {
+  const normalized = normalize(text);
+  const command = VOICE_COMMANDS.find((c) =>
+    c.phrases.some((phrase) => containsPhrase(normalized, phrase))
+  );
+  return command?.id ?? null;
+}
+
+/** Interpret a spoken check-in reply: "okay", "help" or null (unclear). */
+export function interpretCheckInReply(text) {
+  const normalized = normalize(text);
+  if (NEGATIVE_REPLIES.some((r) => containsPhrase(normalized, r))) {
+    return "help";
+  }
+  if (POSITIVE_REPLIES.some((r) => containsPhrase(normalized, r))) {
+    return "okay";
+  }
+  return matchCommand(text) === "okay" ? "okay" : null;
+}
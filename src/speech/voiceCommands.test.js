@@ -0,0 +1,107 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import en from "../i18n/en";
+import sv from "../i18n/sv";
+import { createLocalRecognizer } from "./recognizers";
+import { interpretCheckInReply, matchCommand } from "./voiceCommands";
+
+// Phrases go through the local stand-in recognizer, the way App hands
+// recognized text to matchCommand and interpretCheckInReply
+let recognizer;
+let heard;
+
+beforeEach(async () => {
+  recognizer = createLocalRecognizer();
+  heard = [];
+  await recognizer.start((text) =>
+    heard.push({
+      command: matchCommand(text),
+      reply: interpretCheckInReply(text),
+    })
+  );
+});
+
+function hear(text) {
+  recognizer.say(text);
+  return heard.at(-1);
+}
+
+describe("matchCommand", () => {
+  it.each([
+    ["Help!", "help"],
+    ["please help me", "help"],
+    ["Stop the alarm.", "stop-alarm"],
+    ["analyse now", "analyze"],
+    ["Check the room, please", "analyze"],
+    ["I’m okay", "okay"],
+    ["I am fine thanks", "okay"],
+  ])("hears %j in English as %s", (text, command) => {
+    expect(hear(text).command).toBe(command);
+  });
+
+  it.each([
+    ["Hjälp!", "help"],
+    ["stoppa larmet", "stop-alarm"],
+    ["Analysera nu.", "analyze"],
+    ["jag är okej", "okay"],
+    ["Jag mår bra", "okay"],
+  ])("hears %j in Swedish as %s", (text, command) => {
+    expect(hear(text).command).toBe(command);
+  });
+
+  it("lets a call for help win over other commands", () => {
+    expect(hear("I'm okay, help").command).toBe("help");
+  });
+
+  it("matches whole words only", () => {
+    expect(hear("helpful advice").command).toBeNull();
+    expect(hear("the okayest day").command).toBeNull();
+  });
+});
+
+describe("interpretCheckInReply", () => {
+  it.each([
+    ["yes", "okay"],
+    ["Yeah, I'm good", "okay"],
+    ["okay", "okay"],
+    ["No.", "help"],
+    ["I'm not okay", "help"],
+    ["not fine", "help"],
+    ["what?", null],
+  ])("reads the English reply %j as %s", (text, reply) => {
+    expect(hear(text).reply).toBe(reply);
+  });
+
+  it.each([
+    ["Ja", "okay"],
+    ["okej", "okay"],
+    ["jag mår bra", "okay"],
+    ["Nej", "help"],
+    ["inte bra", "help"],
+    ["jag är inte okej", "help"],
+    ["hjälp", "help"],
+    ["vad sa du?", null],
+  ])("reads the Swedish reply %j as %s", (text, reply) => {
+    expect(hear(text).reply).toBe(reply);
+  });
+});
+
+describe("the check-in prompt", () => {
+  it.each([
+    ["en", en],
+    ["sv", sv],
+  ])("contains no command or reply in %s", (_locale, catalog) => {
+    expect(hear(catalog["speech.checkIn"])).toEqual({
+      command: null,
+      reply: null,
+    });
+  });
+});
+
+describe("createLocalRecognizer", () => {
+  it("ignores phrases once stopped", async () => {
+    await recognizer.stop();
+    recognizer.say("help");
+
+    expect(heard).toEqual([]);
+  });
+});
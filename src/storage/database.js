@@ -0,0 +1,93 @@
+// 🗄️ Shared IndexedDB database for everything the app persists locally.
+// Bump DB_VERSION and extend `upgrade` when adding a new object store.
+
+const DB_NAME = "smart-safe-room";
+const DB_VERSION = 4;
+
+let dbPromise = null;
+
+// Large history fields, kept out of the records that lists page through
+export const HISTORY_DETAIL_FIELDS = ["snapshot", "response"];
+
+// Move the large fields of records stored before version 4 into
+// "historyDetails"
+function splitHistoryDetails(history, details) {
+  const cursorRequest = history.openCursor();
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (!cursor) return;
+    const record = { ...cursor.value };
+    const detail = { id: record.id };
+    HISTORY_DETAIL_FIELDS.forEach((field) => {
+      detail[field] = record[field] ?? null;
+      delete record[field];
+    });
+    details.put(detail);
+    cursor.update(record);
+    cursor.continue();
+  };
+}
+
+function upgrade(db, tx) {
+  if (!db.objectStoreNames.contains("history")) {
+    const history = db.createObjectStore("history", {
+      keyPath: "id",
+      autoIncrement: true,
+    });
+    history.createIndex("timestamp", "timestamp");
+    history.createIndex("status", "status");
+  }
+  const history = tx.objectStore("history");
+  if (!history.indexNames.contains("roomTimestamp")) {
+    history.createIndex("roomTimestamp", ["roomId", "timestamp"]);
+  }
+  if (!db.objectStoreNames.contains("historyDetails")) {
+    const details = db.createObjectStore("historyDetails", { keyPath: "id" });
+    splitHistoryDetails(history, details);
+  }
+  if (!db.objectStoreNames.contains("alerts")) {
+    const alerts = db.createObjectStore("alerts", {
+      keyPath: "id",
+      autoIncrement: true,
+    });
+    alerts.createIndex("openedAt", "openedAt");
+  }
+  if (!db.objectStoreNames.contains("clips")) {
+    const clips = db.createObjectStore("clips", {
+      keyPath: "id",
+      autoIncrement: true,
+    });
+    clips.createIndex("eventAt", "eventAt");
+  }
+}
+
+export function openDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!("indexedDB" in window)) {
+      reject(new Error("IndexedDB is not available in this browser."));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () =>
+      upgrade(request.result, request.transaction);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a later retry if opening failed (e.g. private mode)
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+export function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
@@ -0,0 +1,58 @@
+import "fake-indexeddb/auto";
+import { expect, it } from "vitest";
+import { loadHistoryDetails, queryHistory } from "../history/historyStore";
+import { openDb } from "./database";
+
+// The database as version 3 left it: history records with every field
+function createVersion3Database(records) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open("smart-safe-room", 3);
+    request.onupgradeneeded = () => {
+      const history = request.result.createObjectStore("history", {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+      history.createIndex("timestamp", "timestamp");
+      history.createIndex("status", "status");
+      request.result.createObjectStore("alerts", {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+      request.result.createObjectStore("clips", {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+      records.forEach((record) => history.add(record));
+    };
+    request.onsuccess = () => {
+      request.result.close();
+      resolve();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+it("moves snapshots and responses of older history out of the list records", async () => {
+  await createVersion3Database([
+    {
+      timestamp: 1,
+      roomId: "bedroom",
+      status: "EMERGENCY",
+      thumbnail: "small",
+      snapshot: "big",
+      response: { aiDecision: { status: "EMERGENCY" } },
+    },
+    { timestamp: 2, roomId: "kitchen", status: "NORMAL", thumbnail: "small" },
+  ]);
+
+  await openDb();
+  const { entries } = await queryHistory({ roomId: "bedroom" });
+
+  expect(entries).toHaveLength(1);
+  expect(entries[0]).not.toHaveProperty("snapshot");
+  expect(entries[0].thumbnail).toBe("small");
+  expect(await loadHistoryDetails(entries[0])).toMatchObject({
+    snapshot: "big",
+    response: { aiDecision: { status: "EMERGENCY" } },
+  });
+});
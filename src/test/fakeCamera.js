@@ -0,0 +1,20 @@
+// 🎥 Fake camera for tests: a canvas showing a flat gray picture whose
+// brightness is `level` (see ./setup.js). Plug it into the room monitor
+// with createImageFrameSource.
+
+export function createFakeCamera({
+  width = 320,
+  height = 240,
+  level = 128,
+} = {}) {
+  const camera = document.createElement("canvas");
+  camera.width = width;
+  camera.height = height;
+  camera.level = level;
+  return camera;
+}
+
+/** The brightness level encoded in an uploaded `imageBase64`. */
+export function uploadedLevel(imageBase64) {
+  return Number(atob(imageBase64).replace("level-", ""));
+}
@@ -0,0 +1,46 @@
+// 🧪 jsdom has no canvas rendering, so tests get a tiny stand-in.
+//
+// Every image in a test is a flat gray picture: its brightness is the
+// `level` property (0-255, see ./fakeCamera.js). Drawing an image copies
+// its level onto the canvas, getImageData returns pixels of that level
+// and toDataURL encodes it, so pixel-based code (motion detection, frame
+// checks) and uploads can be told apart by what was drawn.
+
+function createContext(canvas) {
+  return {
+    canvas,
+    fillStyle: "#000",
+    filter: "none",
+    imageSmoothingEnabled: true,
+    drawImage(image) {
+      canvas.level = image.level ?? 0;
+    },
+    getImageData(x, y, width, height) {
+      const data = new Uint8ClampedArray(width * height * 4);
+      for (let i = 0; i < data.length; i += 4) {
+        data.fill(canvas.level ?? 0, i, i + 3);
+        data[i + 3] = 255;
+      }
+      return { data, width, height };
+    },
+    putImageData() {},
+    fillRect() {},
+    clearRect() {},
+    save() {},
+    restore() {},
+  };
+}
+
+// Suites running in the node environment have no DOM at all
+if (typeof HTMLCanvasElement !== "undefined") {
+  HTMLCanvasElement.prototype.getContext = function getContext() {
+    this.fakeContext ??= createContext(this);
+    return this.fakeContext;
+  };
+
+  HTMLCanvasElement.prototype.toDataURL = function toDataURL(
+    type = "image/png"
+  ) {
+    return `data:${type};base64,${btoa(`level-${this.level ?? 0}`)}`;
+  };
+}
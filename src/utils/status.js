@@ -0,0 +1,34 @@
+// 🎨 Shared status colours and pill style
+
+export const STATUSES = ["NORMAL", "WARNING", "EMERGENCY"];
+
+export const STATUS_COLORS = {
+  NORMAL: "#16a34a",
+  WARNING: "#f97316",
+  EMERGENCY: "#b91c1c",
+};
+
+export function statusPillStyle(s) {
+  return {
+    background: STATUS_COLORS[s] ?? "#4b5563",
+    color: "white",
+    padding: "0.2rem 0.7rem",
+    borderRadius: "999px",
+    fontSize: "0.8rem",
+    fontWeight: 600,
+  };
+}
+
+export function isAlertStatus(s) {
+  return s === "WARNING" || s === "EMERGENCY";
+}
+
+const SEVERITY = { NORMAL: 1, WARNING: 2, EMERGENCY: 3 };
+
+/** Most severe known status in the list, or null when none is known. */
+export function worstStatus(statuses) {
+  return statuses.reduce(
+    (worst, s) => ((SEVERITY[s] ?? 0) > (SEVERITY[worst] ?? 0) ? s : worst),
+    null
+  );
+}
@@ -0,0 +1,27 @@
+// 🕒 Short wall-clock time, e.g. "14:05" (browser locale unless given)
+export function formatClock(ts, locale = []) {
+  return new Date(ts).toLocaleTimeString(locale, {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+// "23:30" → minutes after midnight
+function parseClock(value) {
+  const [h, m] = value.split(":").map(Number);
+  return h * 60 + (m || 0);
+}
+
+/**
+ * Whether `ts` falls between the wall-clock times `start` and `end`
+ * ("HH:MM"); windows may wrap past midnight, e.g. "22:00"–"06:00".
+ */
+export function inClockWindow(ts, start, end) {
+  const date = new Date(ts);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const from = parseClock(start);
+  const to = parseClock(end);
+  return from <= to
+    ? minutes >= from && minutes < to
+    : minutes >= from || minutes < to;
+}
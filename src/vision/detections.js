@@ -0,0 +1,88 @@
+// 🔲 Person/object boxes from an /analyze-room response, normalized to
+// `{ label, confidence, posture, x, y, w, h }` in pixels of the analyzed
+// frame. Accepts the backend's own `detections` list as well as raw Azure
+// Vision people/object results.
+
+// Azure reports many faint people candidates; hide the unlikely ones
+const MIN_PERSON_CONFIDENCE = 0.5;
+// A person box this much wider than tall is reported as lying down
+const LYING_ASPECT_RATIO = 1.2;
+
+function boxOf(raw) {
+  const box = raw.box ?? raw.boundingBox ?? raw.rectangle ?? raw;
+  const x = box.x ?? box.left;
+  const y = box.y ?? box.top;
+  const w = box.w ?? box.width;
+  const h = box.h ?? box.height;
+  return [x, y, w, h].every(Number.isFinite) ? { x, y, w, h } : null;
+}
+
+function fromBackend(list) {
+  return list.map((d) => ({
+    label: d.label ?? d.object ?? d.name ?? "object",
+    confidence: d.confidence ?? null,
+    posture: d.posture ?? null,
+    box: boxOf(d),
+  }));
+}
+
+function fromAzurePeople(list) {
+  return list
+    .filter((p) => (p.confidence ?? 1) >= MIN_PERSON_CONFIDENCE)
+    .map((p) => ({
+      label: "person",
+      confidence: p.confidence ?? null,
+      posture: p.posture ?? null,
+      box: boxOf(p),
+    }));
+}
+
+function fromAzureObjects(list) {
+  return list.map((o) => ({
+    label: o.tags?.[0]?.name ?? o.object ?? "object",
+    confidence: o.tags?.[0]?.confidence ?? o.confidence ?? null,
+    posture: null,
+    box: boxOf(o),
+  }));
+}
+
+/**
+ * `frame` is the `{ width, height }` of the image that was sent; it is
+ * used when the response carries no image metadata of its own.
+ * Returns `{ width, height, items }` or null when there is nothing to draw.
+ */
+export function extractDetections(analysis, frame) {
+  const vision = analysis?.vision ?? {};
+  const width = vision.metadata?.width ?? frame?.width;
+  const height = vision.metadata?.height ?? frame?.height;
+  if (!width || !height) return null;
+
+  const raw = [
+    ...fromBackend(analysis?.detections ?? []),
+    ...fromAzurePeople(vision.peopleResult?.values ?? vision.people ?? []),
+    ...fromAzureObjects(vision.objectsResult?.values ?? vision.objects ?? []),
+  ].filter((d) => d.box);
+  if (raw.length === 0) return null;
+
+  // Some backends send 0..1 fractions instead of pixels
+  const fractional = raw.every(
+    ({ box }) => box.x + box.w <= 1.001 && box.y + box.h <= 1.001
+  );
+
+  const items = raw.map(({ box, ...d }) => {
+    const x = fractional ? box.x * width : box.x;
+    const y = fractional ? box.y * height : box.y;
+    const w = fractional ? box.w * width : box.w;
+    const h = fractional ? box.h * height : box.h;
+    const posture =
+      d.posture ??
+      (d.label === "person"
+        ? w > h * LYING_ASPECT_RATIO
+          ? "lying"
+          : "upright"
+        : null);
+    return { ...d, posture, x, y, w, h };
+  });
+
+  return { width, height, items };
+}
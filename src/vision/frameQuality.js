@@ -0,0 +1,131 @@
+// 📷 Local camera health checks. A picture that is too dark, uniform (lens
+// covered), blurry or identical to the previous ones (frozen feed) says
+// nothing about the room, whatever the backend makes of it.
+//
+// Frames are downscaled to a tiny grayscale image like the motion
+// detector's (./motionDetector.js) and measured as:
+//   brightness  mean brightness, 0-255
+//   contrast    standard deviation of the brightness
+//   sharpness   mean absolute Laplacian (edge strength)
+//   hash        FNV-1a hash of the grayscale pixels; sensor noise makes a
+//               live camera's frames differ, a frozen feed repeats them
+
+const SAMPLE_WIDTH = 64;
+const SAMPLE_HEIGHT = 48;
+// Below this contrast the picture is one flat colour: something is on the lens
+const COVERED_CONTRAST = 6;
+// Frames measured closer together than this are the same video frame
+const MIN_SAMPLE_GAP_MS = 250;
+// Consecutive bad measurements before a dark / covered / blurry picture
+// counts, so a flicker or a hand passing by is not a camera problem
+const CONFIRM_SAMPLES = 2;
+
+// Problems that make a frame worthless to analyze, and worth an alert;
+// "blurry" is only shown
+export const BLOCKING_ISSUES = new Set(["frozen", "covered", "dark"]);
+
+/** Draw `image` into `canvas` at sample size and measure it. */
+export function measureFrame(image, canvas) {
+  canvas.width = SAMPLE_WIDTH;
+  canvas.height = SAMPLE_HEIGHT;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(image, 0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
+  const { data } = ctx.getImageData(0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
+
+  const gray = new Uint8Array(SAMPLE_WIDTH * SAMPLE_HEIGHT);
+  let sum = 0;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < gray.length; i += 1) {
+    const o = i * 4;
+    gray[i] = (data[o] * 299 + data[o + 1] * 587 + data[o + 2] * 114) / 1000;
+    sum += gray[i];
+    hash = Math.imul(hash ^ gray[i], 0x01000193);
+  }
+  const brightness = sum / gray.length;
+
+  let variance = 0;
+  for (let i = 0; i < gray.length; i += 1) {
+    variance += (gray[i] - brightness) ** 2;
+  }
+
+  let edges = 0;
+  for (let y = 1; y < SAMPLE_HEIGHT - 1; y += 1) {
+    for (let x = 1; x < SAMPLE_WIDTH - 1; x += 1) {
+      const i = y * SAMPLE_WIDTH + x;
+      edges += Math.abs(
+        4 * gray[i] -
+          gray[i - 1] -
+          gray[i + 1] -
+          gray[i - SAMPLE_WIDTH] -
+          gray[i + SAMPLE_WIDTH]
+      );
+    }
+  }
+
+  return {
+    brightness,
+    contrast: Math.sqrt(variance / gray.length),
+    sharpness: edges / ((SAMPLE_WIDTH - 2) * (SAMPLE_HEIGHT - 2)),
+    hash: (hash >>> 0).toString(16),
+  };
+}
+
+// What a single measurement looks like, before confirmation
+function frameIssue(quality, config) {
+  if (quality.contrast < COVERED_CONTRAST) return "covered";
+  if (quality.brightness < config.darkLevel) return "dark";
+  if (config.minSharpness > 0 && quality.sharpness < config.minSharpness) {
+    return "blurry";
+  }
+  return null;
+}
+
+/**
+ * Tracks measurements over time. `check(quality, now, config)` returns the
+ * camera's current issue ("frozen", "covered", "dark", "blurry") or null;
+ * `config` is the "camera" settings section.
+ */
+export function createCameraHealth() {
+  let issue = null;
+  let lastAt = null;
+  let lastHash = null;
+  let identicalSince = null;
+  let candidate = null;
+  let streak = 0;
+
+  return {
+    check(quality, now, config) {
+      if (lastAt != null && now - lastAt < MIN_SAMPLE_GAP_MS) return issue;
+      lastAt = now;
+
+      if (quality.hash === lastHash) {
+        identicalSince ??= now;
+      } else {
+        identicalSince = null;
+        lastHash = quality.hash;
+      }
+      if (
+        identicalSince != null &&
+        now - identicalSince >= config.frozenAfterSec * 1000
+      ) {
+        issue = "frozen";
+        return issue;
+      }
+
+      const next = frameIssue(quality, config);
+      streak = next === candidate ? streak + 1 : 1;
+      candidate = next;
+      if (next == null || streak >= CONFIRM_SAMPLES) issue = next;
+      return issue;
+    },
+
+    reset() {
+      issue = null;
+      lastAt = null;
+      lastHash = null;
+      identicalSince = null;
+      candidate = null;
+      streak = 0;
+    },
+  };
+}
@@ -0,0 +1,74 @@
+// 🏃 Local frame differencing used to gate uploads in auto-monitor mode.
+// Frames are downscaled to a tiny grayscale image; the score is the
+// fraction of pixels whose brightness changed noticeably since the
+// previous sample.
+
+const SAMPLE_WIDTH = 64;
+const SAMPLE_HEIGHT = 48;
+// Per-pixel brightness change (0-255) that counts as "changed"
+const PIXEL_DELTA = 25;
+
+export function createMotionDetector() {
+  let previous = null;
+
+  return {
+    /**
+     * Draw the current video frame into `canvas` at sample size and return
+     * the change score (0..1) against the last sample, or null for the
+     * first frame.
+     */
+    sample(video, canvas) {
+      canvas.width = SAMPLE_WIDTH;
+      canvas.height = SAMPLE_HEIGHT;
+      const ctx = canvas.getContext("2d", { willReadFrequently: true });
+      ctx.drawImage(video, 0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
+
+      const { data } = ctx.getImageData(0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
+      const gray = new Uint8Array(SAMPLE_WIDTH * SAMPLE_HEIGHT);
+      for (let i = 0; i < gray.length; i += 1) {
+        const o = i * 4;
+        gray[i] =
+          (data[o] * 299 + data[o + 1] * 587 + data[o + 2] * 114) / 1000;
+      }
+
+      let score = null;
+      if (previous) {
+        let changed = 0;
+        for (let i = 0; i < gray.length; i += 1) {
+          if (Math.abs(gray[i] - previous[i]) > PIXEL_DELTA) changed += 1;
+        }
+        score = changed / gray.length;
+      }
+
+      previous = gray;
+      return score;
+    },
+
+    reset() {
+      previous = null;
+    },
+  };
+}
+
+/**
+ * Decide whether the gated auto-monitor should upload now.
+ *
+ * `state` tracks `lastUploadAt` and `motionSinceUpload` between samples;
+ * `config` is the "motion" settings section plus the current interval.
+ * Returns the reason for uploading ("motion", "significant-motion",
+ * "heartbeat", "escalated", "first") or null to skip. With
+ * `config.escalated` every elapsed interval uploads, motion or not.
+ */
+export function decideUpload(score, state, now, config) {
+  const sinceUpload = now - (state.lastUploadAt ?? -Infinity);
+
+  if (state.lastUploadAt == null) return "first";
+  if (score != null && score >= config.significantThreshold) {
+    if (sinceUpload >= config.minGapMs) return "significant-motion";
+  }
+  if (sinceUpload < config.intervalMs) return null;
+  if (state.motionSinceUpload) return "motion";
+  if (config.escalated) return "escalated";
+  if (sinceUpload >= config.heartbeatMs) return "heartbeat";
+  return null;
+}
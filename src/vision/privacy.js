@@ -0,0 +1,136 @@
+// 🕶 Privacy filters applied to the capture canvas before it is encoded,
+// so neither the backend nor the local history ever sees the raw frame.
+//  • privacy masks: fixed areas of a room (e.g. a bathroom door), stored as
+//    0..1 fractions of the frame and painted solid black
+//  • face blur: faces are pixelated with large blocks, which unlike a blur
+//    filter cannot be sharpened back
+
+// Extra margin around a detected face (fraction of its size)
+const FACE_PADDING = 0.25;
+// Pixel block size relative to the face width
+const FACE_BLOCKS = 6;
+// Block size for the whole-frame fallback (fraction of the frame width)
+const FRAME_BLOCK = 1 / 60;
+
+export function faceDetectionSupported() {
+  return "FaceDetector" in window;
+}
+
+let faceDetector = null;
+
+/** Face boxes in canvas pixels, or null when detection is unavailable. */
+export async function detectFaces(canvas) {
+  if (!faceDetectionSupported()) return null;
+  try {
+    faceDetector ??= new window.FaceDetector({ fastMode: true });
+    const faces = await faceDetector.detect(canvas);
+    return faces.map((f) => ({
+      x: f.boundingBox.x,
+      y: f.boundingBox.y,
+      w: f.boundingBox.width,
+      h: f.boundingBox.height,
+    }));
+  } catch (err) {
+    console.warn("Face detection failed:", err);
+    return null;
+  }
+}
+
+function pixelate(ctx, { x, y, w, h }, blockSize) {
+  const left = Math.max(0, Math.floor(x));
+  const top = Math.max(0, Math.floor(y));
+  const width = Math.min(ctx.canvas.width - left, Math.ceil(w));
+  const height = Math.min(ctx.canvas.height - top, Math.ceil(h));
+  if (width <= 0 || height <= 0) return;
+
+  const small = document.createElement("canvas");
+  small.width = Math.max(1, Math.round(width / blockSize));
+  small.height = Math.max(1, Math.round(height / blockSize));
+  small
+    .getContext("2d")
+    .drawImage(
+      ctx.canvas,
+      left,
+      top,
+      width,
+      height,
+      0,
+      0,
+      small.width,
+      small.height
+    );
+
+  ctx.save();
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(
+    small,
+    0,
+    0,
+    small.width,
+    small.height,
+    left,
+    top,
+    width,
+    height
+  );
+  ctx.restore();
+}
+
+/**
+ * Apply masks and face blur to `canvas` in place.
+ * `faces` is a list of pixel boxes, or null when faces could not be
+ * located at all — then the whole frame is pixelated coarsely instead.
+ * Returns what was done, for the "what leaves this device" indicator.
+ */
+export function applyPrivacy(canvas, { masks = [], blurFaces, faces }) {
+  const ctx = canvas.getContext("2d");
+
+  ctx.fillStyle = "black";
+  for (const m of masks) {
+    ctx.fillRect(
+      m.x * canvas.width,
+      m.y * canvas.height,
+      m.w * canvas.width,
+      m.h * canvas.height
+    );
+  }
+
+  if (!blurFaces) return { masks: masks.length, faces: "off" };
+
+  if (faces == null) {
+    pixelate(
+      ctx,
+      { x: 0, y: 0, w: canvas.width, h: canvas.height },
+      Math.max(4, Math.round(canvas.width * FRAME_BLOCK))
+    );
+    return { masks: masks.length, faces: "whole-frame" };
+  }
+
+  for (const face of faces) {
+    const padX = face.w * FACE_PADDING;
+    const padY = face.h * FACE_PADDING;
+    pixelate(
+      ctx,
+      {
+        x: face.x - padX,
+        y: face.y - padY,
+        w: face.w + padX * 2,
+        h: face.h + padY * 2,
+      },
+      Math.max(4, face.w / FACE_BLOCKS)
+    );
+  }
+  return { masks: masks.length, faces: faces.length };
+}
+
+/**
+ * Locate faces and apply masks and face blur — the full treatment a frame
+ * gets before it is encoded. Without a FaceDetector the whole frame is
+ * pixelated: person boxes of an earlier analysis miss whoever just walked
+ * in or moved, which is what motion-triggered uploads capture.
+ * Resolves with what `applyPrivacy` did.
+ */
+export async function protectFrame(canvas, { masks = [], blurFaces }) {
+  const faces = blurFaces ? await detectFaces(canvas) : null;
+  return applyPrivacy(canvas, { masks, blurFaces, faces });
+}
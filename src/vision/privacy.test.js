@@ -0,0 +1,121 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createFakeCamera } from "../test/fakeCamera";
+import { applyPrivacy, protectFrame } from "./privacy";
+
+// Areas the frame was pixelated in: the block canvas drawn back onto it
+function pixelatedAreas(canvas) {
+  return vi
+    .mocked(canvas.getContext("2d").drawImage)
+    .mock.calls.filter((args) => args.length === 9)
+    .map(([, , , , , x, y, w, h]) => ({ x, y, w, h }));
+}
+
+function spiedFrame() {
+  const canvas = createFakeCamera({ width: 640, height: 480 });
+  const ctx = canvas.getContext("2d");
+  vi.spyOn(ctx, "drawImage");
+  vi.spyOn(ctx, "fillRect");
+  return canvas;
+}
+
+const WHOLE_FRAME = { x: 0, y: 0, w: 640, h: 480 };
+
+// A FaceDetector whose answer each test sets in `detect`
+let detect;
+function installFaceDetector() {
+  window.FaceDetector = class {
+    detect(canvas) {
+      return detect(canvas);
+    }
+  };
+}
+
+afterEach(() => {
+  delete window.FaceDetector;
+  vi.restoreAllMocks();
+});
+
+describe("protectFrame without a FaceDetector", () => {
+  it("pixelates the whole frame", async () => {
+    const canvas = spiedFrame();
+
+    const applied = await protectFrame(canvas, { blurFaces: true });
+
+    expect(applied).toEqual({ masks: 0, faces: "whole-frame" });
+    expect(pixelatedAreas(canvas)).toEqual([WHOLE_FRAME]);
+  });
+
+  it("ignores person boxes of an earlier analysis", async () => {
+    const canvas = spiedFrame();
+    const lastDetections = {
+      width: 640,
+      height: 480,
+      items: [{ label: "person", x: 10, y: 10, w: 100, h: 300 }],
+    };
+
+    const applied = await protectFrame(canvas, {
+      blurFaces: true,
+      lastDetections,
+    });
+
+    expect(applied.faces).toBe("whole-frame");
+    expect(pixelatedAreas(canvas)).toEqual([WHOLE_FRAME]);
+  });
+
+  it("still applies masks, and leaves faces alone when blur is off", async () => {
+    const canvas = spiedFrame();
+    const masks = [{ x: 0.5, y: 0, w: 0.5, h: 0.25 }];
+
+    const applied = await protectFrame(canvas, { masks, blurFaces: false });
+
+    expect(applied).toEqual({ masks: 1, faces: "off" });
+    expect(canvas.getContext("2d").fillRect).toHaveBeenCalledWith(
+      320,
+      0,
+      320,
+      120
+    );
+    expect(pixelatedAreas(canvas)).toEqual([]);
+  });
+});
+
+describe("protectFrame with a FaceDetector", () => {
+  it("pixelates only the detected faces, padded", async () => {
+    installFaceDetector();
+    detect = async () => [
+      { boundingBox: { x: 100, y: 100, width: 40, height: 40 } },
+    ];
+    const canvas = spiedFrame();
+
+    const applied = await protectFrame(canvas, { blurFaces: true });
+
+    expect(applied).toEqual({ masks: 0, faces: 1 });
+    expect(pixelatedAreas(canvas)).toEqual([{ x: 90, y: 90, w: 60, h: 60 }]);
+  });
+
+  it("falls back to the whole frame when detection fails", async () => {
+    installFaceDetector();
+    detect = async () => {
+      throw new Error("not now");
+    };
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const canvas = spiedFrame();
+
+    const applied = await protectFrame(canvas, { blurFaces: true });
+
+    expect(applied.faces).toBe("whole-frame");
+    expect(pixelatedAreas(canvas)).toEqual([WHOLE_FRAME]);
+  });
+});
+
+describe("applyPrivacy", () => {
+  it("pixelates the whole frame when faces could not be located", () => {
+    const canvas = spiedFrame();
+
+    expect(applyPrivacy(canvas, { blurFaces: true, faces: null })).toEqual({
+      masks: 0,
+      faces: "whole-frame",
+    });
+    expect(pixelatedAreas(canvas)).toEqual([WHOLE_FRAME]);
+  });
+});
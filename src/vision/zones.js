@@ -0,0 +1,70 @@
+// 📐 Named room zones (bed, door, floor area, window) drawn on a camera
+// view and stored per room as 0..1 fractions of the frame. Detected people
+// are placed in zones by their feet (upright) or body centre (lying).
+
+// Named "zones.<type>" in the catalogs
+export const ZONE_TYPES = {
+  bed: { color: "#a78bfa" },
+  door: { color: "#facc15" },
+  floor: { color: "#f97316" },
+  window: { color: "#38bdf8" },
+};
+
+function contains(zone, x, y) {
+  return (
+    x >= zone.x && x <= zone.x + zone.w && y >= zone.y && y <= zone.y + zone.h
+  );
+}
+
+/**
+ * Where the people in `detections` (see extractDetections) are, per zone
+ * type. `peopleCount` is the analysis' count: with 0 every zone is known
+ * to be empty, boxes or not. Returns null when the room has no zones, or
+ * people may be there but no person box says where, so zone rules stay
+ * silent instead of guessing:
+ *   { has: { bed: true, … }, occupied: { bed: false, … },
+ *     lying: { floor: true, … }, lyingOnlyInBed }
+ */
+export function locateInZones(detections, zones, peopleCount = null) {
+  if (!zones?.length) return null;
+  if (!detections && peopleCount !== 0) return null;
+  const people =
+    peopleCount === 0
+      ? []
+      : detections.items.filter((d) => d.label === "person");
+  // People were seen, but none of the boxes says where
+  if (peopleCount > 0 && people.length === 0) return null;
+
+  const facts = { has: {}, occupied: {}, lying: {}, lyingOnlyInBed: false };
+  for (const type of Object.keys(ZONE_TYPES)) {
+    facts.has[type] = zones.some((z) => z.type === type);
+    facts.occupied[type] = false;
+    facts.lying[type] = false;
+  }
+
+  let lyingCount = 0;
+  let lyingInBed = 0;
+
+  for (const person of people) {
+    const lying = person.posture === "lying";
+    const x = (person.x + person.w / 2) / detections.width;
+    const y =
+      (lying ? person.y + person.h / 2 : person.y + person.h) /
+      detections.height;
+
+    const types = new Set(
+      zones.filter((z) => contains(z, x, y)).map((z) => z.type)
+    );
+    types.forEach((type) => {
+      facts.occupied[type] = true;
+      if (lying) facts.lying[type] = true;
+    });
+    if (lying) {
+      lyingCount += 1;
+      if (types.has("bed")) lyingInBed += 1;
+    }
+  }
+
+  facts.lyingOnlyInBed = lyingCount > 0 && lyingInBed === lyingCount;
+  return facts;
+}
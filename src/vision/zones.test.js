@@ -0,0 +1,101 @@
+import { describe, expect, it } from "vitest";
+import { buildRules, evaluateRules } from "../alerts/alertRules";
+import { DEFAULT_SETTINGS } from "../config/settings";
+import { extractDetections } from "./detections";
+import { locateInZones } from "./zones";
+
+const FRAME = { width: 640, height: 480 };
+const BED = { id: "bed", type: "bed", x: 0, y: 0, w: 0.5, h: 1 };
+const FLOOR = { id: "floor", type: "floor", x: 0.5, y: 0, w: 0.5, h: 1 };
+const ZONES = [BED, FLOOR];
+
+function analysis({ peopleCount = null, detections = [] } = {}) {
+  return {
+    aiDecision: { status: "NORMAL", reason: "", action: "" },
+    peopleCount,
+    signals: { fallRisk: false, voiceStress: false },
+    detections,
+    vision: null,
+  };
+}
+
+function locate(a) {
+  return locateInZones(extractDetections(a, FRAME), ZONES, a.peopleCount);
+}
+
+describe("locateInZones", () => {
+  it("places upright people by their feet and lying people by their middle", () => {
+    const zones = locate(
+      analysis({
+        peopleCount: 2,
+        detections: [
+          { label: "person", x: 40, y: 100, w: 100, h: 300 },
+          { label: "person", x: 360, y: 300, w: 250, h: 80 },
+        ],
+      })
+    );
+
+    expect(zones.occupied).toMatchObject({ bed: true, floor: true });
+    expect(zones.lying).toMatchObject({ bed: false, floor: true });
+    expect(zones.lyingOnlyInBed).toBe(false);
+  });
+
+  it("knows every zone is empty when nobody is in the room", () => {
+    const zones = locate(analysis({ peopleCount: 0 }));
+
+    expect(zones.has).toMatchObject({ bed: true, floor: true, door: false });
+    expect(zones.occupied).toMatchObject({ bed: false, floor: false });
+  });
+
+  it("knows every zone is empty when the boxes show no person", () => {
+    const zones = locate(
+      analysis({ detections: [{ label: "chair", x: 10, y: 10, w: 50, h: 50 }] })
+    );
+
+    expect(zones.occupied).toMatchObject({ bed: false, floor: false });
+  });
+
+  it("stays silent when people were seen but not boxed", () => {
+    expect(locate(analysis({ peopleCount: 1 }))).toBeNull();
+    expect(
+      locate(
+        analysis({
+          peopleCount: 1,
+          detections: [{ label: "chair", x: 10, y: 10, w: 50, h: 50 }],
+        })
+      )
+    ).toBeNull();
+  });
+
+  it("stays silent without boxes or a people count", () => {
+    expect(locate(analysis())).toBeNull();
+  });
+
+  it("stays silent for a room without zones", () => {
+    expect(locateInZones(null, [], 0)).toBeNull();
+  });
+});
+
+describe("zone-bed-empty", () => {
+  const rules = buildRules(DEFAULT_SETTINGS.alerts).filter(
+    (r) => r.id === "zone-bed-empty"
+  );
+  const minutes = (n) => n * 60 * 1000;
+
+  it("fires when the room stays empty after bedtime", () => {
+    const start = new Date(2026, 0, 1, 23, 30).getTime();
+    const empty = analysis({ peopleCount: 0 });
+    const zones = locate(empty);
+
+    const first = evaluateRules({}, empty, rules, start, zones);
+    expect(first.fired).toEqual([]);
+    const later = evaluateRules(
+      first.state,
+      empty,
+      rules,
+      start + minutes(DEFAULT_SETTINGS.alerts.bedEmptyMinutes),
+      zones
+    );
+    expect(later.fired.map((r) => r.id)).toEqual(["zone-bed-empty"]);
+  });
+});